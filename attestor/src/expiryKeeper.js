@@ -0,0 +1,153 @@
+const cron = require('node-cron');
+
+/**
+ * Periodically sweeps requests that are past their expiry but still open
+ * on-chain, marking them EXPIRED in batches via markExpiredBatch. The
+ * request indexer fills `overdueRequests` as it prunes expired requests and
+ * clears ids whose close events (including RequestExpired) it replays.
+ *
+ * When given the RecurringRequests contract, each run also issues the periods
+ * of recurring series that have fallen due, so series run unattended.
+ */
+class ExpiryKeeper {
+  constructor({ contract, overdueRequests, recurringRequests, schedule, batchSize }) {
+    this.contract = contract;
+    this.overdueRequests = overdueRequests;
+    this.recurringRequests = recurringRequests || null;
+    this.schedule = schedule;
+    this.batchSize = batchSize;
+    this.task = null;
+    this.isSweeping = false;
+    this.isIssuing = false;
+    this.endedSeries = new Set(); // series that can never issue again, skipped on later runs
+  }
+
+  start() {
+    if (!cron.validate(this.schedule)) {
+      throw new Error(`Invalid expiry keeper schedule: ${this.schedule}`);
+    }
+
+    this.task = cron.schedule(this.schedule, () => this.run());
+    console.log(`⏰ Expiry keeper scheduled (${this.schedule}, up to ${this.batchSize} requests per sweep)`);
+    if (this.recurringRequests) {
+      console.log(`🔁 Issuing due recurring requests from ${this.recurringRequests.address}`);
+    }
+  }
+
+  stop() {
+    if (this.task) {
+      this.task.stop();
+    }
+  }
+
+  async run() {
+    await this.sweep();
+    await this.issueDueSeries();
+  }
+
+  async sweep() {
+    if (this.isSweeping || this.overdueRequests.size === 0) return;
+    this.isSweeping = true;
+
+    const batch = [...this.overdueRequests].slice(0, this.batchSize);
+
+    try {
+      console.log(`⏰ Sweeping ${batch.length} overdue request(s)...`);
+
+      const tx = await this.contract.markExpiredBatch(batch);
+      const receipt = await tx.wait();
+
+      const expired = receipt.events
+        .filter(event => event.event === 'RequestExpired')
+        .map(event => event.args.requestId.toNumber());
+      expired.forEach(requestId => this.overdueRequests.delete(requestId));
+
+      if (expired.length > 0) {
+        console.log(`✅ Marked ${expired.length} request(s) expired: ${expired.join(', ')} (tx ${receipt.transactionHash})`);
+      }
+
+      // Skipped ids are either already closed (the indexer drops them when it replays
+      // the close event) or not yet expired by block time, so they are retried next sweep
+      const skipped = batch.length - expired.length;
+      if (skipped > 0) {
+        console.log(`⏭️ Skipped ${skipped} request(s) not expirable yet`);
+      }
+
+    } catch (error) {
+      console.error('❌ Expiry sweep failed:', error.message);
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  /**
+   * Issue every period that has fallen due, up to `batchSize` requests per run.
+   * A series that fell behind is caught up one period per transaction.
+   */
+  async issueDueSeries() {
+    if (!this.recurringRequests || this.isIssuing) return;
+    this.isIssuing = true;
+
+    try {
+      const total = (await this.recurringRequests.getTotalRecurringRequests()).toNumber();
+      let issued = 0;
+
+      for (let recurringId = 1; recurringId <= total && issued < this.batchSize; recurringId++) {
+        if (this.endedSeries.has(recurringId)) continue;
+
+        while (issued < this.batchSize && await this.isDue(recurringId)) {
+          const requestId = await this.issue(recurringId);
+          if (requestId === null) break;
+          issued++;
+        }
+      }
+
+      if (issued > 0) {
+        console.log(`✅ Issued ${issued} recurring request(s)`);
+      }
+
+    } catch (error) {
+      console.error('❌ Recurring issuance failed:', error.message);
+    } finally {
+      this.isIssuing = false;
+    }
+  }
+
+  async isDue(recurringId) {
+    const series = await this.recurringRequests.getRecurringRequest(recurringId);
+    if (series.ended) {
+      this.endedSeries.add(recurringId);
+      return false;
+    }
+
+    const { timestamp } = await this.recurringRequests.provider.getBlock('latest');
+    return !series.paused && series.nextIssueAt.lte(timestamp);
+  }
+
+  // Returns the issued request id, or null if the series ended or issuing failed
+  async issue(recurringId) {
+    try {
+      const tx = await this.recurringRequests.issueRecurringRequest(recurringId);
+      const receipt = await tx.wait();
+
+      const issuedEvent = receipt.events.find(event => event.event === 'RecurringRequestIssued');
+      if (!issuedEvent) {
+        // The series ran out of periods, so the call ended it instead
+        this.endedSeries.add(recurringId);
+        console.log(`🏁 Recurring series ${recurringId} ended (tx ${receipt.transactionHash})`);
+        return null;
+      }
+
+      const requestId = issuedEvent.args.requestId.toNumber();
+      console.log(`🔁 Issued request ${requestId} for recurring series ${recurringId}, period ${issuedEvent.args.period} (tx ${receipt.transactionHash})`);
+      return requestId;
+
+    } catch (error) {
+      // e.g. the asset's limits changed and RequestManager rejects the series' terms; retried next run
+      console.error(`❌ Failed to issue recurring series ${recurringId}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = { ExpiryKeeper };
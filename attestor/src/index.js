@@ -1,7 +1,11 @@
-const { Client } = require('xrpl');
+const { Client, convertHexToString } = require('xrpl');
 const { ethers } = require('ethers');
 const cron = require('node-cron');
 require('dotenv').config();
+const { StateStore } = require('./stateStore');
+const { RequestIndexer } = require('./requestIndexer');
+const { XrplSubscriber } = require('./xrplSubscriber');
+const { ExpiryKeeper } = require('./expiryKeeper');
 
 console.log('🚀 Starting Venmorph Attestor Service...');
 
@@ -9,6 +13,7 @@ console.log('🚀 Starting Venmorph Attestor Service...');
 const config = {
   xrpl: {
     network: process.env.XRPL_NETWORK || 'testnet',
+    mode: process.env.XRPL_MODE || 'poll', // 'poll' walks every ledger, 'stream' subscribes to request accounts
     networks: {
       mainnet: 'wss://xrplcluster.com',
       testnet: 'wss://s.altnet.rippletest.net:51233',
@@ -19,22 +24,57 @@ const config = {
     chainId: parseInt(process.env.FLARE_CHAIN_ID) || 114, // Coston2 by default
     rpcUrl: process.env.FLARE_RPC_URL || 'https://coston2-api.flare.network/ext/bc/C/rpc',
     privateKey: process.env.ATTESTOR_PRIVATE_KEY,
-    requestManagerAddress: process.env.REQUEST_MANAGER_ADDRESS
+    requestManagerAddress: process.env.REQUEST_MANAGER_ADDRESS,
+    recurringRequestsAddress: process.env.RECURRING_REQUESTS_ADDRESS, // optional; enables issuing due series
+    deploymentBlock: parseInt(process.env.REQUEST_MANAGER_DEPLOYMENT_BLOCK), // deploymentBlock in contracts/deployments-<network>.json
+    logBlockRange: parseInt(process.env.LOG_BLOCK_RANGE) || 30 // Flare public RPCs limit eth_getLogs to 30 blocks
   },
   attestor: {
     pollInterval: parseInt(process.env.POLL_INTERVAL) || 10000, // 10 seconds
     confirmations: parseInt(process.env.CONFIRMATIONS) || 1,
-    batchSize: parseInt(process.env.BATCH_SIZE) || 10
+    requestSyncInterval: parseInt(process.env.REQUEST_SYNC_INTERVAL) || 15000, // 15 seconds
+    stateFile: process.env.ATTESTOR_STATE_FILE || './data/attestor-state.json'
+  },
+  keeper: {
+    enabled: process.env.EXPIRY_KEEPER_ENABLED !== 'false',
+    schedule: process.env.EXPIRY_KEEPER_SCHEDULE || '*/5 * * * *', // every 5 minutes
+    batchSize: parseInt(process.env.EXPIRY_KEEPER_BATCH_SIZE) || 50
   }
 };
 
+// XRPL timestamps count seconds from 2000-01-01, not the Unix epoch
+const RIPPLE_EPOCH_OFFSET = 946684800;
+
+// Memo the frontend attaches to payments, e.g. "Venmorph Request #42"
+const REQUEST_MEMO_PATTERN = /^Venmorph Request #(\d+)$/;
+
 // Contract ABI
 const REQUEST_MANAGER_ABI = [
-  "function getRequest(uint256 _requestId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message))",
+  "function getRequest(uint256 _requestId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message, uint256 paidAssetPrice, uint256 paidXrpPrice, tuple(uint256 xrpAmount, uint256 expiry, uint256 duration, uint256 assetPrice, uint256 xrpPrice) quote, tuple(address evmAddress, string xrplAddress, bool hidden) payer))",
   "function getTotalRequests() external view returns (uint256)",
-  "function submitPaymentAttestation(uint256 _requestId, bytes32 _txHash, uint256 _paidAmountXRP, uint256 _timestamp) external",
+  "function createdAt(uint256 _requestId) external view returns (uint256)",
+  "function calculateXRPAmount(string memory _assetSymbol, uint256 _assetAmount) external view returns (uint256)",
+  "function submitPaymentAttestation(uint256 _requestId, bytes32 _txHash, uint256 _paidAmountXRP, uint256 _timestamp, bytes32 _sourceAddressHash) external",
+  "function markExpiredBatch(uint256[] _ids) external returns (uint256 expired)",
+  "function paused() external view returns (bool)",
   "event RequestCreated(uint256 indexed requestId, address indexed creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, string message)",
-  "event RequestPaid(uint256 indexed requestId, bytes32 indexed txHash, uint256 paidAmount, uint256 timestamp)"
+  "event RequestPaid(uint256 indexed requestId, bytes32 indexed txHash, uint256 paidAmount, uint256 timestamp)",
+  "event PaymentReceived(uint256 indexed requestId, bytes32 indexed txHash, uint256 amount, uint256 timestamp, uint256 totalPaid)",
+  "event RequestQuoted(uint256 indexed requestId, uint256 xrpAmount, uint256 quoteExpiry, uint256 assetPrice, uint256 xrpPrice)",
+  "event RequestCancelled(uint256 indexed requestId)",
+  "event RequestExpired(uint256 indexed requestId)",
+  "event RequestDeclined(uint256 indexed requestId, address indexed payer)",
+  "event DisputeResolved(uint256 indexed requestId, address indexed resolver, bool paymentUpheld)",
+  "event RequestRecipientUpdated(uint256 indexed requestId, string previousRecipientXRPL, string recipientXRPL)",
+  "event RequestExpiryExtended(uint256 indexed requestId, uint256 previousExpiry, uint256 expiry)"
+];
+
+const RECURRING_REQUESTS_ABI = [
+  "function getTotalRecurringRequests() external view returns (uint256)",
+  "function getRecurringRequest(uint256 _recurringId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint16 slippageBp, string message, uint256 interval, uint256 requestDuration, uint256 nextIssueAt, uint256 maxCount, uint256 endDate, uint256 issuedCount, bool paused, bool ended))",
+  "function issueRecurringRequest(uint256 _recurringId) external returns (uint256)",
+  "event RecurringRequestIssued(uint256 indexed recurringId, uint256 indexed requestId, uint256 period)",
+  "event RecurringRequestEnded(uint256 indexed recurringId)"
 ];
 
 class VenmorphAttestor {
@@ -43,16 +83,26 @@ class VenmorphAttestor {
     this.flareProvider = null;
     this.requestManagerContract = null;
     this.wallet = null;
+    this.requestIndexer = null;
+    this.xrplSubscriber = null;
+    this.expiryKeeper = null;
     this.isRunning = false;
     this.lastProcessedLedger = null;
     this.pendingRequests = new Map();
+    this.overdueRequests = new Set(); // expired but not yet marked EXPIRED on-chain
     this.processedTransactions = new Set();
+    this.submittingAttestations = new Set(); // XRPL tx hashes whose attestation is being sent right now
+    this.stateStore = new StateStore(config.attestor.stateFile);
+    this.isProcessingLedgers = false;
   }
 
   async initialize() {
     try {
       console.log('🔧 Initializing Attestor Service...');
 
+      // Restore checkpoint and attestation journal
+      this.stateStore.load();
+
       // Initialize XRPL client
       await this.initializeXRPL();
 
@@ -62,6 +112,9 @@ class VenmorphAttestor {
       // Load pending requests
       await this.loadPendingRequests();
 
+      // Settle attestations that were in flight when we last stopped
+      await this.reconcileInFlightAttestations();
+
       console.log('✅ Attestor Service initialized successfully');
       return true;
 
@@ -79,12 +132,20 @@ class VenmorphAttestor {
       await this.xrplClient.connect();
       console.log(`🔗 Connected to XRPL ${config.xrpl.network}`);
 
+      // Resume from the checkpoint so ledgers closed while we were down get backfilled
+      if (this.stateStore.lastProcessedLedger) {
+        this.lastProcessedLedger = this.stateStore.lastProcessedLedger;
+        console.log(`📊 Resuming from checkpoint ledger: ${this.lastProcessedLedger}`);
+        return;
+      }
+
       // Get latest ledger info
       const serverInfo = await this.xrplClient.request({
         command: 'server_info'
       });
       
       this.lastProcessedLedger = serverInfo.result.info.validated_ledger.seq;
+      this.stateStore.setLastProcessedLedger(this.lastProcessedLedger);
       console.log(`📊 Starting from ledger: ${this.lastProcessedLedger}`);
 
     } catch (error) {
@@ -103,7 +164,14 @@ class VenmorphAttestor {
         throw new Error('REQUEST_MANAGER_ADDRESS environment variable is required');
       }
 
-      this.flareProvider = new ethers.JsonRpcProvider(config.flare.rpcUrl);
+      // Without an indexer checkpoint, request events are replayed from the deployment block
+      if (this.stateStore.lastIndexedBlock === null && !(config.flare.deploymentBlock > 0)) {
+        throw new Error(
+          'REQUEST_MANAGER_DEPLOYMENT_BLOCK environment variable is required (deploymentBlock in contracts/deployments-<network>.json)'
+        );
+      }
+
+      this.flareProvider = new ethers.providers.JsonRpcProvider(config.flare.rpcUrl);
       this.wallet = new ethers.Wallet(config.flare.privateKey, this.flareProvider);
       
       this.requestManagerContract = new ethers.Contract(
@@ -112,6 +180,17 @@ class VenmorphAttestor {
         this.wallet
       );
 
+      this.requestIndexer = new RequestIndexer({
+        contract: this.requestManagerContract,
+        provider: this.flareProvider,
+        stateStore: this.stateStore,
+        pendingRequests: this.pendingRequests,
+        overdueRequests: this.overdueRequests,
+        deploymentBlock: config.flare.deploymentBlock,
+        blockRange: config.flare.logBlockRange,
+        onRecipientUpdated: (requestId) => this.dropQueuedAttestations(requestId)
+      });
+
       console.log(`🔗 Connected to Flare network (Chain ID: ${config.flare.chainId})`);
       console.log(`📋 Request Manager: ${config.flare.requestManagerAddress}`);
       console.log(`👤 Attestor Address: ${this.wallet.address}`);
@@ -124,21 +203,11 @@ class VenmorphAttestor {
 
   async loadPendingRequests() {
     try {
-      const totalRequests = await this.requestManagerContract.getTotalRequests();
-      console.log(`📊 Total requests in contract: ${totalRequests.toString()}`);
-
-      // Load recent requests for monitoring
-      const batchSize = Math.min(config.attestor.batchSize, totalRequests.toNumber());
-      for (let i = Math.max(0, totalRequests.toNumber() - batchSize); i < totalRequests.toNumber(); i++) {
-        try {
-          const request = await this.requestManagerContract.getRequest(i);
-          if (request.status === 1) { // Status 1 = Pending
-            this.pendingRequests.set(i, request);
-          }
-        } catch (error) {
-          console.warn(`⚠️ Failed to load request ${i}:`, error.message);
-        }
-      }
+      await this.requestIndexer.restore();
+
+      // Replay request events since the last indexed block (or the deployment block)
+      console.log('⏪ Indexing request events...');
+      await this.requestIndexer.sync();
 
       console.log(`📋 Loaded ${this.pendingRequests.size} pending requests`);
     } catch (error) {
@@ -152,13 +221,39 @@ class VenmorphAttestor {
       await this.initialize();
       this.isRunning = true;
       
+      if (config.xrpl.mode === 'stream') {
+        // Subscribing gap-fills each account from the checkpoint via account_tx
+        console.log('⏪ Subscribing to request accounts and filling gaps since last checkpoint...');
+        await this.startXRPLStreaming();
+      } else {
+        // Catch up on every ledger since the checkpoint before going live
+        console.log('⏪ Backfilling ledgers since last checkpoint...');
+        await this.checkXRPLTransactions();
+      }
+
       console.log('🎯 Starting attestor monitoring...');
       
       // Start monitoring for new requests
       this.startRequestMonitoring();
       
       // Start XRPL transaction monitoring
-      this.startXRPLMonitoring();
+      if (config.xrpl.mode !== 'stream') {
+        this.startXRPLMonitoring();
+      }
+
+      // Sweep overdue requests so they don't sit as PENDING forever, and issue due recurring periods
+      if (config.keeper.enabled) {
+        this.expiryKeeper = new ExpiryKeeper({
+          contract: this.requestManagerContract,
+          overdueRequests: this.overdueRequests,
+          recurringRequests: config.flare.recurringRequestsAddress
+            ? new ethers.Contract(config.flare.recurringRequestsAddress, RECURRING_REQUESTS_ABI, this.wallet)
+            : null,
+          schedule: config.keeper.schedule,
+          batchSize: config.keeper.batchSize
+        });
+        this.expiryKeeper.start();
+      }
 
     } catch (error) {
       console.error('❌ Failed to start attestor:', error);
@@ -167,30 +262,37 @@ class VenmorphAttestor {
   }
 
   startRequestMonitoring() {
-    // Monitor for new requests every 30 seconds
+    // Follow RequestCreated/Cancelled/Expired/Paid events as new blocks arrive
     setInterval(async () => {
       if (!this.isRunning) return;
-      
-      try {
-        const totalRequests = await this.requestManagerContract.getTotalRequests();
-        const currentCount = totalRequests.toNumber();
-        
-        // Check for new requests
-        for (let i = this.pendingRequests.size; i < currentCount; i++) {
-          try {
-            const request = await this.requestManagerContract.getRequest(i);
-            if (request.status === 1) { // Status 1 = Pending
-              this.pendingRequests.set(i, request);
-              console.log(`🆕 New pending request detected: ${i}`);
-            }
-          } catch (error) {
-            console.warn(`⚠️ Failed to load new request ${i}:`, error.message);
-          }
-        }
-      } catch (error) {
-        console.error('❌ Error monitoring requests:', error);
+      await this.requestIndexer.sync();
+      await this.retryQueuedAttestations();
+
+      if (this.xrplSubscriber) {
+        await this.updateXRPLSubscriptions();
       }
-    }, 30000);
+    }, config.attestor.requestSyncInterval);
+  }
+
+  async startXRPLStreaming() {
+    this.xrplSubscriber = new XrplSubscriber({
+      client: this.xrplClient,
+      stateStore: this.stateStore,
+      onTransaction: (tx) => this.processTransaction(tx)
+    });
+
+    await this.xrplSubscriber.start();
+    await this.updateXRPLSubscriptions();
+  }
+
+  async updateXRPLSubscriptions() {
+    try {
+      // Only recipients of open requests are worth listening to
+      const accounts = [...this.pendingRequests.values()].map(request => request.recipientXRPL);
+      await this.xrplSubscriber.setAccounts(accounts, this.requestIndexer.indexedUntil);
+    } catch (error) {
+      console.error('❌ Error updating XRPL subscriptions:', error);
+    }
   }
 
   startXRPLMonitoring() {
@@ -207,7 +309,16 @@ class VenmorphAttestor {
   }
 
   async checkXRPLTransactions() {
+    // A backfill can outlast the poll interval; never walk ledgers twice at once
+    if (this.isProcessingLedgers) return;
+    this.isProcessingLedgers = true;
+
     try {
+      // Payments are matched against indexed requests, so bring the index up to date first
+      if (!(await this.requestIndexer.sync())) {
+        return;
+      }
+
       const serverInfo = await this.xrplClient.request({
         command: 'server_info'
       });
@@ -215,97 +326,317 @@ class VenmorphAttestor {
       const currentLedger = serverInfo.result.info.validated_ledger.seq;
       
       if (this.lastProcessedLedger && currentLedger > this.lastProcessedLedger) {
-        // Process transactions from new ledgers
+        // Process transactions from new ledgers, checkpointing after each one
         for (let ledger = this.lastProcessedLedger + 1; ledger <= currentLedger; ledger++) {
-          await this.processLedger(ledger);
+          if (!(await this.processLedger(ledger))) break;
+          this.lastProcessedLedger = ledger;
+          this.stateStore.setLastProcessedLedger(ledger);
         }
       }
       
-      this.lastProcessedLedger = currentLedger;
-      
     } catch (error) {
+      // The checkpoint stays on the last complete ledger, so the next poll retries from there
       console.error('❌ Error checking XRPL transactions:', error);
+    } finally {
+      this.isProcessingLedgers = false;
     }
   }
 
+  // Returns false, without processing it, for a ledger that closed after the request index
   async processLedger(ledgerIndex) {
-    try {
-      const ledger = await this.xrplClient.request({
-        command: 'ledger',
-        ledger_index: ledgerIndex,
-        transactions: true
-      });
+    const ledger = await this.xrplClient.request({
+      command: 'ledger',
+      ledger_index: ledgerIndex,
+      transactions: true,
+      expand: true
+    });
+
+    // Requests created after the indexed block may be paid in this ledger; wait for the next sync
+    const closeTime = ledger.result.ledger.close_time;
+    if (closeTime + RIPPLE_EPOCH_OFFSET > this.requestIndexer.indexedUntil) {
+      return false;
+    }
 
-      if (ledger.result.ledger.transactions) {
-        for (const tx of ledger.result.ledger.transactions) {
-          await this.processTransaction(tx);
-        }
+    if (ledger.result.ledger.transactions) {
+      for (const tx of ledger.result.ledger.transactions) {
+        // Ledger entries carry no per-transaction date, so use the ledger close time
+        await this.processTransaction({ ...tx, date: tx.date ?? closeTime });
       }
-    } catch (error) {
-      console.error(`❌ Error processing ledger ${ledgerIndex}:`, error);
     }
+
+    return true;
   }
 
+  // Throws when the transaction couldn't be checked or its attestation wasn't sent, so
+  // callers keep their checkpoint before it and the transaction is seen again
   async processTransaction(tx) {
-    try {
-      // Skip if already processed
-      if (this.processedTransactions.has(tx.hash)) {
-        return;
-      }
-
-      // Check if this is a payment transaction
-      if (tx.TransactionType === 'Payment') {
-        await this.checkPaymentTransaction(tx);
-      }
+    // Skip if already processed, including attestations journaled before a restart
+    if (this.processedTransactions.has(tx.hash) || this.stateStore.hasXrplTransaction(tx.hash)) {
+      return;
+    }
 
-      this.processedTransactions.add(tx.hash);
-    } catch (error) {
-      console.error(`❌ Error processing transaction ${tx.hash}:`, error);
+    // Check if this is a payment transaction
+    if (tx.TransactionType === 'Payment') {
+      await this.checkPaymentTransaction(tx);
     }
+
+    this.processedTransactions.add(tx.hash);
   }
 
   async checkPaymentTransaction(tx) {
-    try {
-      // Check if this payment matches any pending request
-      for (const [requestId, request] of this.pendingRequests) {
-        if (this.matchesRequest(tx, request)) {
-          console.log(`💰 Payment found for request ${requestId}: ${tx.hash}`);
-          
-          // Submit attestation
-          await this.submitAttestation(requestId, tx.hash, tx.Amount, tx.date);
-          
-          // Remove from pending
-          this.pendingRequests.delete(requestId);
+    // Payments are routed to requests by destination tag = request ID
+    if (tx.DestinationTag === undefined) {
+      return;
+    }
+
+    // A tag missing from the pending set is checked on-chain rather than dropped
+    const requestId = Number(tx.DestinationTag);
+    const request = this.pendingRequests.get(requestId) || await this.requestIndexer.lookupRequest(requestId);
+    if (!request) {
+      return;
+    }
+
+    if (!(await this.matchesRequest(tx, requestId, request))) {
+      return;
+    }
+
+    console.log(`💰 Payment found for request ${requestId}: ${tx.hash}`);
+
+    // Submit attestation
+    await this.submitAttestation(
+      requestId,
+      `0x${tx.hash}`,
+      this.getDeliveredDrops(tx),
+      tx.date + RIPPLE_EPOCH_OFFSET,
+      tx.Account
+    );
+  }
+
+  async matchesRequest(tx, requestId, request) {
+    const meta = tx.meta || tx.metaData;
+    if (meta && meta.TransactionResult !== 'tesSUCCESS') {
+      return false;
+    }
+
+    if (tx.Destination !== request.recipientXRPL) {
+      return false;
+    }
+
+    // Directed requests only count payments from the intended XRPL account
+    if (request.payer.xrplAddress && tx.Account !== request.payer.xrplAddress) {
+      console.warn(`⚠️ Ignoring ${tx.hash} for request ${requestId}: sent by ${tx.Account}, not the intended payer`);
+      return false;
+    }
+
+    // Payments made before the request existed (e.g. reusing an old destination tag) never count
+    const createdAt = await this.requestManagerContract.createdAt(requestId);
+    if (createdAt.gt(tx.date + RIPPLE_EPOCH_OFFSET)) {
+      console.warn(`⚠️ Ignoring ${tx.hash} for request ${requestId}: paid before the request was created`);
+      return false;
+    }
+
+    // A Venmorph memo is optional, but if present it must name this request
+    const memoRequestId = this.getMemoRequestId(tx);
+    if (memoRequestId !== null && memoRequestId !== requestId) {
+      console.warn(`⚠️ Memo/tag mismatch on ${tx.hash}: tag ${requestId}, memo #${memoRequestId}`);
+      return false;
+    }
+
+    // Issued-currency payments cannot settle a request, only XRP drops
+    const deliveredDrops = this.getDeliveredDrops(tx);
+    if (deliveredDrops === null) {
+      console.warn(`⚠️ Ignoring non-XRP payment ${tx.hash} for request ${requestId}`);
+      return false;
+    }
+
+    // Underpayments are attested too: the contract accumulates installments until the
+    // total clears the locked quote or FTSO-converted amount less slippage
+    const minAcceptableDrops = await this.getMinAcceptableDrops(request, tx.date + RIPPLE_EPOCH_OFFSET);
+    const totalDrops = request.paidAmount.add(deliveredDrops);
+
+    if (totalDrops.lt(minAcceptableDrops)) {
+      console.log(
+        `🧩 Partial payment for request ${requestId}: ${totalDrops.toString()} of ${minAcceptableDrops.toString()} drops`
+      );
+    }
+
+    return true;
+  }
+
+  async getMinAcceptableDrops(request, paymentTimestamp) {
+    const { quote } = request;
+    if (quote.xrpAmount.gt(0) && quote.expiry.gte(paymentTimestamp)) {
+      return quote.xrpAmount;
+    }
+
+    const requiredDrops = await this.requestManagerContract.calculateXRPAmount(
+      request.assetSymbol,
+      request.assetAmount
+    );
+    return requiredDrops.mul(10000 - request.slippageBp).div(10000);
+  }
+
+  getDeliveredDrops(tx) {
+    // delivered_amount accounts for partial payments; Amount is only the upper bound
+    const meta = tx.meta || tx.metaData;
+    const delivered = meta?.delivered_amount ?? meta?.DeliveredAmount ?? tx.Amount;
+
+    // XRP amounts are strings of drops, issued currencies are { currency, issuer, value }
+    if (typeof delivered !== 'string') {
+      return null;
+    }
+
+    return ethers.BigNumber.from(delivered);
+  }
+
+  getMemoRequestId(tx) {
+    for (const { Memo } of tx.Memos || []) {
+      if (!Memo?.MemoData) continue;
+
+      try {
+        const match = convertHexToString(Memo.MemoData).trim().match(REQUEST_MEMO_PATTERN);
+        if (match) {
+          return Number(match[1]);
         }
+      } catch (error) {
+        // Not a UTF-8 memo, so not one of ours
       }
-    } catch (error) {
-      console.error(`❌ Error checking payment transaction:`, error);
     }
-  }
 
-  matchesRequest(tx, request) {
-    // Check if transaction matches the request criteria
-    // This is a simplified matching - you may need more sophisticated logic
-    return tx.Destination === request.recipientXRPL && 
-           tx.Amount === request.assetAmount;
+    return null;
   }
 
-  async submitAttestation(requestId, txHash, amount, timestamp) {
+  // Throws if the attestation couldn't be sent; it is journaled first so it is retried either way.
+  // `sourceXRPL` is the paying account, which RequestManager checks against a directed request's payer
+  async submitAttestation(requestId, txHash, amount, timestamp, sourceXRPL) {
+    const xrplTxHash = txHash.replace(/^0x/, '');
+    const attestation = { requestId, amount: amount.toString(), timestamp, sourceXRPL };
+
+    // The ledger walk and the retry queue can reach the same payment; only one sends it
+    if (this.submittingAttestations.has(xrplTxHash)) {
+      throw new Error(`Attestation for ${xrplTxHash} is already being submitted`);
+    }
+    this.submittingAttestations.add(xrplTxHash);
+
+    let tx;
     try {
+      // Attestations revert while paused; hold them until the contract is unpaused
+      if (await this.requestManagerContract.paused()) {
+        this.stateStore.recordQueued(xrplTxHash, attestation, 'paused');
+        console.log(`⏸️ RequestManager paused, holding attestation for request ${requestId}`);
+        return;
+      }
+
       console.log(`📝 Submitting attestation for request ${requestId}...`);
-      
-      const tx = await this.requestManagerContract.submitPaymentAttestation(
+
+      tx = await this.requestManagerContract.submitPaymentAttestation(
         requestId,
         txHash,
         amount,
-        timestamp
+        timestamp,
+        ethers.utils.keccak256(ethers.utils.toUtf8Bytes(sourceXRPL))
       );
-      
-      await tx.wait();
-      console.log(`✅ Attestation submitted for request ${requestId}: ${tx.hash}`);
-      
     } catch (error) {
+      // RPC, gas and nonce errors surface here, before anything is in flight
+      this.stateStore.recordQueued(xrplTxHash, attestation, 'failed', error.message);
       console.error(`❌ Failed to submit attestation for request ${requestId}:`, error);
+      throw error;
+    } finally {
+      this.submittingAttestations.delete(xrplTxHash);
+    }
+
+    // Journal before waiting so a restart can pick up where we left off
+    this.stateStore.recordInFlight(tx.hash, { xrplTxHash, ...attestation });
+
+    await this.confirmAttestation(tx.hash, tx.wait());
+  }
+
+  async retryQueuedAttestations() {
+    const queued = this.stateStore.getQueued();
+    if (queued.length === 0) return;
+
+    try {
+      if (await this.requestManagerContract.paused()) return;
+    } catch (error) {
+      console.error('❌ Failed to read pause state:', error);
+      return;
+    }
+
+    console.log(`🔁 Retrying ${queued.length} queued attestation(s)...`);
+
+    for (const { xrplTxHash, requestId, amount, timestamp, sourceXRPL, attempts } of queued) {
+      // Requests that closed in the meantime (cancelled, expired) no longer need it
+      if (!this.pendingRequests.has(requestId)) {
+        this.stateStore.dropQueued(xrplTxHash);
+        continue;
+      }
+
+      if (this.submittingAttestations.has(xrplTxHash)) continue;
+
+      try {
+        await this.submitAttestation(requestId, `0x${xrplTxHash}`, amount, timestamp, sourceXRPL);
+      } catch (error) {
+        // Still queued; the next sync tries again
+        console.warn(`⚠️ Attestation ${xrplTxHash} for request ${requestId} still unsent after ${attempts + 1} attempt(s)`);
+      }
+    }
+  }
+
+  dropQueuedAttestations(requestId) {
+    // Queued attestations were matched against the previous recipient address
+    for (const { xrplTxHash, requestId: queuedRequestId } of this.stateStore.getQueued()) {
+      if (queuedRequestId === requestId) {
+        this.stateStore.dropQueued(xrplTxHash);
+        console.log(`🗑️ Dropped queued attestation ${xrplTxHash} for request ${requestId} after its recipient changed`);
+      }
+    }
+  }
+
+  async confirmAttestation(flareTxHash, receiptPromise) {
+    const { requestId } = this.stateStore.state.inFlight[flareTxHash];
+
+    try {
+      const receipt = await receiptPromise;
+      if (receipt.status === 0) {
+        throw new Error('Attestation transaction reverted');
+      }
+
+      this.stateStore.recordAttested(flareTxHash);
+      console.log(`✅ Attestation submitted for request ${requestId}: ${flareTxHash}`);
+    } catch (error) {
+      this.stateStore.dropInFlight(flareTxHash);
+      console.error(`❌ Attestation ${flareTxHash} for request ${requestId} failed:`, error);
+    }
+  }
+
+  async reconcileInFlightAttestations() {
+    const inFlight = this.stateStore.getInFlight();
+    if (inFlight.length === 0) return;
+
+    console.log(`🔁 Reconciling ${inFlight.length} in-flight attestation(s)...`);
+
+    for (const attestation of inFlight) {
+      const { flareTxHash, requestId, xrplTxHash, amount, timestamp, sourceXRPL } = attestation;
+
+      try {
+        const receipt = await this.flareProvider.getTransactionReceipt(flareTxHash);
+
+        if (receipt && receipt.status === 1) {
+          this.stateStore.recordAttested(flareTxHash);
+          console.log(`✅ In-flight attestation for request ${requestId} was mined: ${flareTxHash}`);
+        } else if (receipt) {
+          // Reverted; resubmit only if the request is still open
+          this.stateStore.dropInFlight(flareTxHash);
+          if (this.pendingRequests.has(requestId)) {
+            await this.submitAttestation(requestId, `0x${xrplTxHash}`, amount, timestamp, sourceXRPL);
+          }
+        } else {
+          // Not mined yet (or dropped from the mempool); keep waiting for it
+          this.confirmAttestation(flareTxHash, this.flareProvider.waitForTransaction(flareTxHash));
+        }
+      } catch (error) {
+        console.error(`❌ Failed to reconcile attestation ${flareTxHash}:`, error);
+      }
     }
   }
 
@@ -313,6 +644,10 @@ class VenmorphAttestor {
     console.log('🛑 Stopping attestor service...');
     this.isRunning = false;
     
+    if (this.expiryKeeper) {
+      this.expiryKeeper.stop();
+    }
+    
     if (this.xrplClient) {
       await this.xrplClient.disconnect();
     }
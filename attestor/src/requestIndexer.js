@@ -0,0 +1,194 @@
+const { ethers } = require('ethers');
+
+// RequestStatus enum in RequestManager.sol
+const STATUS_PENDING = 0;
+const STATUS_PARTIALLY_PAID = 4;
+
+// Events that open, close, re-price or redirect a pending request
+const TRACKED_EVENTS = [
+  'RequestCreated',
+  'RequestQuoted',
+  'PaymentReceived',
+  'RequestRecipientUpdated',
+  'RequestExpiryExtended',
+  'RequestCancelled',
+  'RequestExpired',
+  'RequestPaid',
+  'RequestDeclined',
+  'DisputeResolved'
+];
+
+/**
+ * Keeps the attestor's pending request set in sync with RequestManager by
+ * replaying its lifecycle events, first from the deployment block (or the
+ * last indexed block) and then incrementally as new blocks arrive. A block
+ * range is only checkpointed once every event in it was applied, so a failed
+ * request load retries the range instead of dropping the request.
+ */
+class RequestIndexer {
+  constructor({ contract, provider, stateStore, pendingRequests, overdueRequests, deploymentBlock, blockRange, onRecipientUpdated }) {
+    this.contract = contract;
+    this.provider = provider;
+    this.stateStore = stateStore;
+    this.pendingRequests = pendingRequests;
+    this.overdueRequests = overdueRequests;
+    this.deploymentBlock = deploymentBlock;
+    this.blockRange = blockRange;
+    this.onRecipientUpdated = onRecipientUpdated || (() => {});
+    this.indexedUntil = 0; // timestamp of the block every request event has been applied through
+    this.requestCount = 0; // requests created by then
+    this.syncing = null;
+  }
+
+  get topics() {
+    return TRACKED_EVENTS.map(name => this.contract.interface.getEventTopic(name));
+  }
+
+  async restore() {
+    // Refresh requests that were pending (or overdue) at shutdown; any that settled since are dropped.
+    // One that can't be loaded fails startup rather than silently leaving the set
+    const ids = this.stateStore.pendingRequestIds;
+    for (const id of ids) {
+      await this.refreshRequest(id);
+    }
+
+    console.log(`📋 Restored ${this.pendingRequests.size} of ${ids.length} pending requests from checkpoint`);
+  }
+
+  // Callers share a sync that is already running; resolves to whether it reached the latest block
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  async runSync() {
+    try {
+      const { number: latestBlock, timestamp } = await this.provider.getBlock('latest');
+      const lastIndexed = this.stateStore.lastIndexedBlock;
+      let fromBlock = lastIndexed !== null ? lastIndexed + 1 : this.deploymentBlock;
+
+      // Public Flare RPCs cap eth_getLogs ranges, so walk the chain in chunks
+      while (fromBlock <= latestBlock) {
+        const toBlock = Math.min(fromBlock + this.blockRange - 1, latestBlock);
+
+        const logs = await this.provider.getLogs({
+          address: this.contract.address,
+          topics: [this.topics],
+          fromBlock,
+          toBlock
+        });
+
+        for (const log of logs) {
+          await this.handleLog(log);
+        }
+
+        this.stateStore.setIndexerCheckpoint(toBlock, [...this.pendingRequests.keys(), ...this.overdueRequests]);
+        fromBlock = toBlock + 1;
+      }
+
+      this.pruneExpired();
+
+      this.requestCount = (await this.contract.getTotalRequests({ blockTag: latestBlock })).toNumber();
+      this.indexedUntil = timestamp;
+      return true;
+    } catch (error) {
+      // The checkpoint stays on the last complete range, so the next sync retries from there
+      console.error('❌ Error indexing request events:', error);
+      return false;
+    }
+  }
+
+  async handleLog(log) {
+    const { name, args } = this.contract.interface.parseLog(log);
+    const requestId = args.requestId.toNumber();
+
+    switch (name) {
+      case 'RequestCreated':
+        await this.refreshRequest(requestId);
+        if (this.pendingRequests.has(requestId)) {
+          console.log(`🆕 New pending request detected: ${requestId}`);
+        }
+        break;
+      case 'RequestQuoted':
+      case 'PaymentReceived':
+      case 'DisputeResolved':
+        // Re-quotes and installments change what is still owed; a rejected dispute reopens the request
+        await this.refreshRequest(requestId);
+        if (name === 'DisputeResolved' && this.pendingRequests.has(requestId)) {
+          console.log(`↩️ Request ${requestId} reopened after dispute`);
+        }
+        break;
+      case 'RequestRecipientUpdated':
+        // Payments seen for the previous address no longer count toward the request
+        this.onRecipientUpdated(requestId);
+        await this.refreshRequest(requestId);
+        console.log(`🔀 Request ${requestId} now paid to ${args.recipientXRPL}`);
+        break;
+      case 'RequestExpiryExtended':
+        // An extension can bring an overdue request back before the keeper marks it expired
+        this.overdueRequests.delete(requestId);
+        await this.refreshRequest(requestId);
+        console.log(`⏳ Request ${requestId} expiry extended to ${new Date(args.expiry.toNumber() * 1000).toISOString()}`);
+        break;
+      case 'RequestCancelled':
+      case 'RequestExpired':
+      case 'RequestPaid':
+      case 'RequestDeclined':
+        this.overdueRequests.delete(requestId);
+        if (this.pendingRequests.delete(requestId)) {
+          console.log(`📤 Request ${requestId} closed (${name})`);
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Load a request a payment is tagged with that isn't in the pending set, in
+   * case the set is behind the contract. Ids beyond the last sync's request
+   * count didn't exist by `indexedUntil`, so payments made before then can't be
+   * for them. Throws like refreshRequest.
+   */
+  async lookupRequest(requestId) {
+    if (requestId < 1 || requestId > this.requestCount) {
+      return null;
+    }
+
+    await this.refreshRequest(requestId);
+    return this.pendingRequests.get(requestId) || null;
+  }
+
+  // Throws when the request can't be loaded, so the caller doesn't checkpoint past it
+  async refreshRequest(requestId) {
+    let request;
+    try {
+      request = await this.contract.getRequest(requestId);
+    } catch (error) {
+      throw new Error(`Failed to load request ${requestId}: ${error.message}`);
+    }
+
+    if (request.status === STATUS_PENDING || request.status === STATUS_PARTIALLY_PAID) {
+      this.pendingRequests.set(requestId, request);
+    } else {
+      this.pendingRequests.delete(requestId);
+    }
+  }
+
+  pruneExpired() {
+    // The contract already rejects attestations past expiry; hand these to the expiry keeper
+    const now = Math.floor(Date.now() / 1000);
+    for (const [requestId, request] of this.pendingRequests) {
+      if (ethers.BigNumber.from(request.expiry).lt(now)) {
+        this.pendingRequests.delete(requestId);
+        this.overdueRequests.add(requestId);
+      }
+    }
+  }
+}
+
+module.exports = { RequestIndexer };
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+const EMPTY_STATE = {
+  lastProcessedLedger: null,
+  lastIndexedBlock: null,
+  pendingRequestIds: [],
+  attestations: {}, // xrplTxHash -> { requestId, flareTxHash, amount, timestamp, attestedAt }
+  inFlight: {},     // flareTxHash -> { requestId, xrplTxHash, amount, timestamp, submittedAt }
+  queued: {}        // xrplTxHash -> { requestId, amount, timestamp, reason, error, attempts, queuedAt }
+};
+
+/**
+ * JSON-file journal for attestor state that must survive restarts.
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated checkpoint behind.
+ */
+class StateStore {
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.state = JSON.parse(JSON.stringify(EMPTY_STATE));
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.state = { ...this.state, ...saved };
+        console.log(`💾 Loaded attestor state from ${this.filePath}`);
+      } else {
+        console.log(`💾 No attestor state at ${this.filePath}, starting fresh`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to read attestor state from ${this.filePath}:`, error);
+      throw error;
+    }
+    return this.state;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  get lastProcessedLedger() {
+    return this.state.lastProcessedLedger;
+  }
+
+  setLastProcessedLedger(ledgerIndex) {
+    this.state.lastProcessedLedger = ledgerIndex;
+    this.save();
+  }
+
+  get lastIndexedBlock() {
+    return this.state.lastIndexedBlock;
+  }
+
+  get pendingRequestIds() {
+    return this.state.pendingRequestIds;
+  }
+
+  setIndexerCheckpoint(blockNumber, pendingRequestIds) {
+    this.state.lastIndexedBlock = blockNumber;
+    this.state.pendingRequestIds = pendingRequestIds;
+    this.save();
+  }
+
+  // Attested, in flight, or held for a pause; a failed send doesn't count, so it is retried
+  hasXrplTransaction(xrplTxHash) {
+    return !!this.state.attestations[xrplTxHash] ||
+      this.state.queued[xrplTxHash]?.reason === 'paused' ||
+      Object.values(this.state.inFlight).some(a => a.xrplTxHash === xrplTxHash);
+  }
+
+  /**
+   * Journal an attestation that hasn't been sent: held while RequestManager is
+   * paused ('paused') or whose send failed ('failed'). It stays queued until
+   * it is sent, so it is retried after a restart too.
+   */
+  recordQueued(xrplTxHash, attestation, reason, error = null) {
+    const previous = this.state.queued[xrplTxHash];
+    this.state.queued[xrplTxHash] = {
+      requestId: attestation.requestId,
+      amount: attestation.amount,
+      timestamp: attestation.timestamp,
+      sourceXRPL: attestation.sourceXRPL,
+      reason,
+      error,
+      attempts: (previous?.attempts || 0) + (reason === 'failed' ? 1 : 0),
+      queuedAt: previous?.queuedAt || new Date().toISOString()
+    };
+    this.save();
+  }
+
+  dropQueued(xrplTxHash) {
+    if (!this.state.queued[xrplTxHash]) return;
+
+    delete this.state.queued[xrplTxHash];
+    this.save();
+  }
+
+  getQueued() {
+    return Object.entries(this.state.queued).map(([xrplTxHash, attestation]) => ({
+      xrplTxHash,
+      ...attestation
+    }));
+  }
+
+  recordInFlight(flareTxHash, attestation) {
+    delete this.state.queued[attestation.xrplTxHash];
+    this.state.inFlight[flareTxHash] = {
+      ...attestation,
+      submittedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  recordAttested(flareTxHash) {
+    const attestation = this.state.inFlight[flareTxHash];
+    if (!attestation) return;
+
+    delete this.state.inFlight[flareTxHash];
+    // Keyed by XRPL transaction, since installments put several on one request
+    this.state.attestations[attestation.xrplTxHash] = {
+      requestId: attestation.requestId,
+      flareTxHash,
+      amount: attestation.amount,
+      timestamp: attestation.timestamp,
+      attestedAt: new Date().toISOString()
+    };
+    this.save();
+  }
+
+  dropInFlight(flareTxHash) {
+    delete this.state.inFlight[flareTxHash];
+    this.save();
+  }
+
+  getInFlight() {
+    return Object.entries(this.state.inFlight).map(([flareTxHash, attestation]) => ({
+      flareTxHash,
+      ...attestation
+    }));
+  }
+}
+
+module.exports = { StateStore };
@@ -0,0 +1,169 @@
+// XRPL timestamps count seconds from 2000-01-01, not the Unix epoch
+const RIPPLE_EPOCH_OFFSET = 946684800;
+
+/**
+ * Streams validated transactions for just the accounts that have pending
+ * requests, instead of pulling every full ledger. The account set is
+ * adjusted as requests open and close, and after a reconnect (or when an
+ * account is first added) the gap since the checkpoint is filled from
+ * account_tx so nothing that landed while unsubscribed is missed. The
+ * checkpoint only moves once every transaction before it was handled; when
+ * one fails, the accounts are filled again from the checkpoint. It also stays
+ * behind the time the account set is known to be complete for, so an account
+ * added later is gap-filled from before its request was created.
+ */
+class XrplSubscriber {
+  constructor({ client, stateStore, onTransaction }) {
+    this.client = client;
+    this.stateStore = stateStore;
+    this.onTransaction = onTransaction;
+    this.accounts = new Set();
+    this.subscribed = new Set();
+    this.activeGapFills = 0;
+    this.runningHandlers = new Set(); // streamed transactions still being handled
+    this.needsGapFill = false;        // a transaction failed and must be fetched again
+    this.checkpointing = Promise.resolve();
+    this.coveredUntil = 0; // Unix time up to which every request's account is subscribed
+  }
+
+  async start() {
+    this.client.on('transaction', (event) => this.handleTransaction(event));
+    this.client.on('ledgerClosed', (ledger) => this.handleLedgerClosed(ledger));
+
+    // xrpl.js reconnects on its own but does not restore subscriptions
+    this.client.on('disconnected', () => {
+      console.warn('⚠️ XRPL stream disconnected, waiting for reconnect...');
+      this.subscribed.clear();
+    });
+    this.client.on('connected', () => {
+      this.resubscribe().catch(error => {
+        console.error('❌ Failed to restore XRPL subscriptions:', error);
+      });
+    });
+
+    await this.client.request({ command: 'subscribe', streams: ['ledger'] });
+    await this.resubscribe();
+  }
+
+  // `coveredUntil` is when the request index behind `accounts` was last complete
+  async setAccounts(accounts, coveredUntil) {
+    const wanted = new Set(accounts);
+    const added = [...wanted].filter(account => !this.subscribed.has(account));
+    const removed = [...this.subscribed].filter(account => !wanted.has(account));
+    this.accounts = wanted;
+
+    if (removed.length > 0) {
+      await this.client.request({ command: 'unsubscribe', accounts: removed });
+      removed.forEach(account => this.subscribed.delete(account));
+      console.log(`🔕 Unsubscribed from ${removed.length} XRPL account(s)`);
+    }
+
+    if (added.length > 0) {
+      await this.subscribe(added);
+    }
+
+    this.coveredUntil = Math.max(this.coveredUntil, coveredUntil);
+  }
+
+  async resubscribe() {
+    if (!this.client.isConnected()) return;
+
+    this.subscribed.clear();
+    await this.client.request({ command: 'subscribe', streams: ['ledger'] });
+    await this.subscribe([...this.accounts]);
+  }
+
+  async subscribe(accounts) {
+    if (accounts.length === 0) return;
+
+    await this.client.request({ command: 'subscribe', accounts });
+    accounts.forEach(account => this.subscribed.add(account));
+    console.log(`🔔 Subscribed to ${accounts.length} XRPL account(s)`);
+
+    // Payments may have landed before we were listening
+    await this.gapFill(accounts);
+  }
+
+  async gapFill(accounts) {
+    const fromLedger = this.stateStore.lastProcessedLedger;
+    if (!fromLedger) return;
+
+    this.activeGapFills++;
+    try {
+      await this.fetchAccountTransactions(accounts, fromLedger);
+    } catch (error) {
+      this.needsGapFill = true;
+      throw error;
+    } finally {
+      this.activeGapFills--;
+    }
+  }
+
+  async fetchAccountTransactions(accounts, fromLedger) {
+    for (const account of accounts) {
+      let marker;
+      do {
+        const response = await this.client.request({
+          command: 'account_tx',
+          account,
+          ledger_index_min: fromLedger,
+          ledger_index_max: -1,
+          forward: true,
+          marker
+        });
+
+        for (const { tx, meta, validated } of response.result.transactions || []) {
+          if (!validated) continue;
+          await this.onTransaction({ ...tx, meta });
+        }
+
+        marker = response.result.marker;
+      } while (marker);
+    }
+  }
+
+  handleTransaction(event) {
+    if (!event.validated) return;
+
+    const handler = this.onTransaction({ ...event.transaction, meta: event.meta }).catch(error => {
+      this.needsGapFill = true;
+      console.error(`❌ Error handling streamed transaction ${event.transaction?.hash}:`, error);
+    });
+    this.runningHandlers.add(handler);
+    handler.then(() => this.runningHandlers.delete(handler));
+  }
+
+  handleLedgerClosed(ledger) {
+    // One checkpoint at a time, so it only ever moves forward
+    this.checkpointing = this.checkpointing
+      .then(() => this.checkpoint(ledger.ledger_index, ledger.ledger_time + RIPPLE_EPOCH_OFFSET))
+      .catch(error => {
+        console.error(`❌ Failed to refetch XRPL transactions before ledger ${ledger.ledger_index}:`, error);
+      });
+  }
+
+  async checkpoint(ledgerIndex, closeTime) {
+    // A ledger's transactions are streamed after its ledgerClosed message, so only the
+    // previous ledger is complete, and only once everything streamed so far was handled
+    await Promise.all([...this.runningHandlers]);
+
+    if (this.needsGapFill) {
+      this.needsGapFill = false;
+      console.log('🔁 Refetching XRPL transactions since the checkpoint after a failure...');
+      await this.gapFill([...this.subscribed]);
+      return;
+    }
+
+    // Checkpoint only while fully subscribed and caught up; otherwise the next gap-fill must cover it.
+    // Requests created after `coveredUntil` aren't subscribed yet and will gap-fill from here
+    const caughtUp = this.activeGapFills === 0 &&
+      closeTime <= this.coveredUntil &&
+      [...this.accounts].every(account => this.subscribed.has(account));
+
+    if (caughtUp) {
+      this.stateStore.setLastProcessedLedger(ledgerIndex - 1);
+    }
+  }
+}
+
+module.exports = { XrplSubscriber };
@@ -8,6 +8,11 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, take client IPs (used by the relay rate limits) from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -23,6 +28,7 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/api/health', require('./routes/health'));
 app.use('/api/requests', require('./routes/requests'));
 app.use('/api/xrpl', require('./routes/xrpl'));
+app.use('/api/relay', require('./routes/relay'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
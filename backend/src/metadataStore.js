@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+/**
+ * Content-addressed store for request metadata documents. Each document is
+ * kept verbatim under its keccak256 hash, the same hash RequestManager
+ * records in metadataHashes, so what is served is byte-for-byte what was
+ * committed on-chain. Documents are write-once: a hash always maps to the
+ * same content, so re-uploads are no-ops.
+ */
+class MetadataStore {
+  constructor(dirPath) {
+    this.dirPath = path.resolve(dirPath);
+  }
+
+  static hash(content) {
+    return ethers.utils.keccak256(ethers.utils.toUtf8Bytes(content));
+  }
+
+  filePath(metadataHash) {
+    if (!/^0x[0-9a-f]{64}$/.test(metadataHash)) {
+      throw new Error('Invalid metadata hash');
+    }
+    return path.join(this.dirPath, `${metadataHash}.json`);
+  }
+
+  has(metadataHash) {
+    return fs.existsSync(this.filePath(metadataHash));
+  }
+
+  get(metadataHash) {
+    const filePath = this.filePath(metadataHash);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+
+  put(content) {
+    const metadataHash = MetadataStore.hash(content);
+    const filePath = this.filePath(metadataHash);
+
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(this.dirPath, { recursive: true });
+
+      // Write to a temp file and rename, so a crash never leaves a truncated document
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, content);
+      fs.renameSync(tmpPath, filePath);
+    }
+
+    return metadataHash;
+  }
+}
+
+// Check a parsed metadata document has the shape RequestDetail renders; returns an error message or null
+function validateMetadata(document) {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return 'Metadata must be a JSON object';
+  }
+
+  const { invoiceNumber, items, notes, attachments } = document;
+
+  if (invoiceNumber !== undefined && typeof invoiceNumber !== 'string') {
+    return 'invoiceNumber must be a string';
+  }
+
+  if (notes !== undefined && typeof notes !== 'string') {
+    return 'notes must be a string';
+  }
+
+  if (items !== undefined) {
+    if (!Array.isArray(items)) {
+      return 'items must be an array';
+    }
+    const invalidItem = items.find(item =>
+      !item || typeof item.description !== 'string' ||
+      !(Number(item.quantity) > 0) || isNaN(Number(item.unitPrice)) || Number(item.unitPrice) < 0
+    );
+    if (invalidItem) {
+      return 'Each item needs a description, a positive quantity and a unit price';
+    }
+  }
+
+  if (attachments !== undefined) {
+    if (!Array.isArray(attachments)) {
+      return 'attachments must be an array';
+    }
+    const invalidAttachment = attachments.find(attachment =>
+      !attachment || typeof attachment.name !== 'string' ||
+      typeof attachment.url !== 'string' || !/^(https?|ipfs):\/\//.test(attachment.url)
+    );
+    if (invalidAttachment) {
+      return 'Each attachment needs a name and an http(s) or ipfs URL';
+    }
+  }
+
+  return null;
+}
+
+module.exports = { MetadataStore, validateMetadata };
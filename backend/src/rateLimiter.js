@@ -0,0 +1,59 @@
+/**
+ * In-memory sliding-window limit on how many actions each address (or other
+ * key, such as a client IP) can take per window. Counts are lost on restart; the limiter only has to keep any
+ * one address from draining a shared resource (e.g. the relayer's gas),
+ * not enforce exact quotas.
+ */
+class AddressRateLimiter {
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.hits = new Map(); // lowercase address => timestamps inside the window
+  }
+
+  // Timestamps still inside the window, dropping the address once it has none
+  recent(address, now) {
+    const key = address.toLowerCase();
+    const recent = (this.hits.get(key) || []).filter(time => time > now - this.windowMs);
+
+    if (recent.length > 0) {
+      this.hits.set(key, recent);
+    } else {
+      this.hits.delete(key);
+    }
+    return recent;
+  }
+
+  // How many actions the address has left, and how long until the next frees up when none
+  check(address, now = Date.now()) {
+    const recent = this.recent(address, now);
+    const remaining = Math.max(0, this.limit - recent.length);
+
+    return {
+      allowed: remaining > 0,
+      remaining,
+      retryAfterMs: remaining > 0 ? 0 : recent[0] + this.windowMs - now
+    };
+  }
+
+  // Record an action if the address is under its limit; check and record happen together
+  consume(address, now = Date.now()) {
+    const result = this.check(address, now);
+
+    if (result.allowed) {
+      const key = address.toLowerCase();
+      this.hits.set(key, [...(this.hits.get(key) || []), now]);
+      result.remaining -= 1;
+    }
+    return result;
+  }
+
+  // Forget addresses with nothing left in the window
+  prune(now = Date.now()) {
+    for (const address of [...this.hits.keys()]) {
+      this.recent(address, now);
+    }
+  }
+}
+
+module.exports = { AddressRateLimiter };
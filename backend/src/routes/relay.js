@@ -0,0 +1,306 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { AddressRateLimiter } = require('../rateLimiter');
+const { parseXrplAddress } = require('../xrplAddress');
+const router = express.Router();
+
+// RequestRelay, which creates requests from creators' EIP-712 signatures
+const RELAY_ADDRESSES = {
+  114: process.env.COSTON2_REQUEST_RELAY_ADDRESS, // Coston2
+  14: process.env.FLARE_REQUEST_RELAY_ADDRESS     // Flare mainnet
+};
+
+const RPC_URLS = {
+  114: 'https://coston2-api.flare.network/ext/bc/C/rpc',
+  14: 'https://flare-api.flare.network/ext/bc/C/rpc'
+};
+
+const REQUEST_RELAY_ABI = [
+  "function createRequestBySig(tuple(address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, string message, uint256 deadline) _request, bytes _signature) external returns (uint256)",
+  "function nonces(address _creator) external view returns (uint256)",
+  "event RequestRelayed(uint256 indexed requestId, address indexed creator, address indexed relayer, uint256 nonce)"
+];
+
+// Longest message relayed, the same limit the create form enforces
+const MAX_MESSAGE_LENGTH = 200;
+
+// Relayed requests each creator gets per window; the relayer pays every one
+const windowMs = parseInt(process.env.RELAY_RATE_WINDOW || '3600') * 1000;
+const rateLimiter = new AddressRateLimiter({
+  limit: parseInt(process.env.RELAY_RATE_LIMIT || '5'),
+  windowMs
+});
+
+// Creator addresses cost nothing to make, so clients and the relayer as a whole are limited too
+const ipRateLimiter = new AddressRateLimiter({
+  limit: parseInt(process.env.RELAY_IP_RATE_LIMIT || '20'),
+  windowMs
+});
+const globalRateLimiter = new AddressRateLimiter({
+  limit: parseInt(process.env.RELAY_GLOBAL_RATE_LIMIT || '200'),
+  windowMs
+});
+const GLOBAL_KEY = 'relayer';
+
+setInterval(() => {
+  rateLimiter.prune();
+  ipRateLimiter.prune();
+}, 10 * 60 * 1000).unref();
+
+// The first limit a relay would exceed, checked relayer-wide, then per client, then per creator
+function exceededLimit(ip, creator = null) {
+  const limits = [
+    [globalRateLimiter, GLOBAL_KEY, 'The relayer has reached its limit, try again later'],
+    [ipRateLimiter, ip, 'Too many relayed requests from this client'],
+    ...(creator ? [[rateLimiter, creator, 'Too many relayed requests from this address']] : [])
+  ];
+
+  for (const [limiter, key, message] of limits) {
+    const result = limiter.check(key);
+    if (!result.allowed) {
+      return { message, retryAfterSeconds: Math.ceil(result.retryAfterMs / 1000) };
+    }
+  }
+  return null;
+}
+
+// Reply 429 for an exceeded limit
+function sendLimited(res, { message, retryAfterSeconds }) {
+  res.set('Retry-After', retryAfterSeconds.toString());
+  return res.status(429).json({
+    error: {
+      message,
+      retryAfterSeconds
+    }
+  });
+}
+
+// Creators with a relayed request waiting to be mined; their next signature needs its nonce
+const pendingCreators = new Set();
+
+const relayContracts = {};
+const sendQueues = {};
+
+// Get the relay contract, connected to the funded relayer wallet
+const getRelayContract = (chainId) => {
+  const contractAddress = RELAY_ADDRESSES[chainId];
+  if (!contractAddress || !process.env.RELAYER_PRIVATE_KEY) {
+    throw new Error(`Gasless requests are not enabled on chain ${chainId}`);
+  }
+
+  if (!relayContracts[chainId]) {
+    const provider = new ethers.providers.JsonRpcProvider(RPC_URLS[chainId]);
+    const relayer = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+    relayContracts[chainId] = new ethers.Contract(contractAddress, REQUEST_RELAY_ABI, relayer);
+  }
+  return relayContracts[chainId];
+};
+
+// Send relayer transactions one at a time per chain, so concurrent relays don't reuse a nonce
+const enqueueSend = (chainId, send) => {
+  const sent = (sendQueues[chainId] || Promise.resolve()).then(send);
+  sendQueues[chainId] = sent.catch(() => {});
+  return sent;
+};
+
+// Check a signed request has the shape RequestRelay expects; returns an error message or null
+function validateSignedRequest(request, signature) {
+  if (!request || typeof request !== 'object') {
+    return 'request must be the signed CreateRequest payload';
+  }
+
+  const { creator, recipientXRPL, assetSymbol, assetAmount, expiry, slippageBp, message, deadline } = request;
+
+  if (typeof creator !== 'string' || !ethers.utils.isAddress(creator)) {
+    return 'creator must be an EVM address';
+  }
+
+  // The contract only accepts classic addresses, and the signature covers the exact string
+  const recipient = parseXrplAddress(recipientXRPL);
+  if (!recipient || recipient.isXAddress) {
+    return 'recipientXRPL must be a classic XRPL address';
+  }
+
+  if (typeof assetSymbol !== 'string' || assetSymbol.length === 0) {
+    return 'assetSymbol is required';
+  }
+
+  const isUint = (value) => /^\d+$/.test(String(value));
+  if (!isUint(assetAmount) || !isUint(expiry) || !isUint(deadline)) {
+    return 'assetAmount, expiry and deadline must be whole numbers';
+  }
+
+  if (!Number.isInteger(Number(slippageBp)) || Number(slippageBp) < 0 || Number(slippageBp) > 65535) {
+    return 'slippageBp must be a whole number of basis points';
+  }
+
+  if (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH) {
+    return `message must be a string of at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+
+  if (typeof signature !== 'string' || !ethers.utils.isHexString(signature)) {
+    return 'signature must be a hex string';
+  }
+
+  return null;
+}
+
+// Relay status, and how many relayed requests an address has left
+router.get('/:chainId', async (req, res) => {
+  try {
+    const chainId = parseInt(req.params.chainId);
+    const { address } = req.query;
+
+    let contract;
+    try {
+      contract = getRelayContract(chainId);
+    } catch (error) {
+      return res.json({ chainId, enabled: false });
+    }
+
+    res.json({
+      chainId,
+      enabled: true,
+      relayContract: contract.address,
+      relayer: contract.signer.address,
+      limit: rateLimiter.limit,
+      windowSeconds: rateLimiter.windowMs / 1000,
+      ...(address && ethers.utils.isAddress(address) && {
+        remaining: rateLimiter.check(address).remaining,
+        nonce: (await contract.nonces(address)).toString()
+      })
+    });
+
+  } catch (error) {
+    console.error('Error fetching relay status:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch relay status',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Submit a creator's signed request from the relayer account
+router.post('/:chainId/requests', async (req, res) => {
+  const chainId = parseInt(req.params.chainId);
+  const { request, signature } = req.body;
+  let pendingCreator = null;
+
+  try {
+    const clientLimit = exceededLimit(req.ip);
+    if (clientLimit) {
+      return sendLimited(res, clientLimit);
+    }
+
+    const validationError = validateSignedRequest(request, signature);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError
+        }
+      });
+    }
+
+    let contract;
+    try {
+      contract = getRelayContract(chainId);
+    } catch (error) {
+      return res.status(400).json({
+        error: {
+          message: error.message
+        }
+      });
+    }
+
+    const creator = ethers.utils.getAddress(request.creator);
+
+    if (pendingCreators.has(creator)) {
+      return res.status(409).json({
+        error: {
+          message: 'A relayed request from this address is still pending'
+        }
+      });
+    }
+
+    const limited = exceededLimit(req.ip, creator);
+    if (limited) {
+      return sendLimited(res, limited);
+    }
+
+    const args = [
+      [
+        creator,
+        request.recipientXRPL,
+        request.assetSymbol,
+        request.assetAmount.toString(),
+        request.expiry.toString(),
+        Number(request.slippageBp),
+        request.message,
+        request.deadline.toString()
+      ],
+      signature
+    ];
+
+    // Simulate first, so a bad signature, expired deadline or invalid request costs the relayer nothing
+    try {
+      await contract.callStatic.createRequestBySig(...args);
+    } catch (error) {
+      return res.status(400).json({
+        error: {
+          message: 'Request would be rejected on-chain',
+          details: error.reason || error.message
+        }
+      });
+    }
+
+    // Checked again while recording, in case another relay for this creator got here first
+    if (pendingCreators.has(creator)) {
+      return res.status(409).json({
+        error: {
+          message: 'A relayed request from this address is still pending'
+        }
+      });
+    }
+    const exceeded = exceededLimit(req.ip, creator);
+    if (exceeded) {
+      return sendLimited(res, exceeded);
+    }
+    globalRateLimiter.consume(GLOBAL_KEY);
+    ipRateLimiter.consume(req.ip);
+    const quota = rateLimiter.consume(creator);
+
+    pendingCreators.add(creator);
+    pendingCreator = creator;
+    const tx = await enqueueSend(chainId, () => contract.createRequestBySig(...args));
+    const receipt = await tx.wait();
+
+    const event = receipt.events?.find(e => e.event === 'RequestRelayed');
+    const requestId = event?.args?.requestId?.toString();
+    console.log(`⛽ Relayed request ${requestId} for ${creator} on chain ${chainId} (${receipt.transactionHash})`);
+
+    res.status(201).json({
+      requestId,
+      creator,
+      txHash: receipt.transactionHash,
+      chainId,
+      remaining: quota.remaining
+    });
+
+  } catch (error) {
+    console.error('Error relaying request:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to relay request',
+        details: error.message
+      }
+    });
+  } finally {
+    if (pendingCreator) {
+      pendingCreators.delete(pendingCreator);
+    }
+  }
+});
+
+module.exports = router;
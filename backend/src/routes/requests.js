@@ -1,26 +1,63 @@
 const express = require('express');
 const { ethers } = require('ethers');
+const { MetadataStore, validateMetadata } = require('../metadataStore');
 const router = express.Router();
 
+// Off-chain request metadata, keyed by the hash committed on-chain
+const metadataStore = new MetadataStore(process.env.METADATA_DIR || './data/metadata');
+
+// Largest metadata document accepted (attachments are linked, not embedded)
+const MAX_METADATA_BYTES = 64 * 1024;
+
 // Contract configuration
 const CONTRACT_ADDRESSES = {
   114: { // Coston2
     requestManager: process.env.COSTON2_REQUEST_MANAGER_ADDRESS,
+    requestQuery: process.env.COSTON2_REQUEST_QUERY_ADDRESS,
+    splitRequests: process.env.COSTON2_SPLIT_REQUESTS_ADDRESS,
+    assetRegistry: process.env.COSTON2_ASSET_REGISTRY_ADDRESS,
     ftsoRegistry: '0xaD67FE66660Fb8dFE9d6b1b4240d8650e30F6019'
   },
   14: { // Flare mainnet
     requestManager: process.env.FLARE_REQUEST_MANAGER_ADDRESS,
+    requestQuery: process.env.FLARE_REQUEST_QUERY_ADDRESS,
+    splitRequests: process.env.FLARE_SPLIT_REQUESTS_ADDRESS,
+    assetRegistry: process.env.FLARE_ASSET_REGISTRY_ADDRESS,
     ftsoRegistry: '0x0262bcA0A4F5C1A8fC5d50cE2E79dfA87d55Ae8D'
   }
 };
 
 const REQUEST_MANAGER_ABI = [
-  "function getRequest(uint256 _requestId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message))",
+  "function getRequest(uint256 _requestId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message, uint256 paidAssetPrice, uint256 paidXrpPrice, tuple(uint256 xrpAmount, uint256 expiry, uint256 duration, uint256 assetPrice, uint256 xrpPrice) quote, tuple(address evmAddress, string xrplAddress, bool hidden) payer))",
+  "function getInstallments(uint256 _requestId) external view returns (tuple(bytes32 txHash, uint256 amount, uint256 timestamp)[])",
+  "function metadataHashes(uint256 _requestId) external view returns (bytes32)",
   "function getTotalRequests() external view returns (uint256)",
   "function calculateXRPAmount(string memory _assetSymbol, uint256 _assetAmount) external view returns (uint256)",
   "function getExchangeRate(string memory _assetSymbol) external view returns (uint256 assetPrice, uint256 xrpPrice, uint256 timestamp)"
 ];
 
+const SPLIT_REQUESTS_ABI = [
+  "function getSplit(uint256 _splitId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 totalAmount, uint256 expiry, uint256 paidShares, uint8 status, string message) split, tuple(uint256 requestId, address payer, string payerXRPL, uint256 assetAmount)[] shares, uint8[] shareStatuses, uint256[] sharePaidAmounts)",
+  "function splitOfRequest(uint256 _requestId) external view returns (uint256)"
+];
+
+const REQUEST_QUERY_ABI = [
+  "function getRequestsPage(uint256 _cursor, uint256 _limit, tuple(uint256 statusMask, string assetSymbol, bool excludeExpired, bool excludeHidden) _filter) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message, uint256 paidAssetPrice, uint256 paidXrpPrice, tuple(uint256 xrpAmount, uint256 expiry, uint256 duration, uint256 assetPrice, uint256 xrpPrice) quote, tuple(address evmAddress, string xrplAddress, bool hidden) payer)[] page, uint256[] splitIds, uint256 nextCursor, uint256 scanned)"
+];
+
+const ASSET_REGISTRY_ABI = [
+  "function getAssets() external view returns (tuple(string symbol, uint8 decimals, uint256 minAmount, uint256 maxAmount, uint16 maxSlippageBp, uint16 feeBp, bool supported)[] assets)"
+];
+
+// How long asset configs read from AssetRegistry are reused before reloading
+const ASSET_CACHE_MS = 60 * 1000;
+
+// RequestStatus enum in RequestManager.sol
+const STATUS_TEXT = ['PENDING', 'PAID', 'CANCELLED', 'EXPIRED', 'PARTIALLY_PAID', 'DECLINED', 'DISPUTED'];
+
+// RequestQuery calls made to fill one /recent page before handing the cursor back
+const MAX_PAGE_CALLS = 5;
+
 // Initialize providers
 const providers = {
   114: new ethers.providers.JsonRpcProvider('https://coston2-api.flare.network/ext/bc/C/rpc'),
@@ -38,6 +75,66 @@ const getContract = (chainId) => {
   return new ethers.Contract(contractAddress, REQUEST_MANAGER_ABI, provider);
 };
 
+// Get the paged read contract deployed alongside RequestManager
+const getQueryContract = (chainId) => {
+  const contractAddress = CONTRACT_ADDRESSES[chainId]?.requestQuery;
+  if (!contractAddress) {
+    throw new Error(`Request query contract not deployed on chain ${chainId}`);
+  }
+
+  return new ethers.Contract(contractAddress, REQUEST_QUERY_ABI, providers[chainId]);
+};
+
+// Asset configs by symbol, cached per chain
+const assetCache = {};
+
+// Load every asset configured in AssetRegistry (decimals, limits, support), keyed by symbol
+const getAssets = async (chainId) => {
+  const cached = assetCache[chainId];
+  if (cached && Date.now() - cached.loadedAt < ASSET_CACHE_MS) {
+    return cached.assets;
+  }
+
+  const contractAddress = CONTRACT_ADDRESSES[chainId]?.assetRegistry;
+  if (!contractAddress) {
+    throw new Error(`Asset registry not deployed on chain ${chainId}`);
+  }
+
+  const configs = await new ethers.Contract(contractAddress, ASSET_REGISTRY_ABI, providers[chainId]).getAssets();
+  const assets = {};
+  for (const config of configs) {
+    assets[config.symbol] = config;
+  }
+
+  assetCache[chainId] = { assets, loadedAt: Date.now() };
+  return assets;
+};
+
+// Get the split request contract deployed alongside RequestManager
+const getSplitContract = (chainId) => {
+  const contractAddress = CONTRACT_ADDRESSES[chainId]?.splitRequests;
+  if (!contractAddress) {
+    throw new Error(`Split requests contract not deployed on chain ${chainId}`);
+  }
+
+  return new ethers.Contract(contractAddress, SPLIT_REQUESTS_ABI, providers[chainId]);
+};
+
+// Turn a comma separated list of status names into a RequestQuery status mask
+const parseStatusMask = (statuses) => {
+  if (!statuses) {
+    return 0;
+  }
+
+  return statuses.split(',').reduce((mask, status) => {
+    const code = STATUS_TEXT.indexOf(status.trim().toUpperCase());
+    if (code === -1) {
+      throw new Error(`Unknown status ${status}`);
+    }
+    return mask | (1 << code);
+  }, 0);
+};
+
 // Get request by ID
 router.get('/:chainId/:requestId', async (req, res) => {
   try {
@@ -53,31 +150,17 @@ router.get('/:chainId/:requestId', async (req, res) => {
     }
 
     const contract = getContract(parseInt(chainId));
-    const request = await contract.getRequest(requestId);
-
-    // Format the response
-    const formattedRequest = {
-      id: request.id.toString(),
-      creator: request.creator,
-      recipientXRPL: request.recipientXRPL,
-      assetSymbol: request.assetSymbol,
-      assetAmount: request.assetAmount.toString(),
-      expiry: request.expiry.toNumber(),
-      slippageBp: request.slippageBp,
-      status: request.status,
-      statusText: ['PENDING', 'PAID', 'CANCELLED', 'EXPIRED'][request.status] || 'UNKNOWN',
-      paidTxHash: request.paidTxHash,
-      paidAmount: request.paidAmount.toString(),
-      paidTimestamp: request.paidTimestamp.toNumber(),
-      message: request.message,
-      // Computed fields
-      isExpired: request.expiry.toNumber() < Math.floor(Date.now() / 1000),
-      expiryDate: new Date(request.expiry.toNumber() * 1000).toISOString(),
-      formattedAmount: ethers.utils.formatUnits(request.assetAmount, getAssetDecimals(request.assetSymbol)),
-      chainId: parseInt(chainId)
-    };
+    const [request, metadataHash, assets] = await Promise.all([
+      contract.getRequest(requestId),
+      contract.metadataHashes(requestId),
+      getAssets(parseInt(chainId))
+    ]);
 
-    res.json(formattedRequest);
+    res.json({
+      ...formatRequest(request, parseInt(chainId), assets),
+      // Off-chain invoice document, served from /metadata (null when none is attached)
+      metadataHash: metadataHash === ethers.constants.HashZero ? null : metadataHash
+    });
 
   } catch (error) {
     console.error('Error fetching request:', error);
@@ -100,6 +183,221 @@ router.get('/:chainId/:requestId', async (req, res) => {
   }
 });
 
+// Get a split request with the status of each participant's share
+router.get('/:chainId/splits/:splitId', async (req, res) => {
+  try {
+    const { chainId, splitId } = req.params;
+    const contract = getSplitContract(parseInt(chainId));
+    const [{ split, shares, shareStatuses, sharePaidAmounts }, assets] = await Promise.all([
+      contract.getSplit(splitId),
+      getAssets(parseInt(chainId))
+    ]);
+    const { decimals } = assets[split.assetSymbol];
+
+    res.json({
+      id: split.id.toString(),
+      creator: split.creator,
+      recipientXRPL: split.recipientXRPL,
+      assetSymbol: split.assetSymbol,
+      totalAmount: split.totalAmount.toString(),
+      formattedTotalAmount: ethers.utils.formatUnits(split.totalAmount, decimals),
+      expiry: split.expiry.toNumber(),
+      paidShares: split.paidShares.toNumber(),
+      status: split.status,
+      statusText: STATUS_TEXT[split.status] || 'UNKNOWN',
+      message: split.message,
+      shares: shares.map((share, i) => ({
+        requestId: share.requestId.toString(),
+        payer: share.payer === ethers.constants.AddressZero ? null : share.payer,
+        payerXRPL: share.payerXRPL || null,
+        assetAmount: share.assetAmount.toString(),
+        formattedAmount: ethers.utils.formatUnits(share.assetAmount, decimals),
+        status: shareStatuses[i],
+        statusText: STATUS_TEXT[shareStatuses[i]] || 'UNKNOWN',
+        paidAmount: sharePaidAmounts[i].toString()
+      })),
+      chainId: parseInt(chainId)
+    });
+
+  } catch (error) {
+    console.error('Error fetching split:', error);
+
+    if (error.message.includes('execution reverted')) {
+      return res.status(404).json({
+        error: {
+          message: 'Split not found',
+          details: 'The requested split ID does not exist'
+        }
+      });
+    }
+
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch split',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Get the XRPL payments counted toward a request
+router.get('/:chainId/:requestId/installments', async (req, res) => {
+  try {
+    const { chainId, requestId } = req.params;
+    const contract = getContract(parseInt(chainId));
+    const installments = await contract.getInstallments(requestId);
+
+    res.json({
+      requestId: requestId,
+      installments: installments.map(installment => ({
+        txHash: installment.txHash,
+        amount: installment.amount.toString(),
+        formattedAmount: ethers.utils.formatUnits(installment.amount, 6), // XRP has 6 decimals
+        timestamp: installment.timestamp.toNumber()
+      })),
+      chainId: parseInt(chainId)
+    });
+
+  } catch (error) {
+    console.error('Error fetching installments:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch installments',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Get the metadata document attached to a request
+router.get('/:chainId/:requestId/metadata', async (req, res) => {
+  try {
+    const { chainId, requestId } = req.params;
+    const contract = getContract(parseInt(chainId));
+    const metadataHash = await contract.metadataHashes(requestId);
+
+    if (metadataHash === ethers.constants.HashZero) {
+      return res.status(404).json({
+        error: {
+          message: 'No metadata attached to this request'
+        }
+      });
+    }
+
+    const content = metadataStore.get(metadataHash);
+    if (content === null) {
+      return res.status(404).json({
+        error: {
+          message: 'Metadata has not been uploaded yet',
+          metadataHash
+        }
+      });
+    }
+
+    // Raw content is included so clients can re-check the hash themselves
+    res.json({
+      requestId: requestId,
+      metadataHash,
+      content,
+      metadata: JSON.parse(content),
+      chainId: parseInt(chainId)
+    });
+
+  } catch (error) {
+    console.error('Error fetching metadata:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to fetch metadata',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Upload the metadata document for a request; it must hash to the value committed on-chain
+router.post('/:chainId/:requestId/metadata', async (req, res) => {
+  try {
+    const { chainId, requestId } = req.params;
+    const { content } = req.body;
+
+    if (typeof content !== 'string' || content.length === 0) {
+      return res.status(400).json({
+        error: {
+          message: 'content must be the metadata JSON as a string'
+        }
+      });
+    }
+
+    if (Buffer.byteLength(content, 'utf8') > MAX_METADATA_BYTES) {
+      return res.status(413).json({
+        error: {
+          message: `Metadata cannot exceed ${MAX_METADATA_BYTES} bytes`
+        }
+      });
+    }
+
+    let metadata;
+    try {
+      metadata = JSON.parse(content);
+    } catch (error) {
+      return res.status(400).json({
+        error: {
+          message: 'content is not valid JSON'
+        }
+      });
+    }
+
+    const validationError = validateMetadata(metadata);
+    if (validationError) {
+      return res.status(400).json({
+        error: {
+          message: validationError
+        }
+      });
+    }
+
+    const contract = getContract(parseInt(chainId));
+    const onChainHash = await contract.metadataHashes(requestId);
+
+    if (onChainHash === ethers.constants.HashZero) {
+      return res.status(409).json({
+        error: {
+          message: 'Set the metadata hash on-chain before uploading'
+        }
+      });
+    }
+
+    const contentHash = MetadataStore.hash(content);
+    if (contentHash !== onChainHash) {
+      return res.status(400).json({
+        error: {
+          message: 'Content does not match the on-chain metadata hash',
+          expected: onChainHash,
+          received: contentHash
+        }
+      });
+    }
+
+    metadataStore.put(content);
+    console.log(`📎 Stored metadata ${contentHash} for request ${requestId} on chain ${chainId}`);
+
+    res.status(201).json({
+      requestId: requestId,
+      metadataHash: contentHash,
+      chainId: parseInt(chainId)
+    });
+
+  } catch (error) {
+    console.error('Error storing metadata:', error);
+    res.status(500).json({
+      error: {
+        message: 'Failed to store metadata',
+        details: error.message
+      }
+    });
+  }
+});
+
 // Get multiple requests (batch)
 router.post('/:chainId/batch', async (req, res) => {
   try {
@@ -123,30 +421,13 @@ router.post('/:chainId/batch', async (req, res) => {
     }
 
     const contract = getContract(parseInt(chainId));
+    const assets = await getAssets(parseInt(chainId));
     
     // Fetch all requests in parallel
     const requestPromises = requestIds.map(async (id) => {
       try {
         const request = await contract.getRequest(id);
-        return {
-          id: request.id.toString(),
-          creator: request.creator,
-          recipientXRPL: request.recipientXRPL,
-          assetSymbol: request.assetSymbol,
-          assetAmount: request.assetAmount.toString(),
-          expiry: request.expiry.toNumber(),
-          slippageBp: request.slippageBp,
-          status: request.status,
-          statusText: ['PENDING', 'PAID', 'CANCELLED', 'EXPIRED'][request.status] || 'UNKNOWN',
-          paidTxHash: request.paidTxHash,
-          paidAmount: request.paidAmount.toString(),
-          paidTimestamp: request.paidTimestamp.toNumber(),
-          message: request.message,
-          isExpired: request.expiry.toNumber() < Math.floor(Date.now() / 1000),
-          expiryDate: new Date(request.expiry.toNumber() * 1000).toISOString(),
-          formattedAmount: ethers.utils.formatUnits(request.assetAmount, getAssetDecimals(request.assetSymbol)),
-          chainId: parseInt(chainId)
-        };
+        return formatRequest(request, parseInt(chainId), assets);
       } catch (error) {
         return {
           id: id.toString(),
@@ -175,65 +456,62 @@ router.post('/:chainId/batch', async (req, res) => {
   }
 });
 
-// Get recent requests
+// Get recent requests, newest first
+// Query: cursor (nextCursor from the previous page), status (comma separated names), asset, open=true to skip expired requests
 router.get('/:chainId/recent/:limit?', async (req, res) => {
   try {
     const { chainId, limit = 20 } = req.params;
+    const { cursor = 0, status, asset = '', open } = req.query;
     const requestLimit = Math.min(parseInt(limit), 100); // Cap at 100
+    const requestCursor = parseInt(cursor);
 
-    const contract = getContract(parseInt(chainId));
-    const totalRequests = await contract.getTotalRequests();
-    
-    if (totalRequests.eq(0)) {
-      return res.json({
-        requests: [],
-        total: 0,
-        chainId: parseInt(chainId)
+    if (isNaN(requestLimit) || requestLimit < 1 || isNaN(requestCursor) || requestCursor < 0) {
+      return res.status(400).json({
+        error: {
+          message: 'Invalid limit or cursor'
+        }
       });
     }
 
-    const startId = Math.max(1, totalRequests.toNumber() - requestLimit + 1);
-    const requestIds = [];
-    
-    for (let i = totalRequests.toNumber(); i >= startId; i--) {
-      requestIds.push(i);
+    let statusMask;
+    try {
+      statusMask = parseStatusMask(status);
+    } catch (error) {
+      return res.status(400).json({
+        error: {
+          message: error.message,
+          validStatuses: STATUS_TEXT
+        }
+      });
     }
 
-    // Fetch requests in parallel
-    const requestPromises = requestIds.map(async (id) => {
-      try {
-        const request = await contract.getRequest(id);
-        return {
-          id: request.id.toString(),
-          creator: request.creator,
-          recipientXRPL: request.recipientXRPL,
-          assetSymbol: request.assetSymbol,
-          assetAmount: request.assetAmount.toString(),
-          expiry: request.expiry.toNumber(),
-          slippageBp: request.slippageBp,
-          status: request.status,
-          statusText: ['PENDING', 'PAID', 'CANCELLED', 'EXPIRED'][request.status] || 'UNKNOWN',
-          paidTxHash: request.paidTxHash,
-          paidAmount: request.paidAmount.toString(),
-          paidTimestamp: request.paidTimestamp.toNumber(),
-          message: request.message,
-          isExpired: request.expiry.toNumber() < Math.floor(Date.now() / 1000),
-          expiryDate: new Date(request.expiry.toNumber() * 1000).toISOString(),
-          formattedAmount: ethers.utils.formatUnits(request.assetAmount, getAssetDecimals(request.assetSymbol)),
-          chainId: parseInt(chainId)
-        };
-      } catch (error) {
-        console.error(`Error fetching request ${id}:`, error);
-        return null;
-      }
-    });
+    const queryContract = getQueryContract(parseInt(chainId));
+    // Directed requests can opt out of the public feed
+    const filter = {
+      statusMask,
+      assetSymbol: asset.toUpperCase(),
+      excludeExpired: open === 'true',
+      excludeHidden: true
+    };
 
-    const requests = (await Promise.all(requestPromises)).filter(r => r !== null);
+    // Each call scans a bounded window, so a sparse filter may need a few calls to fill the page
+    const page = [];
+    let nextCursor = requestCursor;
+    for (let calls = 0; calls < MAX_PAGE_CALLS && page.length < requestLimit; calls++) {
+      const result = await queryContract.getRequestsPage(nextCursor, requestLimit - page.length, filter);
+      page.push(...result.page);
+      nextCursor = result.nextCursor.toNumber();
+      if (nextCursor === 0) break;
+    }
+
+    const assets = await getAssets(parseInt(chainId));
+    const requests = page.map(request => formatRequest(request, parseInt(chainId), assets));
 
     res.json({
       requests: requests,
       total: requests.length,
-      totalRequests: totalRequests.toNumber(),
+      nextCursor,
+      hasMore: nextCursor > 0,
       chainId: parseInt(chainId)
     });
 
@@ -262,8 +540,17 @@ router.post('/:chainId/calculate-xrp', async (req, res) => {
       });
     }
 
+    const asset = (await getAssets(parseInt(chainId)))[assetSymbol];
+    if (!asset) {
+      return res.status(400).json({
+        error: {
+          message: `Asset ${assetSymbol} is not configured in the asset registry`
+        }
+      });
+    }
+
     const contract = getContract(parseInt(chainId));
-    const decimals = getAssetDecimals(assetSymbol);
+    const decimals = asset.decimals;
     const amountWei = ethers.utils.parseUnits(assetAmount.toString(), decimals);
     
     const xrpAmountWei = await contract.calculateXRPAmount(assetSymbol, amountWei);
@@ -292,7 +579,10 @@ router.post('/:chainId/calculate-xrp', async (req, res) => {
 router.get('/:chainId/exchange-rates/:assets?', async (req, res) => {
   try {
     const { chainId, assets } = req.params;
-    const assetList = assets ? assets.split(',') : ['ETH', 'BTC', 'USDT', 'USDC'];
+    // Defaults to every asset the registry currently supports
+    const assetList = assets
+      ? assets.split(',')
+      : Object.values(await getAssets(parseInt(chainId))).filter(asset => asset.supported).map(asset => asset.symbol);
 
     const contract = getContract(parseInt(chainId));
     const rates = {};
@@ -370,16 +660,46 @@ router.get('/:chainId/stats', async (req, res) => {
   }
 });
 
-// Helper function to get asset decimals
-function getAssetDecimals(symbol) {
-  const decimals = {
-    'ETH': 18,
-    'XRP': 6,
-    'BTC': 8,
-    'USDT': 6,
-    'USDC': 6
+// Helper function to format a contract request for API responses; `assets` is from getAssets
+function formatRequest(request, chainId, assets) {
+  const { decimals } = assets[request.assetSymbol];
+
+  return {
+    id: request.id.toString(),
+    creator: request.creator,
+    recipientXRPL: request.recipientXRPL,
+    assetSymbol: request.assetSymbol,
+    assetAmount: request.assetAmount.toString(),
+    expiry: request.expiry.toNumber(),
+    slippageBp: request.slippageBp,
+    status: request.status,
+    statusText: STATUS_TEXT[request.status] || 'UNKNOWN',
+    paidTxHash: request.paidTxHash,
+    paidAmount: request.paidAmount.toString(),
+    paidTimestamp: request.paidTimestamp.toNumber(),
+    message: request.message,
+    // FTSO prices (USD, 18 decimals) locked in when the request was paid
+    paidAssetPrice: request.paidAssetPrice.toString(),
+    paidXrpPrice: request.paidXrpPrice.toString(),
+    // XRP amount locked by a quoted request (0 = floating)
+    quotedXRPAmount: request.quote.xrpAmount.toString(),
+    quoteExpiry: request.quote.expiry.toNumber(),
+    // Intended payer of a directed request (null for open requests)
+    intendedPayer: request.payer.evmAddress === ethers.constants.AddressZero ? null : request.payer.evmAddress,
+    intendedPayerXRPL: request.payer.xrplAddress || null,
+    isHidden: request.payer.hidden,
+    // Computed fields
+    isQuoteLocked: request.quote.xrpAmount.gt(0) &&
+      request.quote.expiry.toNumber() >= Math.floor(Date.now() / 1000),
+    paidExchangeRate: request.paidXrpPrice.gt(0)
+      ? parseFloat(ethers.utils.formatUnits(request.paidAssetPrice, 18)) /
+        parseFloat(ethers.utils.formatUnits(request.paidXrpPrice, 18))
+      : null,
+    isExpired: request.expiry.toNumber() < Math.floor(Date.now() / 1000),
+    expiryDate: new Date(request.expiry.toNumber() * 1000).toISOString(),
+    formattedAmount: ethers.utils.formatUnits(request.assetAmount, decimals),
+    chainId: chainId
   };
-  return decimals[symbol] || 18;
 }
 
 module.exports = router;
\ No newline at end of file
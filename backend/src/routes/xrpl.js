@@ -1,5 +1,6 @@
 const express = require('express');
 const { Client } = require('xrpl');
+const { parseXrplAddress, validateRecipientAddress } = require('../xrplAddress');
 const router = express.Router();
 
 // XRPL client setup
@@ -46,16 +47,16 @@ const ensureConnection = async (req, res, next) => {
 // Get account info
 router.get('/account/:address', ensureConnection, async (req, res) => {
   try {
-    const { address } = req.params;
-
-    // Validate XRPL address format
-    if (!address.match(/^r[A-HJ-NP-Z0-9]{25,34}$/)) {
+    // Validate XRPL address checksum; X-addresses are looked up by their classic address
+    const parsed = parseXrplAddress(req.params.address);
+    if (!parsed) {
       return res.status(400).json({
         error: {
           message: 'Invalid XRPL address format'
         }
       });
     }
+    const address = parsed.classicAddress;
 
     const accountInfo = await client.request({
       command: 'account_info',
@@ -154,25 +155,26 @@ router.get('/transaction/:hash', ensureConnection, async (req, res) => {
 // Get account transactions with filters
 router.get('/account/:address/transactions', ensureConnection, async (req, res) => {
   try {
-    const { address } = req.params;
     const { 
       limit = 20, 
       marker, 
-      destinationTag,
       minAmount,
       maxAmount,
       startDate,
       endDate
     } = req.query;
 
-    // Validate XRPL address format
-    if (!address.match(/^r[A-HJ-NP-Z0-9]{25,34}$/)) {
+    // Validate XRPL address checksum; an X-address's tag filters like destinationTag
+    const parsed = parseXrplAddress(req.params.address);
+    if (!parsed) {
       return res.status(400).json({
         error: {
           message: 'Invalid XRPL address format'
         }
       });
     }
+    const address = parsed.classicAddress;
+    const destinationTag = req.query.destinationTag || parsed.tag;
 
     const requestParams = {
       command: 'account_tx',
@@ -271,12 +273,18 @@ router.post('/validate-address', (req, res) => {
       });
     }
 
-    const isValid = address.match(/^r[A-HJ-NP-Z0-9]{25,34}$/);
+    const parsed = parseXrplAddress(address);
+    const recipientError = validateRecipientAddress(address);
     
     res.json({
       address: address,
-      isValid: !!isValid,
-      format: isValid ? 'valid' : 'invalid'
+      isValid: !!parsed,
+      format: parsed ? (parsed.isXAddress ? 'x-address' : 'classic') : 'invalid',
+      classicAddress: parsed?.classicAddress || null,
+      tag: parsed?.tag ?? null,
+      // Whether requests can be paid to it (their ID is the destination tag), and why not
+      canReceiveRequests: recipientError === null,
+      recipientError
     });
 
   } catch (error) {
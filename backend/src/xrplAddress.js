@@ -0,0 +1,46 @@
+const { isValidClassicAddress, isValidXAddress, xAddressToClassicAddress } = require('xrpl');
+
+/**
+ * XRPL address checks, kept in step with the contracts' XrplAddress library.
+ * The frontend has no copy: it asks POST /api/xrpl/validate-address, which
+ * answers from these functions. Classic addresses (r...) must pass
+ * their base58 checksum; X-addresses (X... / T...) are decoded into the
+ * classic address and the destination tag they embed.
+ */
+
+// Decode a classic or X-address; returns null when the address is malformed
+function parseXrplAddress(address) {
+  if (typeof address !== 'string') {
+    return null;
+  }
+
+  if (isValidClassicAddress(address)) {
+    return { classicAddress: address, tag: null, isXAddress: false, isTestnet: null };
+  }
+
+  if (isValidXAddress(address)) {
+    const { classicAddress, tag, test } = xAddressToClassicAddress(address);
+    return { classicAddress, tag: tag === false ? null : tag, isXAddress: true, isTestnet: test };
+  }
+
+  return null;
+}
+
+// Check an address can receive request payments; returns an error message or null.
+// Requests are paid with their ID as the destination tag, so an X-address carrying
+// its own tag cannot be a recipient.
+function validateRecipientAddress(address) {
+  const parsed = parseXrplAddress(address);
+
+  if (!parsed) {
+    return 'Invalid XRPL address';
+  }
+
+  if (parsed.tag !== null) {
+    return 'X-address includes a destination tag; requests use their ID as the tag';
+  }
+
+  return null;
+}
+
+module.exports = { parseXrplAddress, validateRecipientAddress };
@@ -0,0 +1,12 @@
+// solidity-coverage settings for `npm run coverage`; test mocks aren't measured
+module.exports = {
+  skipFiles: [
+    "MockERC1271Wallet.sol",
+    "MockERC20.sol",
+    "MockFdcVerification.sol",
+    "MockFtsoRegistry.sol",
+    "MockFtsoV2.sol",
+    "MockReentrantReceiver.sol",
+    "MockRequestManagerV2.sol"
+  ]
+};
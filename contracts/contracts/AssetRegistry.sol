@@ -0,0 +1,127 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/IAssetRegistry.sol";
+
+/**
+ * @dev Assets requests can be denominated in, with their decimals, request
+ * amount limits, max slippage and optional protocol fee. RequestManager checks
+ * new requests against it; clients list assets from it.
+ */
+contract AssetRegistry is AccessControl, IAssetRegistry {
+    bytes32 public constant ASSET_MANAGER_ROLE = keccak256("ASSET_MANAGER_ROLE");
+
+    uint16 public constant MAX_SLIPPAGE_BP = 1000; // 10%
+    uint16 public constant MAX_FEE_BP = 500;       // 5%
+
+    mapping(string => AssetConfig) internal assetConfigs;
+    string[] internal assetSymbols; // every symbol ever configured, in order
+
+    // Events
+    event AssetConfigured(
+        string symbol,
+        uint8 decimals,
+        uint256 minAmount,
+        uint256 maxAmount,
+        uint16 maxSlippageBp,
+        uint16 feeBp
+    );
+
+    event AssetSupportUpdated(string symbol, bool supported);
+
+    constructor() {
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ASSET_MANAGER_ROLE, msg.sender);
+
+        // Initialize supported assets
+        configureAsset("ETH", 18, 0, 0, MAX_SLIPPAGE_BP, 0);
+        configureAsset("XRP", 6, 0, 0, MAX_SLIPPAGE_BP, 0);
+        configureAsset("BTC", 8, 0, 0, MAX_SLIPPAGE_BP, 0);
+        configureAsset("USDT", 6, 0, 0, MAX_SLIPPAGE_BP, 0);
+        configureAsset("USDC", 6, 0, 0, MAX_SLIPPAGE_BP, 0);
+    }
+
+    /**
+     * @dev Add an asset or change its limits; the asset is (re)enabled
+     */
+    function configureAsset(
+        string memory _symbol,
+        uint8 _decimals,
+        uint256 _minAmount,
+        uint256 _maxAmount,
+        uint16 _maxSlippageBp,
+        uint16 _feeBp
+    ) public onlyRole(ASSET_MANAGER_ROLE) {
+        require(bytes(_symbol).length > 0, "Invalid asset symbol");
+        require(_maxAmount == 0 || _maxAmount >= _minAmount, "Max amount below min amount");
+        require(_maxSlippageBp <= MAX_SLIPPAGE_BP, "Slippage cannot exceed 10%");
+        require(_feeBp <= MAX_FEE_BP, "Fee cannot exceed 5%");
+
+        AssetConfig storage config = assetConfigs[_symbol];
+        if (bytes(config.symbol).length == 0) {
+            config.symbol = _symbol;
+            assetSymbols.push(_symbol);
+        }
+
+        config.decimals = _decimals;
+        config.minAmount = _minAmount;
+        config.maxAmount = _maxAmount;
+        config.maxSlippageBp = _maxSlippageBp;
+        config.feeBp = _feeBp;
+        config.supported = true;
+
+        emit AssetConfigured(_symbol, _decimals, _minAmount, _maxAmount, _maxSlippageBp, _feeBp);
+    }
+
+    /**
+     * @dev Stop (or resume) accepting new requests in an asset; open requests are unaffected
+     */
+    function setAssetSupported(string memory _symbol, bool _supported) external onlyRole(ASSET_MANAGER_ROLE) {
+        require(bytes(assetConfigs[_symbol].symbol).length > 0, "Asset not configured");
+
+        assetConfigs[_symbol].supported = _supported;
+        emit AssetSupportUpdated(_symbol, _supported);
+    }
+
+    /**
+     * @dev Revert unless a request for `_amount` of an asset with `_slippageBp` is allowed
+     */
+    function validateRequest(string memory _symbol, uint256 _amount, uint16 _slippageBp) external view {
+        AssetConfig storage config = assetConfigs[_symbol];
+        require(config.supported, "Asset not supported");
+        require(_amount > 0, "Amount must be greater than 0");
+        require(_amount >= config.minAmount, "Amount below asset minimum");
+        require(config.maxAmount == 0 || _amount <= config.maxAmount, "Amount above asset maximum");
+        require(_slippageBp <= config.maxSlippageBp, "Slippage above asset maximum");
+    }
+
+    /**
+     * @dev Protocol fee owed on `_amount` of an asset, in asset units
+     */
+    function feeFor(string memory _symbol, uint256 _amount) external view returns (uint256) {
+        return (_amount * assetConfigs[_symbol].feeBp) / 10000;
+    }
+
+    function isSupported(string memory _symbol) external view returns (bool) {
+        return assetConfigs[_symbol].supported;
+    }
+
+    /**
+     * @dev Get an asset's config
+     */
+    function getAssetConfig(string memory _symbol) external view returns (AssetConfig memory) {
+        require(bytes(assetConfigs[_symbol].symbol).length > 0, "Asset not configured");
+        return assetConfigs[_symbol];
+    }
+
+    /**
+     * @dev Get every configured asset, including ones no longer supported
+     */
+    function getAssets() external view returns (AssetConfig[] memory assets) {
+        assets = new AssetConfig[](assetSymbols.length);
+        for (uint256 i = 0; i < assetSymbols.length; i++) {
+            assets[i] = assetConfigs[assetSymbols[i]];
+        }
+    }
+}
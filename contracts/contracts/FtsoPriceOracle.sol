@@ -0,0 +1,155 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "./interfaces/IPriceOracle.sol";
+
+// Interface for Flare's FTSO (Time Series Oracle)
+interface IFtsoRegistry {
+    function getCurrentPrice(string memory _symbol) external view returns (uint256 _price, uint256 _timestamp);
+    function getCurrentPriceWithDecimals(string memory _symbol) external view returns (uint256 _price, uint256 _timestamp, uint256 _decimals);
+}
+
+// Interface for Flare's FTSOv2 feed-id based price reads
+// Declared view so conversions stay view functions; point providers at a fee-free FTSOv2 reader
+interface IFtsoV2 {
+    function getFeedById(bytes21 _feedId) external view returns (uint256 _value, int8 _decimals, uint64 _timestamp);
+}
+
+/**
+ * @dev Prices assets in XRP from Flare's FTSO. Kept apart from RequestManager so
+ * feed routing and staleness rules can change without touching request state.
+ */
+contract FtsoPriceOracle is IPriceOracle, AccessControl {
+    // Manages registry, feed routing and staleness limits; DEFAULT_ADMIN_ROLE manages roles
+    bytes32 public constant ASSET_MANAGER_ROLE = keccak256("ASSET_MANAGER_ROLE");
+    
+    IFtsoRegistry public ftsoRegistry;
+    
+    // FTSOv2 feed per asset; assets without a provider read the legacy registry
+    struct PriceFeed {
+        bytes21 feedId;
+        address provider;
+    }
+    
+    // Maximum FTSO price age accepted at settlement, per asset (0 = use default)
+    uint256 public defaultMaxPriceAge = 10 minutes;
+    mapping(string => uint256) public maxPriceAge;
+    mapping(string => PriceFeed) public priceFeeds;
+    
+    // Events
+    event FtsoRegistryUpdated(address indexed registry);
+    event MaxPriceAgeUpdated(string assetSymbol, uint256 maxAge);
+    event PriceFeedUpdated(string assetSymbol, bytes21 feedId, address indexed provider);
+    
+    constructor(address _ftsoRegistry) {
+        ftsoRegistry = IFtsoRegistry(_ftsoRegistry);
+        
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ASSET_MANAGER_ROLE, msg.sender);
+    }
+    
+    /**
+     * @dev Convert an asset amount to XRP, returning the USD prices used (18 decimals).
+     * XRP converts 1:1 without touching the oracle, so its prices are reported as 0.
+     */
+    function convertToXRP(string memory _assetSymbol, uint256 _assetAmount, bool _requireFresh) 
+        external view returns (uint256 xrpAmount, uint256 assetPrice, uint256 xrpPrice) {
+        
+        if (keccak256(bytes(_assetSymbol)) == keccak256(bytes("XRP"))) {
+            return (_assetAmount, 0, 0);
+        }
+        
+        // Get asset price in USD
+        uint256 assetDecimals;
+        uint256 xrpDecimals;
+        (assetPrice, assetDecimals) = _getPrice(_assetSymbol, _requireFresh);
+        (xrpPrice, xrpDecimals) = _getPrice("XRP", _requireFresh);
+        
+        // Convert to XRP: (assetAmount * assetPrice / xrpPrice) adjusted for decimals
+        xrpAmount = (_assetAmount * assetPrice * (10**xrpDecimals)) / (xrpPrice * (10**assetDecimals));
+        
+        assetPrice = (assetPrice * 1e18) / (10**assetDecimals);
+        xrpPrice = (xrpPrice * 1e18) / (10**xrpDecimals);
+    }
+    
+    function _getPrice(string memory _symbol, bool _requireFresh) 
+        internal view returns (uint256 price, uint256 decimals) {
+        uint256 timestamp;
+        (price, timestamp, decimals) = _readPrice(_symbol);
+        
+        require(price > 0, "Invalid price data");
+        if (_requireFresh) {
+            require(block.timestamp <= timestamp + getMaxPriceAge(_symbol), "Stale price feed");
+        }
+    }
+    
+    /**
+     * @dev Oracle adapter: read an asset's USD price from its FTSOv2 feed if one is
+     * configured, otherwise from the legacy symbol-based FTSO registry
+     */
+    function _readPrice(string memory _symbol) 
+        internal view returns (uint256 price, uint256 timestamp, uint256 decimals) {
+        PriceFeed memory feed = priceFeeds[_symbol];
+        if (feed.provider == address(0)) {
+            return ftsoRegistry.getCurrentPriceWithDecimals(_symbol);
+        }
+        
+        (uint256 value, int8 feedDecimals, uint64 feedTimestamp) = IFtsoV2(feed.provider).getFeedById(feed.feedId);
+        
+        // FTSOv2 reports negative decimals for very large values
+        if (feedDecimals < 0) {
+            return (value * (10**uint256(int256(-feedDecimals))), feedTimestamp, 0);
+        }
+        return (value, feedTimestamp, uint256(int256(feedDecimals)));
+    }
+    
+    /**
+     * @dev Maximum price age accepted for an asset at settlement
+     */
+    function getMaxPriceAge(string memory _assetSymbol) public view returns (uint256) {
+        uint256 maxAge = maxPriceAge[_assetSymbol];
+        return maxAge > 0 ? maxAge : defaultMaxPriceAge;
+    }
+    
+    /**
+     * @dev Get current exchange rate for UI display (USD prices, 18 decimals)
+     */
+    function getExchangeRate(string memory _assetSymbol) 
+        external view returns (uint256 assetPrice, uint256 xrpPrice, uint256 timestamp) {
+        
+        uint256 assetDecimals;
+        uint256 xrpDecimals;
+        (assetPrice, timestamp, assetDecimals) = _readPrice(_assetSymbol);
+        (xrpPrice, , xrpDecimals) = _readPrice("XRP");
+        
+        return ((assetPrice * 1e18) / (10**assetDecimals), (xrpPrice * 1e18) / (10**xrpDecimals), timestamp);
+    }
+    
+    // Admin functions
+    function updateFtsoRegistry(address _newRegistry) external onlyRole(ASSET_MANAGER_ROLE) {
+        ftsoRegistry = IFtsoRegistry(_newRegistry);
+        emit FtsoRegistryUpdated(_newRegistry);
+    }
+    
+    function setDefaultMaxPriceAge(uint256 _maxAge) external onlyRole(ASSET_MANAGER_ROLE) {
+        require(_maxAge > 0, "Max price age must be greater than 0");
+        defaultMaxPriceAge = _maxAge;
+        emit MaxPriceAgeUpdated("", _maxAge);
+    }
+    
+    function setMaxPriceAge(string memory _assetSymbol, uint256 _maxAge) external onlyRole(ASSET_MANAGER_ROLE) {
+        maxPriceAge[_assetSymbol] = _maxAge;
+        emit MaxPriceAgeUpdated(_assetSymbol, _maxAge);
+    }
+    
+    /**
+     * @dev Route an asset's price reads to an FTSOv2 feed; a zero provider reverts
+     * the asset to the legacy FTSO registry
+     */
+    function setPriceFeed(string memory _assetSymbol, bytes21 _feedId, address _provider) external onlyRole(ASSET_MANAGER_ROLE) {
+        require(_provider == address(0) || _feedId != bytes21(0), "Invalid feed id");
+        priceFeeds[_assetSymbol] = PriceFeed(_feedId, _provider);
+        emit PriceFeedUpdated(_assetSymbol, _feedId, _provider);
+    }
+}
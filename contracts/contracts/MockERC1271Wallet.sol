@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @dev Mock contract wallet for signature tests
+ * Accepts a signature through ERC-1271 when its owner's key produced it
+ */
+contract MockERC1271Wallet is IERC1271 {
+
+    address public owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 _hash, bytes memory _signature)
+        external view override returns (bytes4) {
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(_hash, _signature);
+        return error == ECDSA.RecoverError.NoError && signer == owner ? this.isValidSignature.selector : bytes4(0);
+    }
+}
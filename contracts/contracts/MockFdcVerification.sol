@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+import "./interfaces/IFdcVerification.sol";
+
+/**
+ * @dev Mock FDC verification for local testing
+ * Merkle roots are set by hand instead of being finalized by the Flare relay
+ */
+contract MockFdcVerification is IFdcVerification {
+    
+    mapping(uint256 => bytes32) public merkleRoots;
+    
+    function verifyXRPPayment(IXRPPayment.Proof calldata _proof) 
+        external view returns (bool _proved) {
+        bytes32 leaf = keccak256(abi.encode(_proof.data));
+        return MerkleProof.verifyCalldata(_proof.merkleProof, merkleRoots[_proof.data.votingRound], leaf);
+    }
+    
+    // Admin function to publish a voting round's root for testing
+    function setMerkleRoot(uint256 _votingRound, bytes32 _merkleRoot) 
+        external {
+        merkleRoots[_votingRound] = _merkleRoot;
+    }
+}
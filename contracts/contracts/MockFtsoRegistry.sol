@@ -22,6 +22,7 @@ contract MockFtsoRegistry {
         prices["BTC"] = PriceData(4500000000, 5, block.timestamp); // $45000.00
         prices["USDT"] = PriceData(100000, 5, block.timestamp);    // $1.00
         prices["USDC"] = PriceData(100000, 5, block.timestamp);    // $1.00
+        prices["FLR"] = PriceData(2000, 5, block.timestamp);       // $0.02
     }
     
     function getCurrentPrice(string memory _symbol) 
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev Mock FTSOv2 for local testing
+ * Serves fake feed-id based price data for development
+ */
+contract MockFtsoV2 {
+    
+    struct Feed {
+        uint256 value;
+        int8 decimals;
+        uint64 timestamp;
+    }
+    
+    mapping(bytes21 => Feed) private feeds;
+    
+    constructor() {
+        // Initialize with mock USD prices (feed id = category 0x01 + "<SYMBOL>/USD")
+        feeds[bytes21("\x01ETH/USD")] = Feed(200000, 2, uint64(block.timestamp));   // $2000.00
+        feeds[bytes21("\x01XRP/USD")] = Feed(50000, 5, uint64(block.timestamp));    // $0.50
+        feeds[bytes21("\x01BTC/USD")] = Feed(4500000, 2, uint64(block.timestamp));  // $45000.00
+        feeds[bytes21("\x01USDT/USD")] = Feed(100000, 5, uint64(block.timestamp));  // $1.00
+        feeds[bytes21("\x01USDC/USD")] = Feed(100000, 5, uint64(block.timestamp));  // $1.00
+    }
+    
+    function getFeedById(bytes21 _feedId) 
+        external view returns (uint256 _value, int8 _decimals, uint64 _timestamp) {
+        Feed memory feed = feeds[_feedId];
+        require(feed.value > 0, "Feed not available");
+        return (feed.value, feed.decimals, feed.timestamp);
+    }
+    
+    // Admin function to update feeds for testing
+    function updateFeed(bytes21 _feedId, uint256 _value, int8 _decimals) 
+        external {
+        feeds[_feedId] = Feed(_value, _decimals, uint64(block.timestamp));
+    }
+}
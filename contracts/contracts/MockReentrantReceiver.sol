@@ -0,0 +1,45 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev Mock contract account for reentrancy tests
+ * Acts as a creator or payer through `execute`, and replays a preset call
+ * once when it receives native funds, recording whether the replay succeeded
+ */
+contract MockReentrantReceiver {
+
+    address public reentryTarget;
+    bytes public reentryData;
+    bool public reentryAttempted;
+    bool public reentrySucceeded;
+    bytes public reentryError;
+
+    // Forward a call, bubbling up its revert reason
+    function execute(address _target, bytes calldata _data)
+        external payable returns (bytes memory) {
+        (bool success, bytes memory result) = _target.call{value: msg.value}(_data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    // Set the call replayed on the next native transfer received
+    function setReentry(address _target, bytes calldata _data)
+        external {
+        reentryTarget = _target;
+        reentryData = _data;
+        reentryAttempted = false;
+    }
+
+    receive() external payable {
+        if (reentryTarget == address(0) || reentryAttempted) {
+            return;
+        }
+
+        reentryAttempted = true;
+        (reentrySucceeded, reentryError) = reentryTarget.call(reentryData);
+    }
+}
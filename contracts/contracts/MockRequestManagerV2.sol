@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./RequestManager.sol";
+
+/**
+ * @dev Stand-in next version of RequestManager for upgrade tests: same storage
+ * with one appended variable and one new function. Its parents are already
+ * initialized behind the proxy, so it has no initializer of its own.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract MockRequestManagerV2 is RequestManager {
+    uint256 public upgradeCount;
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function recordUpgrade() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        upgradeCount++;
+    }
+}
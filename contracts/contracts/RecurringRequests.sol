@@ -0,0 +1,237 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Counters.sol";
+import "./interfaces/IRequestManager.sol";
+import "./libraries/XrplAddress.sol";
+
+/**
+ * @dev Recurring payment request series (rent, subscriptions). Each period issues
+ * a fresh PENDING request, with its own destination tag, through RequestManager,
+ * which must list this contract as a request issuer. Terms are checked against the
+ * AssetRegistry when a series is created or updated, and each issued request is
+ * validated again there, so slippage and amount limits follow the asset's current
+ * configuration.
+ */
+contract RecurringRequests {
+    using Counters for Counters.Counter;
+
+    IRequestManager public immutable requestManager;
+    Counters.Counter private _recurringIds;
+
+    // Template that issues a fresh request every `interval`
+    struct RecurringRequest {
+        uint256 id;
+        address creator;
+        string recipientXRPL;
+        string assetSymbol;
+        uint256 assetAmount;
+        uint16 slippageBp;
+        string message;
+        uint256 interval;
+        uint256 requestDuration; // how long each issued request stays open
+        uint256 nextIssueAt;
+        uint256 maxCount;        // 0 = bounded by endDate only
+        uint256 endDate;         // 0 = bounded by maxCount only
+        uint256 issuedCount;
+        bool paused;
+        bool ended;
+    }
+
+    mapping(uint256 => RecurringRequest) internal recurringRequests;
+    mapping(uint256 => uint256) public recurringOfRequest; // 0 = not issued by a series
+    mapping(address => uint256[]) public userRecurringRequests;
+
+    // Events
+    event RecurringRequestCreated(
+        uint256 indexed recurringId,
+        address indexed creator,
+        uint256 interval,
+        uint256 firstIssueAt,
+        uint256 maxCount,
+        uint256 endDate
+    );
+
+    event RecurringRequestIssued(uint256 indexed recurringId, uint256 indexed requestId, uint256 period);
+    event RecurringRequestUpdated(uint256 indexed recurringId);
+    event RecurringRequestPaused(uint256 indexed recurringId, bool paused);
+    event RecurringRequestEnded(uint256 indexed recurringId);
+
+    constructor(address _requestManager) {
+        requestManager = IRequestManager(_requestManager);
+    }
+
+    /**
+     * @dev Create a recurring request series. From `_firstIssueAt`, a fresh request
+     * open for `_requestDuration` seconds can be issued every `_interval` seconds until
+     * `_maxCount` requests have been issued or `_endDate` passes (at least one bound is required).
+     */
+    function createRecurringRequest(
+        string memory _recipientXRPL,
+        string memory _assetSymbol,
+        uint256 _assetAmount,
+        uint16 _slippageBp,
+        string memory _message,
+        uint256 _interval,
+        uint256 _requestDuration,
+        uint256 _firstIssueAt,
+        uint256 _maxCount,
+        uint256 _endDate
+    ) external returns (uint256) {
+        require(XrplAddress.isValidClassicAddress(_recipientXRPL), "Invalid recipient XRPL address");
+        requestManager.assetRegistry().validateRequest(_assetSymbol, _assetAmount, _slippageBp);
+        require(_interval >= 1 hours, "Interval too short");
+        require(_requestDuration > 0, "Request duration must be greater than 0");
+
+        uint256 firstIssueAt = _firstIssueAt > block.timestamp ? _firstIssueAt : block.timestamp;
+        require(_maxCount > 0 || _endDate > firstIssueAt, "Series needs a count or end date");
+
+        _recurringIds.increment();
+        uint256 recurringId = _recurringIds.current();
+
+        RecurringRequest storage series = recurringRequests[recurringId];
+        series.id = recurringId;
+        series.creator = msg.sender;
+        series.recipientXRPL = _recipientXRPL;
+        series.assetSymbol = _assetSymbol;
+        series.assetAmount = _assetAmount;
+        series.slippageBp = _slippageBp;
+        series.message = _message;
+        series.interval = _interval;
+        series.requestDuration = _requestDuration;
+        series.nextIssueAt = firstIssueAt;
+        series.maxCount = _maxCount;
+        series.endDate = _endDate;
+
+        userRecurringRequests[msg.sender].push(recurringId);
+
+        emit RecurringRequestCreated(recurringId, msg.sender, _interval, series.nextIssueAt, _maxCount, _endDate);
+
+        return recurringId;
+    }
+
+    /**
+     * @dev Issue the next due request of a series (callable by anyone, so a keeper
+     * can drive it). Each call issues one period; missed periods are caught up by
+     * calling again. Returns 0 when the series has run out and is ended instead.
+     */
+    function issueRecurringRequest(uint256 _recurringId) external returns (uint256) {
+        RecurringRequest storage series = recurringRequests[_recurringId];
+        require(series.creator != address(0), "Series does not exist");
+        require(!series.ended && !series.paused, "Series not active");
+        require(block.timestamp >= series.nextIssueAt, "Next request not due");
+
+        if ((series.maxCount > 0 && series.issuedCount >= series.maxCount) ||
+            (series.endDate > 0 && series.nextIssueAt > series.endDate)) {
+            series.ended = true;
+            emit RecurringRequestEnded(_recurringId);
+            return 0;
+        }
+
+        uint256 requestId = requestManager.createRequestFor(
+            series.creator,
+            series.recipientXRPL,
+            series.assetSymbol,
+            series.assetAmount,
+            block.timestamp + series.requestDuration,
+            series.slippageBp,
+            series.message
+        );
+
+        series.issuedCount++;
+        series.nextIssueAt += series.interval;
+        recurringOfRequest[requestId] = _recurringId;
+
+        emit RecurringRequestIssued(_recurringId, requestId, series.issuedCount);
+
+        return requestId;
+    }
+
+    /**
+     * @dev Change the terms of future requests in a series (only creator).
+     * Requests already issued keep their terms.
+     */
+    function updateRecurringRequest(
+        uint256 _recurringId,
+        uint256 _assetAmount,
+        uint16 _slippageBp,
+        string memory _message,
+        uint256 _interval,
+        uint256 _requestDuration
+    ) external {
+        RecurringRequest storage series = _ownedSeries(_recurringId);
+        requestManager.assetRegistry().validateRequest(series.assetSymbol, _assetAmount, _slippageBp);
+        require(_interval >= 1 hours, "Interval too short");
+        require(_requestDuration > 0, "Request duration must be greater than 0");
+
+        // Re-anchor the schedule on the last issued period
+        if (series.issuedCount > 0) {
+            series.nextIssueAt = series.nextIssueAt - series.interval + _interval;
+        }
+
+        series.assetAmount = _assetAmount;
+        series.slippageBp = _slippageBp;
+        series.message = _message;
+        series.interval = _interval;
+        series.requestDuration = _requestDuration;
+
+        emit RecurringRequestUpdated(_recurringId);
+    }
+
+    /**
+     * @dev Pause or resume a series (only creator). Periods that fell due while
+     * paused are skipped on resume rather than issued in a burst.
+     */
+    function setRecurringRequestPaused(uint256 _recurringId, bool _paused) external {
+        RecurringRequest storage series = _ownedSeries(_recurringId);
+        require(series.paused != _paused, "Pause state unchanged");
+
+        series.paused = _paused;
+        if (!_paused && series.nextIssueAt < block.timestamp) {
+            uint256 missed = (block.timestamp - series.nextIssueAt) / series.interval;
+            series.nextIssueAt += missed * series.interval;
+        }
+
+        emit RecurringRequestPaused(_recurringId, _paused);
+    }
+
+    /**
+     * @dev Stop issuing requests for a series (only creator). Open requests it
+     * already issued stay payable.
+     */
+    function endRecurringRequest(uint256 _recurringId) external {
+        _ownedSeries(_recurringId).ended = true;
+        emit RecurringRequestEnded(_recurringId);
+    }
+
+    function _ownedSeries(uint256 _recurringId) internal view returns (RecurringRequest storage series) {
+        series = recurringRequests[_recurringId];
+        require(series.creator != address(0), "Series does not exist");
+        require(series.creator == msg.sender, "Only creator can manage series");
+        require(!series.ended, "Series ended");
+    }
+
+    /**
+     * @dev Get a recurring request series
+     */
+    function getRecurringRequest(uint256 _recurringId)
+        external view returns (RecurringRequest memory) {
+        require(recurringRequests[_recurringId].creator != address(0), "Series does not exist");
+        return recurringRequests[_recurringId];
+    }
+
+    /**
+     * @dev Get user's recurring request series
+     */
+    function getUserRecurringRequests(address _user)
+        external view returns (uint256[] memory) {
+        return userRecurringRequests[_user];
+    }
+
+    /**
+     * @dev Get total number of series
+     */
+    function getTotalRecurringRequests() external view returns (uint256) {
+        return _recurringIds.current();
+    }
+}
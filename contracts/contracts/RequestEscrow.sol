@@ -0,0 +1,295 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Counters.sol";
+import "./RequestManager.sol";
+
+/**
+ * @dev Settles requests on Flare instead of XRPL. A payer deposits native FLR or
+ * an enabled ERC-20 (wrapped XRP/FAsset, stablecoin) against a request; the
+ * deposit is valued in XRP through RequestManager's price oracle and counted
+ * as an installment, so the request completes under the same rules as an XRPL
+ * payment. RequestManager must list this contract as a settlement escrow.
+ *
+ * Funds stay here until the request's dispute window closes, when the creator
+ * withdraws them less the asset's protocol fee. Deposits on requests that end
+ * cancelled, expired or declined, or that a dispute discards, go back to the payer.
+ */
+contract RequestEscrow is AccessControl, ReentrancyGuard {
+    using Counters for Counters.Counter;
+    using SafeERC20 for IERC20;
+
+    // Enables deposit tokens; DEFAULT_ADMIN_ROLE manages roles and the fee recipient
+    bytes32 public constant ASSET_MANAGER_ROLE = keccak256("ASSET_MANAGER_ROLE");
+
+    address public constant NATIVE_TOKEN = address(0);
+
+    RequestManager public immutable requestManager;
+    Counters.Counter private _depositIds;
+
+    // Token payers can deposit, with the FTSO symbol it is priced under
+    struct DepositToken {
+        string symbol;   // e.g. "FLR", or "XRP" for wrapped XRP (converts 1:1)
+        uint8 decimals;
+        bool enabled;
+    }
+
+    enum DepositStatus { HELD, WITHDRAWN, REFUNDED }
+
+    struct Deposit {
+        uint256 id;
+        uint256 requestId;
+        address payer;
+        address token;     // NATIVE_TOKEN for FLR
+        uint256 amount;
+        uint256 xrpValue;  // drops counted toward the request
+        uint256 depositedAt;
+        DepositStatus status;
+    }
+
+    mapping(address => DepositToken) public depositTokens;
+    address[] internal tokenList; // every token ever configured, in order
+
+    mapping(uint256 => Deposit) internal deposits;
+    mapping(uint256 => uint256[]) public requestDeposits;
+    mapping(address => uint256[]) public payerDeposits;
+
+    address public feeRecipient; // 0 = no protocol fee taken
+
+    // Events
+    event Deposited(
+        uint256 indexed depositId,
+        uint256 indexed requestId,
+        address indexed payer,
+        address token,
+        uint256 amount,
+        uint256 xrpValue
+    );
+
+    event Withdrawn(uint256 indexed depositId, uint256 indexed requestId, address indexed creator, uint256 amount, uint256 fee);
+    event Refunded(uint256 indexed depositId, uint256 indexed requestId, address indexed payer, uint256 amount);
+    event DepositTokenConfigured(address indexed token, string symbol, uint8 decimals, bool enabled);
+    event FeeRecipientUpdated(address indexed recipient);
+
+    constructor(address _requestManager) {
+        requestManager = RequestManager(_requestManager);
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ASSET_MANAGER_ROLE, msg.sender);
+    }
+
+    /**
+     * @dev Pay a request from escrow with `_amount` of `_token` (NATIVE_TOKEN with
+     * msg.value for FLR). The deposit's XRP value at current, fresh FTSO prices
+     * counts toward the request; see quoteDeposit for the amount that completes it.
+     */
+    function deposit(uint256 _requestId, address _token, uint256 _amount)
+        external payable nonReentrant returns (uint256) {
+        DepositToken storage config = depositTokens[_token];
+        require(config.enabled, "Token not accepted");
+
+        if (_token == NATIVE_TOKEN) {
+            require(msg.value == _amount, "Value does not match amount");
+        } else {
+            require(msg.value == 0, "Native value not accepted");
+            // Count what actually arrived, so fee-on-transfer tokens aren't overvalued
+            uint256 balanceBefore = IERC20(_token).balanceOf(address(this));
+            IERC20(_token).safeTransferFrom(msg.sender, address(this), _amount);
+            _amount = IERC20(_token).balanceOf(address(this)) - balanceBefore;
+        }
+        require(_amount > 0, "Nothing deposited");
+
+        uint256 xrpValue = _toDrops(config, _amount);
+
+        _depositIds.increment();
+        uint256 depositId = _depositIds.current();
+
+        deposits[depositId] = Deposit(
+            depositId,
+            _requestId,
+            msg.sender,
+            _token,
+            _amount,
+            xrpValue,
+            block.timestamp,
+            DepositStatus.HELD
+        );
+        requestDeposits[_requestId].push(depositId);
+        payerDeposits[msg.sender].push(depositId);
+
+        // Reverts unless the request is open, unexpired and payable by msg.sender
+        requestManager.recordEscrowPayment(_requestId, depositRef(depositId), xrpValue, msg.sender);
+
+        emit Deposited(depositId, _requestId, msg.sender, _token, _amount, xrpValue);
+
+        return depositId;
+    }
+
+    /**
+     * @dev Release a settled request's deposits to its creator, less the request
+     * asset's protocol fee, once the dispute window has closed (only creator)
+     */
+    function withdraw(uint256 _requestId) external nonReentrant {
+        RequestManager.Request memory request = requestManager.getRequest(_requestId);
+        require(request.creator == msg.sender, "Only creator can withdraw");
+        require(request.status == RequestManager.RequestStatus.PAID, "Request not settled");
+        require(
+            block.timestamp > requestManager.settledAt(_requestId) + requestManager.disputeWindow(),
+            "Dispute window open"
+        );
+
+        RequestManager.Installment[] memory counted = requestManager.getInstallments(_requestId);
+        uint256[] storage ids = requestDeposits[_requestId];
+        uint256 released;
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            Deposit storage held = deposits[ids[i]];
+            if (held.status != DepositStatus.HELD || !_isCounted(held.id, counted)) {
+                continue;
+            }
+
+            held.status = DepositStatus.WITHDRAWN;
+            uint256 fee = feeRecipient == address(0) ? 0 : requestManager.assetRegistry().feeFor(request.assetSymbol, held.amount);
+
+            _send(held.token, msg.sender, held.amount - fee);
+            if (fee > 0) {
+                _send(held.token, feeRecipient, fee);
+            }
+            released++;
+
+            emit Withdrawn(held.id, _requestId, msg.sender, held.amount - fee, fee);
+        }
+
+        require(released > 0, "Nothing to withdraw");
+    }
+
+    /**
+     * @dev Return a deposit to its payer (callable by anyone) once its request is
+     * cancelled, expired or declined, or a dispute has discarded the deposit
+     */
+    function refund(uint256 _depositId) external nonReentrant {
+        Deposit storage held = deposits[_depositId];
+        require(held.payer != address(0), "Deposit does not exist");
+        require(held.status == DepositStatus.HELD, "Deposit already released");
+        require(isRefundable(_depositId), "Deposit still counted toward request");
+
+        held.status = DepositStatus.REFUNDED;
+        _send(held.token, held.payer, held.amount);
+
+        emit Refunded(_depositId, held.requestId, held.payer, held.amount);
+    }
+
+    /**
+     * @dev Whether a held deposit can go back to its payer
+     */
+    function isRefundable(uint256 _depositId) public view returns (bool) {
+        Deposit storage held = deposits[_depositId];
+        if (held.status != DepositStatus.HELD) {
+            return false;
+        }
+
+        RequestManager.RequestStatus status = requestManager.getRequest(held.requestId).status;
+        if (status == RequestManager.RequestStatus.CANCELLED ||
+            status == RequestManager.RequestStatus.EXPIRED ||
+            status == RequestManager.RequestStatus.DECLINED) {
+            return true;
+        }
+
+        // A dispute resolved against the payment drops it from the request's installments
+        return !_isCounted(_depositId, requestManager.getInstallments(held.requestId));
+    }
+
+    /**
+     * @dev Amount of `_token` that completes a request at current prices, rounded up.
+     * The quote moves with the FTSO, so deposit a little over it.
+     */
+    function quoteDeposit(uint256 _requestId, address _token) external view returns (uint256) {
+        DepositToken storage config = depositTokens[_token];
+        require(config.enabled, "Token not accepted");
+
+        uint256 requiredDrops = requestManager.getRequiredPayment(_requestId);
+        if (requiredDrops == 0) {
+            return 0;
+        }
+
+        uint256 oneToken = 10**config.decimals;
+        uint256 dropsPerToken = _toDrops(config, oneToken);
+        return (requiredDrops * oneToken + dropsPerToken - 1) / dropsPerToken;
+    }
+
+    /**
+     * @dev Stand-in for an XRPL transaction hash in the request's installments
+     */
+    function depositRef(uint256 _depositId) public view returns (bytes32) {
+        return keccak256(abi.encode(address(this), _depositId));
+    }
+
+    function getDeposit(uint256 _depositId) external view returns (Deposit memory) {
+        require(deposits[_depositId].payer != address(0), "Deposit does not exist");
+        return deposits[_depositId];
+    }
+
+    function getRequestDeposits(uint256 _requestId) external view returns (uint256[] memory) {
+        return requestDeposits[_requestId];
+    }
+
+    function getPayerDeposits(address _payer) external view returns (uint256[] memory) {
+        return payerDeposits[_payer];
+    }
+
+    function getDepositTokens() external view returns (address[] memory tokens, DepositToken[] memory configs) {
+        tokens = tokenList;
+        configs = new DepositToken[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; i++) {
+            configs[i] = depositTokens[tokens[i]];
+        }
+    }
+
+    // Convert a token amount to XRP drops; the oracle answers in the token's own units
+    function _toDrops(DepositToken storage config, uint256 _amount) internal view returns (uint256) {
+        (uint256 xrpAmount, , ) = requestManager.priceOracle().convertToXRP(config.symbol, _amount, true);
+        return (xrpAmount * 1e6) / (10**config.decimals);
+    }
+
+    function _isCounted(uint256 _depositId, RequestManager.Installment[] memory _installments)
+        internal view returns (bool) {
+        bytes32 ref = depositRef(_depositId);
+        for (uint256 i = 0; i < _installments.length; i++) {
+            if (_installments[i].txHash == ref) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function _send(address _token, address _to, uint256 _amount) internal {
+        if (_token == NATIVE_TOKEN) {
+            (bool sent, ) = payable(_to).call{value: _amount}("");
+            require(sent, "Native transfer failed");
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+    }
+
+    // Admin functions
+    function configureDepositToken(address _token, string memory _symbol, uint8 _decimals, bool _enabled)
+        external onlyRole(ASSET_MANAGER_ROLE) {
+        require(bytes(_symbol).length > 0, "Invalid symbol");
+
+        if (bytes(depositTokens[_token].symbol).length == 0) {
+            tokenList.push(_token);
+        }
+        depositTokens[_token] = DepositToken(_symbol, _decimals, _enabled);
+
+        emit DepositTokenConfigured(_token, _symbol, _decimals, _enabled);
+    }
+
+    function setFeeRecipient(address _recipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        feeRecipient = _recipient;
+        emit FeeRecipientUpdated(_recipient);
+    }
+}
@@ -1,25 +1,78 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import "@openzeppelin/contracts/utils/Counters.sol";
+import "./interfaces/IFdcVerification.sol";
+import "./interfaces/IPriceOracle.sol";
+import "./interfaces/IAssetRegistry.sol";
+import "./libraries/XrplAddress.sol";
+import "./libraries/RequestLifecycle.sol";
 
-// Interface for Flare's FTSO (Time Series Oracle)
-interface IFtsoRegistry {
-    function getCurrentPrice(string memory _symbol) external view returns (uint256 _price, uint256 _timestamp);
-    function getCurrentPriceWithDecimals(string memory _symbol) external view returns (uint256 _price, uint256 _timestamp, uint256 _decimals);
-}
-
-contract RequestManager is Ownable, ReentrancyGuard {
+/**
+ * @dev Payment requests and their settlement. Deployed behind a transparent proxy
+ * (see scripts/deploy.js and scripts/upgrade.js), so requests outlive upgrades.
+ * Storage layout is append-only: new state goes after the existing variables,
+ * taking its slots from `__gap`, and existing variables are never reordered or retyped.
+ * Request management and disputes run in the linked RequestLifecycle library to keep
+ * the contract under the size limit; test/ContractSize.test.js checks the headroom.
+ */
+contract RequestManager is Initializable, AccessControlUpgradeable, PausableUpgradeable, ReentrancyGuardUpgradeable {
     using Counters for Counters.Counter;
     
+    // Roles; DEFAULT_ADMIN_ROLE grants and revokes them and handles the remaining configuration
+    bytes32 public constant ASSET_MANAGER_ROLE = keccak256("ASSET_MANAGER_ROLE");       // asset registry and price oracle
+    bytes32 public constant ATTESTOR_MANAGER_ROLE = keccak256("ATTESTOR_MANAGER_ROLE"); // attestors, threshold and FDC verification
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");                     // emergency stop
+    
     // State variables
     Counters.Counter private _requestIds;
-    IFtsoRegistry public ftsoRegistry;
+    IPriceOracle public priceOracle;
+    IAssetRegistry public assetRegistry; // per-asset amount, slippage and fee limits
+    
+    // Number of matching attestor votes needed to mark a request paid (M of N)
+    uint256 public attestationThreshold;
+    uint256 public attestorCount;
+    
+    // Flare Data Connector verifier for trustless XRPL payment proofs
+    IFdcVerification public fdcVerification;
+    bytes32 public xrplSourceId;
     
     // Request status enum
-    enum RequestStatus { PENDING, PAID, CANCELLED, EXPIRED }
+    enum RequestStatus { PENDING, PAID, CANCELLED, EXPIRED, PARTIALLY_PAID, DECLINED, DISPUTED }
+    
+    // XRP amount locked at request creation (or re-quote) for a fixed period
+    struct Quote {
+        uint256 xrpAmount;  // 0 = floating, converted at payment time
+        uint256 expiry;
+        uint256 duration;
+        uint256 assetPrice; // USD, 18 decimals
+        uint256 xrpPrice;   // USD, 18 decimals
+    }
+    
+    // One attested XRPL payment counted toward a request
+    struct Installment {
+        bytes32 txHash;
+        uint256 amount;
+        uint256 timestamp;
+    }
+    
+    // Payer a directed request is addressed to; empty for open requests
+    struct IntendedPayer {
+        address evmAddress;   // who sees it under "addressed to me"
+        string xrplAddress;   // only payments from this XRPL account count, if set
+        bool hidden;          // left out of the public feed
+    }
+    
+    // Challenge to a payment attestation, raised within `disputeWindow` of settlement
+    struct Dispute {
+        address raisedBy;
+        uint256 raisedAt;
+        string reason;
+    }
     
     // Request struct
     struct Request {
@@ -31,18 +84,55 @@ contract RequestManager is Ownable, ReentrancyGuard {
         uint256 expiry;
         uint16 slippageBp;
         RequestStatus status;
-        bytes32 paidTxHash;
-        uint256 paidAmount;
-        uint256 paidTimestamp;
+        bytes32 paidTxHash;     // last installment
+        uint256 paidAmount;     // cumulative across installments
+        uint256 paidTimestamp;  // last installment
         string message;
+        uint256 paidAssetPrice; // USD price used at settlement, 18 decimals
+        uint256 paidXrpPrice;   // USD price used at settlement, 18 decimals
+        Quote quote;
+        IntendedPayer payer;
     }
     
     // Mappings
-    mapping(uint256 => Request) public requests;
+    mapping(uint256 => Request) internal requests; // read via getRequest; too wide for an auto-getter
     mapping(address => uint256[]) public userRequests;
-    mapping(string => bool) public supportedAssets;
+    mapping(address => uint256[]) public payerRequests; // requests addressed to an EVM address
     mapping(address => bool) public authorizedAttestors;
     
+    mapping(uint256 => Installment[]) internal installments;
+    
+    // keccak256 of an off-chain JSON document (line items, invoice number, notes, attachments); 0 = none
+    mapping(uint256 => bytes32) public metadataHashes;
+    
+    // Contracts allowed to create requests on a creator's behalf (e.g. RecurringRequests, SplitRequests)
+    mapping(address => bool) public requestIssuers;
+    mapping(uint256 => address) public cancellingIssuer; // issuer that cancels and manages a request for its creator, 0 = creator
+    
+    // Attestation votes per XRPL transaction, keyed by hash of (requestId, recipient, txHash, amount, timestamp)
+    mapping(bytes32 => uint256) public attestationVotes;
+    mapping(bytes32 => mapping(address => bytes32)) public attestorVotes;
+    mapping(bytes32 => bytes32) public firstAttestation;
+    
+    // XRPL transactions already counted toward a request
+    mapping(bytes32 => bool) public settledPayments;
+    
+    // Disputes over settled requests, resolved by an admin or an arbiter
+    uint256 public disputeWindow;
+    mapping(uint256 => uint256) public settledAt; // block time a request was marked PAID
+    mapping(uint256 => Dispute) public disputes;
+    mapping(address => bool) public arbiters;
+    
+    // Contracts that settle requests with funds they hold on Flare (e.g. RequestEscrow)
+    mapping(address => bool) public settlementEscrows;
+    
+    // Block time a request was created; XRPL payments made before it don't count toward it.
+    // Zero for requests created before this was recorded, which accept any payment time.
+    mapping(uint256 => uint256) public createdAt;
+    
+    // Reserved for state added by future upgrades
+    uint256[48] private __gap;
+    
     // Events
     event RequestCreated(
         uint256 indexed requestId,
@@ -61,10 +151,65 @@ contract RequestManager is Ownable, ReentrancyGuard {
         uint256 timestamp
     );
     
+    event PaymentReceived(
+        uint256 indexed requestId,
+        bytes32 indexed txHash,
+        uint256 amount,
+        uint256 timestamp,
+        uint256 totalPaid
+    );
+    
+    event RequestDirected(
+        uint256 indexed requestId,
+        address indexed payer,
+        string payerXRPL,
+        bool hidden
+    );
+    
+    event RequestQuoted(
+        uint256 indexed requestId,
+        uint256 xrpAmount,
+        uint256 quoteExpiry,
+        uint256 assetPrice,
+        uint256 xrpPrice
+    );
+    
+    event RequestDeclined(uint256 indexed requestId, address indexed payer);
+    event PaymentDisputed(uint256 indexed requestId, address indexed raisedBy, string reason);
+    event DisputeResolved(uint256 indexed requestId, address indexed resolver, bool paymentUpheld);
+    event DisputeWindowUpdated(uint256 window);
+    event ArbiterUpdated(address indexed arbiter, bool allowed);
     event RequestCancelled(uint256 indexed requestId);
     event RequestExpired(uint256 indexed requestId);
+    event RequestRecipientUpdated(uint256 indexed requestId, string previousRecipientXRPL, string recipientXRPL);
+    event RequestOwnershipTransferred(uint256 indexed requestId, address indexed previousCreator, address indexed newCreator);
+    event RequestExpiryExtended(uint256 indexed requestId, uint256 previousExpiry, uint256 expiry);
+    event RequestIssuerUpdated(address indexed issuer, bool allowed);
+    event SettlementEscrowUpdated(address indexed escrow, bool allowed);
+    event RequestMetadataSet(uint256 indexed requestId, bytes32 metadataHash);
     event AttestorAdded(address indexed attestor);
     event AttestorRemoved(address indexed attestor);
+    event AttestationThresholdUpdated(uint256 threshold);
+    event FdcVerificationUpdated(address indexed verifier, bytes32 sourceId);
+    event PriceOracleUpdated(address indexed oracle);
+    event AssetRegistryUpdated(address indexed registry);
+    
+    event AttestationVoteCast(
+        uint256 indexed requestId,
+        address indexed attestor,
+        bytes32 indexed attestationKey,
+        bytes32 txHash,
+        uint256 paidAmount,
+        uint256 timestamp,
+        uint256 votes
+    );
+    
+    event AttestationConflict(
+        uint256 indexed requestId,
+        address indexed attestor,
+        bytes32 firstAttestationKey,
+        bytes32 conflictingAttestationKey
+    );
     
     // Modifiers
     modifier onlyAuthorizedAttestor() {
@@ -72,21 +217,40 @@ contract RequestManager is Ownable, ReentrancyGuard {
         _;
     }
     
+    // Checked in a function rather than inlined, to keep the contract under the size limit
     modifier validRequest(uint256 _requestId) {
-        require(_requestId <= _requestIds.current(), "Invalid request ID");
-        require(requests[_requestId].creator != address(0), "Request does not exist");
+        _checkValidRequest(_requestId);
         _;
     }
     
-    constructor(address _ftsoRegistry) {
-        ftsoRegistry = IFtsoRegistry(_ftsoRegistry);
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the proxy's state; runs once, in place of a constructor
+     */
+    function initialize(address _priceOracle, address _assetRegistry) external initializer {
+        __AccessControl_init();
+        __Pausable_init();
+        __ReentrancyGuard_init();
+        
+        priceOracle = IPriceOracle(_priceOracle);
+        assetRegistry = IAssetRegistry(_assetRegistry);
+        attestationThreshold = 1;
+        disputeWindow = 3 days;
         
-        // Initialize supported assets
-        supportedAssets["ETH"] = true;
-        supportedAssets["XRP"] = true;
-        supportedAssets["BTC"] = true;
-        supportedAssets["USDT"] = true;
-        supportedAssets["USDC"] = true;
+        // The deployer starts with every role and hands them out from there
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(ASSET_MANAGER_ROLE, msg.sender);
+        _grantRole(ATTESTOR_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+    }
+    
+    function _checkValidRequest(uint256 _requestId) internal view {
+        require(_requestId <= _requestIds.current(), "Invalid request ID");
+        require(requests[_requestId].creator != address(0), "Request does not exist");
     }
     
     /**
@@ -100,18 +264,128 @@ contract RequestManager is Ownable, ReentrancyGuard {
         uint16 _slippageBp,
         string memory _message
     ) external returns (uint256) {
-        require(bytes(_recipientXRPL).length > 0, "Invalid recipient XRPL address");
-        require(supportedAssets[_assetSymbol], "Asset not supported");
-        require(_assetAmount > 0, "Amount must be greater than 0");
+        return _createRequest(msg.sender, _recipientXRPL, _assetSymbol, _assetAmount, _expiry, _slippageBp, _message);
+    }
+    
+    /**
+     * @dev Create a payment request whose XRP amount is locked at current FTSO
+     * prices for `_quoteDuration` seconds, so the payer sees a fixed amount
+     */
+    function createQuotedRequest(
+        string memory _recipientXRPL,
+        string memory _assetSymbol,
+        uint256 _assetAmount,
+        uint256 _expiry,
+        uint16 _slippageBp,
+        string memory _message,
+        uint256 _quoteDuration
+    ) external returns (uint256) {
+        require(_quoteDuration > 0, "Quote duration must be greater than 0");
+        
+        uint256 requestId = _createRequest(msg.sender, _recipientXRPL, _assetSymbol, _assetAmount, _expiry, _slippageBp, _message);
+        requests[requestId].quote.duration = _quoteDuration;
+        _lockQuote(requests[requestId]);
+        
+        return requestId;
+    }
+    
+    /**
+     * @dev Create a request addressed to a specific payer, identified by EVM address
+     * and/or XRPL account. With an XRPL account set, only payments from that account
+     * count toward the request; `_payer.hidden` keeps it out of the public feed.
+     * A non-zero `_quoteDuration` locks the XRP amount as in createQuotedRequest.
+     */
+    function createDirectedRequest(
+        string memory _recipientXRPL,
+        string memory _assetSymbol,
+        uint256 _assetAmount,
+        uint256 _expiry,
+        uint16 _slippageBp,
+        string memory _message,
+        IntendedPayer memory _payer,
+        uint256 _quoteDuration
+    ) external returns (uint256) {
+        uint256 requestId = _createRequest(msg.sender, _recipientXRPL, _assetSymbol, _assetAmount, _expiry, _slippageBp, _message);
+        _setIntendedPayer(requests[requestId], _payer);
+        
+        if (_quoteDuration > 0) {
+            requests[requestId].quote.duration = _quoteDuration;
+            _lockQuote(requests[requestId]);
+        }
+        
+        return requestId;
+    }
+    
+    function _setIntendedPayer(Request storage request, IntendedPayer memory _payer) internal {
+        require(_payer.evmAddress != address(0) || bytes(_payer.xrplAddress).length > 0, "Payer needs an EVM or XRPL address");
+        require(bytes(_payer.xrplAddress).length == 0 || XrplAddress.isValidClassicAddress(_payer.xrplAddress), "Invalid payer XRPL address");
+        
+        request.payer = _payer;
+        if (_payer.evmAddress != address(0)) {
+            payerRequests[_payer.evmAddress].push(request.id);
+        }
+        
+        emit RequestDirected(request.id, _payer.evmAddress, _payer.xrplAddress, _payer.hidden);
+    }
+    
+    /**
+     * @dev Create a request on behalf of `_creator` (only request issuers)
+     */
+    function createRequestFor(
+        address _creator,
+        string memory _recipientXRPL,
+        string memory _assetSymbol,
+        uint256 _assetAmount,
+        uint256 _expiry,
+        uint16 _slippageBp,
+        string memory _message
+    ) external returns (uint256) {
+        require(requestIssuers[msg.sender], "Not a request issuer");
+        return _createRequest(_creator, _recipientXRPL, _assetSymbol, _assetAmount, _expiry, _slippageBp, _message);
+    }
+    
+    /**
+     * @dev Create a request on behalf of `_creator` addressed to `_payer` (only request
+     * issuers). Only the issuer can cancel it, so requests it groups together (e.g. the
+     * shares of a split) are cancelled together.
+     */
+    function createDirectedRequestFor(
+        address _creator,
+        string memory _recipientXRPL,
+        string memory _assetSymbol,
+        uint256 _assetAmount,
+        uint256 _expiry,
+        uint16 _slippageBp,
+        string memory _message,
+        IntendedPayer memory _payer
+    ) external returns (uint256) {
+        require(requestIssuers[msg.sender], "Not a request issuer");
+        uint256 requestId = _createRequest(_creator, _recipientXRPL, _assetSymbol, _assetAmount, _expiry, _slippageBp, _message);
+        _setIntendedPayer(requests[requestId], _payer);
+        cancellingIssuer[requestId] = msg.sender;
+        
+        return requestId;
+    }
+    
+    function _createRequest(
+        address _creator,
+        string memory _recipientXRPL,
+        string memory _assetSymbol,
+        uint256 _assetAmount,
+        uint256 _expiry,
+        uint16 _slippageBp,
+        string memory _message
+    ) internal whenNotPaused returns (uint256) {
+        require(XrplAddress.isValidClassicAddress(_recipientXRPL), "Invalid recipient XRPL address");
         require(_expiry > block.timestamp, "Expiry must be in the future");
-        require(_slippageBp <= 1000, "Slippage cannot exceed 10%"); // 1000 bp = 10%
+        assetRegistry.validateRequest(_assetSymbol, _assetAmount, _slippageBp);
         
         _requestIds.increment();
         uint256 newRequestId = _requestIds.current();
         
         Request storage newRequest = requests[newRequestId];
         newRequest.id = newRequestId;
-        newRequest.creator = msg.sender;
+        newRequest.creator = _creator;
         newRequest.recipientXRPL = _recipientXRPL;
         newRequest.assetSymbol = _assetSymbol;
         newRequest.assetAmount = _assetAmount;
@@ -119,12 +393,13 @@ contract RequestManager is Ownable, ReentrancyGuard {
         newRequest.slippageBp = _slippageBp;
         newRequest.status = RequestStatus.PENDING;
         newRequest.message = _message;
+        createdAt[newRequestId] = block.timestamp;
         
-        userRequests[msg.sender].push(newRequestId);
+        userRequests[_creator].push(newRequestId);
         
         emit RequestCreated(
             newRequestId,
-            msg.sender,
+            _creator,
             _recipientXRPL,
             _assetSymbol,
             _assetAmount,
@@ -136,35 +411,239 @@ contract RequestManager is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Submit payment attestation from XRPL
+     * @dev Lock a fresh quote on a quoted request once its previous lock has lapsed.
+     * Open requests have no known payer until they pay, so anyone may refresh the
+     * quote; directed requests only by the creator or the intended payer.
+     */
+    function requoteRequest(uint256 _requestId) 
+        external validRequest(_requestId) {
+        
+        Request storage request = requests[_requestId];
+        require(request.quote.duration > 0, "Request has no quote");
+        require(_isOpen(request), "Request not open");
+        require(block.timestamp <= request.expiry, "Request expired");
+        require(block.timestamp > request.quote.expiry, "Quote still locked");
+        require(
+            request.payer.evmAddress == address(0) ||
+                msg.sender == request.creator || msg.sender == request.payer.evmAddress,
+            "Only creator or intended payer"
+        );
+        
+        _lockQuote(request);
+    }
+    
+    function _lockQuote(Request storage request) internal {
+        (uint256 xrpAmount, uint256 assetPrice, uint256 xrpPrice) = 
+            priceOracle.convertToXRP(request.assetSymbol, request.assetAmount, true);
+        
+        uint256 quoteExpiry = block.timestamp + request.quote.duration;
+        if (quoteExpiry > request.expiry) {
+            quoteExpiry = request.expiry;
+        }
+        
+        request.quote.xrpAmount = xrpAmount;
+        request.quote.expiry = quoteExpiry;
+        request.quote.assetPrice = assetPrice;
+        request.quote.xrpPrice = xrpPrice;
+        
+        emit RequestQuoted(request.id, xrpAmount, quoteExpiry, assetPrice, xrpPrice);
+    }
+    
+    /**
+     * @dev Submit payment attestation from XRPL. Each attestor votes once per
+     * XRPL transaction; the payment is counted toward the request when
+     * `attestationThreshold` attestors have voted for the same (txHash, amount, timestamp,
+     * source). `_sourceAddressHash` is the keccak256 of the paying XRPL account, checked
+     * against the intended payer as in `submitPaymentProof`.
+     * Votes also bind the current recipient, so votes cast before a recipient change
+     * never combine with votes cast after it.
      */
     function submitPaymentAttestation(
         uint256 _requestId,
         bytes32 _txHash,
         uint256 _paidAmountXRP,
-        uint256 _timestamp
-    ) external onlyAuthorizedAttestor validRequest(_requestId) nonReentrant {
+        uint256 _timestamp,
+        bytes32 _sourceAddressHash
+    ) external onlyAuthorizedAttestor validRequest(_requestId) whenNotPaused nonReentrant {
         Request storage request = requests[_requestId];
         
-        require(request.status == RequestStatus.PENDING, "Request not pending");
+        require(_isOpen(request), "Request not open");
         require(block.timestamp <= request.expiry, "Request expired");
         require(_timestamp <= block.timestamp, "Future timestamp not allowed");
+        require(_timestamp >= createdAt[_requestId], "Paid before request created");
+        require(_paidAmountXRP > 0, "Nothing paid");
+        require(
+            bytes(request.payer.xrplAddress).length == 0 ||
+                _sourceAddressHash == keccak256(bytes(request.payer.xrplAddress)),
+            "Not from intended payer"
+        );
+        require(!settledPayments[_txHash], "Payment already counted");
+        require(attestorVotes[_txHash][msg.sender] == bytes32(0), "Attestor already voted");
+        
+        bytes32 attestationKey = keccak256(
+            abi.encode(
+                _requestId,
+                keccak256(bytes(request.recipientXRPL)),
+                _txHash,
+                _paidAmountXRP,
+                _timestamp,
+                _sourceAddressHash
+            )
+        );
+        attestorVotes[_txHash][msg.sender] = attestationKey;
+        uint256 votes = ++attestationVotes[attestationKey];
         
-        // Calculate required XRP amount using FTSO
-        uint256 requiredXRP = calculateXRPAmount(request.assetSymbol, request.assetAmount);
+        emit AttestationVoteCast(_requestId, msg.sender, attestationKey, _txHash, _paidAmountXRP, _timestamp, votes);
         
-        // Apply slippage tolerance
-        uint256 minAcceptableAmount = (requiredXRP * (10000 - request.slippageBp)) / 10000;
+        if (firstAttestation[_txHash] == bytes32(0)) {
+            firstAttestation[_txHash] = attestationKey;
+        } else if (firstAttestation[_txHash] != attestationKey) {
+            emit AttestationConflict(_requestId, msg.sender, firstAttestation[_txHash], attestationKey);
+        }
         
-        require(_paidAmountXRP >= minAcceptableAmount, "Insufficient payment amount");
+        if (votes < attestationThreshold) {
+            return;
+        }
         
-        // Mark as paid
+        _recordPayment(request, _txHash, _paidAmountXRP, _timestamp);
+    }
+    
+    /**
+     * @dev Count an XRPL payment toward a request with an FDC XRPPayment proof instead
+     * of attestor votes. Callable by anyone, since the proof itself is verified against
+     * the FDC Merkle root.
+     */
+    function submitPaymentProof(uint256 _requestId, IXRPPayment.Proof calldata _proof) 
+        external validRequest(_requestId) whenNotPaused nonReentrant {
+        require(address(fdcVerification) != address(0), "FDC verification not configured");
+        require(fdcVerification.verifyXRPPayment(_proof), "Invalid payment proof");
+        
+        Request storage request = requests[_requestId];
+        IXRPPayment.ResponseBody calldata payment = _proof.data.responseBody;
+        bytes32 txHash = _proof.data.requestBody.transactionId;
+        
+        require(_isOpen(request), "Request not open");
+        require(_proof.data.sourceId == xrplSourceId, "Wrong source chain");
+        require(!settledPayments[txHash], "Payment already counted");
+        require(payment.status == 0, "Payment not successful");
+        require(payment.receivingAddressHash == keccak256(bytes(request.recipientXRPL)), "Wrong destination");
+        require(
+            bytes(request.payer.xrplAddress).length == 0 ||
+                payment.sourceAddressHash == keccak256(bytes(request.payer.xrplAddress)),
+            "Not from intended payer"
+        );
+        require(payment.hasDestinationTag && payment.destinationTag == _requestId, "Wrong destination tag");
+        require(payment.blockTimestamp >= createdAt[_requestId], "Paid before request created");
+        require(payment.blockTimestamp <= request.expiry, "Paid after expiry");
+        require(payment.receivedAmount > 0, "Nothing received");
+        
+        _recordPayment(request, txHash, uint256(payment.receivedAmount), payment.blockTimestamp);
+    }
+    
+    /**
+     * @dev Count a payment made on Flare toward a request (only settlement escrows).
+     * `_depositRef` stands in for the XRPL transaction hash and `_xrpValue` is the
+     * deposit's FTSO value in drops. Directed requests only accept deposits from
+     * their intended payer's EVM address.
+     */
+    function recordEscrowPayment(
+        uint256 _requestId,
+        bytes32 _depositRef,
+        uint256 _xrpValue,
+        address _payer
+    ) external validRequest(_requestId) whenNotPaused nonReentrant {
+        require(settlementEscrows[msg.sender], "Not a settlement escrow");
+        
+        Request storage request = requests[_requestId];
+        require(_isOpen(request), "Request not open");
+        require(block.timestamp <= request.expiry, "Request expired");
+        require(!settledPayments[_depositRef], "Payment already counted");
+        require(_xrpValue > 0, "Nothing paid");
+        require(
+            request.payer.evmAddress == address(0)
+                ? bytes(request.payer.xrplAddress).length == 0
+                : request.payer.evmAddress == _payer,
+            "Not from intended payer"
+        );
+        
+        _recordPayment(request, _depositRef, _xrpValue, block.timestamp);
+    }
+    
+    /**
+     * @dev Add an installment to a request and complete it once the cumulative
+     * amount clears what is due at the installment's time
+     */
+    function _recordPayment(
+        Request storage request,
+        bytes32 _txHash,
+        uint256 _amount,
+        uint256 _timestamp
+    ) internal {
+        settledPayments[_txHash] = true;
+        installments[request.id].push(Installment(_txHash, _amount, _timestamp));
+        request.paidAmount += _amount;
+        
+        emit PaymentReceived(request.id, _txHash, _amount, _timestamp, request.paidAmount);
+        
+        (uint256 minAcceptableAmount, uint256 assetPrice, uint256 xrpPrice) = _requiredPayment(request, _timestamp);
+        if (request.paidAmount >= minAcceptableAmount) {
+            _markPaid(request, _txHash, _timestamp, assetPrice, xrpPrice);
+        } else {
+            request.status = RequestStatus.PARTIALLY_PAID;
+            request.paidTxHash = _txHash;
+            request.paidTimestamp = _timestamp;
+        }
+    }
+    
+    function _isOpen(Request storage request) internal view returns (bool) {
+        return request.status == RequestStatus.PENDING || request.status == RequestStatus.PARTIALLY_PAID;
+    }
+    
+    /**
+     * @dev Minimum XRP a payment made at `_paymentTimestamp` must deliver, with the
+     * prices behind it: the locked quote while it holds, otherwise current (fresh)
+     * FTSO prices less the request's slippage tolerance
+     */
+    function _requiredPayment(Request storage request, uint256 _paymentTimestamp) 
+        internal view returns (uint256 minAcceptableAmount, uint256 assetPrice, uint256 xrpPrice) {
+        if (request.quote.xrpAmount > 0 && _paymentTimestamp <= request.quote.expiry) {
+            return (request.quote.xrpAmount, request.quote.assetPrice, request.quote.xrpPrice);
+        }
+        
+        uint256 requiredXRP;
+        (requiredXRP, assetPrice, xrpPrice) = priceOracle.convertToXRP(request.assetSymbol, request.assetAmount, true);
+        minAcceptableAmount = (requiredXRP * (10000 - request.slippageBp)) / 10000;
+    }
+    
+    function _markPaid(
+        Request storage request,
+        bytes32 _txHash,
+        uint256 _timestamp,
+        uint256 _assetPrice,
+        uint256 _xrpPrice
+    ) internal {
         request.status = RequestStatus.PAID;
         request.paidTxHash = _txHash;
-        request.paidAmount = _paidAmountXRP;
         request.paidTimestamp = _timestamp;
+        request.paidAssetPrice = _assetPrice;
+        request.paidXrpPrice = _xrpPrice;
+        settledAt[request.id] = block.timestamp;
         
-        emit RequestPaid(_requestId, _txHash, _paidAmountXRP, _timestamp);
+        emit RequestPaid(request.id, _txHash, request.paidAmount, _timestamp);
+    }
+    
+    /**
+     * @dev XRP (drops) a request still needs right now to complete, 0 once settled
+     */
+    function getRequiredPayment(uint256 _requestId) 
+        external view validRequest(_requestId) returns (uint256) {
+        Request storage request = requests[_requestId];
+        if (!_isOpen(request)) {
+            return 0;
+        }
+        
+        (uint256 minAcceptableAmount, , ) = _requiredPayment(request, block.timestamp);
+        return minAcceptableAmount > request.paidAmount ? minAcceptableAmount - request.paidAmount : 0;
     }
     
     /**
@@ -172,49 +651,111 @@ contract RequestManager is Ownable, ReentrancyGuard {
      */
     function calculateXRPAmount(string memory _assetSymbol, uint256 _assetAmount) 
         public view returns (uint256) {
-        
-        if (keccak256(bytes(_assetSymbol)) == keccak256(bytes("XRP"))) {
-            return _assetAmount;
-        }
-        
-        // Get asset price in USD
-        (uint256 assetPrice, , uint256 assetDecimals) = ftsoRegistry.getCurrentPriceWithDecimals(_assetSymbol);
-        (uint256 xrpPrice, , uint256 xrpDecimals) = ftsoRegistry.getCurrentPriceWithDecimals("XRP");
-        
-        require(assetPrice > 0 && xrpPrice > 0, "Invalid price data");
-        
-        // Convert to XRP: (assetAmount * assetPrice / xrpPrice) adjusted for decimals
-        uint256 xrpAmount = (_assetAmount * assetPrice * (10**xrpDecimals)) / (xrpPrice * (10**assetDecimals));
-        
+        (uint256 xrpAmount, , ) = priceOracle.convertToXRP(_assetSymbol, _assetAmount, false);
         return xrpAmount;
     }
     
     /**
-     * @dev Get current exchange rate for UI display
+     * @dev Get current exchange rate for UI display (USD prices, 18 decimals)
      */
     function getExchangeRate(string memory _assetSymbol) 
         external view returns (uint256 assetPrice, uint256 xrpPrice, uint256 timestamp) {
-        
-        (assetPrice, timestamp,) = ftsoRegistry.getCurrentPriceWithDecimals(_assetSymbol);
-        (xrpPrice,,) = ftsoRegistry.getCurrentPriceWithDecimals("XRP");
-        
-        return (assetPrice, xrpPrice, timestamp);
+        return priceOracle.getExchangeRate(_assetSymbol);
     }
     
     /**
-     * @dev Cancel a request (only creator)
+     * @dev Cancel a request (only creator, or the issuer that cancels it on their behalf)
      */
     function cancelRequest(uint256 _requestId) 
         external validRequest(_requestId) {
         
         Request storage request = requests[_requestId];
-        require(request.creator == msg.sender, "Only creator can cancel");
-        require(request.status == RequestStatus.PENDING, "Can only cancel pending requests");
+        address issuer = cancellingIssuer[_requestId];
+        if (issuer == address(0)) {
+            require(request.creator == msg.sender, "Only creator can cancel");
+        } else {
+            require(issuer == msg.sender, "Cancel through its issuer");
+        }
+        require(_isOpen(request), "Can only cancel open requests");
         
         request.status = RequestStatus.CANCELLED;
         emit RequestCancelled(_requestId);
     }
     
+    /**
+     * @dev Correct the XRPL address a request is paid to (only creator, or its issuer).
+     * Only before anything has been counted toward it; attestation votes already cast
+     * for the previous address can no longer reach the threshold.
+     */
+    function updateRecipient(uint256 _requestId, string memory _recipientXRPL) 
+        external validRequest(_requestId) {
+        
+        RequestLifecycle.updateRecipient(_managedRequest(_requestId), _recipientXRPL);
+    }
+    
+    /**
+     * @dev Hand a request, and whatever it collects, to another EVM address (only
+     * creator, or its issuer). The request moves between the creators' request
+     * lists; the previous creator's list does not keep its order.
+     */
+    function transferRequestOwnership(uint256 _requestId, address _newCreator) 
+        external validRequest(_requestId) {
+        
+        RequestLifecycle.transferOwnership(_managedRequest(_requestId), userRequests, _newCreator);
+    }
+    
+    /**
+     * @dev Push back the expiry of an open, unexpired request (only creator, or its issuer)
+     */
+    function extendExpiry(uint256 _requestId, uint256 _expiry) 
+        external validRequest(_requestId) {
+        
+        RequestLifecycle.extendExpiry(_managedRequest(_requestId), _expiry);
+    }
+    
+    // Requests an issuer grouped together (e.g. split shares) are managed through that issuer
+    function _managedRequest(uint256 _requestId) internal view returns (Request storage request) {
+        request = requests[_requestId];
+        address issuer = cancellingIssuer[_requestId];
+        require(issuer == address(0) ? request.creator == msg.sender : issuer == msg.sender, "Only creator or its issuer");
+    }
+    
+    /**
+     * @dev Decline a directed request (only its intended payer)
+     */
+    function declineRequest(uint256 _requestId) 
+        external validRequest(_requestId) {
+        
+        Request storage request = requests[_requestId];
+        require(request.payer.evmAddress == msg.sender, "Only intended payer can decline");
+        require(request.status == RequestStatus.PENDING, "Can only decline unpaid requests");
+        
+        request.status = RequestStatus.DECLINED;
+        emit RequestDeclined(_requestId, msg.sender);
+    }
+    
+    /**
+     * @dev Flag the attestation that settled a request as wrong (creator or intended
+     * payer, within `disputeWindow` of settlement). The request stays DISPUTED until
+     * an admin or an arbiter resolves it.
+     */
+    function disputePayment(uint256 _requestId, string memory _reason) 
+        external validRequest(_requestId) {
+        RequestLifecycle.disputePayment(requests[_requestId], disputes, settledAt[_requestId] + disputeWindow, _reason);
+    }
+    
+    /**
+     * @dev Resolve a dispute (admin or arbiter). Upholding restores PAID; otherwise
+     * the attested payments are discarded and the request reopens as PENDING. The
+     * discarded XRPL transactions stay settled, so they cannot be attested again.
+     */
+    function resolveDispute(uint256 _requestId, bool _upholdPayment) 
+        external validRequest(_requestId) {
+        
+        require(arbiters[msg.sender] || hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Not an arbiter");
+        RequestLifecycle.resolveDispute(requests[_requestId], installments, _upholdPayment);
+    }
+    
     /**
      * @dev Mark expired requests (callable by anyone)
      */
@@ -222,13 +763,46 @@ contract RequestManager is Ownable, ReentrancyGuard {
         external validRequest(_requestId) {
         
         Request storage request = requests[_requestId];
-        require(request.status == RequestStatus.PENDING, "Request not pending");
+        require(_isOpen(request), "Request not open");
         require(block.timestamp > request.expiry, "Request not yet expired");
         
         request.status = RequestStatus.EXPIRED;
         emit RequestExpired(_requestId);
     }
     
+    /**
+     * @dev Mark a batch of overdue requests expired (callable by anyone, e.g. a keeper).
+     * Ids that don't exist, are no longer open or haven't expired yet are skipped
+     * so one stale id doesn't revert the sweep. Returns how many were expired.
+     */
+    function markExpiredBatch(uint256[] calldata _ids) external returns (uint256) {
+        return RequestLifecycle.markExpiredBatch(requests, _ids);
+    }
+    
+    /**
+     * @dev Attach the hash of an off-chain metadata document to a request (only creator).
+     * It can be set once, before any payment, so payers see what they are paying for.
+     */
+    function setMetadataHash(uint256 _requestId, bytes32 _metadataHash) 
+        external validRequest(_requestId) {
+        
+        Request storage request = requests[_requestId];
+        require(msg.sender == request.creator, "Only creator can set metadata");
+        require(request.status == RequestStatus.PENDING && request.paidAmount == 0, "Request already paid");
+        require(_metadataHash != bytes32(0), "Invalid metadata hash");
+        require(metadataHashes[_requestId] == bytes32(0), "Metadata already set");
+        
+        metadataHashes[_requestId] = _metadataHash;
+        emit RequestMetadataSet(_requestId, _metadataHash);
+    }
+    
+    /**
+     * @dev Whether new requests can be created in an asset
+     */
+    function supportedAssets(string memory _symbol) external view returns (bool) {
+        return assetRegistry.isSupported(_symbol);
+    }
+    
     /**
      * @dev Get request details
      */
@@ -237,6 +811,22 @@ contract RequestManager is Ownable, ReentrancyGuard {
         return requests[_requestId];
     }
     
+    /**
+     * @dev Get the XRPL payments counted toward a request
+     */
+    function getInstallments(uint256 _requestId) 
+        external view validRequest(_requestId) returns (Installment[] memory) {
+        return installments[_requestId];
+    }
+    
+    /**
+     * @dev Get requests addressed to a payer's EVM address
+     */
+    function getPayerRequests(address _payer) 
+        external view returns (uint256[] memory) {
+        return payerRequests[_payer];
+    }
+    
     /**
      * @dev Get user's requests
      */
@@ -253,25 +843,72 @@ contract RequestManager is Ownable, ReentrancyGuard {
     }
     
     // Admin functions
-    function addAuthorizedAttestor(address _attestor) external onlyOwner {
+    function addAuthorizedAttestor(address _attestor) external onlyRole(ATTESTOR_MANAGER_ROLE) {
+        require(!authorizedAttestors[_attestor], "Already an attestor");
         authorizedAttestors[_attestor] = true;
+        attestorCount++;
         emit AttestorAdded(_attestor);
     }
     
-    function removeAuthorizedAttestor(address _attestor) external onlyOwner {
+    function removeAuthorizedAttestor(address _attestor) external onlyRole(ATTESTOR_MANAGER_ROLE) {
+        require(authorizedAttestors[_attestor], "Not an attestor");
+        require(attestorCount > attestationThreshold, "Would drop below attestation threshold");
         authorizedAttestors[_attestor] = false;
+        attestorCount--;
         emit AttestorRemoved(_attestor);
     }
     
-    function addSupportedAsset(string memory _symbol) external onlyOwner {
-        supportedAssets[_symbol] = true;
+    function setAttestationThreshold(uint256 _threshold) external onlyRole(ATTESTOR_MANAGER_ROLE) {
+        require(_threshold > 0 && _threshold <= attestorCount, "Invalid attestation threshold");
+        attestationThreshold = _threshold;
+        emit AttestationThresholdUpdated(_threshold);
     }
     
-    function removeSupportedAsset(string memory _symbol) external onlyOwner {
-        supportedAssets[_symbol] = false;
+    function setAssetRegistry(address _assetRegistry) external onlyRole(ASSET_MANAGER_ROLE) {
+        assetRegistry = IAssetRegistry(_assetRegistry);
+        emit AssetRegistryUpdated(_assetRegistry);
     }
     
-    function updateFtsoRegistry(address _newRegistry) external onlyOwner {
-        ftsoRegistry = IFtsoRegistry(_newRegistry);
+    function setPriceOracle(address _priceOracle) external onlyRole(ASSET_MANAGER_ROLE) {
+        priceOracle = IPriceOracle(_priceOracle);
+        emit PriceOracleUpdated(_priceOracle);
     }
-}
\ No newline at end of file
+    
+    function setDisputeWindow(uint256 _window) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        disputeWindow = _window;
+        emit DisputeWindowUpdated(_window);
+    }
+    
+    function setArbiter(address _arbiter, bool _allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        arbiters[_arbiter] = _allowed;
+        emit ArbiterUpdated(_arbiter, _allowed);
+    }
+    
+    function setRequestIssuer(address _issuer, bool _allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        requestIssuers[_issuer] = _allowed;
+        emit RequestIssuerUpdated(_issuer, _allowed);
+    }
+    
+    function setSettlementEscrow(address _escrow, bool _allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        settlementEscrows[_escrow] = _allowed;
+        emit SettlementEscrowUpdated(_escrow, _allowed);
+    }
+    
+    function setFdcVerification(address _verifier, bytes32 _xrplSourceId) external onlyRole(ATTESTOR_MANAGER_ROLE) {
+        fdcVerification = IFdcVerification(_verifier);
+        xrplSourceId = _xrplSourceId;
+        emit FdcVerificationUpdated(_verifier, _xrplSourceId);
+    }
+    
+    /**
+     * @dev Halt request creation, payment attestation and escrow deposits. Cancelling, expiring,
+     * declining and disputing stay available so users can wind requests down.
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+}
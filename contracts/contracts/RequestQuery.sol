@@ -0,0 +1,130 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./RequestManager.sol";
+import "./SplitRequests.sol";
+
+/**
+ * @dev Read-only paging over RequestManager, so clients can list requests in a
+ * single call instead of one getRequest per id. Pages are newest first and
+ * splitIds[i] is the split page[i] belongs to (0 for standalone requests).
+ *
+ * Each call examines at most MAX_SCAN requests, so a sparse filter over a long
+ * history can't run a call out of gas. A page may therefore hold fewer than
+ * `_limit` matches; pass the returned `nextCursor` back to continue, until it is 0.
+ */
+contract RequestQuery {
+    RequestManager public immutable requestManager;
+    SplitRequests public immutable splitRequests;
+
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    uint256 public constant MAX_SCAN = 200; // ~60k gas per request read, well under eth_call gas caps
+
+    // Empty/zero fields match everything
+    struct Filter {
+        uint256 statusMask;   // bit (1 << status) per accepted RequestStatus, 0 = any
+        string assetSymbol;   // empty = any asset
+        bool excludeExpired;  // skip requests past their expiry
+        bool excludeHidden;   // skip directed requests hidden from the public feed
+    }
+
+    constructor(address _requestManager, address _splitRequests) {
+        requestManager = RequestManager(_requestManager);
+        splitRequests = SplitRequests(_splitRequests);
+    }
+
+    /**
+     * @dev Page through all requests, starting at `_cursor` (0 = newest)
+     */
+    function getRequestsPage(uint256 _cursor, uint256 _limit, Filter calldata _filter)
+        external view returns (
+            RequestManager.Request[] memory page,
+            uint256[] memory splitIds,
+            uint256 nextCursor,
+            uint256 scanned
+        ) {
+        return _page(new uint256[](0), true, _cursor, _limit, _filter);
+    }
+
+    /**
+     * @dev Page through the requests a user created, starting at `_cursor` (0 = newest)
+     */
+    function getUserRequestsPage(address _user, uint256 _cursor, uint256 _limit, Filter calldata _filter)
+        external view returns (
+            RequestManager.Request[] memory page,
+            uint256[] memory splitIds,
+            uint256 nextCursor,
+            uint256 scanned
+        ) {
+        return _page(requestManager.getUserRequests(_user), false, _cursor, _limit, _filter);
+    }
+
+    /**
+     * @dev Page through the requests addressed to a payer, starting at `_cursor` (0 = newest)
+     */
+    function getPayerRequestsPage(address _payer, uint256 _cursor, uint256 _limit, Filter calldata _filter)
+        external view returns (
+            RequestManager.Request[] memory page,
+            uint256[] memory splitIds,
+            uint256 nextCursor,
+            uint256 scanned
+        ) {
+        return _page(requestManager.getPayerRequests(_payer), false, _cursor, _limit, _filter);
+    }
+
+    /**
+     * @dev Walk `_ids` (or every request id when `_all`) newest first from position
+     * `_cursor`, collecting up to `_limit` matches and examining at most MAX_SCAN.
+     * Positions count from 1, so `nextCursor` is 0 once the list is exhausted.
+     */
+    function _page(
+        uint256[] memory _ids,
+        bool _all,
+        uint256 _cursor,
+        uint256 _limit,
+        Filter calldata _filter
+    ) internal view returns (
+        RequestManager.Request[] memory page,
+        uint256[] memory splitIds,
+        uint256 nextCursor,
+        uint256 scanned
+    ) {
+        require(_limit > 0 && _limit <= MAX_PAGE_SIZE, "Invalid page size");
+
+        RequestManager.Request[] memory found = new RequestManager.Request[](_limit);
+        uint256 count;
+        uint256 total = _all ? requestManager.getTotalRequests() : _ids.length;
+        uint256 position = _cursor == 0 || _cursor > total ? total : _cursor;
+
+        for (; position > 0 && count < _limit && scanned < MAX_SCAN; position--) {
+            scanned++;
+            RequestManager.Request memory request = requestManager.getRequest(_all ? position : _ids[position - 1]);
+            if (_matches(request, _filter)) {
+                found[count++] = request;
+            }
+        }
+        nextCursor = position;
+
+        page = new RequestManager.Request[](count);
+        splitIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            page[i] = found[i];
+            splitIds[i] = splitRequests.splitOfRequest(found[i].id);
+        }
+    }
+
+    function _matches(RequestManager.Request memory _request, Filter calldata _filter)
+        internal view returns (bool) {
+        if (_filter.statusMask != 0 && _filter.statusMask & (1 << uint8(_request.status)) == 0) {
+            return false;
+        }
+        if (bytes(_filter.assetSymbol).length > 0 &&
+            keccak256(bytes(_request.assetSymbol)) != keccak256(bytes(_filter.assetSymbol))) {
+            return false;
+        }
+        if (_filter.excludeExpired && _request.expiry < block.timestamp) {
+            return false;
+        }
+        return !(_filter.excludeHidden && _request.payer.hidden);
+    }
+}
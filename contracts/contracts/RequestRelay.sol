@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Counters.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "./interfaces/IRequestManager.sol";
+
+/**
+ * @dev Gasless request creation. The creator signs an EIP-712 CreateRequest
+ * payload and a relayer (the backend's funded account) submits it, paying the
+ * gas; the request is created for the signer through RequestManager, which must
+ * list this contract as a request issuer. The creator manages the request as if
+ * they had created it themselves.
+ *
+ * Each signature carries the creator's current nonce and a deadline, so it can
+ * be used once and only until then. Contract wallets sign through ERC-1271.
+ */
+contract RequestRelay is EIP712 {
+    using Counters for Counters.Counter;
+
+    bytes32 public constant CREATE_REQUEST_TYPEHASH = keccak256(
+        "CreateRequest(address creator,string recipientXRPL,string assetSymbol,uint256 assetAmount,uint256 expiry,uint16 slippageBp,string message,uint256 nonce,uint256 deadline)"
+    );
+
+    IRequestManager public immutable requestManager;
+
+    mapping(address => Counters.Counter) private _nonces;
+
+    // Request fields the creator signs, as passed to RequestManager.createRequest
+    struct SignedRequest {
+        address creator;
+        string recipientXRPL;
+        string assetSymbol;
+        uint256 assetAmount;
+        uint256 expiry;
+        uint16 slippageBp;
+        string message;
+        uint256 deadline; // last timestamp the signature can be relayed
+    }
+
+    // Events
+    event RequestRelayed(uint256 indexed requestId, address indexed creator, address indexed relayer, uint256 nonce);
+    event NonceInvalidated(address indexed creator, uint256 nonce);
+
+    constructor(address _requestManager) EIP712("Venmorph RequestRelay", "1") {
+        requestManager = IRequestManager(_requestManager);
+    }
+
+    /**
+     * @dev Create a request for `_request.creator` from their EIP-712 signature
+     * (callable by anyone; the caller pays the gas)
+     */
+    function createRequestBySig(SignedRequest calldata _request, bytes calldata _signature)
+        external returns (uint256) {
+        require(block.timestamp <= _request.deadline, "Signature expired");
+
+        uint256 nonce = _useNonce(_request.creator);
+        require(
+            SignatureChecker.isValidSignatureNow(_request.creator, _hashRequest(_request, nonce), _signature),
+            "Invalid signature"
+        );
+
+        uint256 requestId = requestManager.createRequestFor(
+            _request.creator,
+            _request.recipientXRPL,
+            _request.assetSymbol,
+            _request.assetAmount,
+            _request.expiry,
+            _request.slippageBp,
+            _request.message
+        );
+
+        emit RequestRelayed(requestId, _request.creator, msg.sender, nonce);
+
+        return requestId;
+    }
+
+    /**
+     * @dev Give up the caller's current nonce, voiding any signature made with it
+     * that has not been relayed yet
+     */
+    function invalidateNonce() external {
+        emit NonceInvalidated(msg.sender, _useNonce(msg.sender));
+    }
+
+    /**
+     * @dev Nonce the creator's next signature must carry
+     */
+    function nonces(address _creator) external view returns (uint256) {
+        return _nonces[_creator].current();
+    }
+
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function _hashRequest(SignedRequest calldata _request, uint256 _nonce) internal view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            CREATE_REQUEST_TYPEHASH,
+            _request.creator,
+            keccak256(bytes(_request.recipientXRPL)),
+            keccak256(bytes(_request.assetSymbol)),
+            _request.assetAmount,
+            _request.expiry,
+            _request.slippageBp,
+            keccak256(bytes(_request.message)),
+            _nonce,
+            _request.deadline
+        )));
+    }
+
+    function _useNonce(address _creator) internal returns (uint256 current) {
+        Counters.Counter storage nonce = _nonces[_creator];
+        current = nonce.current();
+        nonce.increment();
+    }
+}
@@ -0,0 +1,306 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/Counters.sol";
+import "./RequestManager.sol";
+
+/**
+ * @dev Group requests split between several payers. Each participant gets a
+ * directed share request of their own through RequestManager, which must list
+ * this contract as a request issuer, so every share is paid and attested against
+ * its own destination tag. Shares are cancelled, and their recipient, owner and
+ * expiry changed, through the split as a whole.
+ */
+contract SplitRequests {
+    using Counters for Counters.Counter;
+
+    RequestManager public immutable requestManager;
+    Counters.Counter private _splitIds;
+
+    // One participant's share of a split
+    struct Share {
+        uint256 requestId;
+        address payer;      // EVM address, or zero when identified by XRPL address
+        string payerXRPL;   // XRPL address, or empty when identified by EVM address
+        uint256 assetAmount;
+    }
+
+    // Group request split between several payers
+    struct Split {
+        uint256 id;
+        address creator;
+        string recipientXRPL;
+        string assetSymbol;
+        uint256 totalAmount;
+        uint256 expiry;
+        uint256 paidShares;                  // derived from the share requests in getSplit
+        RequestManager.RequestStatus status; // PARTIALLY_PAID until every share is paid, EXPIRED once none can be
+        string message;
+    }
+
+    mapping(uint256 => Split) internal splits;
+    mapping(uint256 => Share[]) internal splitShares;
+    mapping(uint256 => uint256) public splitOfRequest; // 0 = standalone request
+    mapping(address => uint256[]) public userSplits;
+
+    // Events
+    event SplitCreated(
+        uint256 indexed splitId,
+        address indexed creator,
+        string assetSymbol,
+        uint256 totalAmount,
+        uint256 shareCount
+    );
+
+    event SplitShareCreated(
+        uint256 indexed splitId,
+        uint256 indexed requestId,
+        address indexed payer,
+        string payerXRPL,
+        uint256 assetAmount
+    );
+
+    event SplitCancelled(uint256 indexed splitId);
+    event SplitRecipientUpdated(uint256 indexed splitId, string recipientXRPL);
+    event SplitOwnershipTransferred(uint256 indexed splitId, address indexed previousCreator, address indexed newCreator);
+    event SplitExpiryExtended(uint256 indexed splitId, uint256 expiry);
+
+    constructor(address _requestManager) {
+        requestManager = RequestManager(_requestManager);
+    }
+
+    /**
+     * @dev Create a request split between several payers. Each participant is
+     * identified by an EVM address and/or an XRPL address and gets a share request
+     * of their own.
+     */
+    function createSplitRequest(
+        string memory _recipientXRPL,
+        string memory _assetSymbol,
+        address[] memory _payers,
+        string[] memory _payersXRPL,
+        uint256[] memory _shareAmounts,
+        uint256 _expiry,
+        uint16 _slippageBp,
+        string memory _message
+    ) external returns (uint256) {
+        require(_shareAmounts.length >= 2, "Split needs at least 2 participants");
+        require(_shareAmounts.length <= 50, "Too many participants");
+        require(
+            _payers.length == _shareAmounts.length && _payersXRPL.length == _shareAmounts.length,
+            "Participant length mismatch"
+        );
+
+        _splitIds.increment();
+        uint256 splitId = _splitIds.current();
+
+        Split storage split = splits[splitId];
+        split.id = splitId;
+        split.creator = msg.sender;
+        split.recipientXRPL = _recipientXRPL;
+        split.assetSymbol = _assetSymbol;
+        split.expiry = _expiry;
+        split.status = RequestManager.RequestStatus.PENDING;
+        split.message = _message;
+
+        for (uint256 i = 0; i < _shareAmounts.length; i++) {
+            _createShare(split, Share(0, _payers[i], _payersXRPL[i], _shareAmounts[i]), _slippageBp);
+        }
+
+        userSplits[msg.sender].push(splitId);
+
+        emit SplitCreated(splitId, msg.sender, _assetSymbol, split.totalAmount, _shareAmounts.length);
+
+        return splitId;
+    }
+
+    function _createShare(Split storage split, Share memory share, uint16 _slippageBp) internal {
+        share.requestId = requestManager.createDirectedRequestFor(
+            split.creator,
+            split.recipientXRPL,
+            split.assetSymbol,
+            share.assetAmount,
+            split.expiry,
+            _slippageBp,
+            split.message,
+            RequestManager.IntendedPayer(share.payer, share.payerXRPL, false)
+        );
+        splitOfRequest[share.requestId] = split.id;
+        splitShares[split.id].push(share);
+        split.totalAmount += share.assetAmount;
+
+        emit SplitShareCreated(split.id, share.requestId, share.payer, share.payerXRPL, share.assetAmount);
+    }
+
+    /**
+     * @dev Cancel every unpaid share of a split (only creator). Shares already
+     * paid stay paid.
+     */
+    function cancelSplit(uint256 _splitId) external {
+        Split storage split = splits[_splitId];
+        require(split.creator != address(0), "Split does not exist");
+        require(split.creator == msg.sender, "Only creator can cancel");
+
+        (RequestManager.RequestStatus status, , ) = _splitStatus(_splitId);
+        require(
+            status == RequestManager.RequestStatus.PENDING || status == RequestManager.RequestStatus.PARTIALLY_PAID,
+            "Split not open"
+        );
+
+        Share[] storage shares = splitShares[_splitId];
+        for (uint256 i = 0; i < shares.length; i++) {
+            RequestManager.RequestStatus shareStatus = requestManager.getRequest(shares[i].requestId).status;
+            if (shareStatus == RequestManager.RequestStatus.PENDING ||
+                shareStatus == RequestManager.RequestStatus.PARTIALLY_PAID) {
+                requestManager.cancelRequest(shares[i].requestId);
+            }
+        }
+
+        split.status = RequestManager.RequestStatus.CANCELLED;
+        emit SplitCancelled(_splitId);
+    }
+
+    /**
+     * @dev Correct the XRPL address every open share is paid to (only creator), before
+     * any share has received a payment
+     */
+    function updateSplitRecipient(uint256 _splitId, string memory _recipientXRPL) external {
+        Split storage split = _ownedSplit(_splitId);
+
+        Share[] storage shares = splitShares[_splitId];
+        for (uint256 i = 0; i < shares.length; i++) {
+            RequestManager.RequestStatus shareStatus = requestManager.getRequest(shares[i].requestId).status;
+            require(
+                shareStatus != RequestManager.RequestStatus.PAID &&
+                    shareStatus != RequestManager.RequestStatus.PARTIALLY_PAID &&
+                    shareStatus != RequestManager.RequestStatus.DISPUTED,
+                "Payment already received"
+            );
+            if (shareStatus == RequestManager.RequestStatus.PENDING) {
+                requestManager.updateRecipient(shares[i].requestId, _recipientXRPL);
+            }
+        }
+
+        split.recipientXRPL = _recipientXRPL;
+        emit SplitRecipientUpdated(_splitId, _recipientXRPL);
+    }
+
+    /**
+     * @dev Hand a split and every share request to another EVM address (only creator)
+     */
+    function transferSplitOwnership(uint256 _splitId, address _newCreator) external {
+        Split storage split = _ownedSplit(_splitId);
+        require(_newCreator != address(0) && _newCreator != split.creator, "Invalid new creator");
+
+        Share[] storage shares = splitShares[_splitId];
+        for (uint256 i = 0; i < shares.length; i++) {
+            requestManager.transferRequestOwnership(shares[i].requestId, _newCreator);
+        }
+
+        uint256[] storage previousList = userSplits[split.creator];
+        for (uint256 i = 0; i < previousList.length; i++) {
+            if (previousList[i] == _splitId) {
+                previousList[i] = previousList[previousList.length - 1];
+                previousList.pop();
+                break;
+            }
+        }
+        userSplits[_newCreator].push(_splitId);
+
+        emit SplitOwnershipTransferred(_splitId, split.creator, _newCreator);
+        split.creator = _newCreator;
+    }
+
+    /**
+     * @dev Push back the expiry of every open share (only creator)
+     */
+    function extendSplitExpiry(uint256 _splitId, uint256 _expiry) external {
+        Split storage split = _ownedSplit(_splitId);
+
+        Share[] storage shares = splitShares[_splitId];
+        for (uint256 i = 0; i < shares.length; i++) {
+            RequestManager.RequestStatus shareStatus = requestManager.getRequest(shares[i].requestId).status;
+            if (shareStatus == RequestManager.RequestStatus.PENDING ||
+                shareStatus == RequestManager.RequestStatus.PARTIALLY_PAID) {
+                requestManager.extendExpiry(shares[i].requestId, _expiry);
+            }
+        }
+
+        split.expiry = _expiry;
+        emit SplitExpiryExtended(_splitId, _expiry);
+    }
+
+    function _ownedSplit(uint256 _splitId) internal view returns (Split storage split) {
+        split = splits[_splitId];
+        require(split.creator != address(0), "Split does not exist");
+        require(split.creator == msg.sender, "Only creator can manage split");
+    }
+
+    /**
+     * @dev Get a split with each participant's share and the status of its request
+     */
+    function getSplit(uint256 _splitId)
+        external view returns (
+            Split memory split,
+            Share[] memory shares,
+            RequestManager.RequestStatus[] memory shareStatuses,
+            uint256[] memory sharePaidAmounts
+        ) {
+        split = splits[_splitId];
+        require(split.creator != address(0), "Split does not exist");
+
+        shares = splitShares[_splitId];
+        (split.status, split.paidShares, shareStatuses) = _splitStatus(_splitId);
+        sharePaidAmounts = new uint256[](shares.length);
+        for (uint256 i = 0; i < shares.length; i++) {
+            sharePaidAmounts[i] = requestManager.getRequest(shares[i].requestId).paidAmount;
+        }
+    }
+
+    /**
+     * @dev Get user's splits
+     */
+    function getUserSplits(address _user)
+        external view returns (uint256[] memory) {
+        return userSplits[_user];
+    }
+
+    /**
+     * @dev A split is paid once every share is paid (a disputed share counts until
+     * the dispute is resolved against it) and partially paid once any share is.
+     * Once no share is left open (the rest expired, were declined or cancelled),
+     * a split short of being fully paid is EXPIRED.
+     */
+    function _splitStatus(uint256 _splitId)
+        internal view returns (
+            RequestManager.RequestStatus status,
+            uint256 paidShares,
+            RequestManager.RequestStatus[] memory shareStatuses
+        ) {
+        Share[] storage shares = splitShares[_splitId];
+        shareStatuses = new RequestManager.RequestStatus[](shares.length);
+        uint256 openShares;
+        for (uint256 i = 0; i < shares.length; i++) {
+            shareStatuses[i] = requestManager.getRequest(shares[i].requestId).status;
+            if (shareStatuses[i] == RequestManager.RequestStatus.PAID ||
+                shareStatuses[i] == RequestManager.RequestStatus.DISPUTED) {
+                paidShares++;
+            } else if (shareStatuses[i] == RequestManager.RequestStatus.PENDING ||
+                shareStatuses[i] == RequestManager.RequestStatus.PARTIALLY_PAID) {
+                openShares++;
+            }
+        }
+
+        if (splits[_splitId].status == RequestManager.RequestStatus.CANCELLED) {
+            status = RequestManager.RequestStatus.CANCELLED;
+        } else if (paidShares == shares.length) {
+            status = RequestManager.RequestStatus.PAID;
+        } else if (openShares == 0) {
+            status = RequestManager.RequestStatus.EXPIRED;
+        } else if (paidShares > 0) {
+            status = RequestManager.RequestStatus.PARTIALLY_PAID;
+        } else {
+            status = RequestManager.RequestStatus.PENDING;
+        }
+    }
+}
@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev Per-asset request limits RequestManager checks when requests are created
+ */
+interface IAssetRegistry {
+    struct AssetConfig {
+        string symbol;
+        uint8 decimals;
+        uint256 minAmount;     // smallest request amount in asset units, 0 = no minimum
+        uint256 maxAmount;     // largest request amount in asset units, 0 = no maximum
+        uint16 maxSlippageBp;
+        uint16 feeBp;          // protocol fee on settlement, 0 = none
+        bool supported;
+    }
+
+    function isSupported(string memory _symbol) external view returns (bool);
+
+    function getAssetConfig(string memory _symbol) external view returns (AssetConfig memory);
+
+    function validateRequest(string memory _symbol, uint256 _amount, uint16 _slippageBp) external view;
+
+    function feeFor(string memory _symbol, uint256 _amount) external view returns (uint256);
+}
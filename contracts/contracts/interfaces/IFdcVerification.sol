@@ -0,0 +1,51 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev Flare Data Connector XRPPayment attestation type
+ * Mirrors the response a verified XRPL payment proof carries on Flare
+ */
+interface IXRPPayment {
+    struct Proof {
+        bytes32[] merkleProof;
+        Response data;
+    }
+
+    struct Response {
+        bytes32 attestationType;
+        bytes32 sourceId;
+        uint64 votingRound;
+        uint64 lowestUsedTimestamp;
+        RequestBody requestBody;
+        ResponseBody responseBody;
+    }
+
+    struct RequestBody {
+        bytes32 transactionId;
+        bool proofOwner;
+    }
+
+    struct ResponseBody {
+        uint64 blockNumber;
+        uint64 blockTimestamp;
+        bytes32 sourceAddressHash;
+        bytes32 receivingAddressHash;
+        bytes32 intendedReceivingAddressHash;
+        int256 spentAmount;
+        int256 intendedSpentAmount;
+        int256 receivedAmount;
+        int256 intendedReceivedAmount;
+        bytes firstMemoData;
+        bool hasDestinationTag;
+        uint256 destinationTag;
+        uint8 status;
+    }
+}
+
+/**
+ * @dev Flare Data Connector verification contract
+ * Checks an attestation's Merkle proof against the root finalized for its voting round
+ */
+interface IFdcVerification {
+    function verifyXRPPayment(IXRPPayment.Proof calldata _proof) external view returns (bool _proved);
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev Asset-to-XRP price conversion used by RequestManager
+ */
+interface IPriceOracle {
+    function convertToXRP(string memory _assetSymbol, uint256 _assetAmount, bool _requireFresh)
+        external view returns (uint256 xrpAmount, uint256 assetPrice, uint256 xrpPrice);
+
+    function getExchangeRate(string memory _assetSymbol)
+        external view returns (uint256 assetPrice, uint256 xrpPrice, uint256 timestamp);
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IAssetRegistry.sol";
+
+/**
+ * @dev The parts of RequestManager that request issuers (contracts creating
+ * requests on a creator's behalf) rely on
+ */
+interface IRequestManager {
+    function createRequestFor(
+        address _creator,
+        string memory _recipientXRPL,
+        string memory _assetSymbol,
+        uint256 _assetAmount,
+        uint256 _expiry,
+        uint16 _slippageBp,
+        string memory _message
+    ) external returns (uint256);
+
+    function supportedAssets(string memory _symbol) external view returns (bool);
+
+    function assetRegistry() external view returns (IAssetRegistry);
+}
@@ -0,0 +1,138 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "../RequestManager.sol";
+import "./XrplAddress.sol";
+
+/**
+ * @dev Request management RequestManager delegates to. Deployed on its own and
+ * linked into RequestManager (see scripts/deploy.js), so its code doesn't count
+ * toward RequestManager's size and future upgrades keep room under the limit.
+ * Runs in RequestManager's context: storage, msg.sender and events are its own.
+ * Callers check who may manage the request; these functions only check its state.
+ */
+library RequestLifecycle {
+    event RequestRecipientUpdated(uint256 indexed requestId, string previousRecipientXRPL, string recipientXRPL);
+    event RequestOwnershipTransferred(uint256 indexed requestId, address indexed previousCreator, address indexed newCreator);
+    event RequestExpiryExtended(uint256 indexed requestId, uint256 previousExpiry, uint256 expiry);
+    event RequestExpired(uint256 indexed requestId);
+    event PaymentDisputed(uint256 indexed requestId, address indexed raisedBy, string reason);
+    event DisputeResolved(uint256 indexed requestId, address indexed resolver, bool paymentUpheld);
+
+    /**
+     * @dev Correct the XRPL address a request is paid to, before anything has been counted toward it
+     */
+    function updateRecipient(RequestManager.Request storage request, string memory _recipientXRPL) external {
+        require(request.status == RequestManager.RequestStatus.PENDING && request.paidAmount == 0, "Payment already received");
+        require(XrplAddress.isValidClassicAddress(_recipientXRPL), "Invalid recipient XRPL address");
+
+        emit RequestRecipientUpdated(request.id, request.recipientXRPL, _recipientXRPL);
+        request.recipientXRPL = _recipientXRPL;
+    }
+
+    /**
+     * @dev Move a request to another creator's request list; the previous list does not keep its order
+     */
+    function transferOwnership(
+        RequestManager.Request storage request,
+        mapping(address => uint256[]) storage userRequests,
+        address _newCreator
+    ) external {
+        address previousCreator = request.creator;
+        require(_newCreator != address(0) && _newCreator != previousCreator, "Invalid new creator");
+
+        uint256[] storage previousList = userRequests[previousCreator];
+        for (uint256 i = 0; i < previousList.length; i++) {
+            if (previousList[i] == request.id) {
+                previousList[i] = previousList[previousList.length - 1];
+                previousList.pop();
+                break;
+            }
+        }
+        userRequests[_newCreator].push(request.id);
+        request.creator = _newCreator;
+
+        emit RequestOwnershipTransferred(request.id, previousCreator, _newCreator);
+    }
+
+    /**
+     * @dev Push back the expiry of an open, unexpired request
+     */
+    function extendExpiry(RequestManager.Request storage request, uint256 _expiry) external {
+        require(_isOpen(request), "Request not open");
+        require(block.timestamp <= request.expiry, "Request expired");
+        require(_expiry > request.expiry, "Expiry can only be extended");
+
+        emit RequestExpiryExtended(request.id, request.expiry, _expiry);
+        request.expiry = _expiry;
+    }
+
+    /**
+     * @dev Expire the overdue open requests among `_ids`, skipping the rest; returns how many were expired
+     */
+    function markExpiredBatch(
+        mapping(uint256 => RequestManager.Request) storage requests,
+        uint256[] calldata _ids
+    ) external returns (uint256 expired) {
+        for (uint256 i = 0; i < _ids.length; i++) {
+            RequestManager.Request storage request = requests[_ids[i]];
+            if (request.creator != address(0) && _isOpen(request) && block.timestamp > request.expiry) {
+                request.status = RequestManager.RequestStatus.EXPIRED;
+                emit RequestExpired(_ids[i]);
+                expired++;
+            }
+        }
+    }
+
+    /**
+     * @dev Hold a paid request as disputed until the deadline the caller derives from its settlement
+     */
+    function disputePayment(
+        RequestManager.Request storage request,
+        mapping(uint256 => RequestManager.Dispute) storage disputes,
+        uint256 _disputeDeadline,
+        string memory _reason
+    ) external {
+        require(
+            msg.sender == request.creator || (msg.sender == request.payer.evmAddress && msg.sender != address(0)),
+            "Only creator or intended payer"
+        );
+        require(request.status == RequestManager.RequestStatus.PAID, "Request not paid");
+        require(block.timestamp <= _disputeDeadline, "Dispute window closed");
+
+        request.status = RequestManager.RequestStatus.DISPUTED;
+        disputes[request.id] = RequestManager.Dispute(msg.sender, block.timestamp, _reason);
+
+        emit PaymentDisputed(request.id, msg.sender, _reason);
+    }
+
+    /**
+     * @dev Settle a dispute: keep the payment, or reopen the request with its counted installments cleared
+     */
+    function resolveDispute(
+        RequestManager.Request storage request,
+        mapping(uint256 => RequestManager.Installment[]) storage installments,
+        bool _upholdPayment
+    ) external {
+        require(request.status == RequestManager.RequestStatus.DISPUTED, "Request not disputed");
+
+        if (_upholdPayment) {
+            request.status = RequestManager.RequestStatus.PAID;
+        } else {
+            request.status = RequestManager.RequestStatus.PENDING;
+            request.paidTxHash = bytes32(0);
+            request.paidAmount = 0;
+            request.paidTimestamp = 0;
+            request.paidAssetPrice = 0;
+            request.paidXrpPrice = 0;
+            delete installments[request.id];
+        }
+
+        emit DisputeResolved(request.id, msg.sender, _upholdPayment);
+    }
+
+    function _isOpen(RequestManager.Request storage request) private view returns (bool) {
+        return request.status == RequestManager.RequestStatus.PENDING ||
+            request.status == RequestManager.RequestStatus.PARTIALLY_PAID;
+    }
+}
@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev Validation of XRPL classic addresses (r...). A classic address is the
+ * base58 encoding, in the XRPL alphabet, of a 0x00 type prefix, a 20-byte
+ * account ID and a 4-byte double-SHA256 checksum of the first 21 bytes.
+ * X-addresses are not accepted: clients decode them to the classic address,
+ * since the request ID already fills the destination tag.
+ */
+library XrplAddress {
+    // Base58 digit + 1 for each ASCII code of the XRPL alphabet
+    // "rpshnaf39wBUDNEGHJKLM4PQRST7VWXYZ2bcdeCg65jkm8oFqi1tuvAxyz", 0 for any other character
+    bytes internal constant DIGITS =
+        hex"00000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000000332208162a291c2e0900000000000000370b270d0f30101100121314150e001718191a1b0c1d1e1f20210000000000000623242526072804322b2c002d052f023101033435360a38393a0000000000";
+
+    /**
+     * @dev Whether `_address` is a canonically encoded classic address with a valid checksum
+     */
+    function isValidClassicAddress(string memory _address) internal pure returns (bool) {
+        bytes memory encoded = bytes(_address);
+        if (encoded.length < 25 || encoded.length > 35) {
+            return false;
+        }
+
+        bytes memory digits = DIGITS;
+        uint256 value;
+        uint256 leadingZeros; // each leading 'r' encodes one leading zero byte
+
+        // Bounded by the checks below, so nothing here can overflow
+        unchecked {
+            for (uint256 i = 0; i < encoded.length; i++) {
+                uint256 char = uint8(encoded[i]);
+                uint256 digit = char < 128 ? uint8(digits[char]) : 0;
+                if (digit == 0) {
+                    return false;
+                }
+
+                if (value == 0 && digit == 1) {
+                    leadingZeros++;
+                } else {
+                    value = value * 58 + digit - 1;
+                    // The 24 bytes after the type prefix: account ID and checksum
+                    if (value >> 192 != 0) {
+                        return false;
+                    }
+                }
+            }
+
+            // Canonical encodings carry exactly one 'r' per leading zero byte of the 25
+            uint256 zeroBytes = 1;
+            while (zeroBytes < 25 && value >> (192 - 8 * zeroBytes) == 0) {
+                zeroBytes++;
+            }
+            if (leadingZeros != zeroBytes) {
+                return false;
+            }
+        }
+
+        // Checksum over the type prefix and account ID, the 21 bytes above the last 4
+        bytes32 checksum = sha256(abi.encodePacked(sha256(abi.encodePacked(uint168(value >> 32)))));
+        return uint32(bytes4(checksum)) == uint32(value);
+    }
+}
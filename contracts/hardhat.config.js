@@ -1,6 +1,9 @@
 require("@nomiclabs/hardhat-waffle");
 require("@nomiclabs/hardhat-ethers");
+require("@openzeppelin/hardhat-upgrades");
 require("@typechain/hardhat");
+require("hardhat-gas-reporter");
+require("solidity-coverage");
 
 // Load environment variables
 require('dotenv').config();
@@ -33,6 +36,20 @@ module.exports = {
       chainId: 14
     }
   },
+  // Per-function gas usage table after `npm run test:gas`
+  gasReporter: {
+    enabled: process.env.REPORT_GAS === "true",
+    currency: "USD",
+    excludeContracts: [
+      "MockERC1271Wallet",
+      "MockERC20",
+      "MockFdcVerification",
+      "MockFtsoRegistry",
+      "MockFtsoV2",
+      "MockReentrantReceiver",
+      "MockRequestManagerV2"
+    ]
+  },
   typechain: {
     outDir: "typechain-types",
     target: "ethers-v5"
@@ -0,0 +1,68 @@
+const fs = require("fs");
+const path = require("path");
+
+// Fail `npm run coverage` when a contract's coverage, read from the coverage.json
+// `hardhat coverage` writes, drops below its minimum (percentages). Every
+// contract except the test mocks skipped in .solcover.js needs an entry
+const THRESHOLDS = {
+  "contracts/AssetRegistry.sol": { statements: 95, branches: 95, functions: 100, lines: 95 },
+  "contracts/FtsoPriceOracle.sol": { statements: 95, branches: 90, functions: 100, lines: 95 },
+  "contracts/RecurringRequests.sol": { statements: 95, branches: 90, functions: 100, lines: 95 },
+  "contracts/RequestEscrow.sol": { statements: 95, branches: 90, functions: 100, lines: 95 },
+  "contracts/RequestManager.sol": { statements: 95, branches: 80, functions: 100, lines: 95 },
+  "contracts/RequestQuery.sol": { statements: 95, branches: 95, functions: 100, lines: 95 },
+  "contracts/RequestRelay.sol": { statements: 95, branches: 95, functions: 100, lines: 95 },
+  "contracts/SplitRequests.sol": { statements: 95, branches: 85, functions: 100, lines: 95 },
+  "contracts/libraries/RequestLifecycle.sol": { statements: 95, branches: 90, functions: 100, lines: 95 },
+  "contracts/libraries/XrplAddress.sol": { statements: 85, branches: 75, functions: 100, lines: 85 }
+};
+
+const percent = (counts) => {
+  const total = counts.length;
+  return total === 0 ? 100 : (counts.filter(count => count > 0).length * 100) / total;
+};
+
+function main() {
+  const coverageFile = path.join(__dirname, "..", "coverage.json");
+  if (!fs.existsSync(coverageFile)) {
+    throw new Error("coverage.json not found; run `npx hardhat coverage` first");
+  }
+
+  const coverage = JSON.parse(fs.readFileSync(coverageFile, "utf8"));
+  const failures = [];
+
+  for (const [contract, minimums] of Object.entries(THRESHOLDS)) {
+    const file = Object.keys(coverage).find(key => key.split(path.sep).join("/").endsWith(contract));
+    if (!file) {
+      failures.push(`${contract}: not in coverage report`);
+      continue;
+    }
+
+    const { s, b, f, l } = coverage[file];
+    const actual = {
+      statements: percent(Object.values(s)),
+      branches: percent(Object.values(b).flat()),
+      functions: percent(Object.values(f)),
+      lines: percent(Object.values(l))
+    };
+
+    for (const [metric, minimum] of Object.entries(minimums)) {
+      const ok = actual[metric] >= minimum;
+      console.log(`${ok ? "✅" : "❌"} ${contract} ${metric}: ${actual[metric].toFixed(2)}% (min ${minimum}%)`);
+      if (!ok) {
+        failures.push(`${contract} ${metric} ${actual[metric].toFixed(2)}% < ${minimum}%`);
+      }
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(`Coverage below threshold:\n  ${failures.join("\n  ")}`);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
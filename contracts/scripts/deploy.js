@@ -1,4 +1,5 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const { ethers, upgrades } = require("hardhat");
 
 // Flare network FTSO Registry addresses
 const FTSO_REGISTRY_ADDRESSES = {
@@ -6,6 +7,26 @@ const FTSO_REGISTRY_ADDRESSES = {
   flare: "0x0262bcA0A4F5C1A8fC5d50cE2E79dfA87d55Ae8D"    // Flare mainnet
 };
 
+// FDC source ids for the XRPL network each Flare network attests
+const XRPL_SOURCE_IDS = {
+  coston2: "testXRP",
+  flare: "XRP"
+};
+
+// FTSO symbol the native token is priced under, for escrow deposits in FLR
+const NATIVE_FTSO_SYMBOLS = {
+  coston2: "C2FLR",
+  flare: "FLR"
+};
+
+// Assets routed to FTSOv2 feeds when an FTSOv2 provider is configured
+const FTSO_V2_ASSETS = ["ETH", "XRP", "BTC", "USDT", "USDC"];
+
+// FTSOv2 crypto feed id: category 0x01 followed by the right-padded feed name
+function toFeedId(name) {
+  return "0x01" + Buffer.from(name).toString("hex").padEnd(40, "0");
+}
+
 async function main() {
   const [deployer] = await ethers.getSigners();
   
@@ -15,6 +36,16 @@ async function main() {
   const network = await ethers.provider.getNetwork();
   console.log("Network:", network.name, "Chain ID:", network.chainId);
   
+  // A fresh deployment starts an empty RequestManager; on live networks upgrade the existing proxy instead
+  const deploymentFile = `deployments-${network.name}.json`;
+  const isLiveNetwork = network.chainId === 114 || network.chainId === 14;
+  if (isLiveNetwork && fs.existsSync(deploymentFile) && process.env.REDEPLOY !== "true") {
+    throw new Error(
+      `${deploymentFile} already exists. Run scripts/upgrade.js to upgrade the deployed RequestManager, ` +
+      "or set REDEPLOY=true to deploy a new, empty one."
+    );
+  }
+  
   // Get FTSO Registry address for the network
   let ftsoRegistryAddress;
   if (network.chainId === 114) { // Coston2
@@ -33,14 +64,47 @@ async function main() {
   
   console.log("Using FTSO Registry at:", ftsoRegistryAddress);
   
-  // Deploy RequestManager
+  // Deploy the FTSO price oracle RequestManager converts through
+  console.log("Deploying FtsoPriceOracle...");
+  const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+  const priceOracle = await FtsoPriceOracle.deploy(ftsoRegistryAddress);
+  await priceOracle.deployed();
+  console.log("FtsoPriceOracle deployed to:", priceOracle.address);
+  
+  // Deploy the asset registry new requests are validated against
+  console.log("Deploying AssetRegistry...");
+  const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+  const assetRegistry = await AssetRegistry.deploy();
+  await assetRegistry.deployed();
+  console.log("AssetRegistry deployed to:", assetRegistry.address);
+  
+  // Deploy the request management library RequestManager links against to stay under the contract size limit
+  console.log("Deploying RequestLifecycle...");
+  const RequestLifecycle = await ethers.getContractFactory("RequestLifecycle");
+  const requestLifecycle = await RequestLifecycle.deploy();
+  await requestLifecycle.deployed();
+  console.log("RequestLifecycle deployed to:", requestLifecycle.address);
+  
+  // Deploy RequestManager behind a transparent proxy; upgrade it later with scripts/upgrade.js
   console.log("Deploying RequestManager...");
-  const RequestManager = await ethers.getContractFactory("RequestManager");
-  const requestManager = await RequestManager.deploy(ftsoRegistryAddress);
+  const RequestManager = await ethers.getContractFactory("RequestManager", {
+    libraries: { RequestLifecycle: requestLifecycle.address }
+  });
+  const requestManager = await upgrades.deployProxy(
+    RequestManager,
+    [priceOracle.address, assetRegistry.address],
+    { kind: "transparent", unsafeAllowLinkedLibraries: true }
+  );
   
   await requestManager.deployed();
   
-  console.log("RequestManager deployed to:", requestManager.address);
+  // The attestor starts indexing request events from the block the proxy was deployed in
+  const deploymentBlock = (await requestManager.deployTransaction.wait()).blockNumber;
+  const requestManagerImplementation = await upgrades.erc1967.getImplementationAddress(requestManager.address);
+  const proxyAdmin = await upgrades.erc1967.getAdminAddress(requestManager.address);
+  
+  console.log("RequestManager proxy deployed to:", requestManager.address, "in block", deploymentBlock);
+  console.log("RequestManager implementation:", requestManagerImplementation);
   
   // Setup initial configuration
   console.log("Setting up initial configuration...");
@@ -50,30 +114,190 @@ async function main() {
   await tx1.wait();
   console.log("Added deployer as authorized attestor");
   
+  // Mock prices are only timestamped when set, so don't let them go stale during local demos
+  const maxPriceAge = process.env.MAX_PRICE_AGE ||
+    (network.chainId !== 114 && network.chainId !== 14 ? 365 * 24 * 3600 : null);
+  if (maxPriceAge) {
+    const tx2 = await priceOracle.setDefaultMaxPriceAge(maxPriceAge);
+    await tx2.wait();
+    console.log("Default max price age set to:", maxPriceAge, "seconds");
+  }
+  
+  // Route price reads to FTSOv2 feeds if a provider is available
+  let ftsoV2Address = process.env.FTSO_V2_ADDRESS;
+  if (!ftsoV2Address && network.chainId !== 114 && network.chainId !== 14 && process.env.USE_FTSO_V2 === "true") {
+    console.log("Deploying mock FTSOv2 for local testing...");
+    const MockFtsoV2 = await ethers.getContractFactory("MockFtsoV2");
+    const mockFtsoV2 = await MockFtsoV2.deploy();
+    await mockFtsoV2.deployed();
+    ftsoV2Address = mockFtsoV2.address;
+    console.log("Mock FTSOv2 deployed to:", ftsoV2Address);
+  }
+  
+  if (ftsoV2Address) {
+    for (const symbol of FTSO_V2_ASSETS) {
+      const feedTx = await priceOracle.setPriceFeed(symbol, toFeedId(`${symbol}/USD`), ftsoV2Address);
+      await feedTx.wait();
+    }
+    console.log("Price feeds routed to FTSOv2 at:", ftsoV2Address);
+  }
+  
+  // Configure FDC payment proof verification
+  let fdcVerificationAddress = process.env.FDC_VERIFICATION_ADDRESS;
+  let xrplSourceId = network.chainId === 14 ? XRPL_SOURCE_IDS.flare : XRPL_SOURCE_IDS.coston2;
+  if (network.chainId !== 114 && network.chainId !== 14) {
+    console.log("Deploying mock FDC verification for local testing...");
+    const MockFdcVerification = await ethers.getContractFactory("MockFdcVerification");
+    const mockFdcVerification = await MockFdcVerification.deploy();
+    await mockFdcVerification.deployed();
+    fdcVerificationAddress = mockFdcVerification.address;
+    console.log("Mock FDC verification deployed to:", fdcVerificationAddress);
+  }
+  
+  if (fdcVerificationAddress) {
+    const tx3 = await requestManager.setFdcVerification(
+      fdcVerificationAddress,
+      ethers.utils.formatBytes32String(xrplSourceId)
+    );
+    await tx3.wait();
+    console.log("FDC verification set to:", fdcVerificationAddress, `(source ${xrplSourceId})`);
+  } else {
+    console.log("FDC_VERIFICATION_ADDRESS not set, payment proofs disabled");
+  }
+  
+  // Deploy RecurringRequests and let it issue requests on creators' behalf
+  console.log("Deploying RecurringRequests...");
+  const RecurringRequests = await ethers.getContractFactory("RecurringRequests");
+  const recurringRequests = await RecurringRequests.deploy(requestManager.address);
+  await recurringRequests.deployed();
+  
+  const tx4 = await requestManager.setRequestIssuer(recurringRequests.address, true);
+  await tx4.wait();
+  console.log("RecurringRequests deployed to:", recurringRequests.address);
+  
+  // Deploy SplitRequests, which issues one directed share request per participant
+  console.log("Deploying SplitRequests...");
+  const SplitRequests = await ethers.getContractFactory("SplitRequests");
+  const splitRequests = await SplitRequests.deploy(requestManager.address);
+  await splitRequests.deployed();
+  
+  const tx5 = await requestManager.setRequestIssuer(splitRequests.address, true);
+  await tx5.wait();
+  console.log("SplitRequests deployed to:", splitRequests.address);
+  
+  // Deploy RequestRelay, which creates requests from creators' EIP-712 signatures so a relayer pays the gas
+  console.log("Deploying RequestRelay...");
+  const RequestRelay = await ethers.getContractFactory("RequestRelay");
+  const requestRelay = await RequestRelay.deploy(requestManager.address);
+  await requestRelay.deployed();
+  
+  const tx6 = await requestManager.setRequestIssuer(requestRelay.address, true);
+  await tx6.wait();
+  console.log("RequestRelay deployed to:", requestRelay.address);
+  
+  // Deploy RequestEscrow, which settles requests with FLR or ERC-20 deposits on Flare
+  console.log("Deploying RequestEscrow...");
+  const RequestEscrow = await ethers.getContractFactory("RequestEscrow");
+  const requestEscrow = await RequestEscrow.deploy(requestManager.address);
+  await requestEscrow.deployed();
+  
+  const tx7 = await requestManager.setSettlementEscrow(requestEscrow.address, true);
+  await tx7.wait();
+  console.log("RequestEscrow deployed to:", requestEscrow.address);
+  
+  const nativeSymbol = network.chainId === 114 ? NATIVE_FTSO_SYMBOLS.coston2 : NATIVE_FTSO_SYMBOLS.flare;
+  const tx8 = await requestEscrow.configureDepositToken(ethers.constants.AddressZero, nativeSymbol, 18, true);
+  await tx8.wait();
+  console.log("Escrow accepts native deposits priced as:", nativeSymbol);
+  
+  // ERC-20 deposit tokens as comma-separated address:FTSO_SYMBOL:decimals, e.g. an FXRP at 0x...:XRP:6
+  const escrowTokens = (process.env.ESCROW_TOKENS || "").split(",").filter(Boolean);
+  for (const entry of escrowTokens) {
+    const [token, symbol, decimals] = entry.trim().split(":");
+    const tokenTx = await requestEscrow.configureDepositToken(token, symbol, Number(decimals), true);
+    await tokenTx.wait();
+    console.log(`Escrow accepts ${token} priced as:`, symbol);
+  }
+  
+  if (process.env.ESCROW_FEE_RECIPIENT) {
+    const feeTx = await requestEscrow.setFeeRecipient(process.env.ESCROW_FEE_RECIPIENT);
+    await feeTx.wait();
+    console.log("Escrow fees paid to:", process.env.ESCROW_FEE_RECIPIENT);
+  }
+  
+  // Deploy the paged read contract clients list requests through
+  console.log("Deploying RequestQuery...");
+  const RequestQuery = await ethers.getContractFactory("RequestQuery");
+  const requestQuery = await RequestQuery.deploy(requestManager.address, splitRequests.address);
+  await requestQuery.deployed();
+  console.log("RequestQuery deployed to:", requestQuery.address);
+  
+  // The deployer holds every role; optionally hand operational roles to other accounts
+  const roleGrants = [
+    [requestManager, "ASSET_MANAGER_ROLE", process.env.ASSET_MANAGER_ADDRESS],
+    [assetRegistry, "ASSET_MANAGER_ROLE", process.env.ASSET_MANAGER_ADDRESS],
+    [priceOracle, "ASSET_MANAGER_ROLE", process.env.ASSET_MANAGER_ADDRESS],
+    [requestEscrow, "ASSET_MANAGER_ROLE", process.env.ASSET_MANAGER_ADDRESS],
+    [requestManager, "ATTESTOR_MANAGER_ROLE", process.env.ATTESTOR_MANAGER_ADDRESS],
+    [requestManager, "PAUSER_ROLE", process.env.PAUSER_ADDRESS]
+  ];
+  for (const [contract, role, account] of roleGrants) {
+    if (account) {
+      const grantTx = await contract.grantRole(await contract[role](), account);
+      await grantTx.wait();
+      console.log(`Granted ${role} on ${contract.address} to:`, account);
+    }
+  }
+  
   // Output deployment info
   console.log("\n=== Deployment Complete ===");
   console.log("Network:", network.name);
   console.log("RequestManager:", requestManager.address);
+  console.log("Deployment block:", deploymentBlock);
+  console.log("RequestManager implementation:", requestManagerImplementation);
+  console.log("Proxy admin:", proxyAdmin);
+  console.log("RequestLifecycle:", requestLifecycle.address);
+  console.log("RecurringRequests:", recurringRequests.address);
+  console.log("SplitRequests:", splitRequests.address);
+  console.log("RequestRelay:", requestRelay.address);
+  console.log("RequestEscrow:", requestEscrow.address);
+  console.log("RequestQuery:", requestQuery.address);
+  console.log("FtsoPriceOracle:", priceOracle.address);
+  console.log("AssetRegistry:", assetRegistry.address);
   console.log("FTSO Registry:", ftsoRegistryAddress);
+  console.log("FTSOv2:", ftsoV2Address || "none");
+  console.log("FDC Verification:", fdcVerificationAddress || "none");
   console.log("Deployer:", deployer.address);
   
   // Save deployment info to file
-  const fs = require('fs');
   const deploymentInfo = {
     network: network.name,
     chainId: network.chainId,
-    requestManager: requestManager.address,
+    requestManager: requestManager.address, // proxy; the address clients and satellites use
+    deploymentBlock, // REQUEST_MANAGER_DEPLOYMENT_BLOCK for the attestor
+    requestManagerImplementation,
+    proxyAdmin,
+    requestLifecycle: requestLifecycle.address,
+    recurringRequests: recurringRequests.address,
+    splitRequests: splitRequests.address,
+    requestRelay: requestRelay.address,
+    requestEscrow: requestEscrow.address,
+    requestQuery: requestQuery.address,
+    priceOracle: priceOracle.address,
+    assetRegistry: assetRegistry.address,
     ftsoRegistry: ftsoRegistryAddress,
+    ftsoV2: ftsoV2Address || null,
+    fdcVerification: fdcVerificationAddress || null,
     deployer: deployer.address,
     deploymentTime: new Date().toISOString()
   };
   
   fs.writeFileSync(
-    `deployments-${network.name}.json`, 
+    deploymentFile, 
     JSON.stringify(deploymentInfo, null, 2)
   );
   
-  console.log(`Deployment info saved to deployments-${network.name}.json`);
+  console.log(`Deployment info saved to ${deploymentFile}`);
 }
 
 main()
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const { ethers, upgrades } = require("hardhat");
+
+// Upgrade the RequestManager proxy recorded by deploy.js to the current RequestManager
+// source, keeping its address and every existing request.
+async function main() {
+  const [deployer] = await ethers.getSigners();
+
+  const network = await ethers.provider.getNetwork();
+  console.log("Network:", network.name, "Chain ID:", network.chainId);
+  console.log("Upgrading with the account:", deployer.address);
+
+  const deploymentFile = `deployments-${network.name}.json`;
+  if (!fs.existsSync(deploymentFile)) {
+    throw new Error(`${deploymentFile} not found; run scripts/deploy.js first`);
+  }
+
+  const deploymentInfo = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+  const proxyAddress = deploymentInfo.requestManager;
+  const previousImplementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+
+  console.log("RequestManager proxy:", proxyAddress);
+  console.log("Current implementation:", previousImplementation);
+
+  // The plugin refuses the upgrade if the new storage layout is incompatible with the deployed one
+  // The implementation links against the library it was built with, so deploy the current one alongside it
+  console.log("Deploying RequestLifecycle...");
+  const RequestLifecycle = await ethers.getContractFactory("RequestLifecycle");
+  const requestLifecycle = await RequestLifecycle.deploy();
+  await requestLifecycle.deployed();
+  console.log("RequestLifecycle deployed to:", requestLifecycle.address);
+
+  console.log("Upgrading RequestManager...");
+  const RequestManager = await ethers.getContractFactory("RequestManager", {
+    libraries: { RequestLifecycle: requestLifecycle.address }
+  });
+  const requestManager = await upgrades.upgradeProxy(proxyAddress, RequestManager, {
+    unsafeAllowLinkedLibraries: true
+  });
+  await requestManager.deployed();
+
+  const implementation = await upgrades.erc1967.getImplementationAddress(proxyAddress);
+  if (implementation === previousImplementation) {
+    console.log("Implementation unchanged, nothing to upgrade");
+    return;
+  }
+
+  console.log("New implementation:", implementation);
+  console.log("Requests preserved:", (await requestManager.getTotalRequests()).toString());
+
+  // Record the new implementation, keeping a history of the ones it replaced
+  deploymentInfo.requestManagerImplementation = implementation;
+  deploymentInfo.requestLifecycle = requestLifecycle.address;
+  deploymentInfo.upgrades = [
+    ...(deploymentInfo.upgrades || []),
+    {
+      previousImplementation,
+      implementation,
+      upgradedBy: deployer.address,
+      upgradeTime: new Date().toISOString()
+    }
+  ];
+
+  fs.writeFileSync(
+    deploymentFile,
+    JSON.stringify(deploymentInfo, null, 2)
+  );
+
+  console.log(`Deployment info saved to ${deploymentFile}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("AssetRegistry", function () {
+  let assetRegistry;
+  let owner;
+  let manager;
+  let other;
+  let ASSET_MANAGER_ROLE;
+
+  beforeEach(async function () {
+    [owner, manager, other] = await ethers.getSigners();
+
+    const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+    assetRegistry = await AssetRegistry.deploy();
+    ASSET_MANAGER_ROLE = await assetRegistry.ASSET_MANAGER_ROLE();
+  });
+
+  describe("Deployment", function () {
+    it("lists the default assets in order with their decimals", async function () {
+      const assets = await assetRegistry.getAssets();
+
+      expect(assets.map(asset => asset.symbol)).to.deep.equal(["ETH", "XRP", "BTC", "USDT", "USDC"]);
+      expect(assets.map(asset => asset.decimals)).to.deep.equal([18, 6, 8, 6, 6]);
+      expect(assets.every(asset => asset.supported)).to.equal(true);
+    });
+
+    it("grants the deployer the admin and asset manager roles", async function () {
+      expect(await assetRegistry.hasRole(await assetRegistry.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+      expect(await assetRegistry.hasRole(ASSET_MANAGER_ROLE, owner.address)).to.equal(true);
+    });
+  });
+
+  describe("configureAsset", function () {
+    it("adds a new asset and emits its config", async function () {
+      await expect(assetRegistry.configureAsset("WBTC", 8, 1000, 100000000, 200, 50))
+        .to.emit(assetRegistry, "AssetConfigured")
+        .withArgs("WBTC", 8, 1000, 100000000, 200, 50);
+
+      const config = await assetRegistry.getAssetConfig("WBTC");
+      expect(config.decimals).to.equal(8);
+      expect(config.minAmount).to.equal(1000);
+      expect(config.maxAmount).to.equal(100000000);
+      expect(config.maxSlippageBp).to.equal(200);
+      expect(config.feeBp).to.equal(50);
+      expect(config.supported).to.equal(true);
+      expect(await assetRegistry.getAssets()).to.have.lengthOf(6);
+    });
+
+    it("updates an existing asset in place and re-enables it", async function () {
+      await assetRegistry.setAssetSupported("ETH", false);
+      await assetRegistry.configureAsset("ETH", 18, 1, 0, 300, 0);
+
+      const assets = await assetRegistry.getAssets();
+      expect(assets).to.have.lengthOf(5);
+      expect(assets[0].maxSlippageBp).to.equal(300);
+      expect(assets[0].supported).to.equal(true);
+    });
+
+    it("rejects invalid configs", async function () {
+      await expect(assetRegistry.configureAsset("", 6, 0, 0, 0, 0)).to.be.revertedWith("Invalid asset symbol");
+      await expect(assetRegistry.configureAsset("DAI", 18, 10, 5, 0, 0)).to.be.revertedWith("Max amount below min amount");
+      await expect(assetRegistry.configureAsset("DAI", 18, 0, 0, 1001, 0)).to.be.revertedWith("Slippage cannot exceed 10%");
+      await expect(assetRegistry.configureAsset("DAI", 18, 0, 0, 0, 501)).to.be.revertedWith("Fee cannot exceed 5%");
+    });
+
+    it("is restricted to asset managers", async function () {
+      await expect(assetRegistry.connect(other).configureAsset("DAI", 18, 0, 0, 0, 0)).to.be.revertedWith(
+        `AccessControl: account ${other.address.toLowerCase()} is missing role ${ASSET_MANAGER_ROLE}`
+      );
+
+      await assetRegistry.grantRole(ASSET_MANAGER_ROLE, manager.address);
+      await assetRegistry.connect(manager).configureAsset("DAI", 18, 0, 0, 0, 0);
+      expect(await assetRegistry.isSupported("DAI")).to.equal(true);
+    });
+  });
+
+  describe("setAssetSupported", function () {
+    it("disables and re-enables an asset", async function () {
+      await expect(assetRegistry.setAssetSupported("BTC", false))
+        .to.emit(assetRegistry, "AssetSupportUpdated")
+        .withArgs("BTC", false);
+      expect(await assetRegistry.isSupported("BTC")).to.equal(false);
+
+      await assetRegistry.setAssetSupported("BTC", true);
+      expect(await assetRegistry.isSupported("BTC")).to.equal(true);
+    });
+
+    it("rejects unknown assets and non-managers", async function () {
+      await expect(assetRegistry.setAssetSupported("DAI", false)).to.be.revertedWith("Asset not configured");
+      await expect(assetRegistry.connect(other).setAssetSupported("BTC", false)).to.be.reverted;
+    });
+  });
+
+  describe("validateRequest", function () {
+    beforeEach(async function () {
+      await assetRegistry.configureAsset("USDT", 6, 1000000, 5000000, 100, 0);
+    });
+
+    it("accepts requests within the asset's limits", async function () {
+      await assetRegistry.validateRequest("USDT", 1000000, 100);
+      await assetRegistry.validateRequest("USDT", 5000000, 0);
+      await assetRegistry.validateRequest("ETH", 1, 1000); // no limits configured
+    });
+
+    it("rejects requests outside the asset's limits", async function () {
+      await expect(assetRegistry.validateRequest("DAI", 1000000, 0)).to.be.revertedWith("Asset not supported");
+      await expect(assetRegistry.validateRequest("ETH", 0, 0)).to.be.revertedWith("Amount must be greater than 0");
+      await expect(assetRegistry.validateRequest("USDT", 999999, 0)).to.be.revertedWith("Amount below asset minimum");
+      await expect(assetRegistry.validateRequest("USDT", 5000001, 0)).to.be.revertedWith("Amount above asset maximum");
+      await expect(assetRegistry.validateRequest("USDT", 1000000, 101)).to.be.revertedWith("Slippage above asset maximum");
+    });
+
+    it("rejects requests in a disabled asset", async function () {
+      await assetRegistry.setAssetSupported("USDT", false);
+      await expect(assetRegistry.validateRequest("USDT", 1000000, 0)).to.be.revertedWith("Asset not supported");
+    });
+  });
+
+  describe("Views", function () {
+    it("computes the fee in asset units", async function () {
+      await assetRegistry.configureAsset("USDC", 6, 0, 0, 0, 250);
+
+      expect(await assetRegistry.feeFor("USDC", 1000000)).to.equal(25000);
+      expect(await assetRegistry.feeFor("ETH", 1000000)).to.equal(0);
+    });
+
+    it("rejects config reads for unknown assets", async function () {
+      await expect(assetRegistry.getAssetConfig("DAI")).to.be.revertedWith("Asset not configured");
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+// EIP-170 caps deployed code at 24576 bytes. RequestManager sits behind a proxy and
+// keeps growing with upgrades, so it has to leave room for the next one.
+const MAX_CONTRACT_SIZE = 24576;
+const REQUEST_MANAGER_HEADROOM = 1024;
+
+describe("Contract sizes", function () {
+  let sizes;
+
+  before(async function () {
+    // Coverage instrumentation inflates bytecode well past what gets deployed
+    if (hre.__SOLIDITY_COVERAGE_RUNNING) {
+      this.skip();
+    }
+
+    sizes = {};
+    for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+      const [source, contractName] = name.split(":");
+      if (!source.startsWith("contracts/") || contractName.startsWith("Mock")) {
+        continue;
+      }
+      const { deployedBytecode } = await hre.artifacts.readArtifact(name);
+      sizes[contractName] = (deployedBytecode.length - 2) / 2;
+    }
+  });
+
+  it("keeps every contract under the deployment limit", async function () {
+    for (const [contractName, size] of Object.entries(sizes)) {
+      expect(size, `${contractName} is ${size} bytes`).to.be.at.most(MAX_CONTRACT_SIZE);
+    }
+  });
+
+  it("leaves RequestManager room to grow in an upgrade", async function () {
+    expect(sizes.RequestManager, `RequestManager is ${sizes.RequestManager} bytes`)
+      .to.be.at.most(MAX_CONTRACT_SIZE - REQUEST_MANAGER_HEADROOM);
+  });
+});
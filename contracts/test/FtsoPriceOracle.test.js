@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("FtsoPriceOracle", function () {
+  const ONE_ETH = ethers.utils.parseEther("1");
+  const ONE_USDT = 1000000; // 6 decimals
+  const MINUTE = 60;
+
+  let priceOracle;
+  let ftsoRegistry;
+  let ftsoV2;
+  let other;
+
+  function toFeedId(name) {
+    return "0x01" + Buffer.from(name).toString("hex").padEnd(40, "0");
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  beforeEach(async function () {
+    [, other] = await ethers.getSigners();
+
+    const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+    ftsoRegistry = await MockFtsoRegistry.deploy();
+
+    const MockFtsoV2 = await ethers.getContractFactory("MockFtsoV2");
+    ftsoV2 = await MockFtsoV2.deploy();
+
+    const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+    priceOracle = await FtsoPriceOracle.deploy(ftsoRegistry.address);
+  });
+
+  describe("conversion", function () {
+    it("converts in the asset's own units and reports 18-decimal USD prices", async function () {
+      // 1 ETH at $2000 = 4000 XRP at $0.50, in 18-decimal units
+      const [xrpAmount, assetPrice, xrpPrice] = await priceOracle.convertToXRP("ETH", ONE_ETH, true);
+      expect(xrpAmount).to.equal(ONE_ETH.mul(4000));
+      expect(assetPrice).to.equal(ethers.utils.parseEther("2000"));
+      expect(xrpPrice).to.equal(ethers.utils.parseEther("0.5"));
+    });
+
+    it("handles asset and XRP prices published with different decimals", async function () {
+      await ftsoRegistry.updatePrice("USDT", 1000, 3); // $1.000
+      await ftsoRegistry.updatePrice("XRP", 25, 2);    // $0.25
+
+      const [xrpAmount, assetPrice, xrpPrice] = await priceOracle.convertToXRP("USDT", ONE_USDT, true);
+      expect(xrpAmount).to.equal(ONE_USDT * 4);
+      expect(assetPrice).to.equal(ethers.utils.parseEther("1"));
+      expect(xrpPrice).to.equal(ethers.utils.parseEther("0.25"));
+    });
+
+    it("converts XRP 1:1 without reading a price", async function () {
+      await ftsoRegistry.updatePrice("XRP", 1, 0);
+      await increaseTime(24 * 60 * MINUTE);
+
+      const [xrpAmount, assetPrice, xrpPrice] = await priceOracle.convertToXRP("XRP", 12345, true);
+      expect(xrpAmount).to.equal(12345);
+      expect(assetPrice).to.equal(0);
+      expect(xrpPrice).to.equal(0);
+    });
+
+    it("reports the current exchange rate with the asset price's timestamp", async function () {
+      await ftsoRegistry.updatePrice("BTC", 5000000, 2); // $50000.00
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      const rate = await priceOracle.getExchangeRate("BTC");
+      expect(rate.assetPrice).to.equal(ethers.utils.parseEther("50000"));
+      expect(rate.xrpPrice).to.equal(ethers.utils.parseEther("0.5"));
+      expect(rate.timestamp).to.equal(timestamp);
+    });
+  });
+
+  describe("staleness", function () {
+    it("rejects prices older than the default maximum age when fresh prices are required", async function () {
+      expect(await priceOracle.getMaxPriceAge("ETH")).to.equal(10 * MINUTE);
+      await increaseTime(10 * MINUTE + 1);
+
+      await expect(priceOracle.convertToXRP("ETH", ONE_ETH, true)).to.be.revertedWith("Stale price feed");
+      // Display quotes accept old prices
+      expect((await priceOracle.convertToXRP("ETH", ONE_ETH, false)).xrpAmount).to.equal(ONE_ETH.mul(4000));
+    });
+
+    it("rejects a stale XRP price as well as a stale asset price", async function () {
+      await increaseTime(10 * MINUTE + 1);
+      await ftsoRegistry.updatePrice("ETH", 200000000, 5);
+
+      await expect(priceOracle.convertToXRP("ETH", ONE_ETH, true)).to.be.revertedWith("Stale price feed");
+    });
+
+    it("applies per-asset maximum ages over the default", async function () {
+      await expect(priceOracle.setMaxPriceAge("ETH", 60 * MINUTE))
+        .to.emit(priceOracle, "MaxPriceAgeUpdated")
+        .withArgs("ETH", 60 * MINUTE);
+      await priceOracle.setMaxPriceAge("XRP", 60 * MINUTE);
+      await increaseTime(30 * MINUTE);
+
+      await priceOracle.convertToXRP("ETH", ONE_ETH, true);
+      await expect(priceOracle.convertToXRP("BTC", 1, true)).to.be.revertedWith("Stale price feed");
+
+      // Zero falls back to the default again
+      await priceOracle.setMaxPriceAge("ETH", 0);
+      expect(await priceOracle.getMaxPriceAge("ETH")).to.equal(10 * MINUTE);
+    });
+
+    it("changes the default maximum age", async function () {
+      await expect(priceOracle.setDefaultMaxPriceAge(0)).to.be.revertedWith("Max price age must be greater than 0");
+
+      await expect(priceOracle.setDefaultMaxPriceAge(60 * MINUTE))
+        .to.emit(priceOracle, "MaxPriceAgeUpdated")
+        .withArgs("", 60 * MINUTE);
+      await increaseTime(30 * MINUTE);
+
+      await priceOracle.convertToXRP("ETH", ONE_ETH, true);
+    });
+  });
+
+  describe("FTSOv2 feeds", function () {
+    it("reads assets routed to a feed from the FTSOv2 provider", async function () {
+      await ftsoRegistry.updatePrice("ETH", 100000000, 5); // legacy $1000, ignored once routed
+      await expect(priceOracle.setPriceFeed("ETH", toFeedId("ETH/USD"), ftsoV2.address))
+        .to.emit(priceOracle, "PriceFeedUpdated")
+        .withArgs("ETH", toFeedId("ETH/USD"), ftsoV2.address);
+
+      expect((await priceOracle.convertToXRP("ETH", ONE_ETH, true)).xrpAmount).to.equal(ONE_ETH.mul(4000));
+    });
+
+    it("scales feeds published with negative decimals", async function () {
+      await ftsoV2.updateFeed(toFeedId("BTC/USD"), 450, -2); // 450 * 10^2 = $45000
+      await priceOracle.setPriceFeed("BTC", toFeedId("BTC/USD"), ftsoV2.address);
+
+      const [xrpAmount, assetPrice] = await priceOracle.convertToXRP("BTC", 100000000, true);
+      expect(xrpAmount).to.equal(ethers.BigNumber.from(100000000).mul(90000));
+      expect(assetPrice).to.equal(ethers.utils.parseEther("45000"));
+    });
+
+    it("falls back to the legacy registry when the provider is cleared", async function () {
+      await priceOracle.setPriceFeed("ETH", toFeedId("ETH/USD"), ftsoV2.address);
+      await ftsoRegistry.updatePrice("ETH", 100000000, 5); // $1000
+
+      await priceOracle.setPriceFeed("ETH", ethers.constants.HashZero.slice(0, 44), ethers.constants.AddressZero);
+      expect((await priceOracle.convertToXRP("ETH", ONE_ETH, true)).xrpAmount).to.equal(ONE_ETH.mul(2000));
+
+      await expect(
+        priceOracle.setPriceFeed("ETH", ethers.constants.HashZero.slice(0, 44), ftsoV2.address)
+      ).to.be.revertedWith("Invalid feed id");
+    });
+
+    it("applies staleness limits to FTSOv2 feeds", async function () {
+      await priceOracle.setPriceFeed("ETH", toFeedId("ETH/USD"), ftsoV2.address);
+      await increaseTime(10 * MINUTE + 1);
+      await ftsoRegistry.updatePrice("XRP", 50000, 5);
+
+      await expect(priceOracle.convertToXRP("ETH", ONE_ETH, true)).to.be.revertedWith("Stale price feed");
+    });
+  });
+
+  describe("administration", function () {
+    it("lets only the asset manager change the registry, feeds and price ages", async function () {
+      await expect(priceOracle.connect(other).updateFtsoRegistry(other.address)).to.be.reverted;
+      await expect(priceOracle.connect(other).setDefaultMaxPriceAge(MINUTE)).to.be.reverted;
+      await expect(priceOracle.connect(other).setMaxPriceAge("ETH", MINUTE)).to.be.reverted;
+      await expect(
+        priceOracle.connect(other).setPriceFeed("ETH", toFeedId("ETH/USD"), ftsoV2.address)
+      ).to.be.reverted;
+    });
+
+    it("moves to a new FTSO registry", async function () {
+      const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+      const newRegistry = await MockFtsoRegistry.deploy();
+      await newRegistry.updatePrice("ETH", 100000000, 5); // $1000
+
+      await expect(priceOracle.updateFtsoRegistry(newRegistry.address))
+        .to.emit(priceOracle, "FtsoRegistryUpdated")
+        .withArgs(newRegistry.address);
+      expect(await priceOracle.ftsoRegistry()).to.equal(newRegistry.address);
+      expect((await priceOracle.convertToXRP("ETH", ONE_ETH, true)).xrpAmount).to.equal(ONE_ETH.mul(2000));
+    });
+  });
+});
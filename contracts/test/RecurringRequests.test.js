@@ -0,0 +1,290 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployRequestManager } = require("./helpers/requestManager");
+
+describe("RecurringRequests", function () {
+  const RECIPIENT = "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH";
+  const BAD_CHECKSUM = "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRh";
+  const ONE_XRP = 1000000; // drops
+  const HOUR = 3600;
+  const DAY = 24 * HOUR;
+
+  let requestManager;
+  let assetRegistry;
+  let recurringRequests;
+  let creator;
+  let keeper;
+  let other;
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Daily 1 XRP series, each request open for an hour
+  async function createSeries({
+    asset = "XRP",
+    amount = ONE_XRP,
+    slippageBp = 100,
+    interval = DAY,
+    firstIssueAt = 0,
+    maxCount = 3,
+    endDate = 0
+  } = {}) {
+    const tx = await recurringRequests
+      .connect(creator)
+      .createRecurringRequest(RECIPIENT, asset, amount, slippageBp, "Rent", interval, HOUR, firstIssueAt, maxCount, endDate);
+    const receipt = await tx.wait();
+    return receipt.events.find(e => e.event === "RecurringRequestCreated").args.recurringId;
+  }
+
+  async function issue(recurringId) {
+    const receipt = await (await recurringRequests.connect(keeper).issueRecurringRequest(recurringId)).wait();
+    const issued = receipt.events.find(e => e.event === "RecurringRequestIssued");
+    return issued ? issued.args.requestId : null;
+  }
+
+  beforeEach(async function () {
+    [, creator, keeper, other] = await ethers.getSigners();
+
+    const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+    const ftsoRegistry = await MockFtsoRegistry.deploy();
+
+    const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+    const priceOracle = await FtsoPriceOracle.deploy(ftsoRegistry.address);
+
+    const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+    assetRegistry = await AssetRegistry.deploy();
+
+    requestManager = await deployRequestManager(priceOracle.address, assetRegistry.address);
+
+    const RecurringRequests = await ethers.getContractFactory("RecurringRequests");
+    recurringRequests = await RecurringRequests.deploy(requestManager.address);
+    await requestManager.setRequestIssuer(recurringRequests.address, true);
+  });
+
+  describe("creation", function () {
+    it("stores the series and schedules its first period", async function () {
+      const firstIssueAt = (await latestTimestamp()) + HOUR;
+
+      await expect(
+        recurringRequests
+          .connect(creator)
+          .createRecurringRequest(RECIPIENT, "XRP", ONE_XRP, 100, "Rent", DAY, HOUR, firstIssueAt, 3, 0)
+      )
+        .to.emit(recurringRequests, "RecurringRequestCreated")
+        .withArgs(1, creator.address, DAY, firstIssueAt, 3, 0);
+
+      const series = await recurringRequests.getRecurringRequest(1);
+      expect(series.creator).to.equal(creator.address);
+      expect(series.nextIssueAt).to.equal(firstIssueAt);
+      expect(series.issuedCount).to.equal(0);
+      expect(await recurringRequests.getUserRecurringRequests(creator.address)).to.deep.equal([ethers.BigNumber.from(1)]);
+      expect(await recurringRequests.getTotalRecurringRequests()).to.equal(1);
+    });
+
+    it("starts a series with a past first period now", async function () {
+      const recurringId = await createSeries({ firstIssueAt: 1 });
+      expect((await recurringRequests.getRecurringRequest(recurringId)).nextIssueAt).to.equal(await latestTimestamp());
+    });
+
+    it("rejects series it could never issue", async function () {
+      const create = (overrides) => {
+        const args = {
+          recipient: RECIPIENT, asset: "XRP", amount: ONE_XRP, interval: DAY, duration: HOUR, maxCount: 3, endDate: 0,
+          ...overrides
+        };
+        return recurringRequests
+          .connect(creator)
+          .createRecurringRequest(args.recipient, args.asset, args.amount, 0, "", args.interval, args.duration, 0, args.maxCount, args.endDate);
+      };
+
+      await expect(create({ recipient: BAD_CHECKSUM })).to.be.revertedWith("Invalid recipient XRPL address");
+      await expect(create({ asset: "DOGE" })).to.be.revertedWith("Asset not supported");
+      await expect(create({ amount: 0 })).to.be.revertedWith("Amount must be greater than 0");
+      await expect(create({ interval: HOUR - 1 })).to.be.revertedWith("Interval too short");
+      await expect(create({ duration: 0 })).to.be.revertedWith("Request duration must be greater than 0");
+      await expect(create({ maxCount: 0 })).to.be.revertedWith("Series needs a count or end date");
+      await expect(create({ maxCount: 0, endDate: (await latestTimestamp()) - 1 }))
+        .to.be.revertedWith("Series needs a count or end date");
+    });
+
+    it("rejects terms the asset registry would refuse", async function () {
+      await assetRegistry.configureAsset("XRP", 6, 2 * ONE_XRP, 0, 500, 0); // 2 XRP minimum, 5% max slippage
+
+      await expect(createSeries({ amount: 3 * ONE_XRP, slippageBp: 800 })).to.be.revertedWith("Slippage above asset maximum");
+      await expect(createSeries({ amount: ONE_XRP })).to.be.revertedWith("Amount below asset minimum");
+    });
+
+    it("applies the asset registry's current limits again at issuance", async function () {
+      await assetRegistry.configureAsset("XRP", 6, 0, 0, 1000, 0); // 10% max slippage
+      const recurringId = await createSeries({ slippageBp: 800 });
+
+      await assetRegistry.configureAsset("XRP", 6, 0, 0, 500, 0);
+      await expect(issue(recurringId)).to.be.revertedWith("Slippage above asset maximum");
+
+      await assetRegistry.configureAsset("XRP", 6, 0, 0, 1000, 0);
+      const requestId = await issue(recurringId);
+      expect((await requestManager.getRequest(requestId)).slippageBp).to.equal(800);
+    });
+  });
+
+  describe("issuance", function () {
+    it("issues a request for the creator each period, callable by anyone", async function () {
+      const recurringId = await createSeries();
+
+      await expect(recurringRequests.connect(keeper).issueRecurringRequest(recurringId))
+        .to.emit(recurringRequests, "RecurringRequestIssued")
+        .withArgs(recurringId, 1, 1);
+      const issuedAt = await latestTimestamp();
+
+      const request = await requestManager.getRequest(1);
+      expect(request.creator).to.equal(creator.address);
+      expect(request.assetAmount).to.equal(ONE_XRP);
+      expect(request.expiry).to.equal(issuedAt + HOUR);
+      expect(request.message).to.equal("Rent");
+      expect(await recurringRequests.recurringOfRequest(1)).to.equal(recurringId);
+
+      // The creator manages issued requests like their own
+      await requestManager.connect(creator).cancelRequest(1);
+    });
+
+    it("waits for each period to fall due", async function () {
+      const recurringId = await createSeries();
+      await issue(recurringId);
+
+      await expect(issue(recurringId)).to.be.revertedWith("Next request not due");
+
+      await increaseTime(DAY);
+      expect(await issue(recurringId)).to.equal(2);
+      expect((await recurringRequests.getRecurringRequest(recurringId)).issuedCount).to.equal(2);
+    });
+
+    it("catches up missed periods one call at a time", async function () {
+      const recurringId = await createSeries({ maxCount: 5 });
+      await increaseTime(3 * DAY);
+
+      for (let period = 1; period <= 4; period++) {
+        expect(await issue(recurringId)).to.equal(period);
+      }
+      await expect(issue(recurringId)).to.be.revertedWith("Next request not due");
+    });
+
+    it("ends the series after its last period", async function () {
+      const recurringId = await createSeries({ maxCount: 1 });
+      await issue(recurringId);
+      await increaseTime(DAY);
+
+      await expect(recurringRequests.issueRecurringRequest(recurringId))
+        .to.emit(recurringRequests, "RecurringRequestEnded")
+        .withArgs(recurringId);
+      expect((await recurringRequests.getRecurringRequest(recurringId)).ended).to.equal(true);
+      await expect(issue(recurringId)).to.be.revertedWith("Series not active");
+    });
+
+    it("ends the series once its end date passes", async function () {
+      const endDate = (await latestTimestamp()) + DAY + HOUR;
+      const recurringId = await createSeries({ maxCount: 0, endDate });
+
+      await issue(recurringId);
+      await increaseTime(DAY);
+      await issue(recurringId);
+      await increaseTime(DAY);
+
+      expect(await issue(recurringId)).to.equal(null);
+      expect((await recurringRequests.getRecurringRequest(recurringId)).issuedCount).to.equal(2);
+    });
+
+    it("stops issuing once it is no longer a request issuer", async function () {
+      const recurringId = await createSeries();
+      await requestManager.setRequestIssuer(recurringRequests.address, false);
+
+      await expect(issue(recurringId)).to.be.revertedWith("Not a request issuer");
+      await expect(issue(99)).to.be.revertedWith("Series does not exist");
+    });
+  });
+
+  describe("management", function () {
+    let recurringId;
+
+    beforeEach(async function () {
+      recurringId = await createSeries({ maxCount: 10 });
+    });
+
+    it("changes the terms of future requests only", async function () {
+      await issue(recurringId);
+
+      await expect(
+        recurringRequests.connect(other).updateRecurringRequest(recurringId, 2 * ONE_XRP, 50, "New rent", 2 * DAY, HOUR)
+      ).to.be.revertedWith("Only creator can manage series");
+      await expect(
+        recurringRequests.connect(creator).updateRecurringRequest(recurringId, 0, 50, "", DAY, HOUR)
+      ).to.be.revertedWith("Amount must be greater than 0");
+      await expect(
+        recurringRequests.connect(creator).updateRecurringRequest(recurringId, ONE_XRP, 10001, "", DAY, HOUR)
+      ).to.be.revertedWith("Slippage above asset maximum");
+      await expect(
+        recurringRequests.connect(creator).updateRecurringRequest(recurringId, ONE_XRP, 50, "", HOUR - 1, HOUR)
+      ).to.be.revertedWith("Interval too short");
+      await expect(
+        recurringRequests.connect(creator).updateRecurringRequest(recurringId, ONE_XRP, 50, "", DAY, 0)
+      ).to.be.revertedWith("Request duration must be greater than 0");
+
+      const { nextIssueAt } = await recurringRequests.getRecurringRequest(recurringId);
+      await expect(
+        recurringRequests.connect(creator).updateRecurringRequest(recurringId, 2 * ONE_XRP, 50, "New rent", 2 * DAY, HOUR)
+      )
+        .to.emit(recurringRequests, "RecurringRequestUpdated")
+        .withArgs(recurringId);
+
+      // The schedule is re-anchored on the period already issued
+      expect((await recurringRequests.getRecurringRequest(recurringId)).nextIssueAt).to.equal(nextIssueAt.add(DAY));
+      expect((await requestManager.getRequest(1)).assetAmount).to.equal(ONE_XRP);
+
+      await increaseTime(2 * DAY);
+      const requestId = await issue(recurringId);
+      expect((await requestManager.getRequest(requestId)).assetAmount).to.equal(2 * ONE_XRP);
+      expect((await requestManager.getRequest(requestId)).message).to.equal("New rent");
+    });
+
+    it("skips the periods that fell due while paused", async function () {
+      await issue(recurringId);
+
+      await expect(recurringRequests.connect(creator).setRecurringRequestPaused(recurringId, true))
+        .to.emit(recurringRequests, "RecurringRequestPaused")
+        .withArgs(recurringId, true);
+      await expect(
+        recurringRequests.connect(creator).setRecurringRequestPaused(recurringId, true)
+      ).to.be.revertedWith("Pause state unchanged");
+
+      await increaseTime(3 * DAY + HOUR);
+      await expect(issue(recurringId)).to.be.revertedWith("Series not active");
+
+      await recurringRequests.connect(creator).setRecurringRequestPaused(recurringId, false);
+      await issue(recurringId);
+      await expect(issue(recurringId)).to.be.revertedWith("Next request not due");
+      expect((await recurringRequests.getRecurringRequest(recurringId)).issuedCount).to.equal(2);
+    });
+
+    it("ends a series while its issued requests stay payable", async function () {
+      const requestId = await issue(recurringId);
+
+      await expect(recurringRequests.connect(other).endRecurringRequest(recurringId)).to.be.revertedWith(
+        "Only creator can manage series"
+      );
+      await expect(recurringRequests.connect(creator).endRecurringRequest(recurringId))
+        .to.emit(recurringRequests, "RecurringRequestEnded")
+        .withArgs(recurringId);
+
+      await expect(
+        recurringRequests.connect(creator).endRecurringRequest(recurringId)
+      ).to.be.revertedWith("Series ended");
+      expect((await requestManager.getRequest(requestId)).status).to.equal(0); // PENDING
+      await expect(recurringRequests.getRecurringRequest(99)).to.be.revertedWith("Series does not exist");
+    });
+  });
+});
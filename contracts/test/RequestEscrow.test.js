@@ -0,0 +1,378 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployRequestManager } = require("./helpers/requestManager");
+
+describe("RequestEscrow", function () {
+  const RECIPIENT = "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH";
+  const NATIVE = ethers.constants.AddressZero;
+  const ONE_XRP = 1000000; // drops
+  const FLR_PER_XRP = ethers.utils.parseEther("25"); // $0.50 / $0.02
+  const ONE_USDT = 1000000; // 6 decimals, $1 = 2 XRP at $0.50
+  const HOUR = 3600;
+  const DISPUTE_WINDOW = 3 * 24 * HOUR;
+
+  const Status = { PENDING: 0, PAID: 1, CANCELLED: 2, EXPIRED: 3, PARTIALLY_PAID: 4, DECLINED: 5, DISPUTED: 6 };
+  const DepositStatus = { HELD: 0, WITHDRAWN: 1, REFUNDED: 2 };
+
+  let requestManager;
+  let requestEscrow;
+  let assetRegistry;
+  let usdt;
+  let admin;
+  let creator;
+  let payer;
+  let feeRecipient;
+  let other;
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function createRequest({ amount = ONE_XRP, expiresIn = HOUR, directedTo } = {}) {
+    const expiry = (await latestTimestamp()) + expiresIn;
+    if (directedTo) {
+      await requestManager
+        .connect(creator)
+        .createDirectedRequest(RECIPIENT, "XRP", amount, expiry, 0, "", {
+          evmAddress: directedTo.address,
+          xrplAddress: "",
+          hidden: false
+        }, 0);
+    } else {
+      await requestManager.connect(creator).createRequest(RECIPIENT, "XRP", amount, expiry, 0, "");
+    }
+    return requestManager.getTotalRequests();
+  }
+
+  function depositNative(requestId, amount, signer = payer) {
+    return requestEscrow.connect(signer).deposit(requestId, NATIVE, amount, { value: amount });
+  }
+
+  async function depositToken(token, requestId, amount, signer = payer) {
+    await token.mint(signer.address, amount);
+    await token.connect(signer).approve(requestEscrow.address, amount);
+    return requestEscrow.connect(signer).deposit(requestId, token.address, amount);
+  }
+
+  async function statusOf(requestId) {
+    return (await requestManager.getRequest(requestId)).status;
+  }
+
+  async function depositStatus(depositId) {
+    return (await requestEscrow.getDeposit(depositId)).status;
+  }
+
+  beforeEach(async function () {
+    [admin, creator, payer, feeRecipient, other] = await ethers.getSigners();
+
+    const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+    const ftsoRegistry = await MockFtsoRegistry.deploy();
+
+    const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+    const priceOracle = await FtsoPriceOracle.deploy(ftsoRegistry.address);
+
+    const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+    assetRegistry = await AssetRegistry.deploy();
+
+    requestManager = await deployRequestManager(priceOracle.address, assetRegistry.address);
+
+    const RequestEscrow = await ethers.getContractFactory("RequestEscrow");
+    requestEscrow = await RequestEscrow.deploy(requestManager.address);
+    await requestManager.setSettlementEscrow(requestEscrow.address, true);
+    await requestEscrow.configureDepositToken(NATIVE, "FLR", 18, true);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdt = await MockERC20.deploy("Tether USD", "USDT", 6);
+    await requestEscrow.configureDepositToken(usdt.address, "USDT", 6, true);
+  });
+
+  describe("deposits", function () {
+    it("values deposits in drops whatever the token's decimals", async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      const wbtc = await MockERC20.deploy("Wrapped BTC", "WBTC", 8);
+      const fxrp = await MockERC20.deploy("FAsset XRP", "FXRP", 6);
+      await requestEscrow.configureDepositToken(wbtc.address, "BTC", 8, true);
+      await requestEscrow.configureDepositToken(fxrp.address, "XRP", 6, true);
+
+      const requestId = await createRequest({ amount: 1000 * ONE_XRP });
+
+      // 25 FLR at $0.02 = 1 XRP at $0.50
+      await expect(depositNative(requestId, FLR_PER_XRP))
+        .to.emit(requestEscrow, "Deposited")
+        .withArgs(1, requestId, payer.address, NATIVE, FLR_PER_XRP, ONE_XRP);
+      // 1 USDT (6 decimals) = 2 XRP
+      expect((await (await depositToken(usdt, requestId, ONE_USDT)).wait()).events.pop().args.xrpValue)
+        .to.equal(2 * ONE_XRP);
+      // 0.001 BTC (8 decimals) at $45000 = 90 XRP
+      expect((await (await depositToken(wbtc, requestId, 100000)).wait()).events.pop().args.xrpValue)
+        .to.equal(90 * ONE_XRP);
+      // Wrapped XRP converts 1:1
+      expect((await (await depositToken(fxrp, requestId, 5 * ONE_XRP)).wait()).events.pop().args.xrpValue)
+        .to.equal(5 * ONE_XRP);
+
+      expect((await requestManager.getRequest(requestId)).paidAmount).to.equal(98 * ONE_XRP);
+      expect(await requestEscrow.getRequestDeposits(requestId)).to.have.lengthOf(4);
+      expect(await requestEscrow.getPayerDeposits(payer.address)).to.have.lengthOf(4);
+    });
+
+    it("quotes the deposit that completes a request", async function () {
+      const requestId = await createRequest({ amount: 3 * ONE_XRP });
+
+      expect(await requestEscrow.quoteDeposit(requestId, NATIVE)).to.equal(FLR_PER_XRP.mul(3));
+      expect(await requestEscrow.quoteDeposit(requestId, usdt.address)).to.equal(1500000);
+
+      await depositToken(usdt, requestId, 1500000);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+      expect(await requestEscrow.quoteDeposit(requestId, usdt.address)).to.equal(0);
+    });
+
+    it("rejects deposits it cannot value or that don't match what was sent", async function () {
+      const requestId = await createRequest();
+
+      await expect(
+        requestEscrow.connect(payer).deposit(requestId, other.address, 1)
+      ).to.be.revertedWith("Token not accepted");
+      await expect(
+        requestEscrow.connect(payer).deposit(requestId, NATIVE, FLR_PER_XRP, { value: 1 })
+      ).to.be.revertedWith("Value does not match amount");
+      await expect(
+        requestEscrow.connect(payer).deposit(requestId, usdt.address, 0, { value: 1 })
+      ).to.be.revertedWith("Native value not accepted");
+      await expect(depositNative(requestId, 0)).to.be.revertedWith("Nothing deposited");
+
+      await requestEscrow.configureDepositToken(usdt.address, "USDT", 6, false);
+      await expect(depositToken(usdt, requestId, ONE_USDT)).to.be.revertedWith("Token not accepted");
+    });
+
+    it("lets only the asset manager configure deposit tokens", async function () {
+      await expect(
+        requestEscrow.connect(other).configureDepositToken(other.address, "FLR", 18, true)
+      ).to.be.reverted;
+      await expect(requestEscrow.configureDepositToken(other.address, "", 18, true)).to.be.revertedWith("Invalid symbol");
+
+      const [tokens, configs] = await requestEscrow.getDepositTokens();
+      expect(tokens).to.deep.equal([NATIVE, usdt.address]);
+      expect(configs[1].symbol).to.equal("USDT");
+      expect(configs[1].decimals).to.equal(6);
+    });
+  });
+
+  describe("withdraw", function () {
+    let requestId;
+
+    beforeEach(async function () {
+      requestId = await createRequest({ amount: 2 * ONE_XRP });
+      await depositToken(usdt, requestId, ONE_USDT);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+    });
+
+    it("releases deposits to the creator once the dispute window closes", async function () {
+      await expect(requestEscrow.connect(creator).withdraw(requestId)).to.be.revertedWith("Dispute window open");
+
+      await increaseTime(DISPUTE_WINDOW + 1);
+      await expect(requestEscrow.connect(other).withdraw(requestId)).to.be.revertedWith("Only creator can withdraw");
+
+      await expect(requestEscrow.connect(creator).withdraw(requestId))
+        .to.emit(requestEscrow, "Withdrawn")
+        .withArgs(1, requestId, creator.address, ONE_USDT, 0);
+      expect(await usdt.balanceOf(creator.address)).to.equal(ONE_USDT);
+      expect(await depositStatus(1)).to.equal(DepositStatus.WITHDRAWN);
+
+      await expect(requestEscrow.connect(creator).withdraw(requestId)).to.be.revertedWith("Nothing to withdraw");
+      await expect(requestEscrow.refund(1)).to.be.revertedWith("Deposit already released");
+    });
+
+    it("takes the request asset's fee once a fee recipient is set", async function () {
+      await assetRegistry.configureAsset("XRP", 6, 0, 0, 1000, 100); // 1%
+      await requestEscrow.setFeeRecipient(feeRecipient.address);
+      await increaseTime(DISPUTE_WINDOW + 1);
+
+      await expect(requestEscrow.connect(creator).withdraw(requestId))
+        .to.emit(requestEscrow, "Withdrawn")
+        .withArgs(1, requestId, creator.address, ONE_USDT * 0.99, ONE_USDT * 0.01);
+      expect(await usdt.balanceOf(creator.address)).to.equal(ONE_USDT * 0.99);
+      expect(await usdt.balanceOf(feeRecipient.address)).to.equal(ONE_USDT * 0.01);
+    });
+
+    it("takes no fee without a fee recipient", async function () {
+      await assetRegistry.configureAsset("XRP", 6, 0, 0, 1000, 100);
+      await increaseTime(DISPUTE_WINDOW + 1);
+
+      await requestEscrow.connect(creator).withdraw(requestId);
+      expect(await usdt.balanceOf(creator.address)).to.equal(ONE_USDT);
+    });
+
+    it("releases native deposits", async function () {
+      const nativeId = await createRequest();
+      await depositNative(nativeId, FLR_PER_XRP);
+      await increaseTime(DISPUTE_WINDOW + 1);
+
+      await expect(() => requestEscrow.connect(creator).withdraw(nativeId))
+        .to.changeEtherBalances([creator, requestEscrow], [FLR_PER_XRP, FLR_PER_XRP.mul(-1)]);
+    });
+
+    it("holds deposits while the payment is disputed", async function () {
+      await requestManager.connect(creator).disputePayment(requestId, "Wrong amount");
+      await increaseTime(DISPUTE_WINDOW + 1);
+
+      await expect(requestEscrow.connect(creator).withdraw(requestId)).to.be.revertedWith("Request not settled");
+    });
+
+    it("lets only the admin set the fee recipient", async function () {
+      await expect(requestEscrow.connect(other).setFeeRecipient(other.address)).to.be.reverted;
+      await expect(requestEscrow.setFeeRecipient(feeRecipient.address))
+        .to.emit(requestEscrow, "FeeRecipientUpdated")
+        .withArgs(feeRecipient.address);
+    });
+  });
+
+  describe("refund", function () {
+    it("keeps deposits that still count toward an open request", async function () {
+      const requestId = await createRequest({ amount: 2 * ONE_XRP });
+      await depositNative(requestId, FLR_PER_XRP);
+
+      expect(await requestEscrow.isRefundable(1)).to.equal(false);
+      await expect(requestEscrow.refund(1)).to.be.revertedWith("Deposit still counted toward request");
+      await expect(requestEscrow.refund(2)).to.be.revertedWith("Deposit does not exist");
+    });
+
+    it("returns deposits on a cancelled request", async function () {
+      const requestId = await createRequest({ amount: 2 * ONE_XRP });
+      await depositToken(usdt, requestId, ONE_USDT / 2);
+      await requestManager.connect(creator).cancelRequest(requestId);
+
+      await expect(requestEscrow.connect(other).refund(1))
+        .to.emit(requestEscrow, "Refunded")
+        .withArgs(1, requestId, payer.address, ONE_USDT / 2);
+      expect(await usdt.balanceOf(payer.address)).to.equal(ONE_USDT / 2);
+      expect(await depositStatus(1)).to.equal(DepositStatus.REFUNDED);
+      expect(await requestEscrow.isRefundable(1)).to.equal(false);
+    });
+
+    it("returns deposits on an expired request", async function () {
+      const requestId = await createRequest({ amount: 2 * ONE_XRP, expiresIn: 60 });
+      await depositNative(requestId, FLR_PER_XRP);
+      await increaseTime(61);
+      await requestManager.markExpired(requestId);
+
+      await expect(() => requestEscrow.connect(other).refund(1))
+        .to.changeEtherBalances([payer, requestEscrow], [FLR_PER_XRP, FLR_PER_XRP.mul(-1)]);
+    });
+
+    it("returns deposits on a request its payer declined", async function () {
+      const requestId = await createRequest({ directedTo: payer });
+      await depositNative(requestId, FLR_PER_XRP);
+
+      // A dispute resolved against the deposit reopens the request, which the payer then declines
+      await requestManager.connect(payer).disputePayment(requestId, "Paid the wrong request");
+      await requestManager.resolveDispute(requestId, false);
+      await requestManager.connect(payer).declineRequest(requestId);
+      expect(await statusOf(requestId)).to.equal(Status.DECLINED);
+
+      await expect(() => requestEscrow.connect(other).refund(1))
+        .to.changeEtherBalances([payer, requestEscrow], [FLR_PER_XRP, FLR_PER_XRP.mul(-1)]);
+    });
+
+    it("returns a deposit a dispute discarded while the request stays open", async function () {
+      const requestId = await createRequest();
+      await depositToken(usdt, requestId, ONE_USDT / 2);
+      await requestManager.connect(creator).disputePayment(requestId, "Not received");
+      expect(await requestEscrow.isRefundable(1)).to.equal(false);
+
+      await requestManager.resolveDispute(requestId, false);
+      expect(await statusOf(requestId)).to.equal(Status.PENDING);
+      expect(await requestEscrow.isRefundable(1)).to.equal(true);
+
+      await requestEscrow.refund(1);
+      expect(await usdt.balanceOf(payer.address)).to.equal(ONE_USDT / 2);
+    });
+  });
+
+  describe("reentrancy", function () {
+    let receiver;
+
+    function reentryReason(errorData) {
+      return ethers.utils.defaultAbiCoder.decode(["string"], ethers.utils.hexDataSlice(errorData, 4))[0];
+    }
+
+    beforeEach(async function () {
+      const MockReentrantReceiver = await ethers.getContractFactory("MockReentrantReceiver");
+      receiver = await MockReentrantReceiver.deploy();
+    });
+
+    it("pays a creator contract once when it re-enters withdraw", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      const createCall = requestManager.interface.encodeFunctionData(
+        "createRequest",
+        [RECIPIENT, "XRP", ONE_XRP, expiry, 0, "Contract creator"]
+      );
+      await receiver.execute(requestManager.address, createCall);
+      const requestId = await requestManager.getTotalRequests();
+      expect((await requestManager.getRequest(requestId)).creator).to.equal(receiver.address);
+
+      await requestEscrow.connect(payer).deposit(requestId, NATIVE, FLR_PER_XRP, { value: FLR_PER_XRP });
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+      await increaseTime(DISPUTE_WINDOW + 1);
+
+      const withdrawCall = requestEscrow.interface.encodeFunctionData("withdraw", [requestId]);
+      await receiver.setReentry(requestEscrow.address, withdrawCall);
+      await receiver.execute(requestEscrow.address, withdrawCall);
+
+      expect(await receiver.reentryAttempted()).to.equal(true);
+      expect(await receiver.reentrySucceeded()).to.equal(false);
+      expect(reentryReason(await receiver.reentryError())).to.equal("ReentrancyGuard: reentrant call");
+      expect(await ethers.provider.getBalance(receiver.address)).to.equal(FLR_PER_XRP);
+      expect(await ethers.provider.getBalance(requestEscrow.address)).to.equal(0);
+    });
+
+    it("refunds a payer contract once when it re-enters refund", async function () {
+      const requestId = await createRequest({ amount: 2 * ONE_XRP });
+      const depositCall = requestEscrow.interface.encodeFunctionData(
+        "deposit",
+        [requestId, NATIVE, FLR_PER_XRP]
+      );
+      await receiver.execute(requestEscrow.address, depositCall, { value: FLR_PER_XRP });
+      expect(await statusOf(requestId)).to.equal(Status.PARTIALLY_PAID);
+
+      await requestManager.connect(creator).cancelRequest(requestId);
+
+      const refundCall = requestEscrow.interface.encodeFunctionData("refund", [1]);
+      await receiver.setReentry(requestEscrow.address, refundCall);
+      await requestEscrow.connect(other).refund(1);
+
+      expect(await receiver.reentrySucceeded()).to.equal(false);
+      expect(reentryReason(await receiver.reentryError())).to.equal("ReentrancyGuard: reentrant call");
+      expect(await ethers.provider.getBalance(receiver.address)).to.equal(FLR_PER_XRP);
+      await expect(requestEscrow.refund(1)).to.be.revertedWith("Deposit already released");
+    });
+
+    it("cannot pay a request twice by re-entering deposit from a refund", async function () {
+      const cancelledId = await createRequest();
+      const openId = await createRequest();
+
+      const depositCall = requestEscrow.interface.encodeFunctionData(
+        "deposit",
+        [cancelledId, NATIVE, FLR_PER_XRP.div(2)]
+      );
+      await receiver.execute(requestEscrow.address, depositCall, { value: FLR_PER_XRP.div(2) });
+      await requestManager.connect(creator).cancelRequest(cancelledId);
+
+      // The refund's callback tries to move the funds straight onto another request
+      await receiver.setReentry(
+        requestEscrow.address,
+        requestEscrow.interface.encodeFunctionData("deposit", [openId, NATIVE, 0])
+      );
+      await requestEscrow.refund(1);
+
+      expect(await receiver.reentrySucceeded()).to.equal(false);
+      expect(reentryReason(await receiver.reentryError())).to.equal("ReentrancyGuard: reentrant call");
+      expect((await requestManager.getRequest(openId)).paidAmount).to.equal(0);
+      expect(await requestManager.getInstallments(openId)).to.have.lengthOf(0);
+    });
+  });
+});
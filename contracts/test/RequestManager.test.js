@@ -0,0 +1,1083 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployRequestManager } = require("./helpers/requestManager");
+
+describe("RequestManager", function () {
+  const RECIPIENT = "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH";
+  const OTHER_RECIPIENT = "rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh";
+  const BAD_CHECKSUM = "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRh"; // last character changed
+  const PAYER_SOURCE = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(OTHER_RECIPIENT)); // account attested payments come from
+  const ONE_XRP = 1000000; // drops
+  const TEN_USDT = 10000000; // 6 decimals, $1 each = 20 XRP at $0.50
+  const HOUR = 3600;
+
+  const Status = { PENDING: 0, PAID: 1, CANCELLED: 2, EXPIRED: 3, PARTIALLY_PAID: 4, DECLINED: 5, DISPUTED: 6 };
+
+  let requestManager;
+  let assetRegistry;
+  let ftsoRegistry;
+  let admin;
+  let creator;
+  let payer;
+  let attestor;
+  let attestor2;
+  let attestor3;
+  let other;
+  let txCounter = 0;
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  function nextTxHash() {
+    txCounter++;
+    return ethers.utils.formatBytes32String(`xrpl-payment-${txCounter}`);
+  }
+
+  async function createRequest({
+    signer = creator,
+    recipient = RECIPIENT,
+    asset = "XRP",
+    amount = ONE_XRP,
+    expiresIn = HOUR,
+    slippageBp = 100,
+    message = "Dinner"
+  } = {}) {
+    const expiry = (await latestTimestamp()) + expiresIn;
+    const tx = await requestManager
+      .connect(signer)
+      .createRequest(recipient, asset, amount, expiry, slippageBp, message);
+    const receipt = await tx.wait();
+    return receipt.events.find(e => e.event === "RequestCreated").args.requestId;
+  }
+
+  async function attest(signer, requestId, amount, txHash = nextTxHash()) {
+    const timestamp = await latestTimestamp();
+    await requestManager.connect(signer).submitPaymentAttestation(requestId, txHash, amount, timestamp, PAYER_SOURCE);
+    return txHash;
+  }
+
+  async function statusOf(requestId) {
+    return (await requestManager.getRequest(requestId)).status;
+  }
+
+  beforeEach(async function () {
+    [admin, creator, payer, attestor, attestor2, attestor3, other] = await ethers.getSigners();
+
+    const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+    ftsoRegistry = await MockFtsoRegistry.deploy();
+
+    const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+    const priceOracle = await FtsoPriceOracle.deploy(ftsoRegistry.address);
+
+    const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+    assetRegistry = await AssetRegistry.deploy();
+
+    requestManager = await deployRequestManager(priceOracle.address, assetRegistry.address);
+
+    await requestManager.addAuthorizedAttestor(attestor.address);
+  });
+
+  describe("creation", function () {
+    it("stores the request and indexes it under its creator", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+
+      await expect(
+        requestManager.connect(creator).createRequest(RECIPIENT, "USDT", TEN_USDT, expiry, 50, "Groceries")
+      )
+        .to.emit(requestManager, "RequestCreated")
+        .withArgs(1, creator.address, RECIPIENT, "USDT", TEN_USDT, expiry, "Groceries");
+
+      const request = await requestManager.getRequest(1);
+      expect(request.id).to.equal(1);
+      expect(request.creator).to.equal(creator.address);
+      expect(request.recipientXRPL).to.equal(RECIPIENT);
+      expect(request.assetSymbol).to.equal("USDT");
+      expect(request.assetAmount).to.equal(TEN_USDT);
+      expect(request.expiry).to.equal(expiry);
+      expect(request.slippageBp).to.equal(50);
+      expect(request.status).to.equal(Status.PENDING);
+      expect(request.paidAmount).to.equal(0);
+      expect(request.quote.xrpAmount).to.equal(0);
+      expect(await requestManager.createdAt(1)).to.equal(await latestTimestamp());
+
+      expect(await requestManager.getTotalRequests()).to.equal(1);
+      expect(await requestManager.getUserRequests(creator.address)).to.deep.equal([ethers.BigNumber.from(1)]);
+    });
+
+    it("rejects recipients that are not checksummed classic addresses", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      const invalid = [
+        BAD_CHECKSUM,
+        "",
+        "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzR", // truncated
+        "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH0", // '0' is not in the XRPL alphabet
+        "0x5B38Da6a701c568545dCfcB03FcB875f56beddC4"
+      ];
+
+      for (const recipient of invalid) {
+        await expect(
+          requestManager.connect(creator).createRequest(recipient, "XRP", ONE_XRP, expiry, 100, "")
+        ).to.be.revertedWith("Invalid recipient XRPL address");
+      }
+
+      // Leading 'r's encode zero bytes, so short all-zero accounts are still valid
+      await requestManager.connect(creator).createRequest("rrrrrrrrrrrrrrrrrrrrBZbvji", "XRP", ONE_XRP, expiry, 100, "");
+    });
+
+    it("requires an expiry in the future", async function () {
+      const now = await latestTimestamp();
+
+      await expect(
+        requestManager.connect(creator).createRequest(RECIPIENT, "XRP", ONE_XRP, now, 100, "")
+      ).to.be.revertedWith("Expiry must be in the future");
+      await expect(
+        requestManager.connect(creator).createRequest(RECIPIENT, "XRP", ONE_XRP, 0, 100, "")
+      ).to.be.revertedWith("Expiry must be in the future");
+    });
+
+    it("enforces the asset registry's limits", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      const create = (asset, amount, slippageBp) =>
+        requestManager.connect(creator).createRequest(RECIPIENT, asset, amount, expiry, slippageBp, "");
+
+      // 1 to 1000 USDT, at most 5% slippage
+      await assetRegistry.configureAsset("USDT", 6, 1000000, 1000000000, 500, 0);
+
+      await expect(create("USDT", 0, 0)).to.be.revertedWith("Amount must be greater than 0");
+      await expect(create("USDT", 999999, 0)).to.be.revertedWith("Amount below asset minimum");
+      await expect(create("USDT", 1000000001, 0)).to.be.revertedWith("Amount above asset maximum");
+      await expect(create("USDT", TEN_USDT, 501)).to.be.revertedWith("Slippage above asset maximum");
+      await expect(create("DOGE", ONE_XRP, 0)).to.be.revertedWith("Asset not supported");
+
+      await create("USDT", 1000000, 500);
+      await create("USDT", 1000000000, 0);
+
+      await assetRegistry.setAssetSupported("USDT", false);
+      await expect(create("USDT", TEN_USDT, 0)).to.be.revertedWith("Asset not supported");
+      expect(await requestManager.supportedAssets("USDT")).to.equal(false);
+    });
+
+    it("only lets request issuers create on a creator's behalf", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+
+      await expect(
+        requestManager.connect(other).createRequestFor(creator.address, RECIPIENT, "XRP", ONE_XRP, expiry, 100, "")
+      ).to.be.revertedWith("Not a request issuer");
+
+      await requestManager.setRequestIssuer(other.address, true);
+      await requestManager.connect(other).createRequestFor(creator.address, RECIPIENT, "XRP", ONE_XRP, expiry, 100, "");
+
+      expect((await requestManager.getRequest(1)).creator).to.equal(creator.address);
+      expect(await requestManager.getUserRequests(other.address)).to.deep.equal([]);
+    });
+
+    it("validates a directed request's intended payer", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      const createDirected = (intendedPayer) =>
+        requestManager
+          .connect(creator)
+          .createDirectedRequest(RECIPIENT, "XRP", ONE_XRP, expiry, 100, "", intendedPayer, 0);
+
+      await expect(
+        createDirected({ evmAddress: ethers.constants.AddressZero, xrplAddress: "", hidden: false })
+      ).to.be.revertedWith("Payer needs an EVM or XRPL address");
+      await expect(
+        createDirected({ evmAddress: payer.address, xrplAddress: BAD_CHECKSUM, hidden: false })
+      ).to.be.revertedWith("Invalid payer XRPL address");
+
+      await expect(createDirected({ evmAddress: payer.address, xrplAddress: OTHER_RECIPIENT, hidden: true }))
+        .to.emit(requestManager, "RequestDirected")
+        .withArgs(1, payer.address, OTHER_RECIPIENT, true);
+      expect(await requestManager.getPayerRequests(payer.address)).to.deep.equal([ethers.BigNumber.from(1)]);
+    });
+
+    it("is halted while paused", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+
+      await expect(requestManager.connect(other).pause()).to.be.reverted;
+      await requestManager.pause();
+
+      await expect(
+        requestManager.connect(creator).createRequest(RECIPIENT, "XRP", ONE_XRP, expiry, 100, "")
+      ).to.be.revertedWith("Pausable: paused");
+
+      await requestManager.unpause();
+      await requestManager.connect(creator).createRequest(RECIPIENT, "XRP", ONE_XRP, expiry, 100, "");
+    });
+
+    it("rejects ids that were never created", async function () {
+      await expect(requestManager.getRequest(1)).to.be.revertedWith("Invalid request ID");
+      await expect(requestManager.getRequest(0)).to.be.revertedWith("Request does not exist");
+    });
+  });
+
+  describe("FTSO conversion", function () {
+    it("converts XRP requests 1:1 without reading prices", async function () {
+      expect(await requestManager.calculateXRPAmount("XRP", ONE_XRP)).to.equal(ONE_XRP);
+
+      const requestId = await createRequest({ asset: "XRP", slippageBp: 0 });
+      expect(await requestManager.getRequiredPayment(requestId)).to.equal(ONE_XRP);
+    });
+
+    it("converts at the registry's prices", async function () {
+      // $1.00 / $0.50
+      expect(await requestManager.calculateXRPAmount("USDT", TEN_USDT)).to.equal(20000000);
+
+      const [assetPrice, xrpPrice] = await requestManager.getExchangeRate("USDT");
+      expect(assetPrice).to.equal(ethers.utils.parseUnits("1", 18));
+      expect(xrpPrice).to.equal(ethers.utils.parseUnits("0.5", 18));
+    });
+
+    it("gives the same result whatever decimals each price is reported in", async function () {
+      // $1.00 with 8 decimals against $0.50 with 5
+      await ftsoRegistry.updatePrice("USDT", 100000000, 8);
+      expect(await requestManager.calculateXRPAmount("USDT", TEN_USDT)).to.equal(20000000);
+
+      // $0.50 with 7 decimals against $1.00 with 2
+      await ftsoRegistry.updatePrice("XRP", 5000000, 7);
+      await ftsoRegistry.updatePrice("USDT", 100, 2);
+      expect(await requestManager.calculateXRPAmount("USDT", TEN_USDT)).to.equal(20000000);
+
+      const [assetPrice, xrpPrice] = await requestManager.getExchangeRate("USDT");
+      expect(assetPrice).to.equal(ethers.utils.parseUnits("1", 18));
+      expect(xrpPrice).to.equal(ethers.utils.parseUnits("0.5", 18));
+    });
+
+    it("follows price updates reported in new decimals", async function () {
+      // XRP at $0.625 with 6 decimals
+      await ftsoRegistry.updatePrice("XRP", 625000, 6);
+      expect(await requestManager.calculateXRPAmount("USDT", TEN_USDT)).to.equal(16000000);
+
+      // USDT depegs to $0.98 with 8 decimals
+      await ftsoRegistry.updatePrice("USDT", 98000000, 8);
+      expect(await requestManager.calculateXRPAmount("USDT", TEN_USDT)).to.equal(15680000);
+    });
+
+    it("records the prices a request settled at", async function () {
+      const requestId = await createRequest({ asset: "USDT", amount: TEN_USDT, slippageBp: 0 });
+      await ftsoRegistry.updatePrice("XRP", 40000000, 8); // $0.40
+
+      await attest(attestor, requestId, 25000000);
+
+      const request = await requestManager.getRequest(requestId);
+      expect(request.status).to.equal(Status.PAID);
+      expect(request.paidAssetPrice).to.equal(ethers.utils.parseUnits("1", 18));
+      expect(request.paidXrpPrice).to.equal(ethers.utils.parseUnits("0.4", 18));
+    });
+
+    it("refuses to settle against stale prices", async function () {
+      const requestId = await createRequest({ asset: "USDT", amount: TEN_USDT, expiresIn: 2 * HOUR });
+      await increaseTime(11 * 60);
+
+      await expect(
+        attest(attestor, requestId, 20000000)
+      ).to.be.revertedWith("Stale price feed");
+      await expect(requestManager.getRequiredPayment(requestId)).to.be.revertedWith("Stale price feed");
+
+      // Display conversions don't need fresh prices
+      expect(await requestManager.calculateXRPAmount("USDT", TEN_USDT)).to.equal(20000000);
+
+      await ftsoRegistry.updatePrice("USDT", 100000, 5);
+      await ftsoRegistry.updatePrice("XRP", 50000, 5);
+      await attest(attestor, requestId, 20000000);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+    });
+
+    it("settles quoted requests at the locked amount until the quote lapses", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      await expect(
+        requestManager.connect(creator).createQuotedRequest(RECIPIENT, "USDT", TEN_USDT, expiry, 0, "", 0)
+      ).to.be.revertedWith("Quote duration must be greater than 0");
+
+      await requestManager.connect(creator).createQuotedRequest(RECIPIENT, "USDT", TEN_USDT, expiry, 0, "", 600);
+      const quote = (await requestManager.getRequest(1)).quote;
+      expect(quote.xrpAmount).to.equal(20000000);
+
+      // XRP doubles in price, but the locked 20 XRP still applies
+      await ftsoRegistry.updatePrice("XRP", 100000, 5);
+      expect(await requestManager.getRequiredPayment(1)).to.equal(20000000);
+      await expect(requestManager.connect(creator).requoteRequest(1)).to.be.revertedWith("Quote still locked");
+
+      await increaseTime(601);
+      await ftsoRegistry.updatePrice("USDT", 100000, 5);
+      await ftsoRegistry.updatePrice("XRP", 100000, 5);
+      expect(await requestManager.getRequiredPayment(1)).to.equal(10000000);
+
+      await expect(requestManager.connect(creator).requoteRequest(1)).to.emit(requestManager, "RequestQuoted");
+      expect((await requestManager.getRequest(1)).quote.xrpAmount).to.equal(10000000);
+    });
+  });
+
+  describe("slippage", function () {
+    // 10 USDT = 20 XRP at the mock's prices; 1% slippage accepts 19.8 XRP
+    const REQUIRED = 20000000;
+    const MIN_AT_1_PERCENT = 19800000;
+
+    it("settles a payment exactly at the slippage floor", async function () {
+      const requestId = await createRequest({ asset: "USDT", amount: TEN_USDT, slippageBp: 100 });
+      expect(await requestManager.getRequiredPayment(requestId)).to.equal(MIN_AT_1_PERCENT);
+
+      const timestamp = await latestTimestamp();
+      await expect(
+        requestManager.connect(attestor).submitPaymentAttestation(requestId, nextTxHash(), MIN_AT_1_PERCENT, timestamp, PAYER_SOURCE)
+      ).to.emit(requestManager, "RequestPaid");
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+      expect(await requestManager.getRequiredPayment(requestId)).to.equal(0);
+    });
+
+    it("leaves a payment one drop short partially paid", async function () {
+      const requestId = await createRequest({ asset: "USDT", amount: TEN_USDT, slippageBp: 100 });
+
+      await attest(attestor, requestId, MIN_AT_1_PERCENT - 1);
+
+      const request = await requestManager.getRequest(requestId);
+      expect(request.status).to.equal(Status.PARTIALLY_PAID);
+      expect(request.paidAmount).to.equal(MIN_AT_1_PERCENT - 1);
+      expect(await requestManager.getRequiredPayment(requestId)).to.equal(1);
+
+      // A second installment completes it
+      await attest(attestor, requestId, 1);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+      expect(await requestManager.getInstallments(requestId)).to.have.lengthOf(2);
+    });
+
+    it("requires the full amount with zero slippage", async function () {
+      const requestId = await createRequest({ asset: "USDT", amount: TEN_USDT, slippageBp: 0 });
+
+      await attest(attestor, requestId, REQUIRED - 1);
+      expect(await statusOf(requestId)).to.equal(Status.PARTIALLY_PAID);
+
+      await attest(attestor, requestId, 1);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+    });
+
+    it("accepts the asset's maximum slippage and nothing above it", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      const maxSlippage = await assetRegistry.MAX_SLIPPAGE_BP();
+
+      await expect(
+        requestManager.connect(creator).createRequest(RECIPIENT, "USDT", TEN_USDT, expiry, maxSlippage + 1, "")
+      ).to.be.revertedWith("Slippage above asset maximum");
+
+      const requestId = await createRequest({ asset: "USDT", amount: TEN_USDT, slippageBp: maxSlippage });
+      expect(await requestManager.getRequiredPayment(requestId)).to.equal(18000000);
+    });
+
+    it("applies slippage to the price at payment time", async function () {
+      const requestId = await createRequest({ asset: "USDT", amount: TEN_USDT, slippageBp: 100 });
+
+      // XRP falls to $0.40, so 10 USDT now needs 25 XRP, 24.75 XRP after slippage
+      await ftsoRegistry.updatePrice("XRP", 40000, 5);
+      expect(await requestManager.getRequiredPayment(requestId)).to.equal(24750000);
+
+      await attest(attestor, requestId, MIN_AT_1_PERCENT);
+      expect(await statusOf(requestId)).to.equal(Status.PARTIALLY_PAID);
+
+      await attest(attestor, requestId, 24750000 - MIN_AT_1_PERCENT);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+    });
+  });
+
+  describe("attestors", function () {
+    let requestId;
+
+    beforeEach(async function () {
+      requestId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+    });
+
+    it("only accepts attestations from authorized attestors", async function () {
+      await expect(attest(other, requestId, ONE_XRP)).to.be.revertedWith("Not authorized attestor");
+      await expect(attest(creator, requestId, ONE_XRP)).to.be.revertedWith("Not authorized attestor");
+
+      await attest(attestor, requestId, ONE_XRP);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+    });
+
+    it("stops accepting a removed attestor", async function () {
+      await requestManager.addAuthorizedAttestor(attestor2.address);
+      await expect(requestManager.addAuthorizedAttestor(attestor2.address)).to.be.revertedWith("Already an attestor");
+
+      await expect(requestManager.removeAuthorizedAttestor(attestor2.address))
+        .to.emit(requestManager, "AttestorRemoved")
+        .withArgs(attestor2.address);
+      await expect(attest(attestor2, requestId, ONE_XRP)).to.be.revertedWith("Not authorized attestor");
+
+      await expect(requestManager.removeAuthorizedAttestor(attestor2.address)).to.be.revertedWith("Not an attestor");
+      await expect(
+        requestManager.removeAuthorizedAttestor(attestor.address)
+      ).to.be.revertedWith("Would drop below attestation threshold");
+    });
+
+    it("restricts attestor management to its role", async function () {
+      const role = await requestManager.ATTESTOR_MANAGER_ROLE();
+
+      await expect(requestManager.connect(other).addAuthorizedAttestor(other.address)).to.be.reverted;
+      await expect(requestManager.connect(other).setAttestationThreshold(1)).to.be.reverted;
+
+      await requestManager.grantRole(role, other.address);
+      await requestManager.connect(other).addAuthorizedAttestor(attestor2.address);
+      expect(await requestManager.authorizedAttestors(attestor2.address)).to.equal(true);
+      expect(await requestManager.attestorCount()).to.equal(2);
+    });
+
+    it("validates the attestation threshold", async function () {
+      await expect(requestManager.setAttestationThreshold(0)).to.be.revertedWith("Invalid attestation threshold");
+      await expect(requestManager.setAttestationThreshold(2)).to.be.revertedWith("Invalid attestation threshold");
+
+      await requestManager.addAuthorizedAttestor(attestor2.address);
+      await expect(requestManager.setAttestationThreshold(2))
+        .to.emit(requestManager, "AttestationThresholdUpdated")
+        .withArgs(2);
+    });
+
+    it("settles once the threshold of matching votes is reached", async function () {
+      await requestManager.addAuthorizedAttestor(attestor2.address);
+      await requestManager.addAuthorizedAttestor(attestor3.address);
+      await requestManager.setAttestationThreshold(2);
+
+      const txHash = nextTxHash();
+      const timestamp = await latestTimestamp();
+
+      await expect(
+        requestManager.connect(attestor).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, PAYER_SOURCE)
+      ).to.not.emit(requestManager, "PaymentReceived");
+      expect(await statusOf(requestId)).to.equal(Status.PENDING);
+
+      await expect(
+        requestManager.connect(attestor).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, PAYER_SOURCE)
+      ).to.be.revertedWith("Attestor already voted");
+
+      await expect(
+        requestManager.connect(attestor2).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, PAYER_SOURCE)
+      ).to.emit(requestManager, "RequestPaid");
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+
+      // A late third vote finds the request already settled
+      await expect(
+        requestManager.connect(attestor3).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, PAYER_SOURCE)
+      ).to.be.revertedWith("Request not open");
+    });
+
+    it("does not combine votes that disagree", async function () {
+      await requestManager.addAuthorizedAttestor(attestor2.address);
+      await requestManager.setAttestationThreshold(2);
+
+      const txHash = nextTxHash();
+      const timestamp = await latestTimestamp();
+
+      await requestManager.connect(attestor).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, PAYER_SOURCE);
+      await expect(
+        requestManager.connect(attestor2).submitPaymentAttestation(requestId, txHash, ONE_XRP * 2, timestamp, PAYER_SOURCE)
+      ).to.emit(requestManager, "AttestationConflict");
+
+      expect(await statusOf(requestId)).to.equal(Status.PENDING);
+      expect((await requestManager.getRequest(requestId)).paidAmount).to.equal(0);
+    });
+
+    it("does not combine votes for different source accounts", async function () {
+      await requestManager.addAuthorizedAttestor(attestor2.address);
+      await requestManager.setAttestationThreshold(2);
+
+      const txHash = nextTxHash();
+      const timestamp = await latestTimestamp();
+      const otherSource = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(RECIPIENT));
+
+      await requestManager.connect(attestor).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, PAYER_SOURCE);
+      await expect(
+        requestManager.connect(attestor2).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, otherSource)
+      ).to.emit(requestManager, "AttestationConflict");
+
+      expect(await statusOf(requestId)).to.equal(Status.PENDING);
+    });
+
+    it("only counts attested payments from a directed request's XRPL payer", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      await requestManager
+        .connect(creator)
+        .createDirectedRequest(RECIPIENT, "XRP", ONE_XRP, expiry, 0, "", {
+          evmAddress: ethers.constants.AddressZero,
+          xrplAddress: "rrrrrrrrrrrrrrrrrrrrBZbvji",
+          hidden: false
+        }, 0);
+      const directedId = await requestManager.getTotalRequests();
+      const timestamp = await latestTimestamp();
+
+      await expect(
+        requestManager.connect(attestor).submitPaymentAttestation(directedId, nextTxHash(), ONE_XRP, timestamp, PAYER_SOURCE)
+      ).to.be.revertedWith("Not from intended payer");
+
+      await requestManager.connect(attestor).submitPaymentAttestation(
+        directedId,
+        nextTxHash(),
+        ONE_XRP,
+        timestamp,
+        ethers.utils.keccak256(ethers.utils.toUtf8Bytes("rrrrrrrrrrrrrrrrrrrrBZbvji"))
+      );
+      expect(await statusOf(directedId)).to.equal(Status.PAID);
+    });
+
+    it("does not combine votes cast for a previous recipient", async function () {
+      await requestManager.addAuthorizedAttestor(attestor2.address);
+      await requestManager.setAttestationThreshold(2);
+
+      const txHash = nextTxHash();
+      const timestamp = await latestTimestamp();
+
+      await requestManager.connect(attestor).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, PAYER_SOURCE);
+      await requestManager.connect(creator).updateRecipient(requestId, OTHER_RECIPIENT);
+      await requestManager.connect(attestor2).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, PAYER_SOURCE);
+
+      expect(await statusOf(requestId)).to.equal(Status.PENDING);
+    });
+
+    it("rejects malformed attestations", async function () {
+      const now = await latestTimestamp();
+
+      await expect(
+        requestManager.connect(attestor).submitPaymentAttestation(requestId, nextTxHash(), 0, now, PAYER_SOURCE)
+      ).to.be.revertedWith("Nothing paid");
+      await expect(
+        requestManager.connect(attestor).submitPaymentAttestation(requestId, nextTxHash(), ONE_XRP, now + HOUR, PAYER_SOURCE)
+      ).to.be.revertedWith("Future timestamp not allowed");
+      await expect(
+        requestManager.connect(attestor).submitPaymentAttestation(requestId, nextTxHash(), ONE_XRP, now - HOUR, PAYER_SOURCE)
+      ).to.be.revertedWith("Paid before request created");
+      await expect(
+        requestManager.connect(attestor).submitPaymentAttestation(99, nextTxHash(), ONE_XRP, now, PAYER_SOURCE)
+      ).to.be.revertedWith("Invalid request ID");
+    });
+
+    it("never counts one XRPL transaction twice", async function () {
+      const txHash = await attest(attestor, requestId, ONE_XRP);
+      const secondId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+
+      await expect(attest(attestor, secondId, ONE_XRP, txHash)).to.be.revertedWith("Payment already counted");
+      expect(await requestManager.settledPayments(txHash)).to.equal(true);
+    });
+
+    it("is halted while paused", async function () {
+      await requestManager.pause();
+      await expect(attest(attestor, requestId, ONE_XRP)).to.be.revertedWith("Pausable: paused");
+
+      await requestManager.unpause();
+      await attest(attestor, requestId, ONE_XRP);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+    });
+  });
+
+  describe("cancel and expire", function () {
+    let requestId;
+
+    beforeEach(async function () {
+      requestId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+    });
+
+    it("lets only the creator cancel", async function () {
+      await expect(requestManager.connect(other).cancelRequest(requestId)).to.be.revertedWith("Only creator can cancel");
+
+      await expect(requestManager.connect(creator).cancelRequest(requestId))
+        .to.emit(requestManager, "RequestCancelled")
+        .withArgs(requestId);
+      expect(await statusOf(requestId)).to.equal(Status.CANCELLED);
+
+      await expect(requestManager.connect(creator).cancelRequest(requestId)).to.be.revertedWith("Can only cancel open requests");
+      await expect(attest(attestor, requestId, ONE_XRP)).to.be.revertedWith("Request not open");
+    });
+
+    it("cancels partially paid requests but not settled ones", async function () {
+      await attest(attestor, requestId, ONE_XRP / 2);
+      expect(await statusOf(requestId)).to.equal(Status.PARTIALLY_PAID);
+      await requestManager.connect(creator).cancelRequest(requestId);
+      expect(await statusOf(requestId)).to.equal(Status.CANCELLED);
+
+      const paidId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+      await attest(attestor, paidId, ONE_XRP);
+      await expect(requestManager.connect(creator).cancelRequest(paidId)).to.be.revertedWith("Can only cancel open requests");
+    });
+
+    it("routes cancelling through the issuer that manages a request", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      await requestManager.setRequestIssuer(other.address, true);
+      await requestManager
+        .connect(other)
+        .createDirectedRequestFor(creator.address, RECIPIENT, "XRP", ONE_XRP, expiry, 0, "Share", {
+          evmAddress: payer.address,
+          xrplAddress: "",
+          hidden: false
+        });
+      const issuedId = await requestManager.getTotalRequests();
+
+      await expect(requestManager.connect(creator).cancelRequest(issuedId)).to.be.revertedWith("Cancel through its issuer");
+      await requestManager.connect(other).cancelRequest(issuedId);
+      expect(await statusOf(issuedId)).to.equal(Status.CANCELLED);
+    });
+
+    it("still allows cancelling while paused", async function () {
+      await requestManager.pause();
+      await requestManager.connect(creator).cancelRequest(requestId);
+      expect(await statusOf(requestId)).to.equal(Status.CANCELLED);
+    });
+
+    it("lets the intended payer decline a directed request", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      await requestManager
+        .connect(creator)
+        .createDirectedRequest(RECIPIENT, "XRP", ONE_XRP, expiry, 0, "", {
+          evmAddress: payer.address,
+          xrplAddress: "",
+          hidden: false
+        }, 0);
+      const directedId = await requestManager.getTotalRequests();
+
+      await expect(requestManager.connect(other).declineRequest(directedId)).to.be.revertedWith("Only intended payer can decline");
+      await expect(requestManager.connect(payer).declineRequest(directedId))
+        .to.emit(requestManager, "RequestDeclined")
+        .withArgs(directedId, payer.address);
+      expect(await statusOf(directedId)).to.equal(Status.DECLINED);
+      await expect(requestManager.connect(creator).cancelRequest(directedId)).to.be.revertedWith("Can only cancel open requests");
+    });
+
+    it("expires only after the expiry has passed", async function () {
+      await expect(requestManager.markExpired(requestId)).to.be.revertedWith("Request not yet expired");
+
+      await increaseTime(HOUR + 1);
+      await expect(attest(attestor, requestId, ONE_XRP)).to.be.revertedWith("Request expired");
+
+      await expect(requestManager.connect(other).markExpired(requestId))
+        .to.emit(requestManager, "RequestExpired")
+        .withArgs(requestId);
+      expect(await statusOf(requestId)).to.equal(Status.EXPIRED);
+
+      await expect(requestManager.markExpired(requestId)).to.be.revertedWith("Request not open");
+      await expect(requestManager.connect(creator).cancelRequest(requestId)).to.be.revertedWith("Can only cancel open requests");
+    });
+
+    it("expires partially paid requests", async function () {
+      await attest(attestor, requestId, ONE_XRP / 2);
+      await increaseTime(HOUR + 1);
+
+      await requestManager.markExpired(requestId);
+      const request = await requestManager.getRequest(requestId);
+      expect(request.status).to.equal(Status.EXPIRED);
+      expect(request.paidAmount).to.equal(ONE_XRP / 2);
+    });
+
+    it("expires in batches, skipping ids it cannot expire", async function () {
+      const paidId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+      await attest(attestor, paidId, ONE_XRP);
+      const cancelledId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+      await requestManager.connect(creator).cancelRequest(cancelledId);
+      const overdueId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+      await increaseTime(HOUR + 1);
+      const freshId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+
+      const ids = [requestId, paidId, cancelledId, overdueId, freshId, 999];
+      expect(await requestManager.callStatic.markExpiredBatch(ids)).to.equal(2);
+
+      await expect(requestManager.connect(other).markExpiredBatch(ids))
+        .to.emit(requestManager, "RequestExpired")
+        .withArgs(overdueId);
+
+      expect(await statusOf(requestId)).to.equal(Status.EXPIRED);
+      expect(await statusOf(paidId)).to.equal(Status.PAID);
+      expect(await statusOf(cancelledId)).to.equal(Status.CANCELLED);
+      expect(await statusOf(overdueId)).to.equal(Status.EXPIRED);
+      expect(await statusOf(freshId)).to.equal(Status.PENDING);
+
+      // Nothing left to expire
+      expect(await requestManager.callStatic.markExpiredBatch(ids)).to.equal(0);
+    });
+
+    it("lets the creator extend an open request before it expires", async function () {
+      const { expiry } = await requestManager.getRequest(requestId);
+
+      await expect(requestManager.connect(other).extendExpiry(requestId, expiry.add(HOUR))).to.be.revertedWith("Only creator or its issuer");
+      await expect(requestManager.connect(creator).extendExpiry(requestId, expiry)).to.be.revertedWith("Expiry can only be extended");
+
+      await requestManager.connect(creator).extendExpiry(requestId, expiry.add(HOUR));
+      await increaseTime(HOUR + 1);
+      await expect(requestManager.markExpired(requestId)).to.be.revertedWith("Request not yet expired");
+
+      await increaseTime(HOUR);
+      await expect(requestManager.connect(creator).extendExpiry(requestId, expiry.add(3 * HOUR))).to.be.revertedWith("Request expired");
+    });
+  });
+
+  describe("FDC payment proofs", function () {
+    const SOURCE_ID = ethers.utils.formatBytes32String("testXRP");
+    const RESPONSE_TYPE =
+      "tuple(bytes32 attestationType, bytes32 sourceId, uint64 votingRound, uint64 lowestUsedTimestamp, " +
+      "tuple(bytes32 transactionId, bool proofOwner) requestBody, " +
+      "tuple(uint64 blockNumber, uint64 blockTimestamp, bytes32 sourceAddressHash, bytes32 receivingAddressHash, " +
+      "bytes32 intendedReceivingAddressHash, int256 spentAmount, int256 intendedSpentAmount, int256 receivedAmount, " +
+      "int256 intendedReceivedAmount, bytes firstMemoData, bool hasDestinationTag, uint256 destinationTag, uint8 status) responseBody)";
+
+    let fdcVerification;
+    let requestId;
+
+    const addressHash = (address) => ethers.utils.keccak256(ethers.utils.toUtf8Bytes(address));
+
+    // A single-leaf proof whose root is published for its voting round unless `publish` is false
+    async function paymentProof(overrides = {}, { sourceId = SOURCE_ID, txHash = nextTxHash(), publish = true } = {}) {
+      const timestamp = await latestTimestamp();
+      const data = {
+        attestationType: ethers.utils.formatBytes32String("Payment"),
+        sourceId,
+        votingRound: 1,
+        lowestUsedTimestamp: timestamp,
+        requestBody: { transactionId: txHash, proofOwner: false },
+        responseBody: {
+          blockNumber: 1,
+          blockTimestamp: timestamp,
+          sourceAddressHash: addressHash(OTHER_RECIPIENT),
+          receivingAddressHash: addressHash(RECIPIENT),
+          intendedReceivingAddressHash: addressHash(RECIPIENT),
+          spentAmount: ONE_XRP,
+          intendedSpentAmount: ONE_XRP,
+          receivedAmount: ONE_XRP,
+          intendedReceivedAmount: ONE_XRP,
+          firstMemoData: "0x",
+          hasDestinationTag: true,
+          destinationTag: requestId,
+          status: 0,
+          ...overrides
+        }
+      };
+
+      if (publish) {
+        const leaf = ethers.utils.keccak256(ethers.utils.defaultAbiCoder.encode([RESPONSE_TYPE], [data]));
+        await fdcVerification.setMerkleRoot(1, leaf);
+      }
+      return { merkleProof: [], data };
+    }
+
+    beforeEach(async function () {
+      const MockFdcVerification = await ethers.getContractFactory("MockFdcVerification");
+      fdcVerification = await MockFdcVerification.deploy();
+
+      await expect(
+        requestManager.connect(other).setFdcVerification(fdcVerification.address, SOURCE_ID)
+      ).to.be.reverted;
+      await requestManager.setFdcVerification(fdcVerification.address, SOURCE_ID);
+
+      requestId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+    });
+
+    it("settles a request from a verified proof submitted by anyone", async function () {
+      const proof = await paymentProof();
+
+      await expect(requestManager.connect(other).submitPaymentProof(requestId, proof))
+        .to.emit(requestManager, "RequestPaid")
+        .withArgs(requestId, proof.data.requestBody.transactionId, ONE_XRP, proof.data.responseBody.blockTimestamp);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+
+      await expect(requestManager.submitPaymentProof(requestId, proof)).to.be.revertedWith("Request not open");
+    });
+
+    it("requires a configured verifier and a published root", async function () {
+      await expect(
+        requestManager.submitPaymentProof(requestId, await paymentProof({}, { publish: false }))
+      ).to.be.revertedWith("Invalid payment proof");
+
+      await requestManager.setFdcVerification(ethers.constants.AddressZero, ethers.constants.HashZero);
+      await expect(
+        requestManager.submitPaymentProof(requestId, await paymentProof())
+      ).to.be.revertedWith("FDC verification not configured");
+    });
+
+    it("rejects proofs of payments that don't match the request", async function () {
+      const expiry = (await requestManager.getRequest(requestId)).expiry;
+      const createdAt = await requestManager.createdAt(requestId);
+      const cases = [
+        [{}, { sourceId: ethers.utils.formatBytes32String("BTC") }, "Wrong source chain"],
+        [{ status: 1 }, {}, "Payment not successful"],
+        [{ receivingAddressHash: addressHash(OTHER_RECIPIENT) }, {}, "Wrong destination"],
+        [{ hasDestinationTag: false }, {}, "Wrong destination tag"],
+        [{ destinationTag: requestId.add(1) }, {}, "Wrong destination tag"],
+        [{ blockTimestamp: createdAt.sub(1) }, {}, "Paid before request created"],
+        [{ blockTimestamp: expiry.add(1) }, {}, "Paid after expiry"],
+        [{ receivedAmount: 0 }, {}, "Nothing received"]
+      ];
+
+      for (const [overrides, options, reason] of cases) {
+        await expect(
+          requestManager.submitPaymentProof(requestId, await paymentProof(overrides, options))
+        ).to.be.revertedWith(reason);
+      }
+    });
+
+    it("only counts payments from a directed request's XRPL payer", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      await requestManager
+        .connect(creator)
+        .createDirectedRequest(RECIPIENT, "XRP", ONE_XRP, expiry, 0, "", {
+          evmAddress: ethers.constants.AddressZero,
+          xrplAddress: "rrrrrrrrrrrrrrrrrrrrBZbvji",
+          hidden: false
+        }, 0);
+      requestId = await requestManager.getTotalRequests();
+
+      await expect(
+        requestManager.submitPaymentProof(requestId, await paymentProof())
+      ).to.be.revertedWith("Not from intended payer");
+
+      await requestManager.submitPaymentProof(
+        requestId,
+        await paymentProof({ sourceAddressHash: addressHash("rrrrrrrrrrrrrrrrrrrrBZbvji") })
+      );
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+    });
+
+    it("never counts a transaction already attested", async function () {
+      const txHash = await attest(attestor, requestId, ONE_XRP / 2);
+
+      await expect(
+        requestManager.submitPaymentProof(requestId, await paymentProof({}, { txHash }))
+      ).to.be.revertedWith("Payment already counted");
+    });
+  });
+
+  describe("disputes", function () {
+    let requestId;
+    let txHash;
+
+    beforeEach(async function () {
+      requestId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+      txHash = await attest(attestor, requestId, ONE_XRP);
+    });
+
+    it("lets the creator dispute a settlement within the dispute window", async function () {
+      await expect(requestManager.connect(other).disputePayment(requestId, "Not mine")).to.be.revertedWith("Only creator or intended payer");
+
+      await expect(requestManager.connect(creator).disputePayment(requestId, "Never arrived"))
+        .to.emit(requestManager, "PaymentDisputed")
+        .withArgs(requestId, creator.address, "Never arrived");
+
+      expect(await statusOf(requestId)).to.equal(Status.DISPUTED);
+      const dispute = await requestManager.disputes(requestId);
+      expect(dispute.raisedBy).to.equal(creator.address);
+      expect(dispute.reason).to.equal("Never arrived");
+
+      await expect(requestManager.connect(creator).disputePayment(requestId, "Again")).to.be.revertedWith("Request not paid");
+    });
+
+    it("closes disputes once the window has passed", async function () {
+      await requestManager.setDisputeWindow(HOUR);
+      await increaseTime(HOUR + 1);
+
+      await expect(requestManager.connect(creator).disputePayment(requestId, "Late")).to.be.revertedWith("Dispute window closed");
+    });
+
+    it("only lets admins and arbiters resolve disputes", async function () {
+      await expect(requestManager.resolveDispute(requestId, true)).to.be.revertedWith("Request not disputed");
+      await requestManager.connect(creator).disputePayment(requestId, "Wrong amount");
+
+      await expect(requestManager.connect(other).resolveDispute(requestId, true)).to.be.revertedWith("Not an arbiter");
+      await expect(requestManager.connect(other).setArbiter(other.address, true)).to.be.reverted;
+
+      await expect(requestManager.setArbiter(other.address, true))
+        .to.emit(requestManager, "ArbiterUpdated")
+        .withArgs(other.address, true);
+      await expect(requestManager.connect(other).resolveDispute(requestId, true))
+        .to.emit(requestManager, "DisputeResolved")
+        .withArgs(requestId, other.address, true);
+
+      const request = await requestManager.getRequest(requestId);
+      expect(request.status).to.equal(Status.PAID);
+      expect(request.paidAmount).to.equal(ONE_XRP);
+    });
+
+    it("reopens the request when the payment is rejected", async function () {
+      await requestManager.connect(creator).disputePayment(requestId, "Wrong amount");
+      await requestManager.resolveDispute(requestId, false);
+
+      const request = await requestManager.getRequest(requestId);
+      expect(request.status).to.equal(Status.PENDING);
+      expect(request.paidAmount).to.equal(0);
+      expect(request.paidTxHash).to.equal(ethers.constants.HashZero);
+      expect(await requestManager.getInstallments(requestId)).to.have.lengthOf(0);
+
+      // The discarded transaction can't be attested again
+      await expect(attest(attestor, requestId, ONE_XRP, txHash)).to.be.revertedWith("Payment already counted");
+      await attest(attestor, requestId, ONE_XRP);
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+    });
+  });
+
+  describe("request management", function () {
+    let requestId;
+
+    beforeEach(async function () {
+      requestId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+    });
+
+    it("updates the recipient until a payment arrives", async function () {
+      await expect(requestManager.connect(other).updateRecipient(requestId, OTHER_RECIPIENT)).to.be.revertedWith("Only creator or its issuer");
+      await expect(requestManager.connect(creator).updateRecipient(requestId, BAD_CHECKSUM)).to.be.revertedWith("Invalid recipient XRPL address");
+
+      await expect(requestManager.connect(creator).updateRecipient(requestId, OTHER_RECIPIENT))
+        .to.emit(requestManager, "RequestRecipientUpdated")
+        .withArgs(requestId, RECIPIENT, OTHER_RECIPIENT);
+      expect((await requestManager.getRequest(requestId)).recipientXRPL).to.equal(OTHER_RECIPIENT);
+
+      await attest(attestor, requestId, ONE_XRP / 2);
+      await expect(requestManager.connect(creator).updateRecipient(requestId, RECIPIENT)).to.be.revertedWith("Payment already received");
+    });
+
+    it("transfers ownership between creators' request lists", async function () {
+      const secondId = await createRequest();
+
+      await expect(requestManager.connect(other).transferRequestOwnership(requestId, other.address)).to.be.revertedWith("Only creator or its issuer");
+      await expect(
+        requestManager.connect(creator).transferRequestOwnership(requestId, ethers.constants.AddressZero)
+      ).to.be.revertedWith("Invalid new creator");
+      await expect(requestManager.connect(creator).transferRequestOwnership(requestId, creator.address)).to.be.revertedWith("Invalid new creator");
+
+      await expect(requestManager.connect(creator).transferRequestOwnership(requestId, other.address))
+        .to.emit(requestManager, "RequestOwnershipTransferred")
+        .withArgs(requestId, creator.address, other.address);
+
+      expect(await requestManager.getUserRequests(creator.address)).to.deep.equal([secondId]);
+      expect(await requestManager.getUserRequests(other.address)).to.deep.equal([requestId]);
+
+      await expect(requestManager.connect(creator).cancelRequest(requestId)).to.be.revertedWith("Only creator can cancel");
+      await requestManager.connect(other).cancelRequest(requestId);
+    });
+
+    it("attaches a metadata hash once, before payment", async function () {
+      const metadataHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes('{"invoice":"42"}'));
+
+      await expect(requestManager.connect(other).setMetadataHash(requestId, metadataHash)).to.be.revertedWith("Only creator can set metadata");
+      await expect(
+        requestManager.connect(creator).setMetadataHash(requestId, ethers.constants.HashZero)
+      ).to.be.revertedWith("Invalid metadata hash");
+
+      await expect(requestManager.connect(creator).setMetadataHash(requestId, metadataHash))
+        .to.emit(requestManager, "RequestMetadataSet")
+        .withArgs(requestId, metadataHash);
+      expect(await requestManager.metadataHashes(requestId)).to.equal(metadataHash);
+      await expect(requestManager.connect(creator).setMetadataHash(requestId, metadataHash)).to.be.revertedWith("Metadata already set");
+
+      const paidId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+      await attest(attestor, paidId, ONE_XRP);
+      await expect(requestManager.connect(creator).setMetadataHash(paidId, metadataHash)).to.be.revertedWith("Request already paid");
+    });
+
+    it("caps a quote at the request's expiry and locks it for directed requests", async function () {
+      const expiry = (await latestTimestamp()) + 600;
+      await requestManager
+        .connect(creator)
+        .createDirectedRequest(RECIPIENT, "USDT", TEN_USDT, expiry, 0, "", {
+          evmAddress: payer.address,
+          xrplAddress: "",
+          hidden: false
+        }, HOUR);
+      const quotedId = await requestManager.getTotalRequests();
+
+      const quote = (await requestManager.getRequest(quotedId)).quote;
+      expect(quote.xrpAmount).to.equal(20000000);
+      expect(quote.expiry).to.equal(expiry);
+
+      await expect(requestManager.connect(other).requoteRequest(quotedId)).to.be.revertedWith("Quote still locked");
+      await expect(requestManager.requoteRequest(requestId)).to.be.revertedWith("Request has no quote");
+    });
+  });
+
+  describe("configuration", function () {
+    it("swaps the price oracle and asset registry under the asset manager role", async function () {
+      const role = await requestManager.ASSET_MANAGER_ROLE();
+      const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+      const newRegistry = await AssetRegistry.deploy();
+      await newRegistry.setAssetSupported("XRP", false);
+
+      await expect(requestManager.connect(other).setAssetRegistry(newRegistry.address)).to.be.reverted;
+      await requestManager.grantRole(role, other.address);
+
+      await expect(requestManager.connect(other).setAssetRegistry(newRegistry.address))
+        .to.emit(requestManager, "AssetRegistryUpdated")
+        .withArgs(newRegistry.address);
+      await expect(createRequest({ asset: "XRP" })).to.be.revertedWith("Asset not supported");
+
+      // Display conversions follow the new oracle's registry
+      const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+      const newFtsoRegistry = await MockFtsoRegistry.deploy();
+      await newFtsoRegistry.updatePrice("XRP", 100000, 5);
+      const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+      const newOracle = await FtsoPriceOracle.deploy(newFtsoRegistry.address);
+
+      await expect(requestManager.connect(other).setPriceOracle(newOracle.address))
+        .to.emit(requestManager, "PriceOracleUpdated")
+        .withArgs(newOracle.address);
+      expect(await requestManager.calculateXRPAmount("USDT", TEN_USDT)).to.equal(TEN_USDT);
+    });
+
+    it("restricts the remaining settings to the admin", async function () {
+      await expect(requestManager.connect(other).setDisputeWindow(HOUR)).to.be.reverted;
+      await expect(requestManager.connect(other).setRequestIssuer(other.address, true)).to.be.reverted;
+      await expect(requestManager.connect(other).setSettlementEscrow(other.address, true)).to.be.reverted;
+
+      await expect(requestManager.setDisputeWindow(HOUR))
+        .to.emit(requestManager, "DisputeWindowUpdated")
+        .withArgs(HOUR);
+      expect(await requestManager.disputeWindow()).to.equal(HOUR);
+    });
+  });
+
+  describe("escrow settlement", function () {
+    const FLR_PER_XRP = ethers.utils.parseEther("25"); // $0.50 / $0.02
+
+    let requestEscrow;
+
+    beforeEach(async function () {
+      const RequestEscrow = await ethers.getContractFactory("RequestEscrow");
+      requestEscrow = await RequestEscrow.deploy(requestManager.address);
+      await requestManager.setSettlementEscrow(requestEscrow.address, true);
+      await requestEscrow.configureDepositToken(ethers.constants.AddressZero, "FLR", 18, true);
+    });
+
+    it("only counts payments recorded by settlement escrows", async function () {
+      const requestId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0 });
+
+      await expect(
+        requestManager.connect(other).recordEscrowPayment(requestId, nextTxHash(), ONE_XRP, other.address)
+      ).to.be.revertedWith("Not a settlement escrow");
+    });
+
+    it("only counts deposits from a directed request's intended payer", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      await requestManager
+        .connect(creator)
+        .createDirectedRequest(RECIPIENT, "XRP", ONE_XRP, expiry, 0, "", {
+          evmAddress: payer.address,
+          xrplAddress: "",
+          hidden: false
+        }, 0);
+      const requestId = await requestManager.getTotalRequests();
+
+      await expect(
+        requestEscrow.connect(other).deposit(requestId, ethers.constants.AddressZero, FLR_PER_XRP, { value: FLR_PER_XRP })
+      ).to.be.revertedWith("Not from intended payer");
+
+      await requestEscrow.connect(payer).deposit(requestId, ethers.constants.AddressZero, FLR_PER_XRP, { value: FLR_PER_XRP });
+      expect(await statusOf(requestId)).to.equal(Status.PAID);
+      expect((await requestManager.getInstallments(requestId))[0].txHash).to.equal(await requestEscrow.depositRef(1));
+    });
+
+    it("rejects deposits on expired requests", async function () {
+      const requestId = await createRequest({ asset: "XRP", amount: ONE_XRP, slippageBp: 0, expiresIn: 60 });
+      await increaseTime(61);
+      await ftsoRegistry.updatePrice("FLR", 2000, 5);
+      await ftsoRegistry.updatePrice("XRP", 50000, 5);
+
+      await expect(
+        requestEscrow.connect(payer).deposit(requestId, ethers.constants.AddressZero, FLR_PER_XRP, { value: FLR_PER_XRP })
+      ).to.be.revertedWith("Request expired");
+    });
+  });
+});
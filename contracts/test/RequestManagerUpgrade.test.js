@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { deployRequestManager, upgradeRequestManager } = require("./helpers/requestManager");
+
+describe("RequestManager upgrades", function () {
+  const RECIPIENT = "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH";
+  const ONE_XRP = 1000000; // drops
+  const PAYER_SOURCE = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh"));
+
+  let requestManager;
+  let admin;
+  let creator;
+  let attestor;
+
+  async function createXrpRequest(message) {
+    const expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+    const tx = await requestManager
+      .connect(creator)
+      .createRequest(RECIPIENT, "XRP", ONE_XRP, expiry, 100, message);
+    const receipt = await tx.wait();
+    return receipt.events.find(e => e.event === "RequestCreated").args.requestId;
+  }
+
+  async function upgradeToV2() {
+    return upgradeRequestManager(requestManager.address, "MockRequestManagerV2");
+  }
+
+  beforeEach(async function () {
+    [admin, creator, attestor] = await ethers.getSigners();
+
+    const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+    const ftsoRegistry = await MockFtsoRegistry.deploy();
+
+    const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+    const priceOracle = await FtsoPriceOracle.deploy(ftsoRegistry.address);
+
+    const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+    const assetRegistry = await AssetRegistry.deploy();
+
+    requestManager = await deployRequestManager(priceOracle.address, assetRegistry.address);
+
+    await requestManager.addAuthorizedAttestor(attestor.address);
+  });
+
+  it("keeps requests and settings at the same address", async function () {
+    const requestId = await createXrpRequest("Dinner");
+    await requestManager.setDisputeWindow(86400);
+    const implementationBefore = await upgrades.erc1967.getImplementationAddress(requestManager.address);
+
+    const upgraded = await upgradeToV2();
+
+    expect(upgraded.address).to.equal(requestManager.address);
+    expect(await upgrades.erc1967.getImplementationAddress(upgraded.address)).to.not.equal(implementationBefore);
+    expect(await upgraded.version()).to.equal("2");
+
+    const request = await upgraded.getRequest(requestId);
+    expect(request.creator).to.equal(creator.address);
+    expect(request.recipientXRPL).to.equal(RECIPIENT);
+    expect(request.assetAmount).to.equal(ONE_XRP);
+    expect(request.message).to.equal("Dinner");
+    expect(request.status).to.equal(0); // PENDING
+
+    expect(await upgraded.getTotalRequests()).to.equal(1);
+    expect(await upgraded.getUserRequests(creator.address)).to.deep.equal([requestId]);
+    expect(await upgraded.authorizedAttestors(attestor.address)).to.equal(true);
+    expect(await upgraded.attestationThreshold()).to.equal(1);
+    expect(await upgraded.disputeWindow()).to.equal(86400);
+  });
+
+  it("keeps roles, so the admin can use functions added by the upgrade", async function () {
+    const upgraded = await upgradeToV2();
+
+    expect(await upgraded.hasRole(await upgraded.DEFAULT_ADMIN_ROLE(), admin.address)).to.equal(true);
+    expect(await upgraded.hasRole(await upgraded.PAUSER_ROLE(), admin.address)).to.equal(true);
+
+    await upgraded.recordUpgrade();
+    expect(await upgraded.upgradeCount()).to.equal(1);
+
+    await expect(upgraded.connect(creator).recordUpgrade()).to.be.reverted;
+  });
+
+  it("settles requests created before the upgrade", async function () {
+    const requestId = await createXrpRequest("Rent");
+    const upgraded = await upgradeToV2();
+
+    const txHash = ethers.utils.formatBytes32String("xrpl-payment");
+    const timestamp = (await ethers.provider.getBlock("latest")).timestamp;
+    await upgraded.connect(attestor).submitPaymentAttestation(requestId, txHash, ONE_XRP, timestamp, PAYER_SOURCE);
+
+    const request = await upgraded.getRequest(requestId);
+    expect(request.status).to.equal(1); // PAID
+    expect(request.paidTxHash).to.equal(txHash);
+
+    // Ids continue where the previous implementation left off
+    expect(await createXrpRequest("Next")).to.equal(2);
+  });
+
+  it("cannot be initialized again", async function () {
+    await expect(
+      requestManager.initialize(ethers.constants.AddressZero, ethers.constants.AddressZero)
+    ).to.be.revertedWith("Initializable: contract is already initialized");
+
+    const implementation = await upgrades.erc1967.getImplementationAddress(requestManager.address);
+    const implementationContract = await ethers.getContractAt("RequestManager", implementation);
+    await expect(
+      implementationContract.initialize(ethers.constants.AddressZero, ethers.constants.AddressZero)
+    ).to.be.revertedWith("Initializable: contract is already initialized");
+  });
+
+  it("rejects an upgrade from an account without the proxy admin", async function () {
+    await expect(upgradeRequestManager(requestManager.address, "MockRequestManagerV2", creator)).to.be.reverted;
+  });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployRequestManager } = require("./helpers/requestManager");
+
+describe("RequestQuery", function () {
+  const RECIPIENT = "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH";
+  const ONE_XRP = 1000000; // drops
+  const TEN_USDT = 10000000;
+  const HOUR = 3600;
+
+  const Status = { PENDING: 0, PAID: 1, CANCELLED: 2, EXPIRED: 3, PARTIALLY_PAID: 4, DECLINED: 5, DISPUTED: 6 };
+  const ANY = { statusMask: 0, assetSymbol: "", excludeExpired: false, excludeHidden: false };
+
+  let requestManager;
+  let splitRequests;
+  let requestQuery;
+  let creator;
+  let payer;
+  let other;
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function createRequest({ signer = creator, asset = "XRP", amount = ONE_XRP, expiresIn = HOUR } = {}) {
+    const expiry = (await latestTimestamp()) + expiresIn;
+    await requestManager.connect(signer).createRequest(RECIPIENT, asset, amount, expiry, 0, "");
+    return (await requestManager.getTotalRequests()).toNumber();
+  }
+
+  async function createDirectedRequest({ hidden = false } = {}) {
+    const expiry = (await latestTimestamp()) + HOUR;
+    await requestManager.connect(creator).createDirectedRequest(RECIPIENT, "XRP", ONE_XRP, expiry, 0, "", {
+      evmAddress: payer.address,
+      xrplAddress: "",
+      hidden
+    }, 0);
+    return (await requestManager.getTotalRequests()).toNumber();
+  }
+
+  const ids = (page) => page.map(request => request.id.toNumber());
+
+  beforeEach(async function () {
+    [, creator, payer, other] = await ethers.getSigners();
+
+    const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+    const ftsoRegistry = await MockFtsoRegistry.deploy();
+
+    const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+    const priceOracle = await FtsoPriceOracle.deploy(ftsoRegistry.address);
+
+    const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+    const assetRegistry = await AssetRegistry.deploy();
+
+    requestManager = await deployRequestManager(priceOracle.address, assetRegistry.address);
+
+    const SplitRequests = await ethers.getContractFactory("SplitRequests");
+    splitRequests = await SplitRequests.deploy(requestManager.address);
+    await requestManager.setRequestIssuer(splitRequests.address, true);
+
+    const RequestQuery = await ethers.getContractFactory("RequestQuery");
+    requestQuery = await RequestQuery.deploy(requestManager.address, splitRequests.address);
+  });
+
+  describe("paging", function () {
+    it("lists every request newest first with the split each belongs to", async function () {
+      await createRequest();
+      const expiry = (await latestTimestamp()) + HOUR;
+      await splitRequests
+        .connect(creator)
+        .createSplitRequest(RECIPIENT, "XRP", [payer.address, other.address], ["", ""], [ONE_XRP, ONE_XRP], expiry, 0, "");
+
+      const { page, splitIds, nextCursor, scanned } = await requestQuery.getRequestsPage(0, 10, ANY);
+
+      expect(ids(page)).to.deep.equal([3, 2, 1]);
+      expect(splitIds.map(id => id.toNumber())).to.deep.equal([1, 1, 0]);
+      expect(nextCursor).to.equal(0);
+      expect(scanned).to.equal(3);
+    });
+
+    it("continues from the returned cursor until it is 0", async function () {
+      for (let i = 0; i < 5; i++) {
+        await createRequest();
+      }
+
+      let result = await requestQuery.getRequestsPage(0, 2, ANY);
+      expect(ids(result.page)).to.deep.equal([5, 4]);
+      expect(result.nextCursor).to.equal(3);
+
+      result = await requestQuery.getRequestsPage(result.nextCursor, 2, ANY);
+      expect(ids(result.page)).to.deep.equal([3, 2]);
+
+      result = await requestQuery.getRequestsPage(result.nextCursor, 2, ANY);
+      expect(ids(result.page)).to.deep.equal([1]);
+      expect(result.nextCursor).to.equal(0);
+    });
+
+    it("starts from the newest request when the cursor is past the end", async function () {
+      await createRequest();
+      await createRequest();
+
+      expect(ids((await requestQuery.getRequestsPage(99, 10, ANY)).page)).to.deep.equal([2, 1]);
+    });
+
+    it("rejects empty and oversized pages", async function () {
+      await expect(requestQuery.getRequestsPage(0, 0, ANY)).to.be.revertedWith("Invalid page size");
+      await expect(requestQuery.getRequestsPage(0, 101, ANY)).to.be.revertedWith("Invalid page size");
+    });
+
+    it("pages a creator's and a payer's requests", async function () {
+      await createRequest();
+      await createRequest({ signer: other });
+      const directed = await createDirectedRequest();
+
+      expect(ids((await requestQuery.getUserRequestsPage(creator.address, 0, 10, ANY)).page)).to.deep.equal([directed, 1]);
+      expect(ids((await requestQuery.getUserRequestsPage(other.address, 0, 10, ANY)).page)).to.deep.equal([2]);
+      expect(ids((await requestQuery.getPayerRequestsPage(payer.address, 0, 10, ANY)).page)).to.deep.equal([directed]);
+      expect((await requestQuery.getPayerRequestsPage(other.address, 0, 10, ANY)).page).to.have.lengthOf(0);
+    });
+  });
+
+  describe("filters", function () {
+    it("matches statuses in the mask", async function () {
+      await createRequest();
+      const cancelled = await createRequest();
+      await requestManager.connect(creator).cancelRequest(cancelled);
+
+      const cancelledOnly = { ...ANY, statusMask: 1 << Status.CANCELLED };
+      expect(ids((await requestQuery.getRequestsPage(0, 10, cancelledOnly)).page)).to.deep.equal([cancelled]);
+
+      const open = { ...ANY, statusMask: (1 << Status.PENDING) | (1 << Status.PARTIALLY_PAID) };
+      expect(ids((await requestQuery.getRequestsPage(0, 10, open)).page)).to.deep.equal([1]);
+    });
+
+    it("matches the asset and skips expired and hidden requests", async function () {
+      await createRequest({ expiresIn: 60 });
+      const usdt = await createRequest({ asset: "USDT", amount: TEN_USDT });
+      const hidden = await createDirectedRequest({ hidden: true });
+      await increaseTime(61);
+
+      expect(ids((await requestQuery.getRequestsPage(0, 10, { ...ANY, assetSymbol: "USDT" })).page)).to.deep.equal([usdt]);
+      expect(ids((await requestQuery.getRequestsPage(0, 10, { ...ANY, excludeExpired: true })).page)).to.deep.equal([hidden, usdt]);
+      expect(ids((await requestQuery.getRequestsPage(0, 10, { ...ANY, excludeHidden: true })).page)).to.deep.equal([usdt, 1]);
+    });
+  });
+
+  describe("scan bound", function () {
+    it("examines at most MAX_SCAN requests per call and hands back a cursor", async function () {
+      this.timeout(120000);
+
+      const maxScan = (await requestQuery.MAX_SCAN()).toNumber();
+      const oldest = await createRequest({ asset: "USDT", amount: TEN_USDT });
+      for (let i = 0; i < maxScan + 4; i++) {
+        await createRequest();
+      }
+      const usdtOnly = { ...ANY, assetSymbol: "USDT" };
+
+      // The only match is older than one call can reach
+      let result = await requestQuery.getRequestsPage(0, 10, usdtOnly);
+      expect(result.page).to.have.lengthOf(0);
+      expect(result.scanned).to.equal(maxScan);
+      expect(result.nextCursor).to.equal(5);
+
+      result = await requestQuery.getRequestsPage(result.nextCursor, 10, usdtOnly);
+      expect(ids(result.page)).to.deep.equal([oldest]);
+      expect(result.scanned).to.equal(5);
+      expect(result.nextCursor).to.equal(0);
+    });
+  });
+});
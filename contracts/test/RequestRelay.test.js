@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployRequestManager } = require("./helpers/requestManager");
+
+describe("RequestRelay", function () {
+  const RECIPIENT = "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH";
+  const ONE_XRP = 1000000; // drops
+  const HOUR = 3600;
+
+  let requestManager;
+  let requestRelay;
+  let creator;
+  let relayer;
+  let other;
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  async function signedRequest(overrides = {}) {
+    const now = await latestTimestamp();
+    return {
+      creator: creator.address,
+      recipientXRPL: RECIPIENT,
+      assetSymbol: "XRP",
+      assetAmount: ONE_XRP,
+      expiry: now + HOUR,
+      slippageBp: 100,
+      message: "Dinner",
+      deadline: now + HOUR,
+      ...overrides
+    };
+  }
+
+  async function domain() {
+    const { chainId } = await ethers.provider.getNetwork();
+    return { name: "Venmorph RequestRelay", version: "1", chainId, verifyingContract: requestRelay.address };
+  }
+
+  // EIP-712 signature over `request` with `nonce`, as the frontend's wallet produces it
+  async function sign(signer, request, nonce) {
+    const types = {
+      CreateRequest: [
+        { name: "creator", type: "address" },
+        { name: "recipientXRPL", type: "string" },
+        { name: "assetSymbol", type: "string" },
+        { name: "assetAmount", type: "uint256" },
+        { name: "expiry", type: "uint256" },
+        { name: "slippageBp", type: "uint16" },
+        { name: "message", type: "string" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+      ]
+    };
+    if (nonce === undefined) {
+      nonce = await requestRelay.nonces(request.creator);
+    }
+    return signer._signTypedData(await domain(), types, { ...request, nonce });
+  }
+
+  beforeEach(async function () {
+    [, creator, relayer, other] = await ethers.getSigners();
+
+    const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+    const ftsoRegistry = await MockFtsoRegistry.deploy();
+
+    const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+    const priceOracle = await FtsoPriceOracle.deploy(ftsoRegistry.address);
+
+    const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+    const assetRegistry = await AssetRegistry.deploy();
+
+    requestManager = await deployRequestManager(priceOracle.address, assetRegistry.address);
+
+    const RequestRelay = await ethers.getContractFactory("RequestRelay");
+    requestRelay = await RequestRelay.deploy(requestManager.address);
+    await requestManager.setRequestIssuer(requestRelay.address, true);
+  });
+
+  it("exposes the EIP-712 domain wallets sign against", async function () {
+    expect(await requestRelay.DOMAIN_SEPARATOR()).to.equal(ethers.utils._TypedDataEncoder.hashDomain(await domain()));
+  });
+
+  it("creates the request for the signer while the relayer pays the gas", async function () {
+    const request = await signedRequest();
+    const signature = await sign(creator, request);
+
+    await expect(requestRelay.connect(relayer).createRequestBySig(request, signature))
+      .to.emit(requestRelay, "RequestRelayed")
+      .withArgs(1, creator.address, relayer.address, 0);
+
+    const created = await requestManager.getRequest(1);
+    expect(created.creator).to.equal(creator.address);
+    expect(created.recipientXRPL).to.equal(RECIPIENT);
+    expect(created.assetAmount).to.equal(ONE_XRP);
+    expect(created.message).to.equal("Dinner");
+    expect(await requestManager.getUserRequests(creator.address)).to.deep.equal([ethers.BigNumber.from(1)]);
+    expect(await requestRelay.nonces(creator.address)).to.equal(1);
+
+    // The creator manages it as their own
+    await requestManager.connect(creator).cancelRequest(1);
+  });
+
+  it("rejects a signature replayed with a used nonce", async function () {
+    const request = await signedRequest();
+    const signature = await sign(creator, request);
+    await requestRelay.connect(relayer).createRequestBySig(request, signature);
+
+    await expect(
+      requestRelay.connect(relayer).createRequestBySig(request, signature)
+    ).to.be.revertedWith("Invalid signature");
+
+    // Signing the used nonce again doesn't help either
+    await expect(
+      requestRelay.connect(relayer).createRequestBySig(request, await sign(creator, request, 0))
+    ).to.be.revertedWith("Invalid signature");
+    expect(await requestManager.getTotalRequests()).to.equal(1);
+  });
+
+  it("voids unrelayed signatures when the creator invalidates their nonce", async function () {
+    const request = await signedRequest();
+    const signature = await sign(creator, request);
+
+    await expect(requestRelay.connect(creator).invalidateNonce())
+      .to.emit(requestRelay, "NonceInvalidated")
+      .withArgs(creator.address, 0);
+
+    await expect(
+      requestRelay.connect(relayer).createRequestBySig(request, signature)
+    ).to.be.revertedWith("Invalid signature");
+  });
+
+  it("rejects a signature relayed after its deadline", async function () {
+    const request = await signedRequest({ deadline: (await latestTimestamp()) + 60 });
+    const signature = await sign(creator, request);
+    await increaseTime(120);
+
+    await expect(
+      requestRelay.connect(relayer).createRequestBySig(request, signature)
+    ).to.be.revertedWith("Signature expired");
+    expect(await requestRelay.nonces(creator.address)).to.equal(0);
+  });
+
+  it("rejects a request signed by someone other than its creator", async function () {
+    const request = await signedRequest();
+
+    await expect(
+      requestRelay.connect(relayer).createRequestBySig(request, await sign(other, request))
+    ).to.be.revertedWith("Invalid signature");
+  });
+
+  it("rejects a signed request whose fields were changed", async function () {
+    const request = await signedRequest();
+    const signature = await sign(creator, request);
+
+    await expect(
+      requestRelay.connect(relayer).createRequestBySig({ ...request, assetAmount: ONE_XRP * 2 }, signature)
+    ).to.be.revertedWith("Invalid signature");
+  });
+
+  it("still validates the request itself through RequestManager", async function () {
+    const request = await signedRequest({ assetSymbol: "DOGE" });
+
+    await expect(
+      requestRelay.connect(relayer).createRequestBySig(request, await sign(creator, request))
+    ).to.be.revertedWith("Asset not supported");
+  });
+
+  it("stops relaying once it is no longer a request issuer", async function () {
+    await requestManager.setRequestIssuer(requestRelay.address, false);
+    const request = await signedRequest();
+
+    await expect(
+      requestRelay.connect(relayer).createRequestBySig(request, await sign(creator, request))
+    ).to.be.revertedWith("Not a request issuer");
+  });
+
+  describe("contract wallets", function () {
+    let wallet;
+
+    beforeEach(async function () {
+      const MockERC1271Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      wallet = await MockERC1271Wallet.deploy(creator.address);
+    });
+
+    it("creates requests for a wallet that approves its owner's signature", async function () {
+      const request = await signedRequest({ creator: wallet.address });
+
+      await requestRelay.connect(relayer).createRequestBySig(request, await sign(creator, request));
+
+      expect((await requestManager.getRequest(1)).creator).to.equal(wallet.address);
+      expect(await requestRelay.nonces(wallet.address)).to.equal(1);
+    });
+
+    it("rejects signatures the wallet does not approve", async function () {
+      const request = await signedRequest({ creator: wallet.address });
+
+      await expect(
+        requestRelay.connect(relayer).createRequestBySig(request, await sign(other, request))
+      ).to.be.revertedWith("Invalid signature");
+    });
+  });
+});
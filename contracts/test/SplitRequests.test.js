@@ -0,0 +1,299 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployRequestManager } = require("./helpers/requestManager");
+
+describe("SplitRequests", function () {
+  const RECIPIENT = "rN7n7otQDd6FczFgLdSqtcsAUxDkw6fzRH";
+  const OTHER_RECIPIENT = "rHb9CJAWyB4rj91VRWn96DkukG4bwdtyTh";
+  const PAYER_XRPL = "rrrrrrrrrrrrrrrrrrrrBZbvji";
+  const PAYER_SOURCE = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(PAYER_XRPL)); // account attested payments come from
+  const ONE_XRP = 1000000; // drops
+  const HOUR = 3600;
+
+  const Status = { PENDING: 0, PAID: 1, CANCELLED: 2, EXPIRED: 3, PARTIALLY_PAID: 4, DECLINED: 5, DISPUTED: 6 };
+
+  let requestManager;
+  let splitRequests;
+  let creator;
+  let alice;
+  let bob;
+  let attestor;
+  let other;
+  let txCounter = 0;
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  // Split of 1 XRP paid by alice (EVM), 2 XRP by bob (EVM) and 3 XRP by an XRPL-only payer
+  async function createSplit({ signer = creator, expiresIn = HOUR } = {}) {
+    const expiry = (await latestTimestamp()) + expiresIn;
+    const tx = await splitRequests.connect(signer).createSplitRequest(
+      RECIPIENT,
+      "XRP",
+      [alice.address, bob.address, ethers.constants.AddressZero],
+      ["", "", PAYER_XRPL],
+      [ONE_XRP, 2 * ONE_XRP, 3 * ONE_XRP],
+      expiry,
+      0,
+      "Cabin weekend"
+    );
+    const receipt = await tx.wait();
+    return receipt.events.find(e => e.event === "SplitCreated").args.splitId;
+  }
+
+  async function shareIds(splitId) {
+    return (await splitRequests.getSplit(splitId)).shares.map(share => share.requestId);
+  }
+
+  async function payShare(requestId, amount) {
+    txCounter++;
+    const txHash = ethers.utils.formatBytes32String(`split-payment-${txCounter}`);
+    await requestManager.connect(attestor).submitPaymentAttestation(requestId, txHash, amount, await latestTimestamp(), PAYER_SOURCE);
+  }
+
+  beforeEach(async function () {
+    [, creator, alice, bob, attestor, other] = await ethers.getSigners();
+
+    const MockFtsoRegistry = await ethers.getContractFactory("MockFtsoRegistry");
+    const ftsoRegistry = await MockFtsoRegistry.deploy();
+
+    const FtsoPriceOracle = await ethers.getContractFactory("FtsoPriceOracle");
+    const priceOracle = await FtsoPriceOracle.deploy(ftsoRegistry.address);
+
+    const AssetRegistry = await ethers.getContractFactory("AssetRegistry");
+    const assetRegistry = await AssetRegistry.deploy();
+
+    requestManager = await deployRequestManager(priceOracle.address, assetRegistry.address);
+    await requestManager.addAuthorizedAttestor(attestor.address);
+
+    const SplitRequests = await ethers.getContractFactory("SplitRequests");
+    splitRequests = await SplitRequests.deploy(requestManager.address);
+    await requestManager.setRequestIssuer(splitRequests.address, true);
+  });
+
+  describe("creation", function () {
+    it("issues a directed share request to every participant", async function () {
+      const splitId = await createSplit();
+      const { split, shares, shareStatuses, sharePaidAmounts } = await splitRequests.getSplit(splitId);
+
+      expect(split.creator).to.equal(creator.address);
+      expect(split.totalAmount).to.equal(6 * ONE_XRP);
+      expect(split.status).to.equal(Status.PENDING);
+      expect(split.paidShares).to.equal(0);
+      expect(shares).to.have.lengthOf(3);
+      expect(shareStatuses).to.deep.equal([Status.PENDING, Status.PENDING, Status.PENDING]);
+      expect(sharePaidAmounts.map(amount => amount.toNumber())).to.deep.equal([0, 0, 0]);
+      expect(await splitRequests.getUserSplits(creator.address)).to.deep.equal([splitId]);
+
+      const bobShare = await requestManager.getRequest(shares[1].requestId);
+      expect(bobShare.creator).to.equal(creator.address);
+      expect(bobShare.assetAmount).to.equal(2 * ONE_XRP);
+      expect(bobShare.payer.evmAddress).to.equal(bob.address);
+      expect((await requestManager.getRequest(shares[2].requestId)).payer.xrplAddress).to.equal(PAYER_XRPL);
+
+      for (const share of shares) {
+        expect(await splitRequests.splitOfRequest(share.requestId)).to.equal(splitId);
+        expect(await requestManager.cancellingIssuer(share.requestId)).to.equal(splitRequests.address);
+      }
+      expect(await requestManager.getPayerRequests(alice.address)).to.deep.equal([shares[0].requestId]);
+    });
+
+    it("emits the split and each share", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+
+      await expect(
+        splitRequests.connect(creator).createSplitRequest(
+          RECIPIENT, "XRP", [alice.address, bob.address], ["", ""], [ONE_XRP, ONE_XRP], expiry, 0, ""
+        )
+      )
+        .to.emit(splitRequests, "SplitCreated")
+        .withArgs(1, creator.address, "XRP", 2 * ONE_XRP, 2)
+        .and.to.emit(splitRequests, "SplitShareCreated")
+        .withArgs(1, 2, bob.address, "", ONE_XRP);
+    });
+
+    it("rejects malformed participant lists", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+      const create = (payers, payersXRPL, amounts) =>
+        splitRequests.connect(creator).createSplitRequest(RECIPIENT, "XRP", payers, payersXRPL, amounts, expiry, 0, "");
+
+      await expect(create([alice.address], [""], [ONE_XRP])).to.be.revertedWith("Split needs at least 2 participants");
+      await expect(
+        create(Array(51).fill(alice.address), Array(51).fill(""), Array(51).fill(ONE_XRP))
+      ).to.be.revertedWith("Too many participants");
+      await expect(
+        create([alice.address, bob.address], [""], [ONE_XRP, ONE_XRP])
+      ).to.be.revertedWith("Participant length mismatch");
+      await expect(
+        create([alice.address, ethers.constants.AddressZero], ["", ""], [ONE_XRP, ONE_XRP])
+      ).to.be.revertedWith("Payer needs an EVM or XRPL address");
+    });
+
+    it("validates every share through RequestManager", async function () {
+      const expiry = (await latestTimestamp()) + HOUR;
+
+      await expect(
+        splitRequests.connect(creator).createSplitRequest(
+          RECIPIENT, "DOGE", [alice.address, bob.address], ["", ""], [ONE_XRP, ONE_XRP], expiry, 0, ""
+        )
+      ).to.be.revertedWith("Asset not supported");
+
+      await requestManager.setRequestIssuer(splitRequests.address, false);
+      await expect(createSplit()).to.be.revertedWith("Not a request issuer");
+    });
+  });
+
+  describe("status", function () {
+    it("is partially paid once any share is paid and paid once all are", async function () {
+      const splitId = await createSplit();
+      const [aliceShare, bobShare, xrplShare] = await shareIds(splitId);
+
+      await payShare(aliceShare, ONE_XRP);
+      let { split, shareStatuses, sharePaidAmounts } = await splitRequests.getSplit(splitId);
+      expect(split.status).to.equal(Status.PARTIALLY_PAID);
+      expect(split.paidShares).to.equal(1);
+      expect(shareStatuses[0]).to.equal(Status.PAID);
+      expect(sharePaidAmounts[0]).to.equal(ONE_XRP);
+
+      await payShare(bobShare, 2 * ONE_XRP);
+      await payShare(xrplShare, 3 * ONE_XRP);
+      ({ split } = await splitRequests.getSplit(splitId));
+      expect(split.status).to.equal(Status.PAID);
+      expect(split.paidShares).to.equal(3);
+    });
+
+    it("counts a disputed share as paid until the dispute goes against it", async function () {
+      const splitId = await createSplit();
+      const [aliceShare, bobShare, xrplShare] = await shareIds(splitId);
+      await payShare(aliceShare, ONE_XRP);
+      await payShare(bobShare, 2 * ONE_XRP);
+      await payShare(xrplShare, 3 * ONE_XRP);
+
+      await requestManager.connect(alice).disputePayment(aliceShare, "Not mine");
+      expect((await splitRequests.getSplit(splitId)).split.status).to.equal(Status.PAID);
+
+      await requestManager.resolveDispute(aliceShare, false);
+      expect((await splitRequests.getSplit(splitId)).split.status).to.equal(Status.PARTIALLY_PAID);
+    });
+
+    it("expires once no share is left open without every share paid", async function () {
+      const splitId = await createSplit();
+      const [aliceShare, bobShare, xrplShare] = await shareIds(splitId);
+      await payShare(aliceShare, ONE_XRP);
+      await requestManager.connect(bob).declineRequest(bobShare);
+      expect((await splitRequests.getSplit(splitId)).split.status).to.equal(Status.PARTIALLY_PAID);
+
+      await ethers.provider.send("evm_increaseTime", [HOUR + 1]);
+      await ethers.provider.send("evm_mine", []);
+      await requestManager.markExpired(xrplShare);
+
+      const { split, shareStatuses } = await splitRequests.getSplit(splitId);
+      expect(split.status).to.equal(Status.EXPIRED);
+      expect(split.paidShares).to.equal(1);
+      expect(shareStatuses).to.deep.equal([Status.PAID, Status.DECLINED, Status.EXPIRED]);
+      await expect(splitRequests.connect(creator).cancelSplit(splitId)).to.be.revertedWith("Split not open");
+    });
+
+    it("reverts for unknown splits", async function () {
+      await expect(splitRequests.getSplit(1)).to.be.revertedWith("Split does not exist");
+    });
+  });
+
+  describe("management", function () {
+    let splitId;
+    let shares;
+
+    beforeEach(async function () {
+      splitId = await createSplit();
+      shares = await shareIds(splitId);
+    });
+
+    it("manages shares only through the split", async function () {
+      await expect(requestManager.connect(creator).cancelRequest(shares[0])).to.be.revertedWith("Cancel through its issuer");
+      await expect(
+        requestManager.connect(creator).updateRecipient(shares[0], OTHER_RECIPIENT)
+      ).to.be.revertedWith("Only creator or its issuer");
+      await expect(
+        requestManager.connect(creator).extendExpiry(shares[0], (await latestTimestamp()) + 2 * HOUR)
+      ).to.be.revertedWith("Only creator or its issuer");
+    });
+
+    it("cancels the unpaid shares and keeps the paid ones", async function () {
+      await payShare(shares[0], ONE_XRP);
+
+      await expect(splitRequests.connect(other).cancelSplit(splitId)).to.be.revertedWith("Only creator can cancel");
+      await expect(splitRequests.connect(creator).cancelSplit(splitId))
+        .to.emit(splitRequests, "SplitCancelled")
+        .withArgs(splitId);
+
+      const { split, shareStatuses } = await splitRequests.getSplit(splitId);
+      expect(split.status).to.equal(Status.CANCELLED);
+      expect(shareStatuses).to.deep.equal([Status.PAID, Status.CANCELLED, Status.CANCELLED]);
+
+      await expect(splitRequests.connect(creator).cancelSplit(splitId)).to.be.revertedWith("Split not open");
+      await expect(splitRequests.connect(creator).cancelSplit(99)).to.be.revertedWith("Split does not exist");
+    });
+
+    it("cannot cancel a fully paid split", async function () {
+      await payShare(shares[0], ONE_XRP);
+      await payShare(shares[1], 2 * ONE_XRP);
+      await payShare(shares[2], 3 * ONE_XRP);
+
+      await expect(splitRequests.connect(creator).cancelSplit(splitId)).to.be.revertedWith("Split not open");
+    });
+
+    it("updates the recipient of every share before any is paid", async function () {
+      await expect(
+        splitRequests.connect(other).updateSplitRecipient(splitId, OTHER_RECIPIENT)
+      ).to.be.revertedWith("Only creator can manage split");
+
+      await expect(splitRequests.connect(creator).updateSplitRecipient(splitId, OTHER_RECIPIENT))
+        .to.emit(splitRequests, "SplitRecipientUpdated")
+        .withArgs(splitId, OTHER_RECIPIENT);
+      for (const requestId of shares) {
+        expect((await requestManager.getRequest(requestId)).recipientXRPL).to.equal(OTHER_RECIPIENT);
+      }
+      expect((await splitRequests.getSplit(splitId)).split.recipientXRPL).to.equal(OTHER_RECIPIENT);
+
+      await payShare(shares[0], ONE_XRP / 2);
+      await expect(
+        splitRequests.connect(creator).updateSplitRecipient(splitId, RECIPIENT)
+      ).to.be.revertedWith("Payment already received");
+    });
+
+    it("transfers the split and every share to a new creator", async function () {
+      await expect(
+        splitRequests.connect(creator).transferSplitOwnership(splitId, creator.address)
+      ).to.be.revertedWith("Invalid new creator");
+
+      await expect(splitRequests.connect(creator).transferSplitOwnership(splitId, other.address))
+        .to.emit(splitRequests, "SplitOwnershipTransferred")
+        .withArgs(splitId, creator.address, other.address);
+
+      expect(await splitRequests.getUserSplits(creator.address)).to.deep.equal([]);
+      expect(await splitRequests.getUserSplits(other.address)).to.deep.equal([splitId]);
+      for (const requestId of shares) {
+        expect((await requestManager.getRequest(requestId)).creator).to.equal(other.address);
+      }
+
+      await expect(splitRequests.connect(creator).cancelSplit(splitId)).to.be.revertedWith("Only creator can cancel");
+      await splitRequests.connect(other).cancelSplit(splitId);
+    });
+
+    it("extends the expiry of the open shares", async function () {
+      await payShare(shares[0], ONE_XRP);
+      const paidExpiry = (await requestManager.getRequest(shares[0])).expiry;
+      const expiry = (await latestTimestamp()) + 2 * HOUR;
+
+      await expect(splitRequests.connect(creator).extendSplitExpiry(splitId, expiry))
+        .to.emit(splitRequests, "SplitExpiryExtended")
+        .withArgs(splitId, expiry);
+
+      expect((await requestManager.getRequest(shares[0])).expiry).to.equal(paidExpiry);
+      expect((await requestManager.getRequest(shares[1])).expiry).to.equal(expiry);
+      expect((await requestManager.getRequest(shares[2])).expiry).to.equal(expiry);
+      expect((await splitRequests.getSplit(splitId)).split.expiry).to.equal(expiry);
+    });
+  });
+});
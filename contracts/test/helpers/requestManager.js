@@ -0,0 +1,35 @@
+const { ethers, upgrades } = require("hardhat");
+
+// RequestLifecycle keeps no state and never delegatecalls or self-destructs, so linking it is upgrade safe
+upgrades.silenceWarnings();
+
+// RequestManager links against RequestLifecycle (see scripts/deploy.js), so its
+// factories need the library deployed first and the upgrades plugin told about it
+async function requestManagerFactory(name = "RequestManager", signer) {
+  const RequestLifecycle = await ethers.getContractFactory("RequestLifecycle");
+  const requestLifecycle = await RequestLifecycle.deploy();
+  await requestLifecycle.deployed();
+
+  return ethers.getContractFactory(name, {
+    signer,
+    libraries: { RequestLifecycle: requestLifecycle.address }
+  });
+}
+
+async function deployRequestManager(priceOracleAddress, assetRegistryAddress) {
+  const RequestManager = await requestManagerFactory();
+  const requestManager = await upgrades.deployProxy(
+    RequestManager,
+    [priceOracleAddress, assetRegistryAddress],
+    { kind: "transparent", unsafeAllowLinkedLibraries: true }
+  );
+  await requestManager.deployed();
+  return requestManager;
+}
+
+async function upgradeRequestManager(proxyAddress, name, signer) {
+  const RequestManager = await requestManagerFactory(name, signer);
+  return upgrades.upgradeProxy(proxyAddress, RequestManager, { unsafeAllowLinkedLibraries: true });
+}
+
+module.exports = { requestManagerFactory, deployRequestManager, upgradeRequestManager };
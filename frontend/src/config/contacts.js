@@ -3,20 +3,41 @@ export const CONTRACT_ADDRESSES = {
   // Flare Mainnet
   14: {
     requestManager: '0x...', // Will be filled after deployment
+    recurringRequests: '0x...', // Will be filled after deployment
+    splitRequests: '0x...', // Will be filled after deployment
+    requestEscrow: '0x...', // Will be filled after deployment
+    requestRelay: '0x...', // Will be filled after deployment
+    assetRegistry: '0x...', // Will be filled after deployment
+    requestQuery: '0x...', // Will be filled after deployment
     ftsoRegistry: '0x0262bcA0A4F5C1A8fC5d50cE2E79dfA87d55Ae8D'
   },
   // Coston2 Testnet
   114: {
     requestManager: '0x...', // Will be filled after deployment
+    recurringRequests: '0x...', // Will be filled after deployment
+    splitRequests: '0x...', // Will be filled after deployment
+    requestEscrow: '0x...', // Will be filled after deployment
+    requestRelay: '0x...', // Will be filled after deployment
+    assetRegistry: '0x...', // Will be filled after deployment
+    requestQuery: '0x...', // Will be filled after deployment
     ftsoRegistry: '0xaD67FE66660Fb8dFE9d6b1b4240d8650e30F6019'
   },
   // Local development
   31337: {
     requestManager: '0x...', // Will be filled after local deployment
+    recurringRequests: '0x...', // Will be filled after local deployment
+    splitRequests: '0x...', // Will be filled after local deployment
+    requestEscrow: '0x...', // Will be filled after local deployment
+    requestRelay: '0x...', // Will be filled after local deployment
+    assetRegistry: '0x...', // Will be filled after local deployment
+    requestQuery: '0x...', // Will be filled after local deployment
     ftsoRegistry: '0x...' // Mock registry address
   }
 };
 
+// Backend API (serves request metadata documents)
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+
 // Network configurations
 export const NETWORKS = {
   14: {
@@ -52,61 +73,177 @@ export const NETWORKS = {
 };
 
 // Supported assets
-export const SUPPORTED_ASSETS = [
-  {
-    symbol: 'ETH',
-    name: 'Ethereum',
-    decimals: 18,
-    icon: '⚡'
-  },
-  {
-    symbol: 'XRP',
-    name: 'XRP',
-    decimals: 6,
-    icon: '💎'
-  },
-  {
-    symbol: 'BTC',
-    name: 'Bitcoin',
-    decimals: 8,
-    icon: '₿'
-  },
-  {
-    symbol: 'USDT',
-    name: 'Tether',
-    decimals: 6,
-    icon: '💵'
-  },
-  {
-    symbol: 'USDC',
-    name: 'USD Coin',
-    decimals: 6,
-    icon: '💰'
-  }
-];
+// Display names and icons; which assets are supported, and their decimals and
+// limits, come from the on-chain AssetRegistry (see Web3Context)
+export const ASSET_DISPLAY = {
+  ETH: { name: 'Ethereum', icon: '⚡' },
+  XRP: { name: 'XRP', icon: '💎' },
+  BTC: { name: 'Bitcoin', icon: '₿' },
+  USDT: { name: 'Tether', icon: '💵' },
+  USDC: { name: 'USD Coin', icon: '💰' }
+};
 
 // Request status mapping
 export const REQUEST_STATUS = {
   0: 'PENDING',
   1: 'PAID',
   2: 'CANCELLED',
-  3: 'EXPIRED'
+  3: 'EXPIRED',
+  4: 'PARTIALLY_PAID',
+  5: 'DECLINED',
+  6: 'DISPUTED'
 };
 
 // Contract ABIs (simplified for key functions)
 export const REQUEST_MANAGER_ABI = [
   "function createRequest(string memory _recipientXRPL, string memory _assetSymbol, uint256 _assetAmount, uint256 _expiry, uint16 _slippageBp, string memory _message) external returns (uint256)",
-  "function getRequest(uint256 _requestId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message))",
+  "function createQuotedRequest(string memory _recipientXRPL, string memory _assetSymbol, uint256 _assetAmount, uint256 _expiry, uint16 _slippageBp, string memory _message, uint256 _quoteDuration) external returns (uint256)",
+  "function createDirectedRequest(string memory _recipientXRPL, string memory _assetSymbol, uint256 _assetAmount, uint256 _expiry, uint16 _slippageBp, string memory _message, tuple(address evmAddress, string xrplAddress, bool hidden) _payer, uint256 _quoteDuration) external returns (uint256)",
+  "function requoteRequest(uint256 _requestId) external",
+  "function getRequest(uint256 _requestId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message, uint256 paidAssetPrice, uint256 paidXrpPrice, tuple(uint256 xrpAmount, uint256 expiry, uint256 duration, uint256 assetPrice, uint256 xrpPrice) quote, tuple(address evmAddress, string xrplAddress, bool hidden) payer))",
+  "function getInstallments(uint256 _requestId) external view returns (tuple(bytes32 txHash, uint256 amount, uint256 timestamp)[])",
   "function getUserRequests(address _user) external view returns (uint256[])",
+  "function getPayerRequests(address _payer) external view returns (uint256[])",
   "function getTotalRequests() external view returns (uint256)",
+  "function getRequiredPayment(uint256 _requestId) external view returns (uint256)",
   "function calculateXRPAmount(string memory _assetSymbol, uint256 _assetAmount) external view returns (uint256)",
   "function getExchangeRate(string memory _assetSymbol) external view returns (uint256 assetPrice, uint256 xrpPrice, uint256 timestamp)",
   "function cancelRequest(uint256 _requestId) external",
-  "function submitPaymentAttestation(uint256 _requestId, bytes32 _txHash, uint256 _paidAmountXRP, uint256 _timestamp) external",
+  "function declineRequest(uint256 _requestId) external",
+  "function updateRecipient(uint256 _requestId, string memory _recipientXRPL) external",
+  "function transferRequestOwnership(uint256 _requestId, address _newCreator) external",
+  "function extendExpiry(uint256 _requestId, uint256 _expiry) external",
+  "function setMetadataHash(uint256 _requestId, bytes32 _metadataHash) external",
+  "function metadataHashes(uint256 _requestId) external view returns (bytes32)",
+  "function disputePayment(uint256 _requestId, string memory _reason) external",
+  "function resolveDispute(uint256 _requestId, bool _upholdPayment) external",
+  "function disputes(uint256 _requestId) external view returns (address raisedBy, uint256 raisedAt, string reason)",
+  "function settledAt(uint256 _requestId) external view returns (uint256)",
+  "function disputeWindow() external view returns (uint256)",
+  "function arbiters(address _account) external view returns (bool)",
+  "function DEFAULT_ADMIN_ROLE() external view returns (bytes32)",
+  "function hasRole(bytes32 _role, address _account) external view returns (bool)",
+  "function paused() external view returns (bool)",
+  "function submitPaymentAttestation(uint256 _requestId, bytes32 _txHash, uint256 _paidAmountXRP, uint256 _timestamp, bytes32 _sourceAddressHash) external",
   "event RequestCreated(uint256 indexed requestId, address indexed creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, string message)",
   "event RequestPaid(uint256 indexed requestId, bytes32 indexed txHash, uint256 paidAmount, uint256 timestamp)",
+  "event PaymentReceived(uint256 indexed requestId, bytes32 indexed txHash, uint256 amount, uint256 timestamp, uint256 totalPaid)",
+  "event RequestDirected(uint256 indexed requestId, address indexed payer, string payerXRPL, bool hidden)",
+  "event RequestQuoted(uint256 indexed requestId, uint256 xrpAmount, uint256 quoteExpiry, uint256 assetPrice, uint256 xrpPrice)",
   "event RequestCancelled(uint256 indexed requestId)",
-  "event RequestExpired(uint256 indexed requestId)"
+  "event RequestDeclined(uint256 indexed requestId, address indexed payer)",
+  "event RequestMetadataSet(uint256 indexed requestId, bytes32 metadataHash)",
+  "event PaymentDisputed(uint256 indexed requestId, address indexed raisedBy, string reason)",
+  "event DisputeResolved(uint256 indexed requestId, address indexed resolver, bool paymentUpheld)",
+  "event RequestExpired(uint256 indexed requestId)",
+  "event RequestRecipientUpdated(uint256 indexed requestId, string previousRecipientXRPL, string recipientXRPL)",
+  "event RequestOwnershipTransferred(uint256 indexed requestId, address indexed previousCreator, address indexed newCreator)",
+  "event RequestExpiryExtended(uint256 indexed requestId, uint256 previousExpiry, uint256 expiry)",
+  "event Paused(address account)",
+  "event Unpaused(address account)"
+];
+
+export const SPLIT_REQUESTS_ABI = [
+  "function createSplitRequest(string memory _recipientXRPL, string memory _assetSymbol, address[] memory _payers, string[] memory _payersXRPL, uint256[] memory _shareAmounts, uint256 _expiry, uint16 _slippageBp, string memory _message) external returns (uint256)",
+  "function cancelSplit(uint256 _splitId) external",
+  "function updateSplitRecipient(uint256 _splitId, string memory _recipientXRPL) external",
+  "function transferSplitOwnership(uint256 _splitId, address _newCreator) external",
+  "function extendSplitExpiry(uint256 _splitId, uint256 _expiry) external",
+  "function getSplit(uint256 _splitId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 totalAmount, uint256 expiry, uint256 paidShares, uint8 status, string message) split, tuple(uint256 requestId, address payer, string payerXRPL, uint256 assetAmount)[] shares, uint8[] shareStatuses, uint256[] sharePaidAmounts)",
+  "function splitOfRequest(uint256 _requestId) external view returns (uint256)",
+  "function getUserSplits(address _user) external view returns (uint256[])",
+  "event SplitCreated(uint256 indexed splitId, address indexed creator, string assetSymbol, uint256 totalAmount, uint256 shareCount)",
+  "event SplitShareCreated(uint256 indexed splitId, uint256 indexed requestId, address indexed payer, string payerXRPL, uint256 assetAmount)",
+  "event SplitCancelled(uint256 indexed splitId)",
+  "event SplitRecipientUpdated(uint256 indexed splitId, string recipientXRPL)",
+  "event SplitOwnershipTransferred(uint256 indexed splitId, address indexed previousCreator, address indexed newCreator)",
+  "event SplitExpiryExtended(uint256 indexed splitId, uint256 expiry)"
+];
+
+export const REQUEST_ESCROW_ABI = [
+  "function NATIVE_TOKEN() external view returns (address)",
+  "function deposit(uint256 _requestId, address _token, uint256 _amount) external payable returns (uint256)",
+  "function withdraw(uint256 _requestId) external",
+  "function refund(uint256 _depositId) external",
+  "function isRefundable(uint256 _depositId) external view returns (bool)",
+  "function quoteDeposit(uint256 _requestId, address _token) external view returns (uint256)",
+  "function depositRef(uint256 _depositId) external view returns (bytes32)",
+  "function getDeposit(uint256 _depositId) external view returns (tuple(uint256 id, uint256 requestId, address payer, address token, uint256 amount, uint256 xrpValue, uint256 depositedAt, uint8 status))",
+  "function getRequestDeposits(uint256 _requestId) external view returns (uint256[])",
+  "function getPayerDeposits(address _payer) external view returns (uint256[])",
+  "function getDepositTokens() external view returns (address[] tokens, tuple(string symbol, uint8 decimals, bool enabled)[] configs)",
+  "event Deposited(uint256 indexed depositId, uint256 indexed requestId, address indexed payer, address token, uint256 amount, uint256 xrpValue)",
+  "event Withdrawn(uint256 indexed depositId, uint256 indexed requestId, address indexed creator, uint256 amount, uint256 fee)",
+  "event Refunded(uint256 indexed depositId, uint256 indexed requestId, address indexed payer, uint256 amount)"
+];
+
+export const REQUEST_RELAY_ABI = [
+  "function createRequestBySig(tuple(address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, string message, uint256 deadline) _request, bytes _signature) external returns (uint256)",
+  "function invalidateNonce() external",
+  "function nonces(address _creator) external view returns (uint256)",
+  "event RequestRelayed(uint256 indexed requestId, address indexed creator, address indexed relayer, uint256 nonce)"
+];
+
+// EIP-712 domain and type RequestRelay verifies signed requests against
+export const REQUEST_RELAY_DOMAIN = {
+  name: 'Venmorph RequestRelay',
+  version: '1'
+};
+
+export const CREATE_REQUEST_TYPES = {
+  CreateRequest: [
+    { name: 'creator', type: 'address' },
+    { name: 'recipientXRPL', type: 'string' },
+    { name: 'assetSymbol', type: 'string' },
+    { name: 'assetAmount', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'slippageBp', type: 'uint16' },
+    { name: 'message', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+export const ERC20_ABI = [
+  "function allowance(address _owner, address _spender) external view returns (uint256)",
+  "function approve(address _spender, uint256 _amount) external returns (bool)",
+  "function balanceOf(address _account) external view returns (uint256)"
+];
+
+// Escrow deposit status mapping
+export const DEPOSIT_STATUS = {
+  0: 'HELD',
+  1: 'WITHDRAWN',
+  2: 'REFUNDED'
+};
+
+export const RECURRING_REQUESTS_ABI = [
+  "function createRecurringRequest(string memory _recipientXRPL, string memory _assetSymbol, uint256 _assetAmount, uint16 _slippageBp, string memory _message, uint256 _interval, uint256 _requestDuration, uint256 _firstIssueAt, uint256 _maxCount, uint256 _endDate) external returns (uint256)",
+  "function issueRecurringRequest(uint256 _recurringId) external returns (uint256)",
+  "function updateRecurringRequest(uint256 _recurringId, uint256 _assetAmount, uint16 _slippageBp, string memory _message, uint256 _interval, uint256 _requestDuration) external",
+  "function setRecurringRequestPaused(uint256 _recurringId, bool _paused) external",
+  "function endRecurringRequest(uint256 _recurringId) external",
+  "function getRecurringRequest(uint256 _recurringId) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint16 slippageBp, string message, uint256 interval, uint256 requestDuration, uint256 nextIssueAt, uint256 maxCount, uint256 endDate, uint256 issuedCount, bool paused, bool ended))",
+  "function getUserRecurringRequests(address _user) external view returns (uint256[])",
+  "function recurringOfRequest(uint256 _requestId) external view returns (uint256)",
+  "event RecurringRequestCreated(uint256 indexed recurringId, address indexed creator, uint256 interval, uint256 firstIssueAt, uint256 maxCount, uint256 endDate)",
+  "event RecurringRequestIssued(uint256 indexed recurringId, uint256 indexed requestId, uint256 period)",
+  "event RecurringRequestUpdated(uint256 indexed recurringId)",
+  "event RecurringRequestPaused(uint256 indexed recurringId, bool paused)",
+  "event RecurringRequestEnded(uint256 indexed recurringId)"
+];
+
+export const REQUEST_QUERY_ABI = [
+  "function getRequestsPage(uint256 _cursor, uint256 _limit, tuple(uint256 statusMask, string assetSymbol, bool excludeExpired, bool excludeHidden) _filter) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message, uint256 paidAssetPrice, uint256 paidXrpPrice, tuple(uint256 xrpAmount, uint256 expiry, uint256 duration, uint256 assetPrice, uint256 xrpPrice) quote, tuple(address evmAddress, string xrplAddress, bool hidden) payer)[] page, uint256[] splitIds, uint256 nextCursor, uint256 scanned)",
+  "function getUserRequestsPage(address _user, uint256 _cursor, uint256 _limit, tuple(uint256 statusMask, string assetSymbol, bool excludeExpired, bool excludeHidden) _filter) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message, uint256 paidAssetPrice, uint256 paidXrpPrice, tuple(uint256 xrpAmount, uint256 expiry, uint256 duration, uint256 assetPrice, uint256 xrpPrice) quote, tuple(address evmAddress, string xrplAddress, bool hidden) payer)[] page, uint256[] splitIds, uint256 nextCursor, uint256 scanned)",
+  "function getPayerRequestsPage(address _payer, uint256 _cursor, uint256 _limit, tuple(uint256 statusMask, string assetSymbol, bool excludeExpired, bool excludeHidden) _filter) external view returns (tuple(uint256 id, address creator, string recipientXRPL, string assetSymbol, uint256 assetAmount, uint256 expiry, uint16 slippageBp, uint8 status, bytes32 paidTxHash, uint256 paidAmount, uint256 paidTimestamp, string message, uint256 paidAssetPrice, uint256 paidXrpPrice, tuple(uint256 xrpAmount, uint256 expiry, uint256 duration, uint256 assetPrice, uint256 xrpPrice) quote, tuple(address evmAddress, string xrplAddress, bool hidden) payer)[] page, uint256[] splitIds, uint256 nextCursor, uint256 scanned)"
+];
+
+export const ASSET_REGISTRY_ABI = [
+  "function getAssets() external view returns (tuple(string symbol, uint8 decimals, uint256 minAmount, uint256 maxAmount, uint16 maxSlippageBp, uint16 feeBp, bool supported)[] assets)",
+  "function getAssetConfig(string memory _symbol) external view returns (tuple(string symbol, uint8 decimals, uint256 minAmount, uint256 maxAmount, uint16 maxSlippageBp, uint16 feeBp, bool supported))",
+  "event AssetConfigured(string symbol, uint8 decimals, uint256 minAmount, uint256 maxAmount, uint16 maxSlippageBp, uint16 feeBp)",
+  "event AssetSupportUpdated(string symbol, bool supported)"
 ];
 
 export const FTSO_REGISTRY_ABI = [
@@ -123,10 +260,14 @@ export function getNetworkConfig(chainId) {
   return NETWORKS[chainId];
 }
 
-export function getAssetBySymbol(symbol) {
-  return SUPPORTED_ASSETS.find(asset => asset.symbol === symbol);
-}
-
 export function formatRequestStatus(status) {
   return REQUEST_STATUS[status] || 'UNKNOWN';
-}
\ No newline at end of file
+}
+
+// Bitmask of RequestStatus codes for RequestQuery filters (0 = any status)
+export function getStatusMask(statuses = []) {
+  return Object.entries(REQUEST_STATUS).reduce(
+    (mask, [code, status]) => (statuses.includes(status) ? mask | (1 << Number(code)) : mask),
+    0
+  );
+}
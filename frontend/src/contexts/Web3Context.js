@@ -1,8 +1,15 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import { 
   CONTRACT_ADDRESSES, 
   REQUEST_MANAGER_ABI, 
+  RECURRING_REQUESTS_ABI,
+  SPLIT_REQUESTS_ABI,
+  REQUEST_ESCROW_ABI,
+  REQUEST_RELAY_ABI,
+  REQUEST_QUERY_ABI,
+  ASSET_REGISTRY_ABI,
+  ASSET_DISPLAY,
   FTSO_REGISTRY_ABI,
   getContractAddress,
   getNetworkConfig 
@@ -26,7 +33,14 @@ export const Web3Provider = ({ children }) => {
   const [isConnecting, setIsConnecting] = useState(false);
   const [error, setError] = useState(null);
   const [requestManagerContract, setRequestManagerContract] = useState(null);
+  const [recurringRequestsContract, setRecurringRequestsContract] = useState(null);
+  const [splitRequestsContract, setSplitRequestsContract] = useState(null);
+  const [requestEscrowContract, setRequestEscrowContract] = useState(null);
+  const [requestRelayContract, setRequestRelayContract] = useState(null);
+  const [requestQueryContract, setRequestQueryContract] = useState(null);
   const [ftsoRegistryContract, setFtsoRegistryContract] = useState(null);
+  const [assets, setAssets] = useState([]); // AssetRegistry configs merged with display names
+  const [isPaused, setIsPaused] = useState(false); // RequestManager emergency stop
 
   // Initialize provider
   useEffect(() => {
@@ -116,7 +130,14 @@ export const Web3Provider = ({ children }) => {
     setAccount(null);
     setChainId(null);
     setRequestManagerContract(null);
+    setRecurringRequestsContract(null);
+    setSplitRequestsContract(null);
+    setRequestEscrowContract(null);
+    setRequestRelayContract(null);
+    setRequestQueryContract(null);
     setFtsoRegistryContract(null);
+    setAssets([]);
+    setIsPaused(false);
     setError(null);
   };
 
@@ -154,9 +175,37 @@ export const Web3Provider = ({ children }) => {
     }
   };
 
-  const initializeContracts = () => {
+  // Asset decimals and limits come from AssetRegistry, so load them before the contracts that need them
+  const loadAssets = async (assetRegistryAddress) => {
+    const assetRegistry = new ethers.Contract(assetRegistryAddress, ASSET_REGISTRY_ABI, provider);
+    const configs = await assetRegistry.getAssets();
+
+    setAssets(configs.map(config => ({
+      symbol: config.symbol,
+      name: ASSET_DISPLAY[config.symbol]?.name || config.symbol,
+      icon: ASSET_DISPLAY[config.symbol]?.icon || '🪙',
+      decimals: config.decimals,
+      minAmount: config.minAmount.toString(),
+      maxAmount: config.maxAmount.toString(),
+      maxSlippageBp: config.maxSlippageBp,
+      feeBp: config.feeBp,
+      supported: config.supported
+    })));
+  };
+
+  const initializeContracts = async () => {
     try {
+      const assetRegistryAddress = getContractAddress(chainId, 'assetRegistry');
+      if (assetRegistryAddress && provider) {
+        await loadAssets(assetRegistryAddress);
+      }
+
       const requestManagerAddress = getContractAddress(chainId, 'requestManager');
+      const recurringRequestsAddress = getContractAddress(chainId, 'recurringRequests');
+      const splitRequestsAddress = getContractAddress(chainId, 'splitRequests');
+      const requestEscrowAddress = getContractAddress(chainId, 'requestEscrow');
+      const requestRelayAddress = getContractAddress(chainId, 'requestRelay');
+      const requestQueryAddress = getContractAddress(chainId, 'requestQuery');
       const ftsoRegistryAddress = getContractAddress(chainId, 'ftsoRegistry');
 
       if (requestManagerAddress && signer) {
@@ -166,6 +215,52 @@ export const Web3Provider = ({ children }) => {
           signer
         );
         setRequestManagerContract(requestManager);
+        setIsPaused(await requestManager.paused());
+      }
+
+      if (recurringRequestsAddress && signer) {
+        const recurringRequests = new ethers.Contract(
+          recurringRequestsAddress,
+          RECURRING_REQUESTS_ABI,
+          signer
+        );
+        setRecurringRequestsContract(recurringRequests);
+      }
+
+      if (splitRequestsAddress && signer) {
+        const splitRequests = new ethers.Contract(
+          splitRequestsAddress,
+          SPLIT_REQUESTS_ABI,
+          signer
+        );
+        setSplitRequestsContract(splitRequests);
+      }
+
+      if (requestEscrowAddress && signer) {
+        const requestEscrow = new ethers.Contract(
+          requestEscrowAddress,
+          REQUEST_ESCROW_ABI,
+          signer
+        );
+        setRequestEscrowContract(requestEscrow);
+      }
+
+      if (requestRelayAddress && signer) {
+        const requestRelay = new ethers.Contract(
+          requestRelayAddress,
+          REQUEST_RELAY_ABI,
+          signer
+        );
+        setRequestRelayContract(requestRelay);
+      }
+
+      if (requestQueryAddress && provider) {
+        const requestQuery = new ethers.Contract(
+          requestQueryAddress,
+          REQUEST_QUERY_ABI,
+          provider
+        );
+        setRequestQueryContract(requestQuery);
       }
 
       if (ftsoRegistryAddress && provider) {
@@ -199,6 +294,11 @@ export const Web3Provider = ({ children }) => {
     window.location.reload();
   };
 
+  const getAsset = useCallback(
+    (symbol) => assets.find(asset => asset.symbol === symbol),
+    [assets]
+  );
+
   const value = {
     // State
     provider,
@@ -208,7 +308,14 @@ export const Web3Provider = ({ children }) => {
     isConnecting,
     error,
     requestManagerContract,
+    recurringRequestsContract,
+    splitRequestsContract,
+    requestEscrowContract,
+    requestRelayContract,
+    requestQueryContract,
     ftsoRegistryContract,
+    assets,
+    isPaused,
     
     // Actions
     connectWallet,
@@ -216,6 +323,7 @@ export const Web3Provider = ({ children }) => {
     switchNetwork,
     
     // Helper functions
+    getAsset,
     isConnected: !!account && !!signer,
     isCorrectNetwork: chainId && (chainId === 14 || chainId === 114 || chainId === 31337),
     networkName: chainId ? getNetworkConfig(chainId)?.name || 'Unknown Network' : null,
@@ -0,0 +1,149 @@
+import { useState, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../contexts/Web3Context';
+import { DEPOSIT_STATUS, ERC20_ABI, getNetworkConfig } from '../config/contracts';
+
+export const useEscrow = () => {
+  const { requestEscrowContract, signer, account, chainId } = useWeb3();
+
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Send a transaction and surface errors the same way for every escrow action
+  const sendTransaction = useCallback(async (label, send) => {
+    if (!requestEscrowContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const tx = await send(requestEscrowContract);
+      return await tx.wait();
+
+    } catch (err) {
+      console.error(`Error ${label}:`, err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [requestEscrowContract]);
+
+  // Tokens payers can deposit; the native token is listed under the network's currency symbol
+  const getDepositTokens = useCallback(async () => {
+    if (!requestEscrowContract) {
+      return [];
+    }
+
+    const { tokens, configs } = await requestEscrowContract.getDepositTokens();
+    const nativeSymbol = getNetworkConfig(chainId)?.nativeCurrency.symbol || 'FLR';
+
+    return tokens
+      .map((token, i) => ({
+        address: token,
+        isNative: token === ethers.constants.AddressZero,
+        symbol: token === ethers.constants.AddressZero ? nativeSymbol : configs[i].symbol,
+        priceSymbol: configs[i].symbol,
+        decimals: configs[i].decimals,
+        enabled: configs[i].enabled
+      }))
+      .filter(token => token.enabled);
+  }, [requestEscrowContract, chainId]);
+
+  // Deposits held against a request, with whether each can be refunded
+  const getRequestDeposits = useCallback(async (requestId) => {
+    if (!requestEscrowContract) {
+      return [];
+    }
+
+    const ids = await requestEscrowContract.getRequestDeposits(requestId);
+    return Promise.all(ids.map(async (id) => {
+      const [deposit, ref, isRefundable] = await Promise.all([
+        requestEscrowContract.getDeposit(id),
+        requestEscrowContract.depositRef(id),
+        requestEscrowContract.isRefundable(id)
+      ]);
+
+      return {
+        id: deposit.id.toString(),
+        requestId: deposit.requestId.toString(),
+        payer: deposit.payer,
+        token: deposit.token,
+        amount: deposit.amount.toString(),
+        xrpValue: deposit.xrpValue.toString(),
+        formattedXRPValue: parseFloat(ethers.utils.formatUnits(deposit.xrpValue, 6)), // XRP has 6 decimals
+        depositedAt: deposit.depositedAt.toNumber(),
+        status: DEPOSIT_STATUS[deposit.status] || 'UNKNOWN',
+        ref, // matches the installment this deposit was counted as
+        isRefundable,
+        isMine: account?.toLowerCase() === deposit.payer.toLowerCase()
+      };
+    }));
+  }, [requestEscrowContract, account]);
+
+  // Amount of a token that completes a request at current FTSO prices
+  const quoteDeposit = useCallback(async (requestId, token) => {
+    if (!requestEscrowContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    const amount = await requestEscrowContract.quoteDeposit(requestId, token.address);
+    return {
+      amount: amount.toString(),
+      formattedAmount: ethers.utils.formatUnits(amount, token.decimals)
+    };
+  }, [requestEscrowContract]);
+
+  // Pay a request from escrow, approving the ERC-20 first when needed
+  const deposit = useCallback(async (requestId, token, formattedAmount) => {
+    const amount = ethers.utils.parseUnits(formattedAmount.toString(), token.decimals);
+
+    if (!token.isNative) {
+      const erc20 = new ethers.Contract(token.address, ERC20_ABI, signer);
+      const allowance = await erc20.allowance(account, requestEscrowContract.address);
+      if (allowance.lt(amount)) {
+        const approveTx = await erc20.approve(requestEscrowContract.address, amount);
+        await approveTx.wait();
+      }
+    }
+
+    const receipt = await sendTransaction('depositing to escrow', contract =>
+      contract.deposit(requestId, token.address, amount, { value: token.isNative ? amount : 0 })
+    );
+    const event = receipt.events?.find(e => e.event === 'Deposited');
+
+    return { success: true, depositId: event?.args?.depositId?.toString() };
+  }, [requestEscrowContract, signer, account, sendTransaction]);
+
+  // Release a settled request's deposits to its creator
+  const withdraw = useCallback(async (requestId) => {
+    await sendTransaction('withdrawing from escrow', contract => contract.withdraw(requestId));
+    return { success: true };
+  }, [sendTransaction]);
+
+  // Return a deposit to its payer
+  const refund = useCallback(async (depositId) => {
+    await sendTransaction('refunding deposit', contract => contract.refund(depositId));
+    return { success: true };
+  }, [sendTransaction]);
+
+  return {
+    // State
+    isLoading,
+    error,
+    isEscrowAvailable: !!requestEscrowContract,
+
+    // Actions
+    getDepositTokens,
+    getRequestDeposits,
+    quoteDeposit,
+    deposit,
+    withdraw,
+    refund,
+
+    // Utils
+    clearError: () => setError(null)
+  };
+};
@@ -0,0 +1,223 @@
+import { useState, useCallback, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../contexts/Web3Context';
+
+export const useRecurringRequests = () => {
+  const { recurringRequestsContract, account, isConnected, getAsset } = useWeb3();
+
+  const [series, setSeries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Send a transaction and surface errors the same way for every series action
+  const sendTransaction = useCallback(async (label, send) => {
+    if (!recurringRequestsContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const tx = await send(recurringRequestsContract);
+      return await tx.wait();
+
+    } catch (err) {
+      console.error(`Error ${label}:`, err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [recurringRequestsContract]);
+
+  // Get a recurring series by ID
+  const getRecurringRequest = useCallback(async (recurringId) => {
+    if (!recurringRequestsContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    const template = await recurringRequestsContract.getRecurringRequest(recurringId);
+    const asset = getAsset(template.assetSymbol);
+    const nextIssueAt = template.nextIssueAt.toNumber();
+    const maxCount = template.maxCount.toNumber();
+    const endDate = template.endDate.toNumber();
+    const issuedCount = template.issuedCount.toNumber();
+    const isExhausted = (maxCount > 0 && issuedCount >= maxCount) || (endDate > 0 && nextIssueAt > endDate);
+
+    return {
+      id: template.id.toString(),
+      creator: template.creator,
+      recipientXRPL: template.recipientXRPL,
+      assetSymbol: template.assetSymbol,
+      assetAmount: template.assetAmount.toString(),
+      formattedAmount: ethers.utils.formatUnits(template.assetAmount, asset.decimals),
+      slippageBp: template.slippageBp,
+      message: template.message,
+      interval: template.interval.toNumber(),
+      requestDuration: template.requestDuration.toNumber(),
+      nextIssueAt,
+      maxCount,
+      endDate,
+      issuedCount,
+      paused: template.paused,
+      ended: template.ended,
+      // Computed fields
+      isDue: !template.ended && !template.paused && !isExhausted &&
+        nextIssueAt <= Math.floor(Date.now() / 1000),
+      isExhausted
+    };
+  }, [recurringRequestsContract, getAsset]);
+
+  // Get the series created by a user
+  const getUserRecurringRequests = useCallback(async (userAddress = account) => {
+    if (!recurringRequestsContract || !userAddress) {
+      return [];
+    }
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const ids = await recurringRequestsContract.getUserRecurringRequests(userAddress);
+      const userSeries = await Promise.all(ids.map(id => getRecurringRequest(id.toString())));
+
+      // Active series first, then by next issue date
+      userSeries.sort((a, b) => (a.ended - b.ended) || (a.nextIssueAt - b.nextIssueAt));
+
+      setSeries(userSeries);
+      return userSeries;
+
+    } catch (err) {
+      console.error('Error fetching recurring requests:', err);
+      setError(err.message);
+      return [];
+    } finally {
+      setIsLoading(false);
+    }
+  }, [recurringRequestsContract, account, getRecurringRequest]);
+
+  // Create a recurring series; interval and request duration are in seconds
+  const createRecurringRequest = useCallback(async (seriesData) => {
+    const {
+      recipientXRPL,
+      assetSymbol,
+      assetAmount,
+      slippageBp,
+      message,
+      interval,
+      requestDuration,
+      maxCount,
+      endDate
+    } = seriesData;
+
+    const asset = getAsset(assetSymbol);
+    const receipt = await sendTransaction('creating recurring request', contract =>
+      contract.createRecurringRequest(
+        recipientXRPL,
+        assetSymbol,
+        ethers.utils.parseUnits(assetAmount.toString(), asset.decimals),
+        slippageBp * 100, // Convert percentage to basis points
+        message || '',
+        interval,
+        requestDuration,
+        0, // start now
+        maxCount || 0,
+        endDate ? Math.floor(new Date(endDate).getTime() / 1000) : 0
+      )
+    );
+
+    const event = receipt.events?.find(e => e.event === 'RecurringRequestCreated');
+    const recurringId = event?.args?.recurringId;
+
+    if (!recurringId) {
+      throw new Error('Series ID not found in transaction receipt');
+    }
+
+    // Issue the first period straight away
+    const issueReceipt = await sendTransaction('issuing recurring request', contract =>
+      contract.issueRecurringRequest(recurringId)
+    );
+    const issued = issueReceipt.events?.find(e => e.event === 'RecurringRequestIssued');
+
+    return {
+      success: true,
+      recurringId: recurringId.toString(),
+      requestId: issued?.args?.requestId?.toString()
+    };
+  }, [sendTransaction, getAsset]);
+
+  // Issue the next due request of a series
+  const issueRecurringRequest = useCallback(async (recurringId) => {
+    const receipt = await sendTransaction('issuing recurring request', contract =>
+      contract.issueRecurringRequest(recurringId)
+    );
+    const issued = receipt.events?.find(e => e.event === 'RecurringRequestIssued');
+
+    return { success: true, requestId: issued?.args?.requestId?.toString() || null };
+  }, [sendTransaction]);
+
+  // Change the terms of future requests in a series
+  const updateRecurringRequest = useCallback(async (recurringId, updates) => {
+    const { assetSymbol, assetAmount, slippageBp, message, interval, requestDuration } = updates;
+    const asset = getAsset(assetSymbol);
+
+    await sendTransaction('updating recurring request', contract =>
+      contract.updateRecurringRequest(
+        recurringId,
+        ethers.utils.parseUnits(assetAmount.toString(), asset.decimals),
+        slippageBp,
+        message || '',
+        interval,
+        requestDuration
+      )
+    );
+
+    return { success: true };
+  }, [sendTransaction, getAsset]);
+
+  // Pause or resume a series
+  const setRecurringRequestPaused = useCallback(async (recurringId, paused) => {
+    await sendTransaction(paused ? 'pausing recurring request' : 'resuming recurring request', contract =>
+      contract.setRecurringRequestPaused(recurringId, paused)
+    );
+
+    return { success: true };
+  }, [sendTransaction]);
+
+  // Stop a series from issuing further requests
+  const endRecurringRequest = useCallback(async (recurringId) => {
+    await sendTransaction('ending recurring request', contract =>
+      contract.endRecurringRequest(recurringId)
+    );
+
+    return { success: true };
+  }, [sendTransaction]);
+
+  // Auto-refresh series when account changes
+  useEffect(() => {
+    if (isConnected && account) {
+      getUserRecurringRequests();
+    }
+  }, [isConnected, account, getUserRecurringRequests]);
+
+  return {
+    // State
+    series,
+    isLoading,
+    error,
+
+    // Actions
+    createRecurringRequest,
+    getRecurringRequest,
+    getUserRecurringRequests,
+    issueRecurringRequest,
+    updateRecurringRequest,
+    setRecurringRequestPaused,
+    endRecurringRequest,
+
+    // Utils
+    clearError: () => setError(null),
+    refreshSeries: getUserRecurringRequests
+  };
+};
@@ -1,23 +1,109 @@
 import { useState, useCallback, useEffect } from 'react';
 import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
-import { formatRequestStatus, getAssetBySymbol } from '../config/contracts';
+import {
+  API_BASE_URL,
+  CREATE_REQUEST_TYPES,
+  REQUEST_RELAY_DOMAIN,
+  formatRequestStatus,
+  getStatusMask
+} from '../config/contracts';
+
+// Largest page RequestQuery serves in one call
+const PAGE_SIZE = 100;
+
+// RequestQuery calls made to fill one page before handing the cursor back
+const MAX_PAGE_CALLS = 5;
+
+// How long a signed gasless request stays valid for the relayer to submit (seconds)
+const RELAY_SIGNATURE_TTL = 600;
 
 export const useRequests = () => {
   const { 
     requestManagerContract, 
+    splitRequestsContract,
+    requestRelayContract,
+    requestQueryContract,
     ftsoRegistryContract, 
+    signer,
     account, 
     isConnected,
-    chainId 
+    chainId,
+    assets,
+    getAsset
   } = useWeb3();
   
   const [requests, setRequests] = useState([]);
   const [userRequests, setUserRequests] = useState([]);
+  const [payerRequests, setPayerRequests] = useState([]);
+  const [hasMoreUserRequests, setHasMoreUserRequests] = useState(false);
+  const [userRequestsCursor, setUserRequestsCursor] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [exchangeRates, setExchangeRates] = useState({});
 
+  // Shape a RequestManager.Request struct for the UI
+  const formatRequest = useCallback((request, splitId) => ({
+    id: request.id.toString(),
+    creator: request.creator,
+    recipientXRPL: request.recipientXRPL,
+    assetSymbol: request.assetSymbol,
+    assetAmount: request.assetAmount.toString(),
+    expiry: request.expiry.toNumber(),
+    slippageBp: request.slippageBp,
+    status: formatRequestStatus(request.status),
+    statusCode: request.status,
+    paidTxHash: request.paidTxHash,
+    paidAmount: request.paidAmount.toString(),
+    paidTimestamp: request.paidTimestamp.toNumber(),
+    message: request.message,
+    paidAssetPrice: request.paidAssetPrice.toString(),
+    paidXrpPrice: request.paidXrpPrice.toString(),
+    splitId: splitId && !splitId.isZero() ? splitId.toString() : null,
+    intendedPayer: request.payer.evmAddress === ethers.constants.AddressZero ? null : request.payer.evmAddress,
+    intendedPayerXRPL: request.payer.xrplAddress || null,
+    isHidden: request.payer.hidden,
+    // Computed fields
+    quotedXRPAmount: request.quote.xrpAmount.gt(0)
+      ? parseFloat(ethers.utils.formatUnits(request.quote.xrpAmount, 6))
+      : null,
+    quoteExpiry: request.quote.expiry.toNumber(),
+    isQuoteLocked: request.quote.xrpAmount.gt(0) &&
+      request.quote.expiry.toNumber() >= Math.floor(Date.now() / 1000),
+    paidExchangeRate: request.paidXrpPrice.gt(0)
+      ? parseFloat(ethers.utils.formatUnits(request.paidAssetPrice, 18)) /
+        parseFloat(ethers.utils.formatUnits(request.paidXrpPrice, 18))
+      : null,
+    isExpired: request.expiry.toNumber() < Math.floor(Date.now() / 1000),
+    asset: getAsset(request.assetSymbol),
+    formattedAmount: ethers.utils.formatUnits(
+      request.assetAmount, 
+      getAsset(request.assetSymbol).decimals
+    ),
+    expiryDate: new Date(request.expiry.toNumber() * 1000),
+    createdBy: request.creator.toLowerCase() === account?.toLowerCase(),
+    addressedToMe: request.payer.evmAddress.toLowerCase() === account?.toLowerCase()
+  }), [account, getAsset]);
+
+  // Get a specific request by ID
+  const getRequest = useCallback(async (requestId) => {
+    if (!requestManagerContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      const request = await requestManagerContract.getRequest(requestId);
+      const splitId = splitRequestsContract
+        ? await splitRequestsContract.splitOfRequest(requestId)
+        : null;
+
+      return formatRequest(request, splitId);
+    } catch (err) {
+      console.error('Error fetching request:', err);
+      throw err;
+    }
+  }, [requestManagerContract, splitRequestsContract, formatRequest]);
+
   // Create a new payment request
   const createRequest = useCallback(async (requestData) => {
     if (!requestManagerContract || !account) {
@@ -34,24 +120,47 @@ export const useRequests = () => {
         assetAmount,
         expiry,
         slippageBp,
-        message
+        message,
+        lockQuote,
+        quoteDuration,
+        payerAddress,
+        hideFromFeed
       } = requestData;
 
       // Convert amount to proper units
-      const asset = getAssetBySymbol(assetSymbol);
+      const asset = getAsset(assetSymbol);
       const amountWei = ethers.utils.parseUnits(assetAmount.toString(), asset.decimals);
 
       // Create expiry timestamp
       const expiryTimestamp = Math.floor(Date.now() / 1000) + (expiry * 3600); // expiry in hours
 
-      const tx = await requestManagerContract.createRequest(
+      const requestArgs = [
         recipientXRPL,
         assetSymbol,
         amountWei,
         expiryTimestamp,
         slippageBp * 100, // Convert percentage to basis points
         message || ''
-      );
+      ];
+
+      // Locked quotes fix the XRP amount for quoteDuration minutes
+      const quoteSeconds = lockQuote ? quoteDuration * 60 : 0;
+
+      let tx;
+      if (payerAddress) {
+        // Directed at one payer, by EVM address or XRPL account
+        const isEvmPayer = ethers.utils.isAddress(payerAddress);
+        const payer = [
+          isEvmPayer ? payerAddress : ethers.constants.AddressZero,
+          isEvmPayer ? '' : payerAddress,
+          !!hideFromFeed
+        ];
+        tx = await requestManagerContract.createDirectedRequest(...requestArgs, payer, quoteSeconds);
+      } else if (lockQuote) {
+        tx = await requestManagerContract.createQuotedRequest(...requestArgs, quoteSeconds);
+      } else {
+        tx = await requestManagerContract.createRequest(...requestArgs);
+      }
 
       const receipt = await tx.wait();
       
@@ -84,50 +193,250 @@ export const useRequests = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [requestManagerContract, account]);
+  }, [requestManagerContract, account, getAsset, getRequest]);
 
-  // Get a specific request by ID
-  const getRequest = useCallback(async (requestId) => {
+  // Whether the backend relays gasless requests here, and how many this account has left
+  const getRelayStatus = useCallback(async () => {
+    if (!requestRelayContract || !account) {
+      return { enabled: false };
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/relay/${chainId}?address=${account}`);
+      return response.ok ? await response.json() : { enabled: false };
+    } catch (err) {
+      return { enabled: false };
+    }
+  }, [requestRelayContract, account, chainId]);
+
+  // Create a plain request by signing it (EIP-712); the backend's relayer submits it and pays the gas
+  const createGaslessRequest = useCallback(async (requestData) => {
+    if (!requestRelayContract || !signer || !account) {
+      throw new Error('Contract not initialized or wallet not connected');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const { recipientXRPL, assetSymbol, assetAmount, expiry, slippageBp, message } = requestData;
+      const asset = getAsset(assetSymbol);
+      const now = Math.floor(Date.now() / 1000);
+
+      const request = {
+        creator: account,
+        recipientXRPL,
+        assetSymbol,
+        assetAmount: ethers.utils.parseUnits(assetAmount.toString(), asset.decimals).toString(),
+        expiry: now + (expiry * 3600), // expiry in hours
+        slippageBp: slippageBp * 100, // Convert percentage to basis points
+        message: message || '',
+        deadline: now + RELAY_SIGNATURE_TTL
+      };
+
+      // The signature is only good for the account's current relay nonce
+      const nonce = await requestRelayContract.nonces(account);
+      const signature = await signer._signTypedData(
+        { ...REQUEST_RELAY_DOMAIN, chainId, verifyingContract: requestRelayContract.address },
+        CREATE_REQUEST_TYPES,
+        { ...request, nonce: nonce.toString() }
+      );
+
+      const response = await fetch(`${API_BASE_URL}/relay/${chainId}/requests`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ request, signature })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error?.details || result.error?.message || 'Failed to relay request');
+      }
+
+      const newRequest = await getRequest(result.requestId);
+      setRequests(prev => [newRequest, ...prev]);
+      setUserRequests(prev => [newRequest, ...prev]);
+
+      return {
+        success: true,
+        requestId: result.requestId,
+        txHash: result.txHash,
+        request: newRequest,
+        remaining: result.remaining
+      };
+
+    } catch (err) {
+      console.error('Error creating gasless request:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [requestRelayContract, signer, account, chainId, getAsset, getRequest]);
+
+  // Create a request split between several payers, one share request each
+  const createSplitRequest = useCallback(async (splitData) => {
+    if (!splitRequestsContract || !account) {
+      throw new Error('Contract not initialized or wallet not connected');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const {
+        recipientXRPL,
+        assetSymbol,
+        participants,
+        expiry,
+        slippageBp,
+        message
+      } = splitData;
+
+      const asset = getAsset(assetSymbol);
+      const expiryTimestamp = Math.floor(Date.now() / 1000) + (expiry * 3600); // expiry in hours
+
+      // Participants are identified by either an EVM or an XRPL address
+      const payers = participants.map(p =>
+        ethers.utils.isAddress(p.address) ? p.address : ethers.constants.AddressZero
+      );
+      const payersXRPL = participants.map(p =>
+        ethers.utils.isAddress(p.address) ? '' : p.address
+      );
+      const shareAmounts = participants.map(p =>
+        ethers.utils.parseUnits(p.amount.toString(), asset.decimals)
+      );
+
+      const tx = await splitRequestsContract.createSplitRequest(
+        recipientXRPL,
+        assetSymbol,
+        payers,
+        payersXRPL,
+        shareAmounts,
+        expiryTimestamp,
+        slippageBp * 100, // Convert percentage to basis points
+        message || ''
+      );
+
+      const receipt = await tx.wait();
+
+      const event = receipt.events?.find(e => e.event === 'SplitCreated');
+      const splitId = event?.args?.splitId;
+      const shareRequestIds = receipt.events
+        ?.filter(e => e.event === 'SplitShareCreated')
+        .map(e => e.args.requestId.toString());
+
+      if (splitId) {
+        return {
+          success: true,
+          splitId: splitId.toString(),
+          requestIds: shareRequestIds,
+          txHash: receipt.transactionHash
+        };
+      }
+
+      throw new Error('Split ID not found in transaction receipt');
+
+    } catch (err) {
+      console.error('Error creating split request:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [splitRequestsContract, account, getAsset]);
+
+  // Get the XRPL payments counted toward a request
+  const getInstallments = useCallback(async (requestId) => {
     if (!requestManagerContract) {
       throw new Error('Contract not initialized');
     }
 
     try {
-      const request = await requestManagerContract.getRequest(requestId);
-      
+      const installments = await requestManagerContract.getInstallments(requestId);
+
+      return installments.map(installment => ({
+        txHash: installment.txHash,
+        amount: installment.amount.toString(),
+        formattedAmount: parseFloat(ethers.utils.formatUnits(installment.amount, 6)), // XRP has 6 decimals
+        timestamp: installment.timestamp.toNumber()
+      }));
+    } catch (err) {
+      console.error('Error fetching installments:', err);
+      throw err;
+    }
+  }, [requestManagerContract]);
+
+  // Get the split a share request belongs to, or null for standalone requests
+  const getSplitForRequest = useCallback(async (requestId) => {
+    if (!splitRequestsContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      const splitId = await splitRequestsContract.splitOfRequest(requestId);
+      if (splitId.isZero()) {
+        return null;
+      }
+
+      const { split, shares, shareStatuses, sharePaidAmounts } = await splitRequestsContract.getSplit(splitId);
+      const asset = getAsset(split.assetSymbol);
+
       return {
-        id: request.id.toString(),
-        creator: request.creator,
-        recipientXRPL: request.recipientXRPL,
-        assetSymbol: request.assetSymbol,
-        assetAmount: request.assetAmount.toString(),
-        expiry: request.expiry.toNumber(),
-        slippageBp: request.slippageBp,
-        status: formatRequestStatus(request.status),
-        statusCode: request.status,
-        paidTxHash: request.paidTxHash,
-        paidAmount: request.paidAmount.toString(),
-        paidTimestamp: request.paidTimestamp.toNumber(),
-        message: request.message,
-        // Computed fields
-        isExpired: request.expiry.toNumber() < Math.floor(Date.now() / 1000),
-        asset: getAssetBySymbol(request.assetSymbol),
-        formattedAmount: ethers.utils.formatUnits(
-          request.assetAmount, 
-          getAssetBySymbol(request.assetSymbol).decimals
-        ),
-        expiryDate: new Date(request.expiry.toNumber() * 1000),
-        createdBy: request.creator.toLowerCase() === account?.toLowerCase()
+        id: split.id.toString(),
+        creator: split.creator,
+        assetSymbol: split.assetSymbol,
+        totalAmount: split.totalAmount.toString(),
+        formattedTotalAmount: ethers.utils.formatUnits(split.totalAmount, asset.decimals),
+        paidShares: split.paidShares.toNumber(),
+        status: formatRequestStatus(split.status),
+        shares: shares.map((share, i) => ({
+          requestId: share.requestId.toString(),
+          payer: share.payer === ethers.constants.AddressZero ? share.payerXRPL : share.payer,
+          formattedAmount: ethers.utils.formatUnits(share.assetAmount, asset.decimals),
+          status: formatRequestStatus(shareStatuses[i]),
+          paidAmount: sharePaidAmounts[i].toString()
+        }))
       };
     } catch (err) {
-      console.error('Error fetching request:', err);
+      console.error('Error fetching split:', err);
       throw err;
     }
-  }, [requestManagerContract, account]);
+  }, [splitRequestsContract, getAsset]);
 
-  // Get user's requests
-  const getUserRequests = useCallback(async (userAddress = account) => {
-    if (!requestManagerContract || !userAddress) {
+  // Read one page from RequestQuery, newest first. Each call scans a bounded
+  // window, so keep calling until the page is full or the history runs out
+  const fetchRequestsPage = useCallback(async (method, args, options = {}) => {
+    if (!requestQueryContract) {
+      throw new Error('Request query contract not initialized');
+    }
+
+    const {
+      cursor = 0,
+      limit = PAGE_SIZE,
+      statuses = [],
+      assetSymbol = '',
+      excludeExpired = false,
+      excludeHidden = false
+    } = options;
+
+    const pageSize = Math.min(limit, PAGE_SIZE);
+    const filter = { statusMask: getStatusMask(statuses), assetSymbol, excludeExpired, excludeHidden };
+    const requests = [];
+    let nextCursor = cursor;
+
+    for (let calls = 0; calls < MAX_PAGE_CALLS && requests.length < pageSize; calls++) {
+      const result = await requestQueryContract[method](...args, nextCursor, pageSize - requests.length, filter);
+      requests.push(...result.page.map((request, i) => formatRequest(request, result.splitIds[i])));
+      nextCursor = result.nextCursor.toNumber();
+      if (nextCursor === 0) break;
+    }
+
+    return { requests, nextCursor };
+  }, [requestQueryContract, formatRequest]);
+
+  // Get user's requests; pass the returned cursor to append the next page
+  const getUserRequests = useCallback(async (userAddress = account, options = {}) => {
+    if (!requestQueryContract || !userAddress) {
       return [];
     }
 
@@ -135,15 +444,12 @@ export const useRequests = () => {
       setIsLoading(true);
       setError(null);
 
-      const requestIds = await requestManagerContract.getUserRequests(userAddress);
-      const requestPromises = requestIds.map(id => getRequest(id.toString()));
-      const userRequestsData = await Promise.all(requestPromises);
-
-      // Sort by creation time (most recent first)
-      userRequestsData.sort((a, b) => b.expiry - a.expiry);
+      const { requests: page, nextCursor } = await fetchRequestsPage('getUserRequestsPage', [userAddress], options);
 
-      setUserRequests(userRequestsData);
-      return userRequestsData;
+      setUserRequests(prev => (options.cursor ? [...prev, ...page] : page));
+      setUserRequestsCursor(nextCursor);
+      setHasMoreUserRequests(nextCursor > 0);
+      return page;
 
     } catch (err) {
       console.error('Error fetching user requests:', err);
@@ -152,11 +458,30 @@ export const useRequests = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [requestManagerContract, account, getRequest]);
+  }, [requestQueryContract, account, fetchRequestsPage]);
+
+  // Get requests addressed to a payer
+  const getPayerRequests = useCallback(async (payerAddress = account, options = {}) => {
+    if (!requestQueryContract || !payerAddress) {
+      return [];
+    }
+
+    try {
+      const { requests: page } = await fetchRequestsPage('getPayerRequestsPage', [payerAddress], options);
+
+      setPayerRequests(page);
+      return page;
+
+    } catch (err) {
+      console.error('Error fetching payer requests:', err);
+      setError(err.message);
+      return [];
+    }
+  }, [requestQueryContract, account, fetchRequestsPage]);
 
   // Get all recent requests (for public feed)
   const getRecentRequests = useCallback(async (limit = 20) => {
-    if (!requestManagerContract) {
+    if (!requestQueryContract) {
       return [];
     }
 
@@ -164,20 +489,13 @@ export const useRequests = () => {
       setIsLoading(true);
       setError(null);
 
-      const totalRequests = await requestManagerContract.getTotalRequests();
-      const startId = Math.max(1, totalRequests.toNumber() - limit + 1);
-      
-      const requestPromises = [];
-      for (let i = totalRequests.toNumber(); i >= startId; i--) {
-        requestPromises.push(getRequest(i.toString()));
-      }
-
-      const recentRequestsData = await Promise.all(requestPromises);
-      
-      // Filter out cancelled/expired for public feed
-      const publicRequests = recentRequestsData.filter(
-        req => req.status === 'PENDING' && !req.isExpired
-      );
+      // Only open, unexpired requests that weren't hidden from the feed
+      const { requests: publicRequests } = await fetchRequestsPage('getRequestsPage', [], {
+        limit,
+        statuses: ['PENDING', 'PARTIALLY_PAID'],
+        excludeExpired: true,
+        excludeHidden: true
+      });
 
       setRequests(publicRequests);
       return publicRequests;
@@ -189,7 +507,7 @@ export const useRequests = () => {
     } finally {
       setIsLoading(false);
     }
-  }, [requestManagerContract, getRequest]);
+  }, [requestQueryContract, fetchRequestsPage]);
 
   // Cancel a request
   const cancelRequest = useCallback(async (requestId) => {
@@ -226,6 +544,287 @@ export const useRequests = () => {
     }
   }, [requestManagerContract]);
 
+  // Cancel every unpaid share of a split
+  const cancelSplit = useCallback(async (splitId) => {
+    if (!splitRequestsContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const tx = await splitRequestsContract.cancelSplit(splitId);
+      await tx.wait();
+
+      return { success: true };
+
+    } catch (err) {
+      console.error('Error cancelling split:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [splitRequestsContract]);
+
+  // Send a request or split management transaction, surfacing errors the same way for each
+  const sendManagementTransaction = useCallback(async (label, contract, send) => {
+    if (!contract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const tx = await send(contract);
+      await tx.wait();
+
+      return { success: true };
+
+    } catch (err) {
+      console.error(`Error ${label}:`, err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Correct the XRPL address a request is paid to, before any payment has been counted.
+  // Split shares are changed together through their split.
+  const updateRecipient = useCallback(async (requestId, recipientXRPL, splitId = null) => (
+    splitId
+      ? sendManagementTransaction('updating split recipient', splitRequestsContract,
+        contract => contract.updateSplitRecipient(splitId, recipientXRPL))
+      : sendManagementTransaction('updating recipient', requestManagerContract,
+        contract => contract.updateRecipient(requestId, recipientXRPL))
+  ), [requestManagerContract, splitRequestsContract, sendManagementTransaction]);
+
+  // Hand a request (or a whole split) to another EVM address
+  const transferRequestOwnership = useCallback(async (requestId, newCreator, splitId = null) => (
+    splitId
+      ? sendManagementTransaction('transferring split', splitRequestsContract,
+        contract => contract.transferSplitOwnership(splitId, newCreator))
+      : sendManagementTransaction('transferring request', requestManagerContract,
+        contract => contract.transferRequestOwnership(requestId, newCreator))
+  ), [requestManagerContract, splitRequestsContract, sendManagementTransaction]);
+
+  // Push back the expiry of an open request (or every open share of a split)
+  const extendExpiry = useCallback(async (requestId, expiryDate, splitId = null) => {
+    const expiry = Math.floor(new Date(expiryDate).getTime() / 1000);
+
+    return splitId
+      ? sendManagementTransaction('extending split expiry', splitRequestsContract,
+        contract => contract.extendSplitExpiry(splitId, expiry))
+      : sendManagementTransaction('extending expiry', requestManagerContract,
+        contract => contract.extendExpiry(requestId, expiry));
+  }, [requestManagerContract, splitRequestsContract, sendManagementTransaction]);
+
+  // Decline a request addressed to the connected account
+  const declineRequest = useCallback(async (requestId) => {
+    if (!requestManagerContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const tx = await requestManagerContract.declineRequest(requestId);
+      await tx.wait();
+
+      // Update local state
+      setPayerRequests(prev =>
+        prev.map(req =>
+          req.id === requestId
+            ? { ...req, status: 'DECLINED', statusCode: 5 }
+            : req
+        )
+      );
+
+      return { success: true };
+
+    } catch (err) {
+      console.error('Error declining request:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [requestManagerContract]);
+
+  // Dispute window and any open dispute for a settled request
+  const getDisputeInfo = useCallback(async (requestId) => {
+    if (!requestManagerContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      const adminRole = await requestManagerContract.DEFAULT_ADMIN_ROLE();
+      const [settledAt, disputeWindow, dispute, isAdmin, isArbiter] = await Promise.all([
+        requestManagerContract.settledAt(requestId),
+        requestManagerContract.disputeWindow(),
+        requestManagerContract.disputes(requestId),
+        account ? requestManagerContract.hasRole(adminRole, account) : false,
+        account ? requestManagerContract.arbiters(account) : false
+      ]);
+
+      return {
+        settledAt: settledAt.toNumber(),
+        disputeDeadline: settledAt.gt(0) ? settledAt.add(disputeWindow).toNumber() : null,
+        dispute: dispute.raisedBy === ethers.constants.AddressZero ? null : {
+          raisedBy: dispute.raisedBy,
+          raisedAt: dispute.raisedAt.toNumber(),
+          reason: dispute.reason
+        },
+        canResolve: isArbiter || isAdmin
+      };
+    } catch (err) {
+      console.error('Error fetching dispute info:', err);
+      throw err;
+    }
+  }, [requestManagerContract, account]);
+
+  // Flag the attestation that settled a request
+  const disputePayment = useCallback(async (requestId, reason) => {
+    if (!requestManagerContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const tx = await requestManagerContract.disputePayment(requestId, reason || '');
+      await tx.wait();
+
+      return { success: true };
+
+    } catch (err) {
+      console.error('Error disputing payment:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [requestManagerContract]);
+
+  // Settle a dispute as owner or arbiter
+  const resolveDispute = useCallback(async (requestId, upholdPayment) => {
+    if (!requestManagerContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const tx = await requestManagerContract.resolveDispute(requestId, upholdPayment);
+      await tx.wait();
+
+      return { success: true };
+
+    } catch (err) {
+      console.error('Error resolving dispute:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [requestManagerContract]);
+
+  // Commit an invoice document's hash on-chain, then upload it to the backend
+  const attachMetadata = useCallback(async (requestId, metadata) => {
+    if (!requestManagerContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      // The exact string uploaded is what gets hashed and verified
+      const content = JSON.stringify(metadata);
+      const metadataHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(content));
+
+      const tx = await requestManagerContract.setMetadataHash(requestId, metadataHash);
+      await tx.wait();
+
+      const response = await fetch(`${API_BASE_URL}/requests/${chainId}/${requestId}/metadata`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ content })
+      });
+      if (!response.ok) {
+        const { error: apiError } = await response.json();
+        throw new Error(apiError?.message || 'Failed to upload metadata');
+      }
+
+      return { success: true, metadataHash };
+
+    } catch (err) {
+      console.error('Error attaching metadata:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [requestManagerContract, chainId]);
+
+  // Load a request's invoice document, or null when none is attached
+  const getRequestMetadata = useCallback(async (requestId) => {
+    if (!requestManagerContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    const metadataHash = await requestManagerContract.metadataHashes(requestId);
+    if (metadataHash === ethers.constants.HashZero) {
+      return null;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/requests/${chainId}/${requestId}/metadata`);
+      if (!response.ok) {
+        return { metadataHash, metadata: null, isVerified: false };
+      }
+
+      // Don't trust the backend: the content must hash to what the chain recorded
+      const { content } = await response.json();
+      const isVerified = ethers.utils.keccak256(ethers.utils.toUtf8Bytes(content)) === metadataHash;
+
+      return { metadataHash, metadata: isVerified ? JSON.parse(content) : null, isVerified };
+    } catch (err) {
+      console.error('Error fetching metadata:', err);
+      return { metadataHash, metadata: null, isVerified: false };
+    }
+  }, [requestManagerContract, chainId]);
+
+  // Lock a fresh XRP quote once the previous one has lapsed
+  const requoteRequest = useCallback(async (requestId) => {
+    if (!requestManagerContract) {
+      throw new Error('Contract not initialized');
+    }
+
+    try {
+      setError(null);
+      setIsLoading(true);
+
+      const tx = await requestManagerContract.requoteRequest(requestId);
+      await tx.wait();
+
+      return { success: true };
+
+    } catch (err) {
+      console.error('Error re-quoting request:', err);
+      setError(err.message);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  }, [requestManagerContract]);
+
   // Calculate XRP amount for a given asset
   const calculateXRPAmount = useCallback(async (assetSymbol, assetAmount) => {
     if (!requestManagerContract) {
@@ -233,7 +832,7 @@ export const useRequests = () => {
     }
 
     try {
-      const asset = getAssetBySymbol(assetSymbol);
+      const asset = getAsset(assetSymbol);
       const amountWei = ethers.utils.parseUnits(assetAmount.toString(), asset.decimals);
       
       const xrpAmountWei = await requestManagerContract.calculateXRPAmount(
@@ -248,14 +847,18 @@ export const useRequests = () => {
       console.error('Error calculating XRP amount:', err);
       throw err;
     }
-  }, [requestManagerContract]);
+  }, [requestManagerContract, getAsset]);
 
-  // Get current exchange rates
-  const getExchangeRates = useCallback(async (assetSymbols = ['ETH', 'BTC', 'USDT', 'USDC']) => {
+  // Get current exchange rates; defaults to every asset AssetRegistry supports
+  const getExchangeRates = useCallback(async (assetSymbols) => {
     if (!requestManagerContract) {
       return {};
     }
 
+    if (!assetSymbols) {
+      assetSymbols = assets.filter(asset => asset.supported).map(asset => asset.symbol);
+    }
+
     try {
       const rates = {};
       
@@ -281,7 +884,7 @@ export const useRequests = () => {
       console.error('Error fetching exchange rates:', err);
       return {};
     }
-  }, [requestManagerContract]);
+  }, [requestManagerContract, assets]);
 
   // Auto-refresh user requests when account changes
   useEffect(() => {
@@ -307,16 +910,36 @@ export const useRequests = () => {
     // State
     requests,
     userRequests,
+    payerRequests,
+    hasMoreUserRequests,
+    userRequestsCursor,
     isLoading,
     error,
     exchangeRates,
     
     // Actions
     createRequest,
+    createGaslessRequest,
+    getRelayStatus,
+    createSplitRequest,
     getRequest,
+    getInstallments,
+    getSplitForRequest,
     getUserRequests,
+    getPayerRequests,
     getRecentRequests,
     cancelRequest,
+    cancelSplit,
+    declineRequest,
+    updateRecipient,
+    transferRequestOwnership,
+    extendExpiry,
+    attachMetadata,
+    getRequestMetadata,
+    getDisputeInfo,
+    disputePayment,
+    resolveDispute,
+    requoteRequest,
     calculateXRPAmount,
     getExchangeRates,
     
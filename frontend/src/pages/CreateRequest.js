@@ -1,14 +1,26 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
+import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useRequests } from '../hooks/useRequests';
-import { SUPPORTED_ASSETS } from '../config/contracts';
+import { useRecurringRequests } from '../hooks/useRecurringRequests';
+import { checkXrplAddresses } from '../utils/xrplAddress';
 
 const CreateRequest = () => {
   const navigate = useNavigate();
-  const { isConnected, account } = useWeb3();
-  const { createRequest, calculateXRPAmount, exchangeRates, isLoading } = useRequests();
+  const { isConnected, account, assets, getAsset, isPaused } = useWeb3();
+  const {
+    createRequest,
+    createGaslessRequest,
+    getRelayStatus,
+    createSplitRequest,
+    attachMetadata,
+    calculateXRPAmount,
+    exchangeRates,
+    isLoading
+  } = useRequests();
+  const { createRecurringRequest, isLoading: isCreatingSeries } = useRecurringRequests();
 
   const [formData, setFormData] = useState({
     recipientXRPL: '',
@@ -16,24 +28,67 @@ const CreateRequest = () => {
     assetAmount: '',
     expiry: 24, // hours
     slippageBp: 2, // 2% slippage
-    message: ''
+    message: '',
+    lockQuote: false,
+    quoteDuration: 30, // minutes
+    isSplit: false,
+    isRecurring: false,
+    payerAddress: '', // optional EVM address or XRPL account the request is addressed to
+    hideFromFeed: false,
+    recurringInterval: 2592000, // seconds (30 days)
+    recurringCount: 12,
+    attachInvoice: false,
+    gasless: false
   });
 
+  // Itemized invoice kept off-chain; only its hash goes on-chain
+  const [invoice, setInvoice] = useState({
+    invoiceNumber: '',
+    notes: '',
+    items: [{ description: '', quantity: '1', unitPrice: '' }],
+    attachments: []
+  });
+
+  // Split requests: one share per payer, identified by EVM or XRPL address
+  const [participants, setParticipants] = useState([
+    { address: '', amount: '' },
+    { address: '', amount: '' }
+  ]);
+
   const [xrpEquivalent, setXrpEquivalent] = useState(null);
   const [isCalculating, setIsCalculating] = useState(false);
   const [validationErrors, setValidationErrors] = useState({});
+  const [relayStatus, setRelayStatus] = useState({ enabled: false });
+
+  // A split request asks for the sum of its shares
+  const splitTotal = participants.reduce((sum, p) => sum + (parseFloat(p.amount) || 0), 0);
+  const totalAmount = formData.isSplit ? (splitTotal > 0 ? splitTotal.toString() : '') : formData.assetAmount;
+  const invoiceTotal = invoice.items.reduce(
+    (sum, item) => sum + (parseFloat(item.quantity) || 0) * (parseFloat(item.unitPrice) || 0),
+    0
+  );
+  const canAttachInvoice = !formData.isSplit && !formData.isRecurring;
+  // The relayer only submits plain requests; every other option needs a transaction from the creator
+  const canRelay = relayStatus.enabled && !formData.isSplit && !formData.isRecurring &&
+    !formData.lockQuote && !formData.payerAddress && !formData.attachInvoice;
+
+  // Limits the AssetRegistry sets for the selected asset
+  const selectedAsset = getAsset(formData.assetSymbol);
+  const slippageOptions = [0.5, 1, 2, 5].filter(
+    percent => !selectedAsset || percent * 100 <= selectedAsset.maxSlippageBp
+  );
 
   // Calculate XRP equivalent when amount or asset changes
   useEffect(() => {
     const calculateEquivalent = async () => {
-      if (!formData.assetAmount || !formData.assetSymbol || !isConnected) {
+      if (!totalAmount || !formData.assetSymbol || !isConnected) {
         setXrpEquivalent(null);
         return;
       }
 
       try {
         setIsCalculating(true);
-        const xrpAmount = await calculateXRPAmount(formData.assetSymbol, formData.assetAmount);
+        const xrpAmount = await calculateXRPAmount(formData.assetSymbol, totalAmount);
         setXrpEquivalent(xrpAmount);
       } catch (error) {
         console.error('Error calculating XRP equivalent:', error);
@@ -45,44 +100,128 @@ const CreateRequest = () => {
 
     const timeoutId = setTimeout(calculateEquivalent, 500);
     return () => clearTimeout(timeoutId);
-  }, [formData.assetAmount, formData.assetSymbol, calculateXRPAmount, isConnected]);
+  }, [totalAmount, formData.assetSymbol, calculateXRPAmount, isConnected]);
 
-  const validateForm = () => {
+  // Offer gasless creation when the backend relays requests on this network
+  useEffect(() => {
+    getRelayStatus().then(setRelayStatus);
+  }, [getRelayStatus]);
+
+  // Returns the backend's XRPL address checks (address => result) when the form is valid, else null
+  const validateForm = async () => {
     const errors = {};
 
-    // Validate XRPL address (basic validation)
+    // The backend checks every XRPL address the form holds in one round
+    const xrplAddresses = await checkXrplAddresses(
+      [formData.recipientXRPL, formData.payerAddress, ...participants.map(p => p.address)]
+        .filter(address => address && !ethers.utils.isAddress(address))
+    );
+    const isXrplAddress = (address) => Boolean(xrplAddresses.get(address)?.isValid);
+
+    // Validate XRPL address (checksummed classic address, or an X-address without a tag)
     if (!formData.recipientXRPL) {
       errors.recipientXRPL = 'XRPL address is required';
-    } else if (!formData.recipientXRPL.match(/^r[A-HJ-NP-Z0-9]{25,34}$/)) {
-      errors.recipientXRPL = 'Invalid XRPL address format';
+    } else {
+      const recipient = xrplAddresses.get(formData.recipientXRPL);
+      const addressError = recipient ? recipient.recipientError : 'Invalid XRPL address';
+      if (addressError) {
+        errors.recipientXRPL = addressError;
+      }
     }
 
-    // Validate amount
-    if (!formData.assetAmount) {
+    // Validate amount, or each participant's share for split requests
+    if (formData.isSplit) {
+      const invalid = participants.some(p =>
+        !(ethers.utils.isAddress(p.address) || isXrplAddress(p.address)) ||
+        isNaN(p.amount) || !(parseFloat(p.amount) > 0)
+      );
+      if (participants.length < 2) {
+        errors.participants = 'A split needs at least 2 participants';
+      } else if (invalid) {
+        errors.participants = 'Each participant needs an EVM or XRPL address and a positive share';
+      }
+    } else if (!formData.assetAmount) {
       errors.assetAmount = 'Amount is required';
     } else if (isNaN(formData.assetAmount) || parseFloat(formData.assetAmount) <= 0) {
       errors.assetAmount = 'Amount must be a positive number';
     }
 
+    // Validate against the asset's configured limits (each split share is its own request)
+    if (selectedAsset && !errors.assetAmount && !errors.participants) {
+      const amounts = formData.isSplit ? participants.map(p => p.amount) : [formData.assetAmount];
+      const minAmount = ethers.BigNumber.from(selectedAsset.minAmount);
+      const maxAmount = ethers.BigNumber.from(selectedAsset.maxAmount);
+      const formatLimit = (limit) => `${ethers.utils.formatUnits(limit, selectedAsset.decimals)} ${selectedAsset.symbol}`;
+
+      for (const amount of amounts) {
+        let units;
+        try {
+          units = ethers.utils.parseUnits(amount.toString(), selectedAsset.decimals);
+        } catch (error) {
+          errors[formData.isSplit ? 'participants' : 'assetAmount'] =
+            `${selectedAsset.symbol} supports at most ${selectedAsset.decimals} decimals`;
+          break;
+        }
+
+        const field = formData.isSplit ? 'participants' : 'assetAmount';
+        if (units.lt(minAmount)) {
+          errors[field] = `Minimum ${formData.isSplit ? 'share' : 'amount'} is ${formatLimit(minAmount)}`;
+          break;
+        }
+        if (!maxAmount.isZero() && units.gt(maxAmount)) {
+          errors[field] = `Maximum ${formData.isSplit ? 'share' : 'amount'} is ${formatLimit(maxAmount)}`;
+          break;
+        }
+      }
+    }
+
     // Validate expiry
     if (!formData.expiry || formData.expiry < 1 || formData.expiry > 168) {
       errors.expiry = 'Expiry must be between 1 and 168 hours';
     }
 
+    // Validate intended payer
+    if (formData.payerAddress && !formData.isSplit && !formData.isRecurring &&
+        !ethers.utils.isAddress(formData.payerAddress) &&
+        !isXrplAddress(formData.payerAddress)) {
+      errors.payerAddress = 'Enter an EVM (0x...) or XRPL (r... or X...) address';
+    }
+
+    // Validate recurring series length
+    if (formData.isRecurring && !(parseInt(formData.recurringCount) >= 1)) {
+      errors.recurringCount = 'A series needs at least 1 request';
+    }
+
+    // Validate invoice line items and attachment links
+    if (canAttachInvoice && formData.attachInvoice) {
+      const invalidItem = invoice.items.some(item =>
+        !item.description.trim() || !(parseFloat(item.quantity) > 0) || !(parseFloat(item.unitPrice) >= 0)
+      );
+      const invalidAttachment = invoice.attachments.some(a =>
+        !a.name.trim() || !/^(https?|ipfs):\/\//.test(a.url)
+      );
+      if (invoice.items.length === 0 || invalidItem) {
+        errors.invoice = 'Each line item needs a description, quantity and unit price';
+      } else if (invalidAttachment) {
+        errors.invoice = 'Each attachment needs a name and an http(s) or ipfs link';
+      }
+    }
+
     // Validate slippage
-    if (formData.slippageBp < 0.1 || formData.slippageBp > 10) {
-      errors.slippageBp = 'Slippage must be between 0.1% and 10%';
+    const maxSlippage = selectedAsset ? selectedAsset.maxSlippageBp / 100 : 10;
+    if (formData.slippageBp < 0.1 || formData.slippageBp > maxSlippage) {
+      errors.slippageBp = `Slippage must be between 0.1% and ${maxSlippage}%`;
     }
 
     setValidationErrors(errors);
-    return Object.keys(errors).length === 0;
+    return Object.keys(errors).length === 0 ? xrplAddresses : null;
   };
 
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
 
     // Clear validation error for this field
@@ -94,6 +233,47 @@ const CreateRequest = () => {
     }
   };
 
+  const handleParticipantChange = (index, field, value) => {
+    setParticipants(prev => prev.map((p, i) => (i === index ? { ...p, [field]: value } : p)));
+
+    if (validationErrors.participants) {
+      setValidationErrors(prev => ({
+        ...prev,
+        participants: undefined
+      }));
+    }
+  };
+
+  const handleInvoiceListChange = (list, index, field, value) => {
+    setInvoice(prev => ({
+      ...prev,
+      [list]: prev[list].map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    }));
+
+    if (validationErrors.invoice) {
+      setValidationErrors(prev => ({
+        ...prev,
+        invoice: undefined
+      }));
+    }
+  };
+
+  const addInvoiceEntry = (list, entry) => {
+    setInvoice(prev => ({ ...prev, [list]: [...prev[list], entry] }));
+  };
+
+  const removeInvoiceEntry = (list, index) => {
+    setInvoice(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const addParticipant = () => {
+    setParticipants(prev => [...prev, { address: '', amount: '' }]);
+  };
+
+  const removeParticipant = (index) => {
+    setParticipants(prev => prev.filter((_, i) => i !== index));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -102,16 +282,97 @@ const CreateRequest = () => {
       return;
     }
 
-    if (!validateForm()) {
+    if (isPaused) {
+      toast.error('Request creation is paused');
+      return;
+    }
+
+    let xrplAddresses;
+    try {
+      xrplAddresses = await validateForm();
+    } catch (error) {
+      console.error('Error checking XRPL addresses:', error);
+      toast.error('Could not check the XRPL addresses, please try again');
+      return;
+    }
+
+    if (!xrplAddresses) {
       toast.error('Please fix the form errors');
       return;
     }
 
+    // Contracts store classic XRPL addresses, so X-addresses are decoded before sending
+    const toClassic = (address) => xrplAddresses.get(address)?.classicAddress || address;
+    const request = {
+      ...formData,
+      recipientXRPL: toClassic(formData.recipientXRPL),
+      payerAddress: toClassic(formData.payerAddress)
+    };
+
     try {
-      const result = await createRequest(formData);
+      if (formData.isSplit) {
+        const result = await createSplitRequest({
+          ...request,
+          participants: participants.map(p => ({ ...p, address: toClassic(p.address) }))
+        });
+
+        if (result.success) {
+          toast.success(`Split created with ${result.requestIds.length} shares!`);
+          navigate(`/request/${result.requestIds[0]}`);
+        }
+        return;
+      }
+
+      if (formData.isRecurring) {
+        const result = await createRecurringRequest({
+          ...request,
+          interval: parseInt(formData.recurringInterval),
+          requestDuration: formData.expiry * 3600, // expiry in hours
+          maxCount: parseInt(formData.recurringCount)
+        });
+
+        if (result.success) {
+          toast.success('Recurring request created!');
+          navigate(result.requestId ? `/request/${result.requestId}` : '/my-requests');
+        }
+        return;
+      }
+
+      if (formData.gasless && canRelay) {
+        const result = await createGaslessRequest(request);
+
+        if (result.success) {
+          toast.success('Request created without gas!');
+          navigate(`/request/${result.requestId}`);
+        }
+        return;
+      }
+
+      const result = await createRequest(request);
       
       if (result.success) {
         toast.success('Request created successfully!');
+
+        // A failed upload leaves the request payable; the invoice just won't show
+        if (formData.attachInvoice) {
+          try {
+            await attachMetadata(result.requestId, {
+              invoiceNumber: invoice.invoiceNumber.trim() || undefined,
+              currency: formData.assetSymbol,
+              items: invoice.items.map(item => ({
+                description: item.description.trim(),
+                quantity: parseFloat(item.quantity),
+                unitPrice: item.unitPrice
+              })),
+              notes: invoice.notes.trim() || undefined,
+              attachments: invoice.attachments.map(a => ({ name: a.name.trim(), url: a.url.trim() }))
+            });
+            toast.success('Invoice attached');
+          } catch (error) {
+            toast.error(`Request created, but the invoice could not be attached: ${error.message}`);
+          }
+        }
+
         navigate(`/request/${result.requestId}`);
       }
     } catch (error) {
@@ -161,6 +422,14 @@ const CreateRequest = () => {
         </p>
       </div>
 
+      {isPaused && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+          <p className="text-sm text-yellow-800">
+            ⏸️ Request creation and payment attestation are temporarily paused. Existing requests can still be cancelled.
+          </p>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="card space-y-6">
         {/* Recipient XRPL Address */}
         <div>
@@ -183,6 +452,42 @@ const CreateRequest = () => {
           </p>
         </div>
 
+        {/* Intended Payer (splits name one per share instead) */}
+        {!formData.isSplit && !formData.isRecurring && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Addressed To (Optional)
+            </label>
+            <input
+              type="text"
+              name="payerAddress"
+              value={formData.payerAddress}
+              onChange={handleInputChange}
+              placeholder="0x... or r..."
+              className={`input-field ${validationErrors.payerAddress ? 'border-red-500' : ''}`}
+            />
+            {validationErrors.payerAddress && (
+              <p className="mt-1 text-sm text-red-600">{validationErrors.payerAddress}</p>
+            )}
+            <p className="mt-1 text-sm text-gray-500">
+              An XRPL account means only payments sent from it will count; an EVM address
+              lists the request under their "addressed to me"
+            </p>
+            {formData.payerAddress && (
+              <label className="flex items-center space-x-2 mt-2">
+                <input
+                  type="checkbox"
+                  name="hideFromFeed"
+                  checked={formData.hideFromFeed}
+                  onChange={handleInputChange}
+                  className="rounded border-gray-300"
+                />
+                <span className="text-sm text-gray-700">Hide from the public feed</span>
+              </label>
+            )}
+          </div>
+        )}
+
         {/* Asset and Amount */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <div>
@@ -195,7 +500,7 @@ const CreateRequest = () => {
               onChange={handleInputChange}
               className="input-field"
             >
-              {SUPPORTED_ASSETS.map(asset => (
+              {assets.filter(asset => asset.supported).map(asset => (
                 <option key={asset.symbol} value={asset.symbol}>
                   {asset.icon} {asset.name} ({asset.symbol})
                 </option>
@@ -205,13 +510,14 @@ const CreateRequest = () => {
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              Amount *
+              {formData.isSplit ? 'Total' : 'Amount *'}
             </label>
             <input
               type="number"
               name="assetAmount"
-              value={formData.assetAmount}
+              value={formData.isSplit ? totalAmount : formData.assetAmount}
               onChange={handleInputChange}
+              disabled={formData.isSplit}
               placeholder="0.0"
               step="any"
               min="0"
@@ -223,8 +529,69 @@ const CreateRequest = () => {
           </div>
         </div>
 
+        {/* Split Between Payers */}
+        <div className="border border-gray-200 rounded-lg p-4">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              name="isSplit"
+              checked={formData.isSplit}
+              onChange={handleInputChange}
+              className="rounded border-gray-300"
+            />
+            <span className="text-sm font-medium text-gray-700">
+              Split between multiple payers
+            </span>
+          </label>
+          <p className="mt-1 text-sm text-gray-500">
+            Each participant gets their own share to pay, tracked separately
+          </p>
+          {formData.isSplit && (
+            <div className="mt-3 space-y-2">
+              {participants.map((participant, index) => (
+                <div key={index} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={participant.address}
+                    onChange={(e) => handleParticipantChange(index, 'address', e.target.value)}
+                    placeholder="0x... or r..."
+                    className="input-field flex-1"
+                  />
+                  <input
+                    type="number"
+                    value={participant.amount}
+                    onChange={(e) => handleParticipantChange(index, 'amount', e.target.value)}
+                    placeholder="0.0"
+                    step="any"
+                    min="0"
+                    className="input-field w-32"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => removeParticipant(index)}
+                    disabled={participants.length <= 2}
+                    className="text-sm text-red-600 hover:text-red-800 disabled:opacity-30 px-2"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={addParticipant}
+                className="text-sm text-blue-600 hover:text-blue-800"
+              >
+                + Add participant
+              </button>
+              {validationErrors.participants && (
+                <p className="text-sm text-red-600">{validationErrors.participants}</p>
+              )}
+            </div>
+          )}
+        </div>
+
         {/* XRP Equivalent Display */}
-        {formData.assetAmount && (
+        {totalAmount && (
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
             <div className="flex items-center justify-between">
               <span className="text-sm font-medium text-blue-900">
@@ -286,10 +653,9 @@ const CreateRequest = () => {
               onChange={handleInputChange}
               className="input-field"
             >
-              <option value={0.5}>0.5%</option>
-              <option value={1}>1.0%</option>
-              <option value={2}>2.0%</option>
-              <option value={5}>5.0%</option>
+              {slippageOptions.map(percent => (
+                <option key={percent} value={percent}>{percent.toFixed(1)}%</option>
+              ))}
             </select>
             {validationErrors.slippageBp && (
               <p className="mt-1 text-sm text-red-600">{validationErrors.slippageBp}</p>
@@ -300,6 +666,229 @@ const CreateRequest = () => {
           </div>
         </div>
 
+        {/* Recurring Series (not offered for splits) */}
+        {!formData.isSplit && (
+          <div className="border border-gray-200 rounded-lg p-4">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                name="isRecurring"
+                checked={formData.isRecurring}
+                onChange={handleInputChange}
+                className="rounded border-gray-300"
+              />
+              <span className="text-sm font-medium text-gray-700">
+                Repeat this request
+              </span>
+            </label>
+            <p className="mt-1 text-sm text-gray-500">
+              A fresh request is issued every period, e.g. for rent or subscriptions
+            </p>
+            {formData.isRecurring && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+                <select
+                  name="recurringInterval"
+                  value={formData.recurringInterval}
+                  onChange={handleInputChange}
+                  className="input-field"
+                >
+                  <option value={604800}>Every week</option>
+                  <option value={1209600}>Every 2 weeks</option>
+                  <option value={2592000}>Every 30 days</option>
+                </select>
+                <div>
+                  <input
+                    type="number"
+                    name="recurringCount"
+                    value={formData.recurringCount}
+                    onChange={handleInputChange}
+                    min="1"
+                    className={`input-field ${validationErrors.recurringCount ? 'border-red-500' : ''}`}
+                  />
+                  <p className="mt-1 text-sm text-gray-500">Number of requests</p>
+                  {validationErrors.recurringCount && (
+                    <p className="mt-1 text-sm text-red-600">{validationErrors.recurringCount}</p>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Locked Quote (not offered for splits or series) */}
+        {!formData.isSplit && !formData.isRecurring && (
+          <div className="border border-gray-200 rounded-lg p-4">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                name="lockQuote"
+                checked={formData.lockQuote}
+                onChange={handleInputChange}
+                className="rounded border-gray-300"
+              />
+              <span className="text-sm font-medium text-gray-700">
+                Lock the XRP amount
+              </span>
+            </label>
+            <p className="mt-1 text-sm text-gray-500">
+              The payer sees a fixed XRP amount at today's FTSO price instead of a live conversion
+            </p>
+            {formData.lockQuote && (
+              <select
+                name="quoteDuration"
+                value={formData.quoteDuration}
+                onChange={handleInputChange}
+                className="input-field mt-3"
+              >
+                <option value={15}>Locked for 15 minutes</option>
+                <option value={30}>Locked for 30 minutes</option>
+                <option value={60}>Locked for 1 hour</option>
+                <option value={360}>Locked for 6 hours</option>
+              </select>
+            )}
+          </div>
+        )}
+
+        {/* Itemized Invoice (single requests only) */}
+        {canAttachInvoice && (
+          <div className="border border-gray-200 rounded-lg p-4">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                name="attachInvoice"
+                checked={formData.attachInvoice}
+                onChange={handleInputChange}
+                className="rounded border-gray-300"
+              />
+              <span className="text-sm font-medium text-gray-700">
+                Attach an itemized invoice
+              </span>
+            </label>
+            <p className="mt-1 text-sm text-gray-500">
+              Stored off-chain; only its fingerprint is recorded with the request
+            </p>
+            {formData.attachInvoice && (
+              <div className="mt-3 space-y-3">
+                <input
+                  type="text"
+                  value={invoice.invoiceNumber}
+                  onChange={(e) => setInvoice(prev => ({ ...prev, invoiceNumber: e.target.value }))}
+                  placeholder="Invoice number (optional)"
+                  className="input-field"
+                />
+
+                <div className="space-y-2">
+                  {invoice.items.map((item, index) => (
+                    <div key={index} className="flex gap-2">
+                      <input
+                        type="text"
+                        value={item.description}
+                        onChange={(e) => handleInvoiceListChange('items', index, 'description', e.target.value)}
+                        placeholder="Description"
+                        className="input-field flex-1"
+                      />
+                      <input
+                        type="number"
+                        value={item.quantity}
+                        onChange={(e) => handleInvoiceListChange('items', index, 'quantity', e.target.value)}
+                        placeholder="Qty"
+                        step="any"
+                        min="0"
+                        className="input-field w-20"
+                      />
+                      <input
+                        type="number"
+                        value={item.unitPrice}
+                        onChange={(e) => handleInvoiceListChange('items', index, 'unitPrice', e.target.value)}
+                        placeholder={`Price (${formData.assetSymbol})`}
+                        step="any"
+                        min="0"
+                        className="input-field w-32"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeInvoiceEntry('items', index)}
+                        disabled={invoice.items.length <= 1}
+                        className="text-sm text-red-600 hover:text-red-800 disabled:opacity-30 px-2"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <div className="flex justify-between items-center">
+                    <button
+                      type="button"
+                      onClick={() => addInvoiceEntry('items', { description: '', quantity: '1', unitPrice: '' })}
+                      className="text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      + Add line item
+                    </button>
+                    <span className="text-sm text-gray-700">
+                      Items total: {invoiceTotal.toLocaleString()} {formData.assetSymbol}
+                      {invoiceTotal > 0 && invoiceTotal.toString() !== formData.assetAmount && (
+                        <button
+                          type="button"
+                          onClick={() => setFormData(prev => ({ ...prev, assetAmount: invoiceTotal.toString() }))}
+                          className="ml-2 text-blue-600 hover:text-blue-800"
+                        >
+                          Use as amount
+                        </button>
+                      )}
+                    </span>
+                  </div>
+                </div>
+
+                <textarea
+                  value={invoice.notes}
+                  onChange={(e) => setInvoice(prev => ({ ...prev, notes: e.target.value }))}
+                  placeholder="Notes (optional)"
+                  rows={2}
+                  className="input-field resize-none"
+                />
+
+                <div className="space-y-2">
+                  {invoice.attachments.map((attachment, index) => (
+                    <div key={index} className="flex gap-2">
+                      <input
+                        type="text"
+                        value={attachment.name}
+                        onChange={(e) => handleInvoiceListChange('attachments', index, 'name', e.target.value)}
+                        placeholder="File name"
+                        className="input-field w-40"
+                      />
+                      <input
+                        type="url"
+                        value={attachment.url}
+                        onChange={(e) => handleInvoiceListChange('attachments', index, 'url', e.target.value)}
+                        placeholder="https://... or ipfs://..."
+                        className="input-field flex-1"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => removeInvoiceEntry('attachments', index)}
+                        className="text-sm text-red-600 hover:text-red-800 px-2"
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => addInvoiceEntry('attachments', { name: '', url: '' })}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    + Add attachment link
+                  </button>
+                </div>
+
+                {validationErrors.invoice && (
+                  <p className="text-sm text-red-600">{validationErrors.invoice}</p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Message */}
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -333,21 +922,46 @@ const CreateRequest = () => {
           </div>
         </div>
 
+        {/* Gasless Creation (plain requests only) */}
+        {canRelay && (
+          <div className="border border-gray-200 rounded-lg p-4">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                name="gasless"
+                checked={formData.gasless}
+                onChange={handleInputChange}
+                className="rounded border-gray-300"
+              />
+              <span className="text-sm font-medium text-gray-700">
+                Create without paying gas
+              </span>
+            </label>
+            <p className="mt-1 text-sm text-gray-500">
+              Sign the request in your wallet and our relayer submits it for you
+              {relayStatus.remaining !== undefined &&
+                ` (${relayStatus.remaining} of ${relayStatus.limit} left this ${relayStatus.windowSeconds >= 3600 ? `${relayStatus.windowSeconds / 3600}h` : `${relayStatus.windowSeconds / 60}m`})`}
+            </p>
+          </div>
+        )}
+
         {/* Summary Card */}
-        {formData.assetAmount && xrpEquivalent && (
+        {totalAmount && xrpEquivalent && (
           <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
             <h3 className="text-sm font-medium text-gray-900 mb-3">Request Summary</h3>
             <div className="space-y-2 text-sm">
               <div className="flex justify-between">
                 <span className="text-gray-600">Requesting:</span>
                 <span className="font-medium">
-                  {formData.assetAmount} {formData.assetSymbol}
+                  {totalAmount} {formData.assetSymbol}
+                  {formData.isSplit && ` (${participants.length} shares)`}
                 </span>
               </div>
               <div className="flex justify-between">
                 <span className="text-gray-600">Payer will send:</span>
                 <span className="font-medium">
-                  ~{xrpEquivalent.toLocaleString()} XRP
+                  {formData.lockQuote && !formData.isSplit && !formData.isRecurring ? '' : '~'}{xrpEquivalent.toLocaleString()} XRP
+                  {formData.lockQuote && !formData.isSplit && !formData.isRecurring && ' (locked)'}
                 </span>
               </div>
               <div className="flex justify-between">
@@ -375,10 +989,10 @@ const CreateRequest = () => {
           </button>
           <button
             type="submit"
-            disabled={isLoading || isCalculating}
+            disabled={isLoading || isCreatingSeries || isCalculating || isPaused}
             className="btn-primary flex-1"
           >
-            {isLoading ? (
+            {isLoading || isCreatingSeries ? (
               <div className="flex items-center justify-center space-x-2">
                 <div className="loading-spinner"></div>
                 <span>Creating...</span>
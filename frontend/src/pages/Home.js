@@ -17,7 +17,7 @@ const Home = () => {
     const loadStats = async () => {
       try {
         const requests = await getRecentRequests(50);
-        const activeRequests = requests.filter(r => r.status === 'PENDING');
+        const activeRequests = requests.filter(r => r.status === 'PENDING' || r.status === 'PARTIALLY_PAID');
         
         setStats({
           totalRequests: requests.length,
@@ -3,29 +3,52 @@ import { Link } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useRequests } from '../hooks/useRequests';
+import { useRecurringRequests } from '../hooks/useRecurringRequests';
 
 const MyRequests = () => {
   const { isConnected, account } = useWeb3();
-  const { userRequests, getUserRequests, cancelRequest, isLoading } = useRequests();
+  const {
+    userRequests,
+    payerRequests,
+    hasMoreUserRequests,
+    userRequestsCursor,
+    getUserRequests,
+    getPayerRequests,
+    cancelRequest,
+    isLoading
+  } = useRequests();
+  const {
+    series,
+    refreshSeries,
+    issueRecurringRequest,
+    updateRecurringRequest,
+    setRecurringRequestPaused,
+    endRecurringRequest
+  } = useRecurringRequests();
   
-  const [filter, setFilter] = useState('ALL'); // ALL, PENDING, PAID, CANCELLED, EXPIRED
+  const [view, setView] = useState('CREATED'); // CREATED, ADDRESSED (requests addressed to me)
+  const [filter, setFilter] = useState('ALL'); // ALL, PENDING, PARTIALLY_PAID, PAID, CANCELLED, EXPIRED, DECLINED, DISPUTED
   const [filteredRequests, setFilteredRequests] = useState([]);
+  const [editingSeries, setEditingSeries] = useState(null); // { id, assetAmount, interval, message }
 
   // Load user requests on mount and when account changes
   useEffect(() => {
     if (isConnected && account) {
       getUserRequests();
+      getPayerRequests();
     }
-  }, [isConnected, account, getUserRequests]);
+  }, [isConnected, account, getUserRequests, getPayerRequests]);
 
-  // Filter requests when filter changes
+  const visibleRequests = view === 'CREATED' ? userRequests : payerRequests;
+
+  // Filter requests when filter or view changes
   useEffect(() => {
     if (filter === 'ALL') {
-      setFilteredRequests(userRequests);
+      setFilteredRequests(visibleRequests);
     } else {
-      setFilteredRequests(userRequests.filter(req => req.status === filter));
+      setFilteredRequests(visibleRequests.filter(req => req.status === filter));
     }
-  }, [userRequests, filter]);
+  }, [visibleRequests, filter]);
 
   const handleCancelRequest = async (requestId) => {
     try {
@@ -37,6 +60,46 @@ const MyRequests = () => {
     }
   };
 
+  // Run a series action, then reload series and the requests they issue
+  const handleSeriesAction = async (action, successMessage) => {
+    try {
+      await action();
+      toast.success(successMessage);
+      await Promise.all([refreshSeries(), getUserRequests()]);
+    } catch (error) {
+      console.error('Error updating recurring request:', error);
+      toast.error(error.message || 'Failed to update recurring request');
+    }
+  };
+
+  const handleSaveSeries = async (item) => {
+    await handleSeriesAction(
+      () => updateRecurringRequest(item.id, {
+        assetSymbol: item.assetSymbol,
+        assetAmount: editingSeries.assetAmount,
+        slippageBp: item.slippageBp,
+        message: editingSeries.message,
+        interval: parseInt(editingSeries.interval),
+        requestDuration: item.requestDuration
+      }),
+      'Recurring request updated'
+    );
+    setEditingSeries(null);
+  };
+
+  const formatInterval = (seconds) => {
+    const days = Math.round(seconds / 86400);
+    if (days === 7) return 'weekly';
+    if (days >= 1) return `every ${days} days`;
+    return `every ${Math.round(seconds / 3600)}h`;
+  };
+
+  const getSeriesStatus = (item) => {
+    if (item.ended || item.isExhausted) return { label: 'ENDED', className: 'status-expired' };
+    if (item.paused) return { label: 'PAUSED', className: 'status-cancelled' };
+    return { label: 'ACTIVE', className: 'status-paid' };
+  };
+
   const copyRequestLink = (requestId) => {
     const link = `${window.location.origin}/request/${requestId}`;
     navigator.clipboard.writeText(link);
@@ -81,8 +144,11 @@ const MyRequests = () => {
     switch (status) {
       case 'PENDING': return 'status-pending';
       case 'PAID': return 'status-paid';
+      case 'PARTIALLY_PAID': return 'status-partial';
       case 'CANCELLED': return 'status-cancelled';
       case 'EXPIRED': return 'status-expired';
+      case 'DECLINED': return 'status-declined';
+      case 'DISPUTED': return 'status-disputed';
       default: return 'status-pending';
     }
   };
@@ -177,10 +243,150 @@ const MyRequests = () => {
         </div>
       </div>
 
+      {/* Recurring Series */}
+      {series.length > 0 && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            🔁 Recurring Requests
+          </h3>
+          <div className="divide-y divide-gray-200">
+            {series.map((item) => {
+              const status = getSeriesStatus(item);
+              const isActive = !item.ended && !item.isExhausted;
+              const isEditing = editingSeries?.id === item.id;
+
+              return (
+                <div key={item.id} className="py-4">
+                  <div className="flex flex-col md:flex-row md:items-center md:justify-between">
+                    <div className="flex-1">
+                      <div className="flex items-center space-x-3 mb-1">
+                        <span className="font-semibold text-gray-900">
+                          {item.formattedAmount} {item.assetSymbol} {formatInterval(item.interval)}
+                        </span>
+                        <span className={status.className}>{status.label}</span>
+                      </div>
+                      {item.message && (
+                        <p className="text-sm text-gray-600 italic">"{item.message}"</p>
+                      )}
+                      <div className="text-sm text-gray-500 space-x-4">
+                        <span>
+                          Issued: {item.issuedCount}{item.maxCount > 0 && ` of ${item.maxCount}`}
+                        </span>
+                        {isActive && !item.paused && (
+                          <span>Next: {new Date(item.nextIssueAt * 1000).toLocaleString()}</span>
+                        )}
+                        {item.endDate > 0 && (
+                          <span>Ends: {new Date(item.endDate * 1000).toLocaleDateString()}</span>
+                        )}
+                      </div>
+                    </div>
+
+                    {isActive && (
+                      <div className="flex items-center space-x-2 mt-4 md:mt-0">
+                        {item.isDue && (
+                          <button
+                            onClick={() => handleSeriesAction(() => issueRecurringRequest(item.id), 'Request issued')}
+                            className="btn-secondary"
+                            title="Issue the request that is due"
+                          >
+                            ➕ Issue
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setEditingSeries(isEditing ? null : {
+                            id: item.id,
+                            assetAmount: item.formattedAmount,
+                            interval: item.interval,
+                            message: item.message
+                          })}
+                          className="btn-secondary"
+                          title="Edit future requests"
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          onClick={() => handleSeriesAction(
+                            () => setRecurringRequestPaused(item.id, !item.paused),
+                            item.paused ? 'Recurring request resumed' : 'Recurring request paused'
+                          )}
+                          className="btn-secondary"
+                          title={item.paused ? 'Resume series' : 'Pause series'}
+                        >
+                          {item.paused ? '▶️' : '⏸️'}
+                        </button>
+                        <button
+                          onClick={() => handleSeriesAction(() => endRecurringRequest(item.id), 'Recurring request ended')}
+                          className="btn-secondary text-red-600 hover:bg-red-50"
+                          title="End series"
+                        >
+                          ⏹️
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {isEditing && (
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-2 mt-3">
+                      <input
+                        type="number"
+                        value={editingSeries.assetAmount}
+                        onChange={(e) => setEditingSeries(prev => ({ ...prev, assetAmount: e.target.value }))}
+                        step="any"
+                        min="0"
+                        className="input-field"
+                      />
+                      <select
+                        value={editingSeries.interval}
+                        onChange={(e) => setEditingSeries(prev => ({ ...prev, interval: e.target.value }))}
+                        className="input-field"
+                      >
+                        <option value={604800}>Every week</option>
+                        <option value={1209600}>Every 2 weeks</option>
+                        <option value={2592000}>Every 30 days</option>
+                      </select>
+                      <input
+                        type="text"
+                        value={editingSeries.message}
+                        onChange={(e) => setEditingSeries(prev => ({ ...prev, message: e.target.value }))}
+                        placeholder="Message"
+                        maxLength={200}
+                        className="input-field"
+                      />
+                      <button
+                        onClick={() => handleSaveSeries(item)}
+                        disabled={!(parseFloat(editingSeries.assetAmount) > 0)}
+                        className="btn-primary"
+                      >
+                        Save
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Filter Tabs */}
-      <div className="card">
+      <div className="card space-y-4">
+        <div className="flex gap-2 border-b border-gray-200 pb-4">
+          {[['CREATED', '📝 Created by me'], ['ADDRESSED', '📬 Addressed to me']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => setView(key)}
+              className={`px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                view === key
+                  ? 'bg-primary-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {label} {key === 'ADDRESSED' && `(${payerRequests.length})`}
+            </button>
+          ))}
+        </div>
         <div className="flex flex-wrap gap-2">
-          {['ALL', 'PENDING', 'PAID', 'CANCELLED', 'EXPIRED'].map((status) => (
+          {['ALL', 'PENDING', 'PARTIALLY_PAID', 'PAID', 'CANCELLED', 'EXPIRED', 'DECLINED', 'DISPUTED'].map((status) => (
             <button
               key={status}
               onClick={() => setFilter(status)}
@@ -190,7 +396,7 @@ const MyRequests = () => {
                   : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
               }`}
             >
-              {status} {status !== 'ALL' && `(${userRequests.filter(r => r.status === status).length})`}
+              {status} {status !== 'ALL' && `(${visibleRequests.filter(r => r.status === status).length})`}
             </button>
           ))}
         </div>
@@ -212,12 +418,14 @@ const MyRequests = () => {
             {filter === 'ALL' ? 'No Requests Yet' : `No ${filter.toLowerCase()} requests`}
           </h3>
           <p className="text-gray-600 mb-6">
-            {filter === 'ALL' 
-              ? "Create your first payment request to get started!"
-              : `You don't have any ${filter.toLowerCase()} requests.`
+            {filter !== 'ALL'
+              ? `You don't have any ${filter.toLowerCase()} requests.`
+              : view === 'ADDRESSED'
+                ? "No one has addressed a request to your address yet."
+                : "Create your first payment request to get started!"
             }
           </p>
-          {filter === 'ALL' && (
+          {filter === 'ALL' && view === 'CREATED' && (
             <Link to="/create" className="btn-primary">
               Create Your First Request
             </Link>
@@ -252,6 +460,11 @@ const MyRequests = () => {
                       <span className="text-sm text-gray-500">
                         #{request.id}
                       </span>
+                      {request.splitId && (
+                        <span className="text-sm text-gray-500">
+                          👥 Split #{request.splitId}
+                        </span>
+                      )}
                     </div>
 
                     {request.message && (
@@ -265,6 +478,11 @@ const MyRequests = () => {
                         Expires: {request.isExpired ? 'Expired' : formatTimeRemaining(request.expiry)}
                       </span>
                       <span>Slippage: ±{request.slippageBp / 100}%</span>
+                      {request.status === 'PARTIALLY_PAID' && (
+                        <span>
+                          Received: {(parseInt(request.paidAmount) / 1000000).toLocaleString()} XRP so far
+                        </span>
+                      )}
                       {request.status === 'PAID' && request.paidTimestamp && (
                         <span>
                           Paid: {new Date(request.paidTimestamp * 1000).toLocaleDateString()}
@@ -284,7 +502,7 @@ const MyRequests = () => {
                   View
                 </Link>
 
-                {request.status === 'PENDING' && !request.isExpired && (
+                {(request.status === 'PENDING' || request.status === 'PARTIALLY_PAID') && !request.isExpired && (
                   <>
                     <button
                       onClick={() => shareRequest(request)}
@@ -293,13 +511,16 @@ const MyRequests = () => {
                     >
                       📤
                     </button>
-                    <button
-                      onClick={() => handleCancelRequest(request.id)}
-                      className="btn-secondary text-red-600 hover:bg-red-50"
-                      title="Cancel request"
-                    >
-                      ❌
-                    </button>
+                    {/* Split shares are cancelled together from the request page */}
+                    {request.createdBy && !request.splitId && (
+                      <button
+                        onClick={() => handleCancelRequest(request.id)}
+                        className="btn-secondary text-red-600 hover:bg-red-50"
+                        title="Cancel request"
+                      >
+                        ❌
+                      </button>
+                    )}
                   </>
                 )}
 
@@ -320,6 +541,19 @@ const MyRequests = () => {
         ))}
       </div>
 
+      {/* Older requests are loaded a page at a time */}
+      {view === 'CREATED' && hasMoreUserRequests && (
+        <div className="text-center">
+          <button
+            onClick={() => getUserRequests(account, { cursor: userRequestsCursor })}
+            disabled={isLoading}
+            className="btn-secondary"
+          >
+            {isLoading ? 'Loading...' : 'Load More'}
+          </button>
+        </div>
+      )}
+
       {/* Tips Section */}
       <div className="card bg-blue-50 border-blue-200">
         <h3 className="text-lg font-semibold text-blue-900 mb-3">
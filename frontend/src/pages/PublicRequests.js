@@ -22,7 +22,7 @@ const PublicRequests = () => {
         const publicRequests = await getRecentRequests(50);
         // Only show pending requests that aren't expired
         const activeRequests = publicRequests.filter(
-          req => req.status === 'PENDING' && !req.isExpired
+          req => (req.status === 'PENDING' || req.status === 'PARTIALLY_PAID') && !req.isExpired
         );
         setRequests(activeRequests);
         setFilteredRequests(activeRequests);
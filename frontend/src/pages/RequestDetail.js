@@ -1,24 +1,74 @@
 import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { toast } from 'react-hot-toast';
+import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useRequests } from '../hooks/useRequests';
 import { useXRPL } from '../hooks/useXRPL';
+import { useEscrow } from '../hooks/useEscrow';
+import { checkXrplAddress } from '../utils/xrplAddress';
 
 const RequestDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { account, isConnected } = useWeb3();
-  const { getRequest, cancelRequest, calculateXRPAmount } = useRequests();
+  const { account, isConnected, requestManagerContract } = useWeb3();
+  const {
+    getRequest,
+    getInstallments,
+    getSplitForRequest,
+    cancelRequest,
+    cancelSplit,
+    declineRequest,
+    updateRecipient,
+    transferRequestOwnership,
+    extendExpiry,
+    getRequestMetadata,
+    getDisputeInfo,
+    disputePayment,
+    resolveDispute,
+    requoteRequest,
+    calculateXRPAmount
+  } = useRequests();
   const { createPaymentURL, getTransaction } = useXRPL();
+  const {
+    isEscrowAvailable,
+    getDepositTokens,
+    getRequestDeposits,
+    quoteDeposit,
+    deposit,
+    withdraw,
+    refund
+  } = useEscrow();
 
   const [request, setRequest] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [xrpAmount, setXrpAmount] = useState(null);
+  const [installments, setInstallments] = useState([]);
+  const [split, setSplit] = useState(null);
+  const [invoice, setInvoice] = useState(null); // { metadataHash, metadata, isVerified }
+  const [disputeInfo, setDisputeInfo] = useState(null);
+  const [disputeReason, setDisputeReason] = useState('');
   const [paymentUrl, setPaymentUrl] = useState('');
   const [showQR, setShowQR] = useState(false);
   const [isCancelling, setIsCancelling] = useState(false);
+  const [isRequoting, setIsRequoting] = useState(false);
+  const [isDeclining, setIsDeclining] = useState(false);
+  const [isDisputing, setIsDisputing] = useState(false);
+  const [isResolving, setIsResolving] = useState(false);
+  const [escrowTokens, setEscrowTokens] = useState([]);
+  const [escrowDeposits, setEscrowDeposits] = useState([]);
+  const [escrowTokenAddress, setEscrowTokenAddress] = useState('');
+  const [escrowAmount, setEscrowAmount] = useState('');
+  const [isQuoting, setIsQuoting] = useState(false);
+  const [isDepositing, setIsDepositing] = useState(false);
+  const [isWithdrawing, setIsWithdrawing] = useState(false);
+  const [refundingId, setRefundingId] = useState(null);
+  const [newRecipient, setNewRecipient] = useState('');
+  const [newOwner, setNewOwner] = useState('');
+  const [newExpiry, setNewExpiry] = useState('');
+  const [isManaging, setIsManaging] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
 
   // Load request details
   useEffect(() => {
@@ -35,13 +85,33 @@ const RequestDetail = () => {
 
         const requestData = await getRequest(id);
         setRequest(requestData);
+        setInstallments(await getInstallments(id));
+        setSplit(await getSplitForRequest(id));
+        setInvoice(await getRequestMetadata(id));
 
-        // Calculate current XRP amount
+        // Deposits paid into escrow on Flare, and the tokens it accepts
+        if (isEscrowAvailable) {
+          const tokens = await getDepositTokens();
+          setEscrowTokens(tokens);
+          setEscrowTokenAddress(current => current || tokens[0]?.address || '');
+          setEscrowDeposits(await getRequestDeposits(id));
+        }
+
+        // Settled requests can be disputed within the dispute window
+        if (requestData.status === 'PAID' || requestData.status === 'DISPUTED') {
+          setDisputeInfo(await getDisputeInfo(id));
+        } else {
+          setDisputeInfo(null);
+        }
+
+        // Use the locked quote while it holds, otherwise the current XRP amount
         if (requestData.assetSymbol && requestData.formattedAmount) {
-          const xrpEquivalent = await calculateXRPAmount(
-            requestData.assetSymbol, 
-            requestData.formattedAmount
-          );
+          const xrpEquivalent = requestData.isQuoteLocked
+            ? requestData.quotedXRPAmount
+            : await calculateXRPAmount(
+              requestData.assetSymbol, 
+              requestData.formattedAmount
+            );
           setXrpAmount(xrpEquivalent);
 
           // Generate payment URL
@@ -63,13 +133,106 @@ const RequestDetail = () => {
     };
 
     loadRequest();
-  }, [id, getRequest, calculateXRPAmount, createPaymentURL]);
+  }, [id, getRequest, getInstallments, getSplitForRequest, getRequestMetadata, getDisputeInfo, calculateXRPAmount, createPaymentURL, isEscrowAvailable, getDepositTokens, getRequestDeposits, refreshKey]);
+
+  // Reload when the creator redirects, hands over or extends this request, so payers
+  // never keep paying an address it no longer accepts
+  useEffect(() => {
+    if (!requestManagerContract || !id) return;
+
+    const filters = [
+      requestManagerContract.filters.RequestRecipientUpdated(id),
+      requestManagerContract.filters.RequestOwnershipTransferred(id),
+      requestManagerContract.filters.RequestExpiryExtended(id)
+    ];
+    const onRecipientUpdated = (requestId, previousRecipientXRPL, recipientXRPL) => {
+      toast(`Payment address changed to ${recipientXRPL}`, { icon: '🔀' });
+      setRefreshKey(key => key + 1);
+    };
+    const onChanged = () => setRefreshKey(key => key + 1);
+
+    requestManagerContract.on(filters[0], onRecipientUpdated);
+    requestManagerContract.on(filters[1], onChanged);
+    requestManagerContract.on(filters[2], onChanged);
+
+    return () => {
+      requestManagerContract.off(filters[0], onRecipientUpdated);
+      requestManagerContract.off(filters[1], onChanged);
+      requestManagerContract.off(filters[2], onChanged);
+    };
+  }, [requestManagerContract, id]);
+
+  // Recipient, owner and expiry changes on a split share apply to the whole split
+  const handleManage = async (label, action) => {
+    try {
+      setIsManaging(true);
+      await action();
+      toast.success(label);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error(`Error: ${label}`, error);
+      toast.error(error.message || 'Failed to update request');
+    } finally {
+      setIsManaging(false);
+    }
+  };
+
+  const handleUpdateRecipient = async () => {
+    let recipient;
+    try {
+      recipient = await checkXrplAddress(newRecipient);
+    } catch (error) {
+      console.error('Error checking XRPL address:', error);
+      toast.error('Could not check the XRPL address, please try again');
+      return;
+    }
+
+    if (recipient.recipientError) {
+      toast.error(recipient.recipientError);
+      return;
+    }
+    handleManage('Payment address updated', async () => {
+      await updateRecipient(id, recipient.classicAddress, split?.id);
+      setNewRecipient('');
+    });
+  };
+
+  const handleTransferOwnership = () => {
+    if (!ethers.utils.isAddress(newOwner)) {
+      toast.error('Invalid EVM address');
+      return;
+    }
+    handleManage('Request transferred', async () => {
+      await transferRequestOwnership(id, newOwner, split?.id);
+      setNewOwner('');
+    });
+  };
+
+  const handleExtendExpiry = () => {
+    if (!newExpiry || new Date(newExpiry).getTime() / 1000 <= request.expiry) {
+      toast.error('Pick a date after the current expiry');
+      return;
+    }
+    handleManage('Expiry extended', async () => {
+      await extendExpiry(id, newExpiry, split?.id);
+      setNewExpiry('');
+    });
+  };
 
   const handleCancelRequest = async () => {
     if (!request || !account) return;
 
     try {
       setIsCancelling(true);
+
+      // Shares of a split are cancelled together
+      if (split) {
+        await cancelSplit(split.id);
+        toast.success('Split cancelled successfully');
+        setRefreshKey(key => key + 1);
+        return;
+      }
+
       await cancelRequest(id);
       toast.success('Request cancelled successfully');
       
@@ -84,6 +247,133 @@ const RequestDetail = () => {
     }
   };
 
+  const handleRequote = async () => {
+    try {
+      setIsRequoting(true);
+      await requoteRequest(id);
+      toast.success('XRP amount re-quoted');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error re-quoting request:', error);
+      toast.error(error.message || 'Failed to re-quote request');
+    } finally {
+      setIsRequoting(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    try {
+      setIsDeclining(true);
+      await declineRequest(id);
+      toast.success('Request declined');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error declining request:', error);
+      toast.error(error.message || 'Failed to decline request');
+    } finally {
+      setIsDeclining(false);
+    }
+  };
+
+  const handleDispute = async () => {
+    if (!disputeReason.trim()) {
+      toast.error('Please describe what is wrong with the payment');
+      return;
+    }
+
+    try {
+      setIsDisputing(true);
+      await disputePayment(id, disputeReason.trim());
+      toast.success('Payment disputed');
+      setDisputeReason('');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error disputing payment:', error);
+      toast.error(error.message || 'Failed to dispute payment');
+    } finally {
+      setIsDisputing(false);
+    }
+  };
+
+  const handleResolveDispute = async (upholdPayment) => {
+    try {
+      setIsResolving(true);
+      await resolveDispute(id, upholdPayment);
+      toast.success(upholdPayment ? 'Payment upheld' : 'Payment rejected, request reopened');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error resolving dispute:', error);
+      toast.error(error.message || 'Failed to resolve dispute');
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  const handleQuoteDeposit = async () => {
+    const token = escrowTokens.find(t => t.address === escrowTokenAddress);
+    if (!token) return;
+
+    try {
+      setIsQuoting(true);
+      const quote = await quoteDeposit(id, token);
+      setEscrowAmount(quote.formattedAmount);
+    } catch (error) {
+      console.error('Error quoting deposit:', error);
+      toast.error(error.message || 'Failed to quote deposit');
+    } finally {
+      setIsQuoting(false);
+    }
+  };
+
+  const handleDeposit = async () => {
+    const token = escrowTokens.find(t => t.address === escrowTokenAddress);
+    if (!token || !escrowAmount || parseFloat(escrowAmount) <= 0) {
+      toast.error('Please enter an amount to deposit');
+      return;
+    }
+
+    try {
+      setIsDepositing(true);
+      await deposit(id, token, escrowAmount);
+      toast.success(`Deposited ${escrowAmount} ${token.symbol} into escrow`);
+      setEscrowAmount('');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error depositing to escrow:', error);
+      toast.error(error.message || 'Failed to deposit');
+    } finally {
+      setIsDepositing(false);
+    }
+  };
+
+  const handleWithdraw = async () => {
+    try {
+      setIsWithdrawing(true);
+      await withdraw(id);
+      toast.success('Escrowed funds withdrawn');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error withdrawing from escrow:', error);
+      toast.error(error.message || 'Failed to withdraw');
+    } finally {
+      setIsWithdrawing(false);
+    }
+  };
+
+  const handleRefund = async (depositId) => {
+    try {
+      setRefundingId(depositId);
+      await refund(depositId);
+      toast.success('Deposit refunded');
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      console.error('Error refunding deposit:', error);
+      toast.error(error.message || 'Failed to refund deposit');
+    } finally {
+      setRefundingId(null);
+    }
+  };
+
   const copyToClipboard = (text, message = 'Copied to clipboard!') => {
     navigator.clipboard.writeText(text);
     toast.success(message);
@@ -106,8 +396,11 @@ const RequestDetail = () => {
     switch (status) {
       case 'PENDING': return 'status-pending';
       case 'PAID': return 'status-paid';
+      case 'PARTIALLY_PAID': return 'status-partial';
       case 'CANCELLED': return 'status-cancelled';
       case 'EXPIRED': return 'status-expired';
+      case 'DECLINED': return 'status-declined';
+      case 'DISPUTED': return 'status-disputed';
       default: return 'status-pending';
     }
   };
@@ -158,8 +451,30 @@ const RequestDetail = () => {
   }
 
   const isCreator = account?.toLowerCase() === request.creator?.toLowerCase();
-  const canCancel = isCreator && request.status === 'PENDING' && !request.isExpired;
-  const canPay = request.status === 'PENDING' && !request.isExpired && !isCreator;
+  const isOpen = request.status === 'PENDING' || request.status === 'PARTIALLY_PAID';
+  const canCancel = isCreator && isOpen && !request.isExpired;
+  // The contract rejects a new address once anything has been paid (for a split, on any share)
+  const canUpdateRecipient = isCreator && request.status === 'PENDING' && request.paidAmount === '0' &&
+    (!split || split.shares.every(share => share.status !== 'PAID' && share.status !== 'PARTIALLY_PAID' && share.status !== 'DISPUTED'));
+  const canExtendExpiry = isCreator && isOpen && !request.isExpired;
+  const canPay = isOpen && !request.isExpired && !isCreator;
+  const canRequote = isConnected && request.quotedXRPAmount && !request.isQuoteLocked &&
+    isOpen && !request.isExpired &&
+    (!request.intendedPayer || isCreator || request.addressedToMe); // directed requests restrict re-quotes
+  const canDecline = request.addressedToMe && request.status === 'PENDING';
+  const canDispute = request.status === 'PAID' && disputeInfo?.disputeDeadline &&
+    disputeInfo.disputeDeadline > Math.floor(Date.now() / 1000) &&
+    (isCreator || request.addressedToMe);
+  const paidSoFarXRP = parseInt(request.paidAmount) / 1000000;
+  // Escrow can't check which XRPL account pays, so XRPL-only directed requests are paid on XRPL
+  const canPayFromEscrow = canPay && isConnected && escrowTokens.length > 0 &&
+    (request.intendedPayer ? request.addressedToMe : !request.intendedPayerXRPL);
+  const escrowToken = escrowTokens.find(t => t.address === escrowTokenAddress);
+  const tokenFor = (address) => escrowTokens.find(t => t.address === address);
+  const depositForInstallment = (txHash) => escrowDeposits.find(d => d.ref === txHash);
+  const canWithdraw = isCreator && request.status === 'PAID' && disputeInfo?.disputeDeadline &&
+    disputeInfo.disputeDeadline < Math.floor(Date.now() / 1000) &&
+    escrowDeposits.some(d => d.status === 'HELD' && !d.isRefundable);
 
   return (
     <div className="max-w-2xl mx-auto space-y-6">
@@ -182,7 +497,26 @@ const RequestDetail = () => {
           </div>
           {xrpAmount && (
             <div className="text-xl text-gray-600">
-              ≈ {xrpAmount.toLocaleString()} XRP
+              {request.isQuoteLocked ? '' : '≈ '}{xrpAmount.toLocaleString()} XRP
+            </div>
+          )}
+          {request.isQuoteLocked && isOpen && (
+            <div className="text-sm text-blue-600 mt-1">
+              🔒 Amount locked until {new Date(request.quoteExpiry * 1000).toLocaleTimeString()}
+            </div>
+          )}
+          {canRequote && (
+            <div className="mt-2">
+              <p className="text-sm text-gray-500 mb-2">
+                The locked quote has lapsed; payments now convert at the live FTSO price.
+              </p>
+              <button
+                onClick={handleRequote}
+                disabled={isRequoting}
+                className="btn-secondary"
+              >
+                {isRequoting ? 'Re-quoting...' : '🔄 Lock a New Quote'}
+              </button>
             </div>
           )}
           {request.message && (
@@ -213,6 +547,19 @@ const RequestDetail = () => {
               <dd className="text-sm text-gray-900 font-mono">{id}</dd>
             </div>
 
+            {(request.intendedPayer || request.intendedPayerXRPL) && (
+              <div className="flex justify-between">
+                <dt className="text-sm font-medium text-gray-500">Addressed To</dt>
+                <dd className="text-sm text-gray-900 font-mono text-right">
+                  {request.addressedToMe && <div>You</div>}
+                  {request.intendedPayer && !request.addressedToMe && (
+                    <div>{request.intendedPayer.slice(0, 6)}...{request.intendedPayer.slice(-4)}</div>
+                  )}
+                  {request.intendedPayerXRPL && <div>{request.intendedPayerXRPL}</div>}
+                </dd>
+              </div>
+            )}
+
             <div className="flex justify-between">
               <dt className="text-sm font-medium text-gray-500">Created By</dt>
               <dd className="text-sm text-gray-900 font-mono">
@@ -236,7 +583,17 @@ const RequestDetail = () => {
               <dd className="text-sm text-gray-900">±{request.slippageBp / 100}%</dd>
             </div>
 
-            {request.status === 'PAID' && request.paidTxHash && (
+            {request.status === 'PARTIALLY_PAID' && (
+              <div className="flex justify-between">
+                <dt className="text-sm font-medium text-gray-500">Paid So Far</dt>
+                <dd className="text-sm text-gray-900">
+                  {paidSoFarXRP.toLocaleString()}
+                  {xrpAmount ? ` of ${xrpAmount.toLocaleString()}` : ''} XRP
+                </dd>
+              </div>
+            )}
+
+            {request.status === 'PAID' && request.paidTxHash && !depositForInstallment(request.paidTxHash) && (
               <div className="flex justify-between">
                 <dt className="text-sm font-medium text-gray-500">XRPL Transaction</dt>
                 <dd className="text-sm text-blue-600">
@@ -255,6 +612,201 @@ const RequestDetail = () => {
         </div>
       </div>
 
+      {/* Itemized Invoice */}
+      {invoice && (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              🧾 Invoice{invoice.metadata?.invoiceNumber && ` ${invoice.metadata.invoiceNumber}`}
+            </h3>
+            {invoice.isVerified ? (
+              <span className="text-xs text-green-700" title={invoice.metadataHash}>✓ Matches on-chain hash</span>
+            ) : (
+              <span className="text-xs text-red-600" title={invoice.metadataHash}>Unverified</span>
+            )}
+          </div>
+
+          {invoice.metadata ? (
+            <>
+              {invoice.metadata.items?.length > 0 && (
+                <table className="w-full text-sm mb-4">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 font-medium">Item</th>
+                      <th className="py-2 font-medium text-right">Qty</th>
+                      <th className="py-2 font-medium text-right">Unit Price</th>
+                      <th className="py-2 font-medium text-right">Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {invoice.metadata.items.map((item, index) => (
+                      <tr key={index}>
+                        <td className="py-2 text-gray-900">{item.description}</td>
+                        <td className="py-2 text-right text-gray-700">{item.quantity}</td>
+                        <td className="py-2 text-right text-gray-700">{item.unitPrice}</td>
+                        <td className="py-2 text-right text-gray-900">
+                          {(Number(item.quantity) * Number(item.unitPrice)).toLocaleString()}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                  <tfoot>
+                    <tr className="border-t border-gray-200 font-semibold">
+                      <td className="py-2" colSpan={3}>Total</td>
+                      <td className="py-2 text-right">
+                        {invoice.metadata.items
+                          .reduce((sum, item) => sum + Number(item.quantity) * Number(item.unitPrice), 0)
+                          .toLocaleString()}{' '}
+                        {invoice.metadata.currency || request.assetSymbol}
+                      </td>
+                    </tr>
+                  </tfoot>
+                </table>
+              )}
+
+              {invoice.metadata.notes && (
+                <p className="text-sm text-gray-700 whitespace-pre-line mb-4">{invoice.metadata.notes}</p>
+              )}
+
+              {invoice.metadata.attachments?.length > 0 && (
+                <ul className="space-y-1 text-sm">
+                  {invoice.metadata.attachments.map((attachment, index) => (
+                    <li key={index}>
+                      <a
+                        href={attachment.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:underline"
+                      >
+                        📎 {attachment.name}
+                      </a>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-500">
+              An invoice is attached to this request, but its document could not be loaded or
+              does not match the on-chain hash.
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Split Shares */}
+      {split && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 mb-1">
+            👥 Split #{split.id}
+          </h3>
+          <p className="text-sm text-gray-500 mb-4">
+            {split.paidShares} of {split.shares.length} shares paid · {split.formattedTotalAmount} {split.assetSymbol} total
+          </p>
+          <ul className="divide-y divide-gray-200">
+            {split.shares.map((share) => (
+              <li key={share.requestId} className="flex items-center justify-between py-2 text-sm">
+                <button
+                  onClick={() => navigate(`/request/${share.requestId}`)}
+                  className={`font-mono hover:underline ${share.requestId === id ? 'font-bold text-gray-900' : 'text-blue-600'}`}
+                >
+                  {share.payer.slice(0, 8)}...{share.payer.slice(-4)}
+                </button>
+                <span className="text-gray-900">{share.formattedAmount} {split.assetSymbol}</span>
+                <span className={getStatusColor(share.status)}>{share.status}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Installments */}
+      {installments.length > 0 && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            🧩 Payments Received ({installments.length})
+          </h3>
+          <ul className="divide-y divide-gray-200">
+            {installments.map((installment) => (
+              <li key={installment.txHash} className="flex justify-between py-2 text-sm">
+                {depositForInstallment(installment.txHash) ? (
+                  <span className="text-gray-700">
+                    🔐 Escrow deposit #{depositForInstallment(installment.txHash).id}
+                  </span>
+                ) : (
+                  <a
+                    href={`https://testnet.xrpl.org/transactions/${installment.txHash.replace(/^0x/, '')}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="font-mono text-blue-600 hover:underline"
+                  >
+                    {installment.txHash.slice(2, 10)}...
+                  </a>
+                )}
+                <span className="text-gray-900">{installment.formattedAmount.toLocaleString()} XRP</span>
+                <span className="text-gray-500">
+                  {new Date(installment.timestamp * 1000).toLocaleString()}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Escrow Deposits */}
+      {escrowDeposits.length > 0 && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            🔐 Escrow Deposits ({escrowDeposits.length})
+          </h3>
+          <ul className="divide-y divide-gray-200">
+            {escrowDeposits.map((escrowDeposit) => {
+              const token = tokenFor(escrowDeposit.token);
+              return (
+                <li key={escrowDeposit.id} className="flex items-center justify-between py-2 text-sm">
+                  <span className="font-mono text-gray-700">
+                    {escrowDeposit.isMine ? 'You' : `${escrowDeposit.payer.slice(0, 6)}...${escrowDeposit.payer.slice(-4)}`}
+                  </span>
+                  <span className="text-gray-900">
+                    {token ? `${ethers.utils.formatUnits(escrowDeposit.amount, token.decimals)} ${token.symbol}` : escrowDeposit.amount}
+                    {' '}(≈ {escrowDeposit.formattedXRPValue.toLocaleString()} XRP)
+                  </span>
+                  {escrowDeposit.status === 'HELD' && escrowDeposit.isRefundable ? (
+                    <button
+                      onClick={() => handleRefund(escrowDeposit.id)}
+                      disabled={refundingId === escrowDeposit.id}
+                      className="text-blue-600 hover:underline"
+                    >
+                      {refundingId === escrowDeposit.id ? 'Refunding...' : '↩️ Refund'}
+                    </button>
+                  ) : (
+                    <span className="text-gray-500">{escrowDeposit.status}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+
+          {isCreator && request.status === 'PAID' && !canWithdraw &&
+            escrowDeposits.some(d => d.status === 'HELD' && !d.isRefundable) && disputeInfo?.disputeDeadline && (
+            <p className="text-sm text-gray-500 mt-4">
+              Escrowed funds can be withdrawn once the dispute window closes on{' '}
+              {new Date(disputeInfo.disputeDeadline * 1000).toLocaleString()}.
+            </p>
+          )}
+
+          {canWithdraw && (
+            <button
+              onClick={handleWithdraw}
+              disabled={isWithdrawing}
+              className="btn-primary w-full mt-4"
+            >
+              {isWithdrawing ? 'Withdrawing...' : '💸 Withdraw Escrowed Funds'}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Payment Instructions */}
       {canPay && (
         <div className="card bg-blue-50 border-blue-200">
@@ -263,6 +815,12 @@ const RequestDetail = () => {
           </h3>
           
           <div className="space-y-4">
+            {request.intendedPayerXRPL && (
+              <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-3 text-sm text-yellow-800">
+                ⚠️ Only payments sent from <span className="font-mono">{request.intendedPayerXRPL}</span> count toward this request
+              </div>
+            )}
+
             <div className="bg-white rounded-lg p-4">
               <h4 className="font-medium text-gray-900 mb-2">Option 1: Use XUMM Wallet</h4>
               <p className="text-sm text-gray-600 mb-3">
@@ -317,6 +875,57 @@ const RequestDetail = () => {
                 for the payment to be automatically verified.
               </p>
             </div>
+
+            {canPayFromEscrow && (
+              <div className="bg-white rounded-lg p-4">
+                <h4 className="font-medium text-gray-900 mb-2">Option 3: Pay on Flare (Escrow)</h4>
+                <p className="text-sm text-gray-600 mb-3">
+                  Deposit tokens into escrow instead of sending XRP. The deposit is valued through the FTSO
+                  and released to the requester once the dispute window closes; you are refunded if the
+                  request is cancelled or expires.
+                </p>
+                <div className="flex space-x-2 mb-3">
+                  <select
+                    value={escrowTokenAddress}
+                    onChange={(e) => {
+                      setEscrowTokenAddress(e.target.value);
+                      setEscrowAmount('');
+                    }}
+                    className="input-field w-32"
+                  >
+                    {escrowTokens.map((token) => (
+                      <option key={token.address} value={token.address}>{token.symbol}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    value={escrowAmount}
+                    onChange={(e) => setEscrowAmount(e.target.value)}
+                    placeholder="0.00"
+                    step="any"
+                    min="0"
+                    className="input-field flex-1"
+                  />
+                  <button
+                    onClick={handleQuoteDeposit}
+                    disabled={isQuoting}
+                    className="btn-secondary"
+                  >
+                    {isQuoting ? '...' : 'Quote'}
+                  </button>
+                </div>
+                <p className="text-xs text-gray-500 mb-3">
+                  The quote moves with the FTSO price; add a little on top so the deposit still covers the request.
+                </p>
+                <button
+                  onClick={handleDeposit}
+                  disabled={isDepositing || !escrowAmount}
+                  className="btn-primary w-full"
+                >
+                  {isDepositing ? 'Depositing...' : `🔐 Deposit ${escrowToken?.symbol || ''}`}
+                </button>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -336,19 +945,125 @@ const RequestDetail = () => {
               📤 Share Request
             </button>
 
+            {canUpdateRecipient && (
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  value={newRecipient}
+                  onChange={(e) => setNewRecipient(e.target.value.trim())}
+                  placeholder="New XRPL payment address"
+                  className="input-field flex-1 font-mono text-sm"
+                />
+                <button
+                  onClick={handleUpdateRecipient}
+                  disabled={isManaging || !newRecipient}
+                  className="btn-secondary"
+                >
+                  🔀 Change
+                </button>
+              </div>
+            )}
+
+            {canExtendExpiry && (
+              <div className="flex space-x-2">
+                <input
+                  type="datetime-local"
+                  value={newExpiry}
+                  onChange={(e) => setNewExpiry(e.target.value)}
+                  className="input-field flex-1 text-sm"
+                />
+                <button
+                  onClick={handleExtendExpiry}
+                  disabled={isManaging || !newExpiry}
+                  className="btn-secondary"
+                >
+                  ⏳ Extend
+                </button>
+              </div>
+            )}
+
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={newOwner}
+                onChange={(e) => setNewOwner(e.target.value.trim())}
+                placeholder="Transfer to EVM address (0x...)"
+                className="input-field flex-1 font-mono text-sm"
+              />
+              <button
+                onClick={handleTransferOwnership}
+                disabled={isManaging || !newOwner}
+                className="btn-secondary"
+              >
+                🤝 Transfer
+              </button>
+            </div>
+
+            {split && (
+              <p className="text-xs text-gray-500">
+                Address, expiry and ownership changes apply to every share of split #{split.id}.
+              </p>
+            )}
+
             {canCancel && (
               <button
                 onClick={handleCancelRequest}
                 disabled={isCancelling}
                 className="btn-secondary w-full text-red-600 hover:bg-red-50"
               >
-                {isCancelling ? 'Cancelling...' : '❌ Cancel Request'}
+                {isCancelling ? 'Cancelling...' : split ? '❌ Cancel Split' : '❌ Cancel Request'}
               </button>
             )}
           </div>
         </div>
       )}
 
+      {/* Payer Actions */}
+      {canDecline && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">
+            Not Yours to Pay?
+          </h3>
+          <p className="text-sm text-gray-600 mb-4">
+            This request is addressed to you. Declining closes it so it can no longer be paid.
+          </p>
+          <button
+            onClick={handleDecline}
+            disabled={isDeclining}
+            className="btn-secondary w-full text-orange-600 hover:bg-orange-50"
+          >
+            {isDeclining ? 'Declining...' : '🙅 Decline Request'}
+          </button>
+        </div>
+      )}
+
+      {/* Dispute Window */}
+      {canDispute && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 mb-2">
+            Something Wrong with This Payment?
+          </h3>
+          <p className="text-sm text-gray-600 mb-4">
+            You can dispute the attested payment until{' '}
+            {new Date(disputeInfo.disputeDeadline * 1000).toLocaleString()}.
+          </p>
+          <textarea
+            value={disputeReason}
+            onChange={(e) => setDisputeReason(e.target.value)}
+            placeholder="What is wrong with the payment?"
+            rows={2}
+            className="input-field mb-3"
+          />
+          <button
+            onClick={handleDispute}
+            disabled={isDisputing}
+            className="btn-secondary w-full text-purple-600 hover:bg-purple-50"
+          >
+            {isDisputing ? 'Submitting...' : '⚖️ Dispute Payment'}
+          </button>
+        </div>
+      )}
+
       {/* Status Updates */}
       {request.status === 'PAID' && (
         <div className="card bg-green-50 border-green-200">
@@ -359,7 +1074,10 @@ const RequestDetail = () => {
             </h3>
             <p className="text-green-700">
               {request.paidAmount && (
-                <>Payment of {(parseInt(request.paidAmount) / 1000000).toLocaleString()} XRP confirmed on XRPL</>
+                <>
+                  Payment of {(parseInt(request.paidAmount) / 1000000).toLocaleString()} XRP confirmed
+                  {depositForInstallment(request.paidTxHash) ? ' through Flare escrow' : ' on XRPL'}
+                </>
               )}
             </p>
             {request.paidTimestamp && (
@@ -367,6 +1085,64 @@ const RequestDetail = () => {
                 Paid on {new Date(request.paidTimestamp * 1000).toLocaleString()}
               </p>
             )}
+            {request.paidExchangeRate && (
+              <p className="text-sm text-green-600 mt-1">
+                Settled at 1 {request.assetSymbol} = {request.paidExchangeRate.toLocaleString()} XRP
+                {' '}(${parseFloat(ethers.utils.formatUnits(request.paidAssetPrice, 18)).toLocaleString()} / 
+                {' '}${parseFloat(ethers.utils.formatUnits(request.paidXrpPrice, 18)).toLocaleString()} via FTSO)
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+
+      {request.status === 'DISPUTED' && disputeInfo?.dispute && (
+        <div className="card bg-purple-50 border-purple-200">
+          <div className="text-center">
+            <div className="text-purple-500 text-4xl mb-2">⚖️</div>
+            <h3 className="text-lg font-semibold text-purple-900 mb-2">
+              Payment Disputed
+            </h3>
+            <p className="text-purple-700">
+              {disputeInfo.dispute.reason || 'No reason given'}
+            </p>
+            <p className="text-sm text-purple-600 mt-2">
+              Raised by {disputeInfo.dispute.raisedBy.slice(0, 6)}...{disputeInfo.dispute.raisedBy.slice(-4)} on
+              {' '}{new Date(disputeInfo.dispute.raisedAt * 1000).toLocaleString()}
+            </p>
+          </div>
+
+          {disputeInfo.canResolve && (
+            <div className="grid grid-cols-2 gap-3 mt-4">
+              <button
+                onClick={() => handleResolveDispute(true)}
+                disabled={isResolving}
+                className="btn-primary"
+              >
+                ✅ Uphold Payment
+              </button>
+              <button
+                onClick={() => handleResolveDispute(false)}
+                disabled={isResolving}
+                className="btn-secondary text-red-600 hover:bg-red-50"
+              >
+                ↩️ Reject & Reopen
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      {request.status === 'DECLINED' && (
+        <div className="card bg-orange-50 border-orange-200">
+          <div className="text-center">
+            <div className="text-orange-400 text-4xl mb-2">🙅</div>
+            <h3 className="text-lg font-semibold text-orange-900 mb-2">
+              Request Declined
+            </h3>
+            <p className="text-orange-700">
+              The payer this request was addressed to has declined it.
+            </p>
           </div>
         </div>
       )}
@@ -0,0 +1,38 @@
+import { API_BASE_URL } from '../config/contracts';
+
+/**
+ * XRPL address checks, answered by the backend's POST /xrpl/validate-address
+ * so the base58 checksum and X-address decoding live in one place. Each
+ * result has `isValid`, `classicAddress`, `tag` and `recipientError` (null
+ * when requests can be paid to the address). Contracts only store classic
+ * addresses, so send `classicAddress`, not what the user typed.
+ */
+
+const checked = new Map(); // address => backend result
+
+// Check one address; rejects only when the backend can't be reached
+export async function checkXrplAddress(address) {
+  if (checked.has(address)) {
+    return checked.get(address);
+  }
+
+  const response = await fetch(`${API_BASE_URL}/xrpl/validate-address`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ address })
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.error?.message || 'Failed to validate XRPL address');
+  }
+
+  checked.set(address, result);
+  return result;
+}
+
+// Check several addresses at once; returns address => result
+export async function checkXrplAddresses(addresses) {
+  const unique = [...new Set(addresses.filter(Boolean))];
+  const results = await Promise.all(unique.map(checkXrplAddress));
+  return new Map(unique.map((address, i) => [address, results[i]]));
+}